@@ -1,12 +1,23 @@
 /**
  * Main Server Entry Point
- * Express server with Groq integration and token splitting
+ * Express server with LLM integration and token splitting
  */
 
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const webhookRouter = require('./webhooks/webhook');
+const { getLLMConfig } = require('./services/llm');
+const { countTokens, getTokenizerFamily } = require('./services/tokenizer');
+const {
+  MAX_INPUT_TOKENS_PER_CALL,
+  MAX_OUTPUT_TOKENS_PER_CALL,
+  MAX_TOTAL_TOKENS_PER_CALL,
+  getIntentCacheStats
+} = require('./services/nlp');
+const { getScheduler } = require('./services/scheduler');
+const { getNotificationConfig } = require('./services/notifications');
+const { isServerless } = require('./utils/storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -37,14 +48,33 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     environment: {
       isServerless: !!(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME),
+      llmProvider: getLLMConfig().provider,
+      llmModel: getLLMConfig().model,
       hasGroqApiKey: !!process.env.GROQ_API_KEY,
       groqKeyLength: process.env.GROQ_API_KEY ? process.env.GROQ_API_KEY.length : 0
     },
     tokenLimits: {
-      maxInputTokens: 6000,
-      maxOutputTokens: 500,
-      maxTotalTokens: 6500
-    }
+      maxInputTokens: MAX_INPUT_TOKENS_PER_CALL,
+      maxOutputTokens: MAX_OUTPUT_TOKENS_PER_CALL,
+      maxTotalTokens: MAX_TOTAL_TOKENS_PER_CALL,
+      tokenizer: getTokenizerFamily(getLLMConfig().model)
+    },
+    intentCache: getIntentCacheStats(),
+    scheduler: getScheduler().stats()
+  });
+});
+
+// Token count with the configured model's tokenizer (used by the web UI counter)
+app.post('/api/tokens', (req, res) => {
+  const { text } = req.body || {};
+  if (typeof text !== 'string') {
+    return res.status(400).json({ success: false, error: 'text must be a string' });
+  }
+  
+  const model = getLLMConfig().model;
+  res.json({
+    tokens: countTokens(text, model),
+    tokenizer: getTokenizerFamily(model)
   });
 });
 
@@ -57,12 +87,17 @@ app.get('/api', (req, res) => {
     endpoints: {
       health: 'GET /health',
       webhook: 'POST /api/webhook',
+      processQueue: 'POST /api/webhook/process-queue',
+      runReminders: 'POST /api/webhook/run-reminders',
+      activity: 'GET /api/activity',
+      tokens: 'POST /api/tokens',
       apiInfo: 'GET /api'
     },
     features: [
       'Task management (create, list, complete, delete)',
       'Note taking and management',
       'Focus mode timer',
+      'Reminders and due-date notifications',
       'Math calculations',
       'Natural language understanding',
       'Priority management',
@@ -104,10 +139,16 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`\n🚀 Server running on port ${PORT}`);
   console.log(`📊 Token limits configured:`);
-  console.log(`   - Max input tokens per call: 6000`);
-  console.log(`   - Max output tokens per call: 500`);
-  console.log(`   - Max total tokens per call: 6500`);
+  console.log(`   - Max input tokens per call: ${MAX_INPUT_TOKENS_PER_CALL}`);
+  console.log(`   - Max output tokens per call: ${MAX_OUTPUT_TOKENS_PER_CALL}`);
+  console.log(`   - Max total tokens per call: ${MAX_TOTAL_TOKENS_PER_CALL}`);
+  console.log(`   - Tokenizer: ${getTokenizerFamily(getLLMConfig().model)}`);
   console.log(`\n✅ Token splitting enabled for long inputs\n`);
+  
+  // Serverless deployments run reminders from a cron job instead (POST /api/webhook/run-reminders)
+  if (getNotificationConfig().schedulerEnabled && !isServerless()) {
+    getScheduler().start();
+  }
 });
 
 module.exports = app;
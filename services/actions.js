@@ -0,0 +1,176 @@
+/**
+ * Action Registry
+ * Single source of truth for the actions the bot understands.
+ *
+ * Each action registers its handler, the entities it uses, the entities it
+ * requires and a description. The webhook dispatches through the registry,
+ * the NLP prompts build their action whitelist from it and the help guide
+ * is generated from it.
+ *
+ * The built-in actions live in services/handlers.js, which is loaded the
+ * first time the registry is read, so any module using the registry sees them.
+ */
+
+// Help guide sections, in display order
+const HELP_SECTIONS = [
+  { key: 'tasks', title: '📋 Task Management' },
+  { key: 'notes', title: '📝 Notes' },
+  { key: 'focus', title: '⏰ Focus Mode' },
+  { key: 'reminders', title: '🔔 Reminders' },
+  { key: 'math', title: '🔢 Quick Math' },
+  { key: 'general', title: '💬 General' }
+];
+
+const actions = new Map();
+let builtInsLoaded = false;
+
+/**
+ * Register the built-in actions on first use
+ * Required here rather than at the top: handlers.js registers through this module
+ */
+function loadBuiltInActions() {
+  if (builtInsLoaded) return;
+  builtInsLoaded = true;
+  require('./handlers');
+}
+
+/**
+ * Register an action
+ *
+ * @param {string} name - Action name returned by the NLP layer (e.g. "create_task")
+ * @param {Object} definition - Action definition
+ * @param {Function} definition.handler - async ({ userId, intent, context, userContext, message }) => response
+ * @param {string} definition.description - Short description used in prompts and help
+ * @param {string[]} [definition.entities] - Entities the action understands
+ * @param {string[]} [definition.required] - Entities that must be present before dispatch
+ * @param {string[]} [definition.fields] - Top-level intent fields the action fills (e.g. "tasks")
+ * @param {string} [definition.section] - Help section key (see HELP_SECTIONS)
+ * @param {string[]} [definition.examples] - Example phrases shown in help
+ * @param {boolean} [definition.hidden] - Exclude from the help guide
+ * @param {boolean} [definition.undoable] - Changes tasks, notes or reminders; "undo" can take it back
+ */
+function registerAction(name, definition) {
+  if (!name || typeof definition.handler !== 'function') {
+    throw new Error(`Action "${name}" must have a name and a handler function`);
+  }
+
+  actions.set(name, {
+    name,
+    handler: definition.handler,
+    description: definition.description || '',
+    entities: definition.entities || [],
+    required: definition.required || [],
+    fields: definition.fields || [],
+    section: definition.section || 'general',
+    examples: definition.examples || [],
+    hidden: !!definition.hidden,
+    undoable: !!definition.undoable
+  });
+}
+
+/**
+ * Get a registered action by name
+ */
+function getAction(name) {
+  loadBuiltInActions();
+  return actions.get(name) || null;
+}
+
+/**
+ * Check whether an action is registered
+ */
+function hasAction(name) {
+  loadBuiltInActions();
+  return actions.has(name);
+}
+
+/**
+ * Get all registered action names (registration order)
+ */
+function getActionNames() {
+  loadBuiltInActions();
+  return [...actions.keys()];
+}
+
+/**
+ * Get all registered action definitions (registration order)
+ */
+function listActions() {
+  loadBuiltInActions();
+  return [...actions.values()];
+}
+
+/**
+ * Find required entities missing from an intent
+ *
+ * @param {Object} action - Registered action definition
+ * @param {Object} intent - Parsed intent
+ * @returns {string[]} Names of missing entities
+ */
+function getMissingEntities(action, intent) {
+  const entities = intent.entities || {};
+  return action.required.filter(key => {
+    const value = entities[key];
+    return value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+  });
+}
+
+/**
+ * Dispatch an intent to its registered handler
+ * Unregistered actions are routed to "unknown"
+ *
+ * @param {string} name - Action name
+ * @param {Object} args - Handler arguments ({ userId, intent, context, userContext, message })
+ * @returns {Promise<Object>} Handler response
+ */
+async function dispatchAction(name, args) {
+  const action = getAction(name) || getAction('unknown');
+
+  if (!action) {
+    throw new Error(`No handler registered for action "${name}"`);
+  }
+
+  const missing = getMissingEntities(action, args.intent || {});
+
+  if (missing.length > 0) {
+    return {
+      message: `❌ I need ${missing.join(', ')} to ${action.description.toLowerCase()}.`,
+      structured: { type: 'error', error: 'Missing entities', action: action.name, missing }
+    };
+  }
+
+  return action.handler(args);
+}
+
+/**
+ * Build the help guide sections from registered actions
+ *
+ * @returns {string} Help text for all visible actions, grouped by section
+ */
+function buildHelpSections() {
+  const visible = listActions().filter(a => !a.hidden && a.examples.length > 0);
+
+  return HELP_SECTIONS
+    .map(section => {
+      const sectionActions = visible.filter(a => a.section === section.key);
+      if (sectionActions.length === 0) return null;
+
+      const lines = sectionActions.map(a => `• ${a.description}: ${a.examples.map(e => `"${e}"`).join(' or ')}`);
+      return `**${section.title}**\n${lines.join('\n')}`;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  HELP_SECTIONS,
+  registerAction,
+  getAction,
+  hasAction,
+  getActionNames,
+  listActions,
+  getMissingEntities,
+  dispatchAction,
+  buildHelpSections
+};
@@ -0,0 +1,162 @@
+/**
+ * Activity Log
+ * Append-only history of what happened to each task, who did it and when
+ *
+ * Entries live in the "activity" collection. They are only ever added, never
+ * changed or removed, so a task's history outlives the task. Each entry:
+ *
+ *   { id, userId, actor, taskId, taskTitle, type, changes: [{ field, from, to }], at }
+ *
+ *   userId  - owner of the task (whose log it is)
+ *   actor   - user who made the change
+ *   type    - created | updated | assigned | status | completed | deleted,
+ *             or restored | undone | redone when "undo" and "redo" change a task
+ *
+ * The task services record entries as they change tasks; the log is read
+ * per task ("what changed on task 2?"), per user and period ("what did I do
+ * yesterday?") and through GET /api/activity.
+ */
+
+const { getStorage } = require('../utils/storage');
+const { WEEKDAYS, DEFAULT_CALENDAR, zonedParts, zonedToUtc, addDays, addMonths, weekdayOf, startOfWeek, resolveDateExpression, getDefaultTimeZone } = require('./dates');
+
+const COLLECTION = 'activity';
+
+// Fields worth showing when a task is created
+const CREATED_FIELDS = ['title', 'priority', 'assignee', 'dueDate'];
+
+/**
+ * Add an entry to the log
+ *
+ * @param {string} type - created | updated | assigned | status | completed | deleted | restored | undone | redone
+ * @param {Object} task - Task the entry is about (after the change; before it, for deletions)
+ * @param {Object} details
+ * @param {string} details.actor - Who made the change (default: the task's owner)
+ * @param {Array} details.changes - [{ field, from, to }]
+ * @param {Date} details.at - When (default: now)
+ * @returns {Object} The stored entry
+ */
+function recordActivity(type, task, { actor = task.userId, changes = [], at = new Date() } = {}) {
+  const entry = {
+    id: `act_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    userId: task.userId,
+    actor,
+    taskId: task.id,
+    taskTitle: task.title,
+    type,
+    changes,
+    at: at.toISOString()
+  };
+
+  return getStorage().put(COLLECTION, entry);
+}
+
+/**
+ * Entry for a new task, listing the fields it started with
+ */
+function recordCreated(task, actor = task.userId) {
+  const changes = CREATED_FIELDS
+    .filter(field => task[field] !== null && task[field] !== undefined && task[field] !== '')
+    .map(field => ({ field, from: null, to: task[field] }));
+  return recordActivity('created', task, { actor, changes });
+}
+
+/**
+ * Read a user's log
+ *
+ * @param {string} userId - Owner of the tasks
+ * @param {Object} filters
+ * @param {string} filters.taskId - Only this task
+ * @param {Date|string} filters.since - From this instant (inclusive)
+ * @param {Date|string} filters.until - Up to this instant (exclusive)
+ * @param {Array<string>} filters.types - Only these entry types
+ * @param {number} filters.limit - Keep only the most recent entries
+ * @returns {Array} Entries, oldest first
+ */
+function getActivity(userId, filters = {}) {
+  const since = filters.since ? new Date(filters.since).getTime() : -Infinity;
+  const until = filters.until ? new Date(filters.until).getTime() : Infinity;
+
+  const entries = getStorage().find(COLLECTION, { userId })
+    .filter(entry => !filters.taskId || entry.taskId === filters.taskId)
+    .filter(entry => !filters.types || filters.types.includes(entry.type))
+    .filter(entry => {
+      const at = new Date(entry.at).getTime();
+      return at >= since && at < until;
+    })
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return filters.limit ? entries.slice(-filters.limit) : entries;
+}
+
+/**
+ * History of one task, oldest first
+ */
+function getTaskActivity(userId, taskId) {
+  return getActivity(userId, { taskId });
+}
+
+/**
+ * Days a past period covers, in the user's timezone
+ * Understands "today", "yesterday", "this/last week", "this/last month",
+ * "last 3 days", weekday names (the latest one, today included) and
+ * "last <weekday>"; anything else goes through the due date resolver
+ *
+ * @param {string} phrase - Period as the user said it
+ * @param {Object} options - { now, timeZone, weekStart, ... } (see dateOptions)
+ * @returns {Object|null} { since, until, phrase }, or null if it isn't a period
+ */
+function resolvePeriod(phrase, options = {}) {
+  const { now = new Date(), timeZone = getDefaultTimeZone() } = options;
+  if (typeof phrase !== 'string' || !phrase.trim()) return null;
+  const text = phrase.trim().toLowerCase().replace(/^(?:on|in|during|for|over)\s+/, '').replace(/^the\s+/, '');
+
+  const current = zonedParts(now, timeZone);
+  const today = { year: current.year, month: current.month, day: current.day };
+  const start = WEEKDAYS.indexOf(options.weekStart || DEFAULT_CALENDAR.weekStart);
+  const weekStart = start === -1 ? 1 : start;
+  const range = (first, days) => ({
+    since: zonedToUtc(first, timeZone),
+    until: zonedToUtc(addDays(first, days), timeZone),
+    phrase: phrase.trim()
+  });
+
+  if (text === 'today') return range(today, 1);
+  if (text === 'yesterday') return range(addDays(today, -1), 1);
+  if (text === 'this week') return range(startOfWeek(today, weekStart), 7);
+  if (text === 'last week') return range(addDays(startOfWeek(today, weekStart), -7), 7);
+
+  const firstOfMonth = { ...today, day: 1 };
+  if (text === 'this month') {
+    const next = addMonths(firstOfMonth, 1);
+    return { since: zonedToUtc(firstOfMonth, timeZone), until: zonedToUtc(next, timeZone), phrase: phrase.trim() };
+  }
+  if (text === 'last month') {
+    return { since: zonedToUtc(addMonths(firstOfMonth, -1), timeZone), until: zonedToUtc(firstOfMonth, timeZone), phrase: phrase.trim() };
+  }
+
+  const lastDays = text.match(/^(?:last|past) (\d+) days?$/);
+  if (lastDays) {
+    const days = parseInt(lastDays[1], 10);
+    return range(addDays(today, 1 - days), days);
+  }
+
+  const weekday = text.match(/^(last )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+  if (weekday) {
+    const back = (weekdayOf(today) - WEEKDAYS.indexOf(weekday[2]) + 7) % 7;
+    return range(addDays(today, -(back === 0 && weekday[1] ? 7 : back)), 1);
+  }
+
+  const resolved = resolveDateExpression(text, options);
+  if (!resolved) return null;
+  const [year, month, day] = resolved.date.split('-').map(Number);
+  return range({ year, month, day }, 1);
+}
+
+module.exports = {
+  recordActivity,
+  recordCreated,
+  getActivity,
+  getTaskActivity,
+  resolvePeriod
+};
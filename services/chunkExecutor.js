@@ -0,0 +1,145 @@
+/**
+ * Chunk Executor
+ * Runs LLM work over the chunks of a long input with bounded concurrency
+ *
+ * Rate-limited calls (HTTP 429) are retried with exponential backoff, using
+ * the server's Retry-After when it sends one. Any other error fails that
+ * chunk only. Every chunk gets a status report, so callers can tell the user
+ * exactly which parts were lost.
+ */
+
+/**
+ * Whether an error is a rate-limit response
+ */
+function isRateLimitError(error) {
+  if (!error) return false;
+  return error.status === 429 || /\b429\b|rate.?limit/i.test(error.message || '');
+}
+
+/**
+ * Backoff before retry `attempt` (1-based)
+ * Honors Retry-After (provider errors carry it as retryAfterMs or headers)
+ *
+ * @param {Error} error - The rate-limit error
+ * @param {number} attempt - Attempt that failed
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(error, attempt, { baseDelayMs = 1000, maxDelayMs = 30000 } = {}) {
+  let retryAfterMs = error.retryAfterMs;
+  if (retryAfterMs === undefined && error.headers) {
+    const header = typeof error.headers.get === 'function' ? error.headers.get('retry-after') : error.headers['retry-after'];
+    const seconds = Number(header);
+    if (Number.isFinite(seconds) && seconds > 0) {
+      retryAfterMs = seconds * 1000;
+    }
+  }
+  if (retryAfterMs !== undefined) {
+    return Math.min(retryAfterMs, maxDelayMs);
+  }
+
+  // Exponential with up to 25% jitter so parallel chunks don't retry in lockstep
+  const delay = baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(Math.round(delay * (1 + Math.random() * 0.25)), maxDelayMs);
+}
+
+/**
+ * Run a worker over every chunk, a few at a time
+ *
+ * @param {Array} chunks - Work items
+ * @param {Function} worker - async (chunk, index) => value
+ * @param {Object} options
+ * @param {number} options.concurrency - Chunks in flight at once
+ * @param {number} options.maxRetries - Retries per chunk after a 429
+ * @param {number} options.baseDelayMs - First backoff delay
+ * @param {number} options.maxDelayMs - Longest backoff delay
+ * @param {Object} options.limiter - Rate limiter to pause on a 429 (see services/llm/rateLimiter.js)
+ * @param {Function} options.sleep - Delay function (for tests)
+ * @returns {Promise<Array>} One report per chunk, in chunk order:
+ *          { index, status: "ok" | "failed", attempts, value?, error? }
+ */
+async function runChunks(chunks, worker, {
+  concurrency = 3,
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  limiter = null,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  const reports = new Array(chunks.length);
+  let next = 0;
+
+  async function runOne(index) {
+    let attempts = 0;
+
+    for (;;) {
+      attempts++;
+      try {
+        const value = await worker(chunks[index], index);
+        return { index, status: 'ok', attempts, value };
+      } catch (error) {
+        if (isRateLimitError(error) && attempts <= maxRetries) {
+          const delay = backoffDelay(error, attempts, { baseDelayMs, maxDelayMs });
+          console.log(`[Chunks] Chunk ${index + 1} rate limited, retrying in ${delay}ms (attempt ${attempts}/${maxRetries})`);
+          if (limiter) {
+            limiter.pause(delay);
+          }
+          await sleep(delay);
+          continue;
+        }
+
+        console.error(`[Chunks] Chunk ${index + 1} failed after ${attempts} attempt${attempts > 1 ? 's' : ''}: ${error.message}`);
+        return { index, status: 'failed', attempts, error: error.message || String(error) };
+      }
+    }
+  }
+
+  // Each lane takes the next unstarted chunk until none are left
+  async function lane() {
+    while (next < chunks.length) {
+      const index = next++;
+      reports[index] = await runOne(index);
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(concurrency, chunks.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+
+  return reports;
+}
+
+/**
+ * Find where each chunk sits in the original text
+ * Chunks are trimmed and re-joined, so they are located by their first and
+ * last lines rather than as exact substrings
+ *
+ * @param {string} text - Original text
+ * @param {string[]} chunks - Chunks from splitTextIntoChunks
+ * @returns {Array<{ start, end, startLine, endLine }>} Character offsets (end exclusive) and 1-based lines
+ */
+function locateChunks(text, chunks) {
+  const lineAt = offset => text.substring(0, offset).split('\n').length;
+  let cursor = 0;
+
+  return chunks.map(chunk => {
+    const lines = chunk.split('\n');
+    const first = lines[0].trim();
+    const last = lines[lines.length - 1].trim();
+
+    const found = text.indexOf(first, cursor);
+    const start = found === -1 ? cursor : found;
+    // Re-joining only ever drops whitespace, so the last line can't start earlier than in the chunk
+    const lastAt = text.indexOf(last, start + chunk.length - last.length);
+    const end = lastAt === -1 ? Math.min(text.length, start + chunk.length) : lastAt + last.length;
+
+    cursor = end;
+    return { start, end, startLine: lineAt(start), endLine: lineAt(end) };
+  });
+}
+
+module.exports = {
+  isRateLimitError,
+  backoffDelay,
+  runChunks,
+  locateChunks
+};
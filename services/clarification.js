@@ -0,0 +1,184 @@
+/**
+ * Clarification
+ * Asks the user to pick between readings of an ambiguous request
+ *
+ * A clarification is a numbered question plus the intent each option stands
+ * for. The webhook keeps it in the user's context (`pendingClarification`),
+ * so the next message ("2", "the second one") runs the chosen intent. Any
+ * other message drops the question and is handled as a new request.
+ */
+
+const { getAction } = require('./actions');
+const { getLLMConfig } = require('./llm');
+const { findTasksByTitle } = require('./tasks');
+const { formatDue } = require('./formatter');
+const { getProfile } = require('./profile');
+
+const MAX_OPTIONS = 5;
+const CLARIFICATION_TTL_MS = 10 * 60 * 1000; // Unanswered questions expire after 10 minutes
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+const CANCEL_PATTERN = /^(cancel|never ?mind|none|neither|no|nope|stop|forget it)\b/i;
+
+/**
+ * The part of an intent worth replaying when an option is picked
+ */
+function optionIntent(intent, entities = intent.entities) {
+  const { confidence, candidates, usage, validation, cached, fastPath, ...rest } = intent;
+  return { ...rest, entities: { ...entities } };
+}
+
+/**
+ * Short description of a task, enough to tell similar titles apart
+ */
+function describeTask(task, profile) {
+  const details = [];
+  if (task.priority && task.priority !== 'medium') details.push(task.priority);
+  if (task.assignee) details.push(`@${task.assignee}`);
+  if (task.project) details.push(task.project);
+  if (task.dueDate) details.push(`due ${formatDue(task, profile)}`);
+  return details.length > 0 ? `${task.title} (${details.join(', ')})` : task.title;
+}
+
+/**
+ * Short description of what an intent would do
+ */
+function describeIntent(intent) {
+  if (intent.label) return intent.label;
+
+  const action = getAction(intent.action);
+  const entities = intent.entities || {};
+  const titles = (intent.tasks || []).map(task => task.title);
+  const details = titles.length > 0
+    ? titles.slice(0, 3).join(', ')
+    : ['task_ref', 'title', 'priority', 'assignee', 'scope'].map(key => entities[key]).filter(value => value !== undefined).join(', ');
+
+  const description = action ? action.description : intent.action;
+  return details ? `${description}: ${details}` : description;
+}
+
+/**
+ * Ask which task was meant when a title matches several pending tasks
+ */
+function clarifyTaskRef(userId, intent) {
+  const action = getAction(intent.action);
+  const taskRef = intent.entities && intent.entities.task_ref;
+  if (!action || !action.entities.includes('task_ref') || typeof taskRef !== 'string' || taskRef === 'all') {
+    return null;
+  }
+
+  const matches = findTasksByTitle(userId, taskRef);
+  if (matches.length < 2) {
+    return null;
+  }
+  const profile = getProfile(userId);
+
+  return {
+    reason: 'task_ref',
+    question: `Which task did you mean by "${taskRef}"?`,
+    options: matches.slice(0, MAX_OPTIONS).map(task => ({
+      label: describeTask(task, profile),
+      intent: optionIntent(intent, { ...intent.entities, task_ref: task.id })
+    })),
+    more: Math.max(0, matches.length - MAX_OPTIONS)
+  };
+}
+
+/**
+ * Ask which reading was meant when the model wasn't confident
+ * Unknown intents with candidates always ask; others ask below INTENT_CLARIFY_CONFIDENCE
+ */
+function clarifyIntent(intent) {
+  const candidates = intent.candidates || [];
+  const unsure = intent.confidence !== undefined && intent.confidence < getLLMConfig().clarifyConfidence;
+
+  let readings;
+  if (intent.action === 'unknown') {
+    readings = candidates;
+  } else if (unsure && candidates.length > 0) {
+    readings = [intent, ...candidates];
+  } else {
+    return null;
+  }
+
+  // Models sometimes repeat their first guess as a candidate
+  const seen = new Set();
+  const options = [];
+  for (const reading of readings) {
+    const key = JSON.stringify([reading.action, reading.entities, reading.tasks]);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    options.push({ label: describeIntent(reading), intent: optionIntent(reading) });
+  }
+
+  if (options.length === 0) {
+    return null;
+  }
+
+  return {
+    reason: 'low_confidence',
+    question: 'I\'m not sure what you meant. Did you want to:',
+    options: options.slice(0, MAX_OPTIONS),
+    more: 0
+  };
+}
+
+/**
+ * Build a clarification question for an ambiguous intent
+ *
+ * @param {string} userId - User ID (task titles are matched against their tasks)
+ * @param {Object} intent - Validated intent
+ * @returns {Object|null} { reason, question, options: [{ label, intent }], more }, or null
+ *          when the intent is clear enough to run
+ */
+function buildClarification(userId, intent) {
+  if (!intent || intent.action === 'error') {
+    return null;
+  }
+  return clarifyTaskRef(userId, intent) || clarifyIntent(intent);
+}
+
+/**
+ * Read the user's answer to a pending clarification
+ *
+ * @param {Object} pending - Clarification stored in the user context (with createdAt)
+ * @param {string} message - The user's next message
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} { cancelled: true }, { option, number } for a picked option,
+ *          or null when the question expired or the message isn't an answer
+ */
+function answerClarification(pending, message, now = Date.now()) {
+  if (!pending || !Array.isArray(pending.options)) {
+    return null;
+  }
+  if (now - new Date(pending.createdAt).getTime() > CLARIFICATION_TTL_MS) {
+    return null;
+  }
+
+  const text = message.trim().toLowerCase().replace(/[.!?]+$/, '');
+  if (CANCEL_PATTERN.test(text)) {
+    return { cancelled: true };
+  }
+
+  let index = -1;
+  const number = text.match(/^(?:option\s*|number\s*|#)?(\d+)(?:st|nd|rd|th)?(?:\s+one)?$/);
+  const ordinal = text.match(/^(?:the\s+)?(\w+)(?:\s+one)?$/);
+  if (number) {
+    index = parseInt(number[1], 10) - 1;
+  } else if (ordinal && ORDINALS.includes(ordinal[1])) {
+    index = ORDINALS.indexOf(ordinal[1]);
+  } else {
+    index = pending.options.findIndex(option => option.label.toLowerCase() === text);
+  }
+
+  const option = pending.options[index];
+  return option ? { option, number: index + 1 } : null;
+}
+
+module.exports = {
+  MAX_OPTIONS,
+  CLARIFICATION_TTL_MS,
+  buildClarification,
+  answerClarification,
+  describeIntent
+};
@@ -3,161 +3,144 @@
  * Manages per-user conversation context, history, and state
  */
 
-const { loadUsers, saveUsers } = require('../utils/userManager');
+const { getUser, modifyUser } = require('../utils/userManager');
+const { getStorage } = require('../utils/storage');
+const { SCHEMA_VERSIONS } = require('../utils/storage/migrations');
+
+/**
+ * Create an empty conversation context
+ */
+function createEmptyContext() {
+  return {
+    lastMessages: [],
+    lastActions: [],
+    lastTaskIds: [],
+    lastNoteIds: [],
+    lastTaskList: [],
+    lastTrashList: [],
+    lastProject: null,
+    lastChannel: null,
+    lastDeal: null,
+    currentFocus: null,
+    pendingClarification: null,
+    undoStack: [],
+    redoStack: []
+  };
+}
+
+/**
+ * Create a new user record
+ */
+function createUserRecord(userId) {
+  return {
+    id: userId,
+    schemaVersion: SCHEMA_VERSIONS.users,
+    context: createEmptyContext(),
+    profile: {},
+    createdAt: new Date().toISOString()
+  };
+}
 
 /**
  * Initialize user context if it doesn't exist
+ * Existing users always have a context (guaranteed by the users v1 migration)
  */
 function initializeContext(userId) {
-  const users = loadUsers();
-  
-  if (!users[userId]) {
-    users[userId] = {
-      id: userId,
-      tasks: [],
-      notes: [],
-      context: {
-        lastMessages: [],
-        lastActions: [],
-        lastTaskIds: [],
-        lastNoteIds: [],
-        lastTaskList: [],
-        lastProject: null,
-        lastChannel: null,
-        lastDeal: null,
-        currentFocus: null
-      },
-      createdAt: new Date().toISOString()
-    };
-    saveUsers(users);
-  } else if (!users[userId].context) {
-    // Add context to existing user
-    users[userId].context = {
-      lastMessages: [],
-      lastActions: [],
-      lastTaskIds: [],
-      lastNoteIds: [],
-      lastTaskList: [],
-      lastProject: null,
-      lastChannel: null,
-      lastDeal: null,
-      currentFocus: null
-    };
-    saveUsers(users);
-  }
-  
-  return users[userId];
+  return modifyUser(userId, user => (user ? null : createUserRecord(userId)));
 }
 
 /**
  * Update user context after an action
+ * Runs as one atomic read-modify-write so concurrent requests don't lose updates
  */
 function updateContext(userId, updates) {
-  const users = loadUsers();
-  let user = users[userId];
-  
-  if (!user) {
-    user = initializeContext(userId);
-  }
-  
-  if (!user.context) {
-    user.context = {
-      lastMessages: [],
-      lastActions: [],
-      lastTaskIds: [],
-      lastNoteIds: [],
-      lastTaskList: [],
-      lastProject: null,
-      lastChannel: null,
-      lastDeal: null,
-      currentFocus: null
-    };
-  }
+  const user = modifyUser(userId, user => {
+    user = user || createUserRecord(userId);
+    applyContextUpdates(user.context, updates);
+    return user;
+  });
   
+  return user.context;
+}
+
+/**
+ * Apply updates to a context object in place
+ */
+function applyContextUpdates(context, updates) {
   if (updates.message) {
-    if (!Array.isArray(user.context.lastMessages)) {
-      user.context.lastMessages = [];
-    }
-    user.context.lastMessages.push({
+    context.lastMessages.push({
       text: updates.message,
       timestamp: new Date().toISOString()
     });
     // Keep only last 5 messages
-    if (user.context.lastMessages.length > 5) {
-      user.context.lastMessages = user.context.lastMessages.slice(-5);
+    if (context.lastMessages.length > 5) {
+      context.lastMessages = context.lastMessages.slice(-5);
     }
   }
   
   if (updates.action) {
-    if (!Array.isArray(user.context.lastActions)) {
-      user.context.lastActions = [];
-    }
-    user.context.lastActions.push({
+    context.lastActions.push({
       action: updates.action,
       timestamp: new Date().toISOString()
     });
     // Keep only last 3 actions
-    if (user.context.lastActions.length > 3) {
-      user.context.lastActions = user.context.lastActions.slice(-3);
+    if (context.lastActions.length > 3) {
+      context.lastActions = context.lastActions.slice(-3);
     }
   }
   
   if (updates.taskIds && Array.isArray(updates.taskIds)) {
-    if (!Array.isArray(user.context.lastTaskIds)) {
-      user.context.lastTaskIds = [];
-    }
-    user.context.lastTaskIds.push(...updates.taskIds);
+    context.lastTaskIds.push(...updates.taskIds);
     // Keep only last 10 task IDs
-    if (user.context.lastTaskIds.length > 10) {
-      user.context.lastTaskIds = user.context.lastTaskIds.slice(-10);
+    if (context.lastTaskIds.length > 10) {
+      context.lastTaskIds = context.lastTaskIds.slice(-10);
     }
   }
   
   if (updates.noteIds && Array.isArray(updates.noteIds)) {
-    if (!Array.isArray(user.context.lastNoteIds)) {
-      user.context.lastNoteIds = [];
-    }
-    user.context.lastNoteIds.push(...updates.noteIds);
+    context.lastNoteIds.push(...updates.noteIds);
     // Keep only last 10 note IDs
-    if (user.context.lastNoteIds.length > 10) {
-      user.context.lastNoteIds = user.context.lastNoteIds.slice(-10);
+    if (context.lastNoteIds.length > 10) {
+      context.lastNoteIds = context.lastNoteIds.slice(-10);
     }
   }
   
   if (updates.taskList && Array.isArray(updates.taskList)) {
-    user.context.lastTaskList = updates.taskList;
+    context.lastTaskList = updates.taskList;
+  }
+  
+  if (updates.trashList && Array.isArray(updates.trashList)) {
+    context.lastTrashList = updates.trashList;
   }
   
   if (updates.project !== undefined) {
-    user.context.lastProject = updates.project;
+    context.lastProject = updates.project;
   }
   
   if (updates.channel !== undefined) {
-    user.context.lastChannel = updates.channel;
+    context.lastChannel = updates.channel;
   }
   
   if (updates.deal !== undefined) {
-    user.context.lastDeal = updates.deal;
+    context.lastDeal = updates.deal;
   }
   
   if (updates.focus !== undefined) {
-    user.context.currentFocus = updates.focus;
+    context.currentFocus = updates.focus;
   }
   
-  users[userId] = user;
-  saveUsers(users);
-  
-  return user.context;
+  if (updates.clarification !== undefined) {
+    context.pendingClarification = updates.clarification;
+  }
 }
 
 /**
  * Get user context
  */
 function getContext(userId) {
-  const users = loadUsers();
-  const user = users[userId];
+  const user = getUser(userId);
   
-  if (!user || !user.context) {
+  if (!user) {
     return initializeContext(userId).context;
   }
   
@@ -169,7 +152,7 @@ function getContext(userId) {
  */
 function getLastAction(userId) {
   const context = getContext(userId);
-  const actions = context.lastActions || [];
+  const actions = context.lastActions;
   return actions.length > 0 ? actions[actions.length - 1].action : null;
 }
 
@@ -178,7 +161,7 @@ function getLastAction(userId) {
  */
 function getLastTaskIds(userId) {
   const context = getContext(userId);
-  return context.lastTaskIds || [];
+  return context.lastTaskIds;
 }
 
 /**
@@ -186,35 +169,33 @@ function getLastTaskIds(userId) {
  */
 function getLastNoteIds(userId) {
   const context = getContext(userId);
-  return context.lastNoteIds || [];
+  return context.lastNoteIds;
 }
 
 /**
  * Get last task
  */
 function getLastTask(userId) {
-  const users = loadUsers();
-  const user = users[userId];
+  const tasks = getStorage().find('tasks', { userId });
   
-  if (!user || !user.tasks || user.tasks.length === 0) {
+  if (tasks.length === 0) {
     return null;
   }
   
-  return user.tasks[user.tasks.length - 1];
+  return tasks[tasks.length - 1];
 }
 
 /**
  * Get last note
  */
 function getLastNote(userId) {
-  const users = loadUsers();
-  const user = users[userId];
+  const notes = getStorage().find('notes', { userId });
   
-  if (!user || !user.notes || user.notes.length === 0) {
+  if (notes.length === 0) {
     return null;
   }
   
-  return user.notes[user.notes.length - 1];
+  return notes[notes.length - 1];
 }
 
 /**
@@ -0,0 +1,506 @@
+/**
+ * Date Expressions
+ * Offline resolver for due dates written the way people say them
+ *
+ * Supports relative days ("today", "tomorrow", "the day after tomorrow"),
+ * weekdays ("friday", "this friday", "next friday", "friday next week"),
+ * offsets ("in 3 hours", "in 2 days", "a week from now"), period ends
+ * ("end of day", "EOD", "end of week", "end of next month"), explicit dates
+ * ("2026-11-03", "11/3", "Nov 3rd", "3 November 2027", "the 15th") and
+ * times ("at 3pm", "15:30", "noon", "tomorrow morning").
+ *
+ * Everything is resolved against the wall clock of a timezone (the user's, or
+ * DEFAULT_TIMEZONE), so "tomorrow at 9am" means 9am where the user is, and
+ * against the user's calendar: week start, date format and working hours.
+ * Results are UTC ISO timestamps. A phrase without a time is due at the end
+ * of that day and flagged `allDay`.
+ *
+ * Rules worth knowing (with the default Monday week and 9-5, Mon-Fri hours):
+ *   - "friday" / "this friday" is the next Friday, today included
+ *   - "next friday" is Friday of next week; "next week" is its first working day
+ *   - "end of day" / "EOD" is the end of working hours (5pm); "end of week" is
+ *     the end of the week's last working day (Friday 5pm)
+ *   - a time with no day ("at 3pm") is today, or tomorrow once it has passed
+ *   - a date with no year is this year, or next year once it has passed
+ *   - numeric dates follow the date format ("11/3" is November 3rd in MDY,
+ *     March 11th in DMY)
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const QUANTITY_PATTERN = '(\\d+(?:\\.\\d+)?|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty|thirty|forty-five|a couple of|a few|half an?)';
+const UNIT_PATTERN = '(minutes?|mins?|hours?|hrs?|days?|weeks?|months?)';
+
+const QUANTITIES = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, 'forty-five': 45,
+  'a couple of': 2, 'a few': 3, 'half a': 0.5, 'half an': 0.5
+};
+
+const ALL_DAY = { hour: 23, minute: 59 };     // due "tomorrow" = by the end of tomorrow
+const PARTS_OF_DAY = { morning: 9, noon: 12, midday: 12, afternoon: 14, evening: 18, tonight: 20, night: 20, midnight: 0 };
+
+// Words that may introduce or join parts of a date phrase ("due by friday at 3pm")
+const CONNECTOR = /^(?:,|-|by|due|on|before|until|till|for|the|of)(?:\s+|$)/;
+
+// Calendar used when the caller doesn't pass one (see services/profile.js for per-user values)
+const DEFAULT_CALENDAR = {
+  dateFormat: 'MDY',
+  weekStart: 'monday',
+  workingHours: { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }
+};
+
+// Longest phrase (in words) findDateExpression will look for
+const MAX_PHRASE_WORDS = 8;
+
+/**
+ * Default timezone for users who haven't set one
+ */
+function getDefaultTimeZone() {
+  return process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Check that a timezone name is known to the runtime
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ===== WALL-CLOCK ARITHMETIC =====
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  for (const { type, value } of format.formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour % 24, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function offsetAt(ms, timeZone) {
+  const p = zonedParts(new Date(ms), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * Checks the offset twice so times next to a DST change land correctly
+ */
+function zonedToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - offsetAt(wall, timeZone);
+  return new Date(wall - offsetAt(guess, timeZone));
+}
+
+/**
+ * Calendar date `days` after another (handles month and year ends)
+ */
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Calendar date `months` after another, clamped to the end of shorter months
+ */
+function addMonths({ year, month, day }, months) {
+  const first = new Date(Date.UTC(year, month - 1 + months, 1));
+  const target = { year: first.getUTCFullYear(), month: first.getUTCMonth() + 1 };
+  return { ...target, day: Math.min(day, daysInMonth(target)) };
+}
+
+function daysInMonth({ year, month }) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * First day of the week containing a date
+ *
+ * @param {Object} date - Calendar date
+ * @param {number} weekStart - Day the week starts on (0 = Sunday)
+ */
+function startOfWeek(date, weekStart = 1) {
+  return addDays(date, -((weekdayOf(date) - weekStart + 7) % 7));
+}
+
+/**
+ * Date of a weekday in the week `weeks` after the one containing today
+ */
+function weekdayInWeek(cal, weekday, weeks) {
+  return addDays(startOfWeek(cal.today, cal.weekStart), 7 * weeks + (weekday - cal.weekStart + 7) % 7);
+}
+
+/**
+ * "HH:MM" to { hour, minute }
+ */
+function parseClock(text) {
+  const [hour, minute] = String(text).split(':').map(Number);
+  return { hour, minute: minute || 0 };
+}
+
+function compareDates(a, b) {
+  return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+function isRealDate({ year, month, day }) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth({ year, month });
+}
+
+// ===== PHRASE MATCHERS =====
+// Each matcher reads one part of the phrase and fills the parse state:
+//   day      - calendar date            weekday/weekOffset - resolved at the end
+//   time     - { hour, minute }         relativeMs         - exact offset from now
+
+function quantity(text) {
+  return QUANTITIES[text] !== undefined ? QUANTITIES[text] : parseFloat(text);
+}
+
+/**
+ * 12-hour clock to 24-hour
+ */
+function to24Hour(hour, meridiem) {
+  if (!meridiem) return hour;
+  const pm = meridiem.startsWith('p');
+  if (hour === 12) return pm ? 12 : 0;
+  return pm ? hour + 12 : hour;
+}
+
+/**
+ * Explicit date; years default to this year, or next year once the date has passed
+ */
+function explicitDate(state, today, year, month, day) {
+  const date = { year: year ? Number(year) : today.year, month, day };
+  if (year && year.length === 2) date.year = 2000 + Number(year);
+  if (!isRealDate(date)) return false;
+  if (!year && compareDates(date, today) < 0) date.year++;
+  return setDay(state, date);
+}
+
+function setDay(state, day) {
+  if (state.day || state.relativeMs !== undefined) return false;
+  state.day = day;
+  return true;
+}
+
+function setTime(state, hour, minute = 0) {
+  if (state.time || state.relativeMs !== undefined || hour > 23 || minute > 59) return false;
+  state.time = { hour, minute };
+  return true;
+}
+
+/**
+ * Offsets: minutes and hours are exact, days and longer move the calendar date
+ */
+function setOffset(state, today, amount, unit) {
+  if (!Number.isFinite(amount) || amount <= 0) return false;
+  const u = unit.replace(/s$/, '');
+
+  if (u === 'minute' || u === 'min' || u === 'hour' || u === 'hr') {
+    if (state.day || state.time || state.relativeMs !== undefined) return false;
+    state.relativeMs = amount * (u.startsWith('h') ? 3600000 : 60000);
+    return true;
+  }
+  if (!Number.isInteger(amount)) return false;
+  if (u === 'day') return setDay(state, addDays(today, amount));
+  if (u === 'week') return setDay(state, addDays(today, amount * 7));
+  return setDay(state, addMonths(today, amount));
+}
+
+/**
+ * End of a period: the end of working hours, on the last working day of a week
+ */
+function setEndOf(state, cal, period, next) {
+  const { today, workEnd } = cal;
+  let day;
+  if (period === 'day') {
+    return setTime(state, workEnd.hour, workEnd.minute);
+  } else if (period === 'week') {
+    const lastWorkday = cal.workDays.reduce((last, d) => ((d - cal.weekStart + 7) % 7 > (last - cal.weekStart + 7) % 7 ? d : last));
+    day = weekdayInWeek(cal, lastWorkday, next ? 1 : 0);
+  } else if (period === 'month') {
+    const month = addMonths({ ...today, day: 1 }, next ? 1 : 0);
+    day = { ...month, day: daysInMonth(month) };
+  } else {
+    day = { year: today.year + (next ? 1 : 0), month: 12, day: 31 };
+  }
+  if (!setDay(state, day)) return false;
+  if (!state.time) state.time = { ...workEnd };
+  return true;
+}
+
+const MATCHERS = [
+  [/^(?:the\s+)?day\s+after\s+tomorrow\b/, (s, m, { today }) => setDay(s, addDays(today, 2))],
+  [/^today\b/, (s, m, { today }) => setDay(s, today)],
+  [/^tonight\b/, (s, m, { today }) => setDay(s, today) && setTime(s, PARTS_OF_DAY.tonight)],
+  [/^(?:tomorrow|tmrw|tmr)\b/, (s, m, { today }) => setDay(s, addDays(today, 1))],
+  [new RegExp(`^(?:(this|next|coming)\\s+)?(${WEEKDAYS.join('|')})\\b`), (s, m) => {
+    if (s.weekday !== undefined) return false;
+    s.weekday = WEEKDAYS.indexOf(m[2]);
+    if (m[1] === 'next') s.weekOffset = 1;
+    return true;
+  }],
+  [/^(?:(this|next)\s+week)\b/, (s, m) => {
+    if (s.weekOffset !== undefined && m[1] === 'next') return s.weekOffset === 1;
+    s.weekOffset = m[1] === 'next' ? 1 : 0;
+    return true;
+  }],
+  [/^next\s+(month|year)\b/, (s, m, { today }) => setDay(s, m[1] === 'month'
+    ? addMonths({ ...today, day: 1 }, 1)
+    : { year: today.year + 1, month: 1, day: 1 })],
+  [/^(?:(?:at|by)\s+)?(?:the\s+)?end\s+of\s+(?:the\s+)?(?:(this|next)\s+)?(day|week|month|year)\b/, (s, m, cal) => setEndOf(s, cal, m[2], m[1] === 'next')],
+  [/^(?:eod|cob|close\s+of\s+business)\b/, (s, m, cal) => setEndOf(s, cal, 'day')],
+  [/^eow\b/, (s, m, cal) => setEndOf(s, cal, 'week')],
+  [/^eom\b/, (s, m, cal) => setEndOf(s, cal, 'month')],
+  [new RegExp(`^in\\s+${QUANTITY_PATTERN}\\s+${UNIT_PATTERN}\\b`), (s, m, { today }) => setOffset(s, today, quantity(m[1]), m[2])],
+  [new RegExp(`^${QUANTITY_PATTERN}\\s+${UNIT_PATTERN}\\s+from\\s+(?:now|today)\\b`), (s, m, { today }) => setOffset(s, today, quantity(m[1]), m[2])],
+  [/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[t\s]+(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?\b/, (s, m, { today }) =>
+    explicitDate(s, today, m[1], Number(m[2]), Number(m[3])) && (m[4] === undefined || setTime(s, Number(m[4]), Number(m[5])))],
+  [/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/, (s, m, { today, dayFirst }) => dayFirst
+    ? explicitDate(s, today, m[3], Number(m[2]), Number(m[1]))
+    : explicitDate(s, today, m[3], Number(m[1]), Number(m[2]))],
+  [new RegExp(`^${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`), (s, m, { today }) =>
+    explicitDate(s, today, m[3], MONTHS.indexOf(m[1].substring(0, 3)) + 1, Number(m[2]))],
+  [new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?\\b`), (s, m, { today }) =>
+    explicitDate(s, today, m[3], MONTHS.indexOf(m[2].substring(0, 3)) + 1, Number(m[1]))],
+  [/^(\d{1,2})(st|nd|rd|th)\b/, (s, m, { today }) => {
+    // "the 15th": this month, or next month once it has passed
+    let date = { year: today.year, month: today.month, day: Number(m[1]) };
+    if (date.day < today.day) date = { ...addMonths({ ...today, day: 1 }, 1), day: date.day };
+    return isRealDate(date) && setDay(s, date);
+  }],
+  [/^(?:at\s+|@\s*)?(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?(?=\s|,|$)/, (s, m) => {
+    const hour = Number(m[1]);
+    return hour >= 1 && hour <= 12 && setTime(s, to24Hour(hour, m[3]), Number(m[2] || 0));
+  }],
+  [/^(?:at\s+|@\s*)?(\d{1,2}):(\d{2})\b/, (s, m) => setTime(s, Number(m[1]), Number(m[2]))],
+  [/^at\s+(\d{1,2})(?:\s*o'?clock)?\b/, (s, m) => {
+    // "at 5" is 5pm: nobody schedules work for 5am without saying so
+    const hour = Number(m[1]);
+    return hour >= 1 && hour <= 12 && setTime(s, hour < 8 ? hour + 12 : hour);
+  }],
+  [/^(?:at\s+)?(noon|midday|midnight)\b/, (s, m) => setTime(s, PARTS_OF_DAY[m[1]])],
+  [/^(?:in\s+the\s+|this\s+)?(morning|afternoon|evening|night)\b/, (s, m) => setTime(s, PARTS_OF_DAY[m[1]])]
+];
+
+/**
+ * Read a phrase into a parse state
+ *
+ * @param {string} phrase - Date phrase
+ * @param {Object} cal - Calendar: { today, weekStart, workDays, workEnd, dayFirst }
+ * @returns {Object|null} State, or null when part of the phrase isn't a date
+ */
+function parsePhrase(phrase, cal) {
+  const state = {};
+  let rest = phrase.toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.!?;]+$/, '');
+  let matched = false;
+
+  while (rest) {
+    const connector = rest.match(CONNECTOR);
+    if (connector) {
+      rest = rest.substring(connector[0].length).trim();
+      continue;
+    }
+
+    let advanced = false;
+    for (const [pattern, apply] of MATCHERS) {
+      const match = rest.match(pattern);
+      if (match && apply(state, match, cal)) {
+        rest = rest.substring(match[0].length).trim();
+        advanced = matched = true;
+        break;
+      }
+    }
+    if (!advanced) return null;
+  }
+
+  return matched ? state : null;
+}
+
+/**
+ * Calendar for a resolver call
+ */
+function buildCalendar(today, { dateFormat, weekStart, workingHours } = {}) {
+  const hours = { ...DEFAULT_CALENDAR.workingHours, ...workingHours };
+  const start = WEEKDAYS.indexOf(weekStart || DEFAULT_CALENDAR.weekStart);
+  return {
+    today,
+    dayFirst: (dateFormat || DEFAULT_CALENDAR.dateFormat) === 'DMY',
+    weekStart: start === -1 ? 1 : start,
+    workDays: hours.days.length > 0 ? hours.days : DEFAULT_CALENDAR.workingHours.days,
+    workEnd: parseClock(hours.end)
+  };
+}
+
+/**
+ * Resolve a date expression
+ *
+ * @param {string} phrase - e.g. "next Friday EOD", "in 3 hours", "2026-11-03"
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {string} options.timeZone - IANA timezone of the user (default: DEFAULT_TIMEZONE)
+ * @param {string} options.dateFormat - "MDY", "DMY" or "YMD": how to read "5/3"
+ * @param {string} options.weekStart - Day weeks start on ("monday", "sunday", ...)
+ * @param {Object} options.workingHours - { start: "09:00", end: "17:00", days: [1..5] } (0 = Sunday)
+ * @returns {Object|null} { iso, date: "YYYY-MM-DD", time: "HH:MM" | null, allDay, phrase, timeZone },
+ *          or null when the phrase isn't a date the resolver understands
+ */
+function resolveDateExpression(phrase, options = {}) {
+  const { now = new Date(), timeZone = getDefaultTimeZone() } = options;
+  if (typeof phrase !== 'string' || !phrase.trim()) return null;
+  const text = phrase.trim();
+
+  // Already a full timestamp with an offset: keep the instant
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const instant = new Date(text);
+    return Number.isNaN(instant.getTime()) ? null : describe(instant, false, text, timeZone);
+  }
+
+  const current = zonedParts(now, timeZone);
+  const today = { year: current.year, month: current.month, day: current.day };
+  const cal = buildCalendar(today, options);
+  const state = parsePhrase(text, cal);
+  if (!state) return null;
+
+  if (state.relativeMs !== undefined) {
+    return describe(new Date(now.getTime() + state.relativeMs), false, text, timeZone);
+  }
+
+  // Weekdays and weeks resolve last, so "friday next week" works in either order
+  if (state.weekday !== undefined || state.weekOffset !== undefined) {
+    if (state.day) return null;
+    if (state.weekday === undefined) {
+      const firstWorkday = cal.workDays.reduce((first, d) => ((d - cal.weekStart + 7) % 7 < (first - cal.weekStart + 7) % 7 ? d : first));
+      state.day = weekdayInWeek(cal, firstWorkday, state.weekOffset);
+    } else if (state.weekOffset !== undefined) {
+      state.day = weekdayInWeek(cal, state.weekday, state.weekOffset);
+    } else {
+      state.day = addDays(today, (state.weekday - weekdayOf(today) + 7) % 7);
+    }
+  }
+
+  let day = state.day;
+  if (!day) {
+    // A time alone is the next time the clock shows it
+    day = today;
+    if (state.time && (state.time.hour < current.hour || (state.time.hour === current.hour && state.time.minute <= current.minute))) {
+      day = addDays(today, 1);
+    }
+  }
+
+  const allDay = !state.time;
+  const instant = zonedToUtc({ ...day, ...(state.time || ALL_DAY) }, timeZone);
+  return describe(instant, allDay, text, timeZone);
+}
+
+/**
+ * Result object for a resolved instant
+ */
+function describe(instant, allDay, phrase, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    iso: instant.toISOString(),
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    time: allDay ? null : `${pad(p.hour)}:${pad(p.minute)}`,
+    allDay,
+    phrase,
+    timeZone
+  };
+}
+
+/**
+ * Find the longest date expression inside free text
+ * Used to pull due dates out of task titles ("call mom tomorrow at 5pm")
+ *
+ * @param {string} text - Free text
+ * @param {Object} options - Same as resolveDateExpression
+ * @returns {Object|null} Resolved date plus { start, end } offsets of the phrase in the text
+ */
+function findDateExpression(text, options = {}) {
+  if (typeof text !== 'string') return null;
+  const words = [...text.matchAll(/\S+/g)];
+  let best = null;
+
+  for (let i = 0; i < words.length; i++) {
+    for (let j = Math.min(words.length, i + MAX_PHRASE_WORDS) - 1; j >= i; j--) {
+      const start = words[i].index;
+      const end = words[j].index + words[j][0].replace(/[.,!?;:]+$/, '').length;
+      if (best && end - start <= best.end - best.start) break;
+
+      const resolved = resolveDateExpression(text.substring(start, end), options);
+      if (resolved) {
+        best = { ...resolved, start, end };
+        break;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Short, human-readable due date in the user's timezone and locale
+ * e.g. "Fri, Oct 23, 5:00 PM" (en-US), or "Fri, Oct 23" for all-day dates
+ *
+ * @param {string} iso - ISO timestamp
+ * @param {Object} options - { allDay, timeZone, locale, now }
+ */
+function formatDueDate(iso, { allDay = false, timeZone = getDefaultTimeZone(), locale = 'en-US', now = new Date() } = {}) {
+  const instant = new Date(iso);
+  if (Number.isNaN(instant.getTime())) return iso;
+
+  const sameYear = zonedParts(instant, timeZone).year === zonedParts(now, timeZone).year;
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    ...(sameYear ? {} : { year: 'numeric' }),
+    ...(allDay ? {} : { hour: 'numeric', minute: '2-digit' })
+  }).format(instant);
+}
+
+module.exports = {
+  WEEKDAYS,
+  ALL_DAY,
+  DEFAULT_CALENDAR,
+  getDefaultTimeZone,
+  isValidTimeZone,
+  resolveDateExpression,
+  findDateExpression,
+  formatDueDate,
+  zonedParts,
+  zonedToUtc,
+  addDays,
+  addMonths,
+  daysInMonth,
+  weekdayOf,
+  startOfWeek,
+  compareDates
+};
@@ -3,22 +3,20 @@
  * Manage focus blocks and productivity sessions
  */
 
-const { loadUsers, saveUsers } = require('../utils/userManager');
+const { getUser, modifyUser } = require('../utils/userManager');
+const { getStorage } = require('../utils/storage');
 
 /**
  * Start a focus session
  */
 function startFocus(userId, taskId, duration = 25) {
-  const users = loadUsers();
-  const user = users[userId];
-  
-  if (!user) {
+  if (!getUser(userId)) {
     return null;
   }
   
-  const task = user.tasks && user.tasks.find(t => t.id === taskId);
+  const task = getStorage().get('tasks', taskId);
   
-  if (!task) {
+  if (!task || task.userId !== userId) {
     return null;
   }
   
@@ -30,12 +28,10 @@ function startFocus(userId, taskId, duration = 25) {
     endTime: new Date(Date.now() + duration * 60 * 1000).toISOString()
   };
   
-  if (!user.context) {
-    user.context = {};
-  }
-  
-  user.context.currentFocus = focusSession;
-  saveUsers(users);
+  modifyUser(userId, user => {
+    user.context.currentFocus = focusSession;
+    return user;
+  });
   
   console.log(`[Focus] Started focus session for task ${taskId}, duration ${duration} minutes`);
   
@@ -46,10 +42,9 @@ function startFocus(userId, taskId, duration = 25) {
  * Get current focus session
  */
 function getCurrentFocus(userId) {
-  const users = loadUsers();
-  const user = users[userId];
+  const user = getUser(userId);
   
-  if (!user || !user.context || !user.context.currentFocus) {
+  if (!user || !user.context.currentFocus) {
     return null;
   }
   
@@ -69,17 +64,21 @@ function getCurrentFocus(userId) {
  * End focus session
  */
 function endFocus(userId) {
-  const users = loadUsers();
-  const user = users[userId];
-  
-  if (!user || !user.context || !user.context.currentFocus) {
+  let focusSession = null;
+  
+  modifyUser(userId, user => {
+    if (!user || !user.context.currentFocus) {
+      return null;
+    }
+    focusSession = user.context.currentFocus;
+    user.context.currentFocus = null;
+    return user;
+  });
+  
+  if (!focusSession) {
     return false;
   }
   
-  const focusSession = user.context.currentFocus;
-  user.context.currentFocus = null;
-  saveUsers(users);
-  
   console.log(`[Focus] Ended focus session for task ${focusSession.taskId}`);
   
   return focusSession;
@@ -3,10 +3,29 @@
  * Creates human-friendly, conversational responses with CLI styling
  */
 
+const { WEEKDAYS, formatDueDate } = require('./dates');
+const { describeRecurrence } = require('./recurrence');
+const { subtaskProgress } = require('./tasks');
+const { INITIAL_STATUS, getStatus, statusLabel, describeStatus, isOpen } = require('./workflow');
+
+/**
+ * Format a task's due date for display, in the user's timezone and locale
+ * Phrases that couldn't be resolved are shown as the user wrote them
+ * 
+ * @param {Object} task - Task
+ * @param {Object} profile - User profile (services/profile.js); server defaults when omitted
+ */
+function formatDue(task, profile = {}) {
+  if (task.dueDate) {
+    return formatDueDate(task.dueDate, { allDay: task.dueAllDay, timeZone: profile.timezone, locale: profile.locale });
+  }
+  return task.dueText ? `"${task.dueText}" (date not understood)` : 'no due date';
+}
+
 /**
  * Format task creation response
  */
-function formatTaskCreated(tasks, context = {}) {
+function formatTaskCreated(tasks, context = {}, profile = {}) {
   const count = tasks.length;
   const projectName = context.project || 'your workspace';
   
@@ -30,8 +49,17 @@ function formatTaskCreated(tasks, context = {}) {
     if (task.priority && task.priority !== 'medium') {
       line += ` [${task.priority.toUpperCase()}]`;
     }
-    if (task.dueDate) {
-      line += ` (due: ${task.dueDate})`;
+    if (task.dueDate || task.dueText) {
+      line += ` (due: ${formatDue(task, profile)})`;
+    }
+    if (task.recurrence) {
+      line += ` (🔁 ${describeRecurrence(task.recurrence.rule)})`;
+    }
+    if (subtaskProgress(task)) {
+      line += ` (☑️ ${task.subtasks.length} step${task.subtasks.length !== 1 ? 's' : ''})`;
+    }
+    if (task.project && task.project !== context.project) {
+      line += ` (project: ${task.project})`;
     }
     return line;
   }).join('\n');
@@ -52,11 +80,75 @@ function formatTaskCreated(tasks, context = {}) {
     structured: {
       type: 'tasks_created',
       count,
-      tasks: tasks.map(t => ({ id: t.id, title: t.title, priority: t.priority }))
+      tasks: tasks.map(t => ({
+        id: t.id,
+        title: t.title,
+        priority: t.priority,
+        dueDate: t.dueDate || null,
+        recurrence: t.recurrence ? describeRecurrence(t.recurrence.rule) : null
+      }))
     }
   };
 }
 
+/**
+ * Whether a listed task waits on others (tasks come with `blockers` from withBlockers)
+ */
+function isWaiting(task) {
+  return Array.isArray(task.blockers) && task.blockers.length > 0;
+}
+
+// Task list sections in display order; tasks waiting on others get their own, whatever their priority
+const TASK_LIST_SECTIONS = [
+  { heading: '🔴 **HIGH PRIORITY**', limit: 5, matches: t => !isWaiting(t) && t.priority === 'high' },
+  { heading: '🟡 **MEDIUM**', limit: 5, matches: t => !isWaiting(t) && t.priority === 'medium' },
+  { heading: '🟢 **LOW**', limit: 3, matches: t => !isWaiting(t) && t.priority === 'low' },
+  { heading: '⛔ **BLOCKED**', limit: 5, matches: isWaiting }
+];
+
+/**
+ * Split listed tasks into the non-empty sections of a task list
+ * "My tasks" (showOnlyOwned) leaves out tasks other people created
+ * 
+ * @returns {Array} [{ heading, limit, tasks }]
+ */
+function groupTaskList(tasks, context = {}) {
+  const shown = context.showOnlyOwned
+    ? tasks.filter(t => !t.owner || t.owner === context.currentUser)
+    : tasks;
+  return TASK_LIST_SECTIONS
+    .map(section => ({ ...section, tasks: shown.filter(section.matches) }))
+    .filter(group => group.tasks.length > 0);
+}
+
+/**
+ * The tasks a task list shows, in the order they're numbered
+ * Save this as the last task list so "complete 2" means the task shown as 2
+ * 
+ * @param {Array} tasks - Tasks as passed to formatTaskList (with blockers)
+ * @param {Object} context - Same context as formatTaskList ({ currentUser, showOnlyOwned })
+ */
+function taskListOrder(tasks, context = {}) {
+  return groupTaskList(tasks, context).flatMap(group => group.tasks.slice(0, group.limit));
+}
+
+/**
+ * One numbered row of a task list, with the task's status, progress, repeat, assignee and owner tags
+ * 
+ * @param {Object} task - Task
+ * @param {number} index - Number shown in front of it
+ * @param {string} currentUser - Viewing user; tasks owned by others are marked "(by @owner)"
+ */
+function formatTaskRow(task, index, currentUser) {
+  const assigneeTag = task.assignee ? ` [@${task.assignee}]` : '';
+  const ownerTag = task.owner && task.owner !== currentUser ? ` (by @${task.owner})` : '';
+  const repeatTag = task.recurrence ? ' 🔁' : '';
+  const progress = subtaskProgress(task);
+  const progressTag = progress ? ` ☑️ ${progress.done}/${progress.total}` : '';
+  const statusTag = task.status && task.status !== INITIAL_STATUS ? ` ${describeStatus(task.status)}` : '';
+  return `  ${index}. ${task.title}${statusTag}${progressTag}${repeatTag}${assigneeTag}${ownerTag}`;
+}
+
 /**
  * Format task list response with differentiation between owned and assigned
  */
@@ -72,6 +164,8 @@ function formatTaskList(tasks, context = {}) {
       emptyMessage += `You don't have any tasks for **${filters.assignee}**.`;
     } else if (filters.priority) {
       emptyMessage += `You don't have any **${filters.priority}** priority tasks.`;
+    } else if (filters.status) {
+      emptyMessage += `You don't have any **${statusLabel(filters.status).toLowerCase()}** tasks.`;
     } else if (context.showOnlyOwned && context.assignedTasksCount > 0) {
       // Special case: "my tasks" is empty but user has assigned tasks
       emptyMessage += `You haven't created any tasks yet.\n\n💡 **Tip:** You have ${context.assignedTasksCount} task${context.assignedTasksCount > 1 ? 's' : ''} assigned to you! Type "list" or "list all tasks" to see them.`;
@@ -109,6 +203,9 @@ function formatTaskList(tasks, context = {}) {
   }
   
   // Add context info
+  if (filters.status) {
+    message += ` · ${describeStatus(filters.status)}`;
+  }
   if (filters.assignee) {
     message += ` for **${filters.assignee}**`;
   }
@@ -118,42 +215,19 @@ function formatTaskList(tasks, context = {}) {
   
   const sections = [];
   
-  // Show owned tasks first (if any and not filtered out)
-  if (!context.showOnlyOwned || (context.showOnlyOwned && ownedTasks.length > 0)) {
-    const tasksToShow = context.showOnlyOwned ? ownedTasks : tasks;
-    
-    // Group by priority
-    const high = tasksToShow.filter(t => t.priority === 'high');
-    const medium = tasksToShow.filter(t => t.priority === 'medium');
-    const low = tasksToShow.filter(t => t.priority === 'low');
-    
-    if (high.length > 0) {
-      sections.push(`\n🔴 **HIGH PRIORITY** (${high.length})`);
-      high.slice(0, 5).forEach((task, i) => {
-        const assigneeTag = task.assignee ? ` [@${task.assignee}]` : '';
-        const ownerTag = task.owner && task.owner !== currentUser ? ` (by @${task.owner})` : '';
-        sections.push(`  ${i + 1}. ${task.title}${assigneeTag}${ownerTag}`);
-      });
-    }
-    
-    if (medium.length > 0) {
-      sections.push(`\n🟡 **MEDIUM** (${medium.length})`);
-      medium.slice(0, 5).forEach((task, i) => {
-        const assigneeTag = task.assignee ? ` [@${task.assignee}]` : '';
-        const ownerTag = task.owner && task.owner !== currentUser ? ` (by @${task.owner})` : '';
-        sections.push(`  ${i + 1}. ${task.title}${assigneeTag}${ownerTag}`);
-      });
-    }
-    
-    if (low.length > 0) {
-      sections.push(`\n🟢 **LOW** (${low.length})`);
-      low.slice(0, 3).forEach((task, i) => {
-        const assigneeTag = task.assignee ? ` [@${task.assignee}]` : '';
-        const ownerTag = task.owner && task.owner !== currentUser ? ` (by @${task.owner})` : '';
-        sections.push(`  ${i + 1}. ${task.title}${assigneeTag}${ownerTag}`);
-      });
-    }
-  }
+  // Numbered across sections, in the order saved for "complete 2"-style references
+  let number = 0;
+  groupTaskList(tasks, context).forEach(group => {
+    sections.push(`\n${group.heading} (${group.tasks.length})`);
+    group.tasks.slice(0, group.limit).forEach(task => {
+      number += 1;
+      let row = formatTaskRow(task, number, currentUser);
+      if (isWaiting(task)) {
+        row += ` (waiting on ${task.blockers.map(b => `"${b.title}"`).join(', ')})`;
+      }
+      sections.push(row);
+    });
+  });
   
   message += sections.join('\n');
   
@@ -163,7 +237,8 @@ function formatTaskList(tasks, context = {}) {
       type: 'tasks_list',
       count: tasks.length,
       ownedCount: ownedTasks.length,
-      assignedCount: assignedToMe.length
+      assignedCount: assignedToMe.length,
+      blockedCount: tasks.filter(isWaiting).length
     }
   };
 }
@@ -171,7 +246,7 @@ function formatTaskList(tasks, context = {}) {
 /**
  * Format urgent tasks response
  */
-function formatUrgentSummary(urgentTasks) {
+function formatUrgentSummary(urgentTasks, profile = {}) {
   if (urgentTasks.length === 0) {
     return {
       message: '🎉 **Nice!** You have no urgent tasks right now. Time to breathe!',
@@ -183,8 +258,8 @@ function formatUrgentSummary(urgentTasks) {
   
   urgentTasks.forEach((task, i) => {
     message += `  ${i + 1}. ${task.title}`;
-    if (task.dueDate) {
-      message += ` (due: ${task.dueDate})`;
+    if (task.dueDate || task.dueText) {
+      message += ` (due: ${formatDue(task, profile)})`;
     }
     message += '\n';
   });
@@ -203,14 +278,20 @@ function formatUrgentSummary(urgentTasks) {
 
 /**
  * Format focus block start
+ * 
+ * @param {Object} task - Task being worked on
+ * @param {number} duration - Minutes
+ * @param {string|null} movedFrom - Status the task left when the session started, if it moved
  */
-function formatFocusStart(task, duration = 25) {
+function formatFocusStart(task, duration = 25, movedFrom = null) {
+  const moved = movedFrom ? `\n${describeStatus(task.status)} (was ${statusLabel(movedFrom).toLowerCase()})` : '';
   return {
-    message: `⏰ **Focus Mode Activated!**\n\nWorking on: ${task.title}\nDuration: ${duration} minutes\n\n🔕 Minimize distractions and let's get this done!`,
+    message: `⏰ **Focus Mode Activated!**\n\nWorking on: ${task.title}\nDuration: ${duration} minutes${moved}\n\n🔕 Minimize distractions and let's get this done!`,
     structured: {
       type: 'focus_start',
       taskId: task.id,
       taskTitle: task.title,
+      status: task.status,
       duration
     }
   };
@@ -332,6 +413,650 @@ function formatChattyFallback(userMessage, context = {}) {
   };
 }
 
+/**
+ * Format a numbered clarification question
+ */
+function formatClarification(clarification) {
+  const { reason, question, options, more } = clarification;
+  
+  let message = `🤔 ${question}\n\n`;
+  message += options.map((option, i) => `  ${i + 1}. ${option.label}`).join('\n');
+  if (more > 0) {
+    message += `\n  ...and ${more} more (use a longer title to narrow it down)`;
+  }
+  message += '\n\n💡 Reply with a number, or "cancel".';
+  
+  return {
+    message,
+    structured: {
+      type: 'clarification',
+      reason,
+      question,
+      options: options.map((option, i) => ({ number: i + 1, label: option.label, action: option.intent.action }))
+    }
+  };
+}
+
+/**
+ * Format the results of a multi-step plan
+ * Each step is summarized by the first line of its own reply
+ * 
+ * @param {Array} results - { step, action, label, status: "ok" | "failed" | "skipped", response? }
+ */
+function formatPlanResult(results) {
+  const failed = results.find(result => result.status === 'failed');
+  
+  let message = failed
+    ? `⚠️ Step ${failed.step} of ${results.length} didn't work, so I stopped there:\n\n`
+    : `📋 Done! Ran ${results.length} steps:\n\n`;
+  
+  message += results.map(result => {
+    if (result.status === 'skipped') {
+      return `  ${result.step}. ⏭️ Skipped: ${result.label}`;
+    }
+    const firstLine = result.response.message.split('\n').find(line => line.trim()) || result.label;
+    return `  ${result.step}. ${firstLine.replace(/\*\*/g, '').trim()}`;
+  }).join('\n');
+  
+  return {
+    message,
+    structured: {
+      type: 'plan',
+      completed: results.filter(result => result.status === 'ok').length,
+      failed: failed ? failed.step : null,
+      steps: results.map(result => ({
+        step: result.step,
+        action: result.action,
+        status: result.status,
+        result: result.response ? result.response.structured : null
+      }))
+    }
+  };
+}
+
+/**
+ * Format a plan that was rejected before any step ran
+ * 
+ * @param {Array} errors - { step, message }
+ */
+function formatPlanRejected(errors) {
+  const problems = errors.map(error => `  • Step ${error.step}: ${error.message}`).join('\n');
+  
+  return {
+    message: `❌ I couldn't run all of that, so I didn't change anything:\n\n${problems}\n\n💡 Fix those steps and send the request again.`,
+    structured: { type: 'error', error: 'Invalid plan', errors }
+  };
+}
+
+/**
+ * Format working days as a range where possible ("Mon–Fri", "Sun–Thu", "Mon, Wed, Fri")
+ */
+function formatWorkDays(days, weekStart = 'monday') {
+  const start = WEEKDAYS.indexOf(weekStart);
+  const ordered = [...days].sort((a, b) => ((a - start + 7) % 7) - ((b - start + 7) % 7));
+  const short = day => WEEKDAYS[day].charAt(0).toUpperCase() + WEEKDAYS[day].slice(1, 3);
+  const consecutive = ordered.every((day, i) => i === 0 || day === (ordered[i - 1] + 1) % 7);
+  
+  if (ordered.length === 7) return 'every day';
+  if (ordered.length > 2 && consecutive) return `${short(ordered[0])}–${short(ordered[ordered.length - 1])}`;
+  return ordered.map(short).join(', ');
+}
+
+/**
+ * Format the user's profile, after showing or changing it
+ * 
+ * @param {Object} profile - Resolved profile
+ * @param {Object} changed - Fields just changed (normalized values)
+ */
+function formatProfile(profile, changed = {}) {
+  const now = new Date();
+  const mark = field => (changed[field] !== undefined ? ' ✏️' : '');
+  const hours = profile.workingHours;
+  const example = { MDY: '11/3 = Nov 3', DMY: '3/11 = Nov 3', YMD: '2026-11-03' }[profile.dateFormat];
+  const localTime = now.toLocaleTimeString(profile.locale, { timeZone: profile.timezone, hour: 'numeric', minute: '2-digit' });
+  const updated = Object.keys(changed).length > 0;
+  
+  const lines = [
+    `🌍 Timezone: ${profile.timezone} (now ${localTime})${mark('timezone')}`,
+    `🗣️ Locale: ${profile.locale}${mark('locale')}`,
+    `📅 Date format: ${profile.dateFormat} (${example})${mark('dateFormat')}`,
+    `🗓️ Week starts: ${profile.weekStart.charAt(0).toUpperCase()}${profile.weekStart.slice(1)}${mark('weekStart')}`,
+    `🕘 Working hours: ${hours.start}–${hours.end}, ${formatWorkDays(hours.days, profile.weekStart)}${mark('workingHours')}`
+  ];
+  
+  return {
+    message: `${updated ? '✅ **Settings updated!**' : '⚙️ **Your settings**'}\n\n${lines.map(line => `  ${line}`).join('\n')}\n\n💡 Change one with: "set my timezone to Europe/Berlin" or "my working hours are 8am-4pm"`,
+    structured: {
+      type: updated ? 'profile_updated' : 'profile',
+      profile,
+      changed
+    }
+  };
+}
+
+/**
+ * Format a rejected profile change (nothing was saved)
+ */
+function formatProfileRejected(errors) {
+  const problems = errors.map(error => `  • ${error.message}`).join('\n');
+  
+  return {
+    message: `❌ I didn't change your settings:\n\n${problems}`,
+    structured: { type: 'error', error: 'Invalid profile', errors }
+  };
+}
+
+/**
+ * Format a reminder or due-date notification
+ * 
+ * @param {Object} record - Scheduled notification (services/scheduler.js)
+ * @param {Object} options - { late, profile, task (current task, for due dates), now }
+ */
+function formatNotification(record, { late = false, profile = {}, task = null, now = new Date() } = {}) {
+  const dateOptions = { timeZone: profile.timezone, locale: profile.locale, now };
+  let message;
+  
+  if (record.kind === 'due') {
+    const title = task ? task.title : record.text;
+    message = record.dueAllDay
+      ? `📅 **Due today:** "${title}"`
+      : `📅 **Coming up:** "${title}" is due ${formatDueDate(record.dueDate, dateOptions)}`;
+  } else {
+    message = `⏰ **Reminder:** ${record.text}`;
+  }
+  
+  if (late) {
+    message += `\n\n🕰️ Sorry, this is late: it was set for ${formatDueDate(record.fireAt, dateOptions)} while I was offline.`;
+  }
+  
+  return {
+    message,
+    structured: { type: 'notification', kind: record.kind, id: record.id, taskId: record.taskId || null, late }
+  };
+}
+
+/**
+ * Format one message for everything a user missed while the scheduler was down
+ */
+function formatMissedSummary(records, { profile = {}, now = new Date() } = {}) {
+  const dateOptions = { timeZone: profile.timezone, locale: profile.locale, now };
+  const lines = records.map(record => (record.kind === 'due'
+    ? `  • 📅 "${record.text}" due ${formatDueDate(record.dueDate, { ...dateOptions, allDay: record.dueAllDay })}`
+    : `  • ⏰ ${record.text} (${formatDueDate(record.fireAt, dateOptions)})`));
+  
+  return {
+    message: `🕰️ **While I was offline, you missed ${records.length} reminder${records.length !== 1 ? 's' : ''}:**\n\n${lines.join('\n')}`,
+    structured: { type: 'missed_summary', count: records.length, ids: records.map(r => r.id) }
+  };
+}
+
+/**
+ * Format completed tasks and checked-off checklist items
+ * 
+ * @param {Object} result - From completeTasks: { completed, next, checked }
+ * @param {Object} profile - User profile, for next occurrences' due dates
+ */
+function formatTasksCompleted(result, profile = {}) {
+  const lines = [];
+  
+  if (result.completed > 0) {
+    lines.push(`✅ Marked ${result.completed} task${result.completed > 1 ? 's' : ''} as complete! 🎉`);
+  }
+  
+  result.checked.forEach(({ task, subtask, parentCompleted }) => {
+    const progress = subtaskProgress(task);
+    lines.push(`☑️ Checked off "${subtask.title}" on "${task.title}" (${progress.done}/${progress.total})`);
+    if (parentCompleted) {
+      lines.push(`✅ That was the last step, so "${task.title}" is complete! 🎉`);
+    }
+  });
+  
+  let message = lines.join('\n');
+  if (result.next.length > 0) {
+    message += '\n\n' + result.next.map(t => `🔁 Next: "${t.title}" (due: ${formatDue(t, profile)})`).join('\n');
+  }
+  if (result.unblocked.length > 0) {
+    message += `\n\n🔓 Ready to start: ${result.unblocked.map(t => `"${t.title}"`).join(', ')}`;
+  }
+  
+  return {
+    message,
+    structured: {
+      type: 'tasks_completed',
+      count: result.completed,
+      checked: result.checked.map(({ task, subtask, parentCompleted }) => ({
+        taskId: task.id,
+        subtaskId: subtask.id,
+        title: subtask.title,
+        progress: subtaskProgress(task),
+        parentCompleted
+      })),
+      next: result.next.map(t => ({ id: t.id, title: t.title, dueDate: t.dueDate })),
+      unblocked: result.unblocked.map(t => ({ id: t.id, title: t.title }))
+    }
+  };
+}
+
+/**
+ * Format a task moved to another status
+ * 
+ * @param {Object} result - From updateTaskStatus: { task, from, unchanged, next, unblocked }
+ * @param {Object} profile - User profile, for a next occurrence's due date
+ */
+function formatStatusUpdate(result, profile = {}) {
+  const { task, from } = result;
+  const emoji = (getStatus(task.status) || {}).emoji || '📋';
+  const to = statusLabel(task.status).toLowerCase();
+  
+  let message = result.unchanged
+    ? `${emoji} "${task.title}" is already ${to}`
+    : `${emoji} Moved "${task.title}" from ${statusLabel(from).toLowerCase()} to **${to}**`;
+  if (result.next) {
+    message += `\n\n🔁 Next: "${result.next.title}" (due: ${formatDue(result.next, profile)})`;
+  }
+  if (result.unblocked.length > 0) {
+    message += `\n\n🔓 Ready to start: ${result.unblocked.map(t => `"${t.title}"`).join(', ')}`;
+  }
+  
+  const history = task.statusHistory || [];
+  return {
+    message,
+    structured: {
+      type: 'status_updated',
+      taskId: task.id,
+      status: task.status,
+      from,
+      changedAt: history.length > 0 ? history[history.length - 1].at : null,
+      next: result.next ? { id: result.next.id, title: result.next.title, dueDate: result.next.dueDate } : null,
+      unblocked: result.unblocked.map(t => ({ id: t.id, title: t.title }))
+    }
+  };
+}
+
+// How record fields read in change descriptions
+const CHANGE_FIELD_NAMES = { dueDate: 'due', fireAt: 'time', subtasks: 'checklist steps', blockedBy: 'waiting on' };
+
+// Fields an undone or redone change lists, per collection
+const UNDO_FIELDS = {
+  tasks: ['title', 'description', 'priority', 'assignee', 'dueDate', 'status', 'subtasks', 'blockedBy'],
+  notes: ['title', 'body'],
+  reminders: ['text', 'fireAt', 'status']
+};
+
+/**
+ * One field change in the activity log ("priority: medium → high");
+ * `initial` shows only the new value, for fields a task was created with
+ */
+function describeChange(change, profile = {}, initial = false) {
+  const show = value => {
+    if (value === null || value === undefined || value === '') return 'none';
+    if (Array.isArray(value)) return value.length > 0 ? String(value.length) : 'none';
+    switch (change.field) {
+      case 'status':
+        return statusLabel(value).toLowerCase();
+      case 'dueDate':
+      case 'fireAt':
+        return formatDueDate(value, { timeZone: profile.timezone, locale: profile.locale });
+      case 'assignee':
+        return `@${value}`;
+      case 'title':
+      case 'description':
+      case 'body':
+      case 'text':
+        return `"${String(value).length > 40 ? `${String(value).substring(0, 40)}…` : value}"`;
+      default:
+        return String(value);
+    }
+  };
+  const field = CHANGE_FIELD_NAMES[change.field] || change.field;
+  return initial ? `${field}: ${show(change.to)}` : `${field}: ${show(change.from)} → ${show(change.to)}`;
+}
+
+/**
+ * What an activity entry did, in a few words
+ * 
+ * @param {Object} entry - Activity entry
+ * @param {boolean} withTitle - Name the task (for logs covering several tasks)
+ */
+function describeActivity(entry, withTitle, profile = {}) {
+  const title = withTitle ? ` "${entry.taskTitle}"` : '';
+  const by = entry.actor && entry.actor !== entry.userId ? ` (by @${entry.actor})` : '';
+  const details = entry.changes
+    .filter(change => change.field !== 'title')
+    .map(change => describeChange(change, profile, entry.type === 'created'));
+  
+  switch (entry.type) {
+    case 'created':
+      return `🆕 Created${title}${details.length > 0 ? ` (${details.join(', ')})` : ''}${by}`;
+    case 'completed':
+      return `✅ Completed${title}${by}`;
+    case 'deleted':
+      return `🗑️ Deleted${title}${by}`;
+    case 'restored':
+      return `♻️ Restored${title}${by}`;
+    case 'undone':
+    case 'redone': {
+      const verb = entry.type === 'undone' ? '↩️ Undid a change' : '↪️ Redid a change';
+      return `${verb}${withTitle ? ` to${title}` : ''}${details.length > 0 ? `: ${details.join(', ')}` : ''}${by}`;
+    }
+    case 'status': {
+      const [change] = entry.changes;
+      return `🔀 Moved${title} from ${statusLabel(change.from).toLowerCase()} to ${statusLabel(change.to).toLowerCase()}${by}`;
+    }
+    case 'assigned':
+      return `👤 Changed${title}: ${details.join(', ')}${by}`;
+    default:
+      return `✏️ Changed${title}: ${details.join(', ')}${by}`;
+  }
+}
+
+/**
+ * Format an activity log: one task's history, or a user's activity over a period
+ * 
+ * @param {Array} entries - Activity entries, oldest first
+ * @param {Object} options
+ * @param {string} options.taskTitle - Title of the task, for a single task's history
+ * @param {Object} options.period - { since, until, phrase } the entries cover
+ * @param {Object} options.profile - User profile, for times
+ * @param {number} options.max - Most lines to show (the latest ones)
+ */
+function formatActivity(entries, { taskTitle = null, period = null, profile = {}, max = 20 } = {}) {
+  const heading = taskTitle
+    ? `📜 **History of "${taskTitle}"**`
+    : `📜 **Your activity${period ? ` ${period.phrase}` : ''}**`;
+  
+  if (entries.length === 0) {
+    return {
+      message: taskTitle
+        ? `📜 No changes recorded for "${taskTitle}" yet.`
+        : `📜 Nothing recorded${period ? ` ${period.phrase}` : ' yet'}.`,
+      structured: { type: 'activity', count: 0, entries: [] }
+    };
+  }
+  
+  const shown = entries.slice(-max);
+  const lines = shown.map(entry => {
+    const at = formatDueDate(entry.at, { timeZone: profile.timezone, locale: profile.locale });
+    return `  • ${at}: ${describeActivity(entry, !taskTitle, profile)}`;
+  });
+  if (entries.length > shown.length) {
+    lines.unshift(`  …${entries.length - shown.length} earlier`);
+  }
+  
+  return {
+    message: `${heading} (${entries.length})\n\n${lines.join('\n')}`,
+    structured: {
+      type: 'activity',
+      count: entries.length,
+      taskId: taskTitle ? entries[0].taskId : undefined,
+      since: period ? period.since.toISOString() : undefined,
+      until: period ? period.until.toISOString() : undefined,
+      entries
+    }
+  };
+}
+
+/**
+ * Format an undone or redone change, naming every record it put back
+ * 
+ * @param {Object} result - { step, direction } from undo() or redo()
+ * @param {Object} profile - User profile, for times
+ */
+function formatUndo({ step, direction }, profile = {}) {
+  const [from, to] = direction === 'undo' ? ['after', 'before'] : ['before', 'after'];
+  const kinds = { tasks: 'task', notes: 'note', reminders: 'reminder' };
+  const touched = new Set(step.changes.map(change => change.id));
+  const trashed = new Set(step.changes
+    .filter(change => change.collection === 'trash' && change[to])
+    .map(change => change[to].record.id));
+  
+  // A record moving in or out of the trash is one line, not two
+  const changes = step.changes.filter(change => change.collection !== 'trash' || !touched.has((change[to] || change[from]).record.id));
+  const lines = changes.map(change => {
+    if (change.collection === 'trash') {
+      const { collection, record } = change[to] || change[from];
+      return `${change[to] ? '🗑️ Put back in the trash' : '🧹 Removed from the trash'}: ${kinds[collection]} "${record.title}"`;
+    }
+    
+    const record = change[to] || change[from];
+    const name = `${kinds[change.collection]} "${change.collection === 'reminders' ? record.text : record.title}"`;
+    if (!change[to]) return trashed.has(change.id) ? `🗑️ Moved ${name} to the trash` : `🗑️ Removed ${name}`;
+    if (!change[from]) return `♻️ Restored ${name}`;
+    
+    const details = (UNDO_FIELDS[change.collection] || [])
+      .filter(field => JSON.stringify(change[from][field] ?? null) !== JSON.stringify(change[to][field] ?? null))
+      .map(field => describeChange({ field, from: change[from][field] ?? null, to: change[to][field] ?? null }, profile));
+    return `✏️ Changed ${name}${details.length > 0 ? `: ${details.join(', ')}` : ''}`;
+  });
+  
+  const shown = lines.slice(0, 10).map(line => `  • ${line}`);
+  if (lines.length > shown.length) {
+    shown.push(`  …and ${lines.length - shown.length} more`);
+  }
+  
+  const heading = direction === 'undo' ? '↩️ **Undid**' : '↪️ **Redid**';
+  return {
+    message: `${heading} "${step.label}"\n\n${shown.join('\n')}`,
+    structured: {
+      type: direction === 'undo' ? 'undone' : 'redone',
+      label: step.label,
+      at: step.at,
+      changes: step.changes.map(change => ({
+        collection: change.collection,
+        id: change.id,
+        change: !change[to] ? 'removed' : !change[from] ? 'restored' : 'changed'
+      }))
+    }
+  };
+}
+
+/**
+ * Format an added or removed dependency
+ * 
+ * @param {string} op - "add" | "remove"
+ * @param {Object} result - From addDependency ({ task, blocker, existed }) or removeDependency ({ task, removed })
+ */
+function formatDependencyUpdate(op, result) {
+  const { task } = result;
+  let message;
+  
+  if (op === 'add') {
+    message = result.existed
+      ? `🔗 "${task.title}" already depends on "${result.blocker.title}"`
+      : `🔗 "${task.title}" now waits on "${result.blocker.title}"`;
+    if (isOpen(result.blocker.status)) {
+      message += '\n\n⛔ It\'s blocked until that one is done.';
+    }
+  } else {
+    message = `🔓 "${task.title}" no longer waits on ${result.removed.map(t => `"${t.title}"`).join(', ')}`;
+  }
+  
+  return {
+    message,
+    structured: {
+      type: 'dependency_updated',
+      op,
+      taskId: task.id,
+      blockedBy: task.blockedBy
+    }
+  };
+}
+
+/**
+ * Format steps added to a task's checklist
+ * 
+ * @param {Object} task - Updated task
+ * @param {Array} added - Items just added
+ * @param {number|null} listNumber - The task's number in the last list, for "2.3" references
+ */
+function formatSubtasksAdded(task, added, listNumber = null) {
+  const progress = subtaskProgress(task);
+  const prefix = listNumber ? `${listNumber}.` : '';
+  
+  let message = `☑️ Added ${added.length} step${added.length !== 1 ? 's' : ''} to "${task.title}" (${progress.done}/${progress.total} done)\n\n`;
+  message += task.subtasks
+    .map((item, i) => `  ${prefix ? `${prefix}${i + 1}` : `${i + 1}.`} ${item.status === 'completed' ? '✅' : '⬜'} ${item.title}`)
+    .join('\n');
+  
+  if (listNumber) {
+    message += `\n\n💡 Check one off with "complete ${listNumber}.1"`;
+  }
+  
+  return {
+    message,
+    structured: {
+      type: 'subtasks_added',
+      taskId: task.id,
+      subtasks: task.subtasks.map(item => ({ id: item.id, title: item.title, status: item.status })),
+      progress
+    }
+  };
+}
+
+/**
+ * Format a change to a repeating task's series (skip, pause, resume, end, set)
+ */
+function formatSeriesUpdate(op, result, profile = {}) {
+  const { task, next } = result;
+  let message;
+  
+  switch (op) {
+    case 'skip':
+      message = `⏭️ Skipped "${task.title}" on ${formatDueDate(result.skipped, { allDay: task.dueAllDay, timeZone: profile.timezone, locale: profile.locale })}\n\n📅 Next: ${formatDue(task, profile)}`;
+      break;
+    case 'pause':
+      message = `⏸️ Paused "${task.title}". Completing it won't create the next one until you resume the series.`;
+      break;
+    case 'resume':
+      message = `▶️ Resumed "${task.title}" (🔁 ${describeRecurrence(task.recurrence.rule)})`;
+      if (next) {
+        message += `\n\n📅 Next: ${formatDue(next, profile)}`;
+      }
+      break;
+    case 'end':
+      message = `⏹️ "${task.title}" won't repeat any more.`;
+      if (isOpen(task.status)) {
+        message += ' This one stays on your list.';
+      }
+      break;
+    default:
+      message = `🔁 "${task.title}" now repeats ${describeRecurrence(task.recurrence.rule)}\n\n📅 Next: ${formatDue(task, profile)}`;
+  }
+  
+  const shown = next || task;
+  return {
+    message,
+    structured: {
+      type: 'series_updated',
+      op,
+      taskId: shown.id,
+      task: {
+        id: shown.id,
+        title: shown.title,
+        dueDate: shown.dueDate || null,
+        recurrence: shown.recurrence ? { ...shown.recurrence, text: describeRecurrence(shown.recurrence.rule) } : null
+      }
+    }
+  };
+}
+
+/**
+ * Format a newly set reminder
+ */
+function formatReminderCreated(reminder, profile = {}) {
+  const when = formatDueDate(reminder.fireAt, { timeZone: profile.timezone, locale: profile.locale });
+  
+  return {
+    message: `⏰ **Got it!** I'll remind you: "${reminder.text}"\n\n📅 ${when}`,
+    structured: {
+      type: 'reminder_created',
+      reminder: { id: reminder.id, text: reminder.text, fireAt: reminder.fireAt }
+    }
+  };
+}
+
+/**
+ * Format the user's upcoming reminders and due-date notifications
+ * Numbers match what cancel_reminder accepts
+ */
+function formatReminderList(reminders, profile = {}) {
+  if (reminders.length === 0) {
+    return {
+      message: '📭 No reminders set.\n\n💡 Try: "remind me to call Sam at 4pm"',
+      structured: { type: 'reminder_list', reminders: [] }
+    };
+  }
+  
+  const dateOptions = { timeZone: profile.timezone, locale: profile.locale };
+  const lines = reminders.map((reminder, i) => (reminder.kind === 'due'
+    ? `  ${i + 1}. 📅 "${reminder.text}" is due (notify ${formatDueDate(reminder.fireAt, dateOptions)})`
+    : `  ${i + 1}. ⏰ ${reminder.text} (${formatDueDate(reminder.fireAt, dateOptions)})`));
+  
+  return {
+    message: `⏰ **Upcoming reminders** (${reminders.length})\n\n${lines.join('\n')}\n\n💡 Cancel one with: "cancel reminder 1"`,
+    structured: {
+      type: 'reminder_list',
+      reminders: reminders.map(r => ({ id: r.id, kind: r.kind, text: r.text, fireAt: r.fireAt, taskId: r.taskId || null }))
+    }
+  };
+}
+
+/**
+ * Format the user's trash, most recently deleted first
+ * Numbers match what restore_from_trash accepts
+ * 
+ * @param {Array} items - Trash items
+ * @param {Object} options
+ * @param {string} options.collection - "tasks" or "notes" when only one kind is listed
+ * @param {number} options.retentionDays - How long items are kept (0: until emptied)
+ * @param {Object} options.profile - User profile, for times
+ */
+function formatTrashList(items, { collection = null, retentionDays = 0, profile = {} } = {}) {
+  const what = collection === 'notes' ? 'deleted notes' : collection === 'tasks' ? 'deleted tasks' : 'anything';
+  if (items.length === 0) {
+    return {
+      message: collection ? `🗑️ There aren't any ${what} in the trash.` : '🗑️ The trash is empty.',
+      structured: { type: 'trash_list', count: 0, items: [] }
+    };
+  }
+  
+  const dateOptions = { timeZone: profile.timezone, locale: profile.locale };
+  const lines = items.map((item, i) =>
+    `  ${i + 1}. ${item.collection === 'notes' ? '📝' : '📋'} ${item.record.title} · deleted ${formatDueDate(item.deletedAt, dateOptions)}`);
+  const retention = retentionDays > 0
+    ? `\n\nItems are deleted for good ${retentionDays} day${retentionDays === 1 ? '' : 's'} after they're trashed.`
+    : '';
+  
+  return {
+    message: `🗑️ **Trash** (${items.length})\n\n${lines.join('\n')}\n\n💡 Bring one back with: "restore 1", or "empty the trash"${retention}`,
+    structured: {
+      type: 'trash_list',
+      count: items.length,
+      items: items.map(item => ({ id: item.id, collection: item.collection, recordId: item.record.id, title: item.record.title, deletedAt: item.deletedAt }))
+    }
+  };
+}
+
+/**
+ * Format records restored from the trash
+ * 
+ * @param {Array} restored - [{ collection, record }]
+ */
+function formatTrashRestored(restored) {
+  const name = ({ collection, record }) => `${collection === 'notes' ? 'note' : 'task'} "${record.title}"`;
+  
+  return {
+    message: restored.length === 1
+      ? `♻️ Restored ${name(restored[0])}`
+      : `♻️ Restored ${restored.length} items:\n\n${restored.map(item => `  • ${name(item)}`).join('\n')}`,
+    structured: {
+      type: 'trash_restored',
+      count: restored.length,
+      restored: restored.map(({ collection, record }) => ({ collection, id: record.id, title: record.title }))
+    }
+  };
+}
+
 /**
  * Format math expression result
  */
@@ -346,6 +1071,39 @@ function formatMathResult(expression, result) {
   };
 }
 
+/**
+ * Format pending queue progress
+ */
+function formatQueueProgress(result) {
+  const { processed, remaining, failed, error } = result;
+  let message;
+  
+  if (processed === 0 && remaining === 0) {
+    message = '📭 Nothing queued. All your tasks are already created.';
+  } else {
+    message = `⚙️ **Queue:** Created ${processed} queued task${processed !== 1 ? 's' : ''}.`;
+    
+    if (failed > 0) {
+      message += `\n\n⚠️ Stopped on an error: ${error}. The remaining items are kept and will be retried.`;
+    }
+    
+    message += remaining > 0
+      ? `\n\n📦 ${remaining} still pending. Run the queue again to continue.`
+      : '\n\n✅ Queue is empty.';
+  }
+  
+  return {
+    message,
+    structured: {
+      type: 'queue_progress',
+      processed,
+      failed,
+      remaining,
+      tasks: (result.createdTasks || []).map(t => ({ id: t.id, title: t.title, priority: t.priority }))
+    }
+  };
+}
+
 /**
  * Format generic success message
  */
@@ -367,14 +1125,35 @@ function formatError(error) {
 }
 
 module.exports = {
+  formatDue,
   formatTaskCreated,
   formatTaskList,
+  taskListOrder,
   formatUrgentSummary,
   formatFocusStart,
   formatNoteCreated,
   formatNoteList,
   formatChattyFallback,
+  formatClarification,
+  formatPlanResult,
+  formatPlanRejected,
+  formatProfile,
+  formatProfileRejected,
+  formatNotification,
+  formatMissedSummary,
+  formatReminderCreated,
+  formatReminderList,
+  formatSeriesUpdate,
+  formatTasksCompleted,
+  formatSubtasksAdded,
+  formatDependencyUpdate,
+  formatStatusUpdate,
+  formatActivity,
+  formatUndo,
+  formatTrashList,
+  formatTrashRestored,
   formatMathResult,
+  formatQueueProgress,
   formatSuccess,
   formatError
 };
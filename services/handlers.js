@@ -0,0 +1,1511 @@
+/**
+ * Action Handlers
+ * The actions the bot understands, registered in the action registry
+ *
+ * Each handler takes a parsed intent and returns a chat response
+ * ({ message, structured }). services/actions.js loads this module the first
+ * time the registry is read, so the NLP whitelist, intent validation and
+ * the help guide see every action without the webhook being loaded.
+ */
+
+const { registerAction, dispatchAction, buildHelpSections } = require('./actions');
+const { createTasks, withResolvedDue, withResolvedRecurrence, getTasks, getUrgentTasks, deleteTasks, deleteAllTasks, completeTasks, updateTaskStatus, addDependency, removeDependency, withBlockers, addSubtasks, splitItemId, updateSeries, findSeriesTask, findTasksByTitle, resolveTaskRef, updateTaskPriority, updateTask, getTasksAssignedTo } = require('./tasks');
+const { createNote, listNotes, searchNotes, updateNote } = require('./notes');
+const { startFocus, getCurrentFocus } = require('./focus');
+const { enqueueTasks } = require('./queue');
+const { describeIntent } = require('./clarification');
+const { validatePlan, resolveStepReferences, taskIdsFromResult } = require('./plan');
+const { getProfile, updateProfile, dateOptions } = require('./profile');
+const { resolveDateExpression } = require('./dates');
+const { getActivity, resolvePeriod } = require('./activity');
+const { undo, redo } = require('./undo');
+const { getTrashConfig, listTrash, restoreFromTrash, emptyTrash } = require('./trash');
+const { FOCUS_STATUS, isOpen, isWorkable, isStarted, canTransition } = require('./workflow');
+const { notifyTimeFor, createReminder, listReminders, cancelReminder } = require('./scheduler');
+const { updateContext, getContext, getLastNote } = require('./context');
+const {
+  formatDue,
+  formatTaskCreated,
+  formatTaskList,
+  taskListOrder,
+  formatUrgentSummary,
+  formatFocusStart,
+  formatNoteCreated,
+  formatNoteList,
+  formatMathResult,
+  formatPlanResult,
+  formatPlanRejected,
+  formatProfile,
+  formatProfileRejected,
+  formatReminderCreated,
+  formatReminderList,
+  formatSeriesUpdate,
+  formatTasksCompleted,
+  formatSubtasksAdded,
+  formatDependencyUpdate,
+  formatStatusUpdate,
+  formatActivity,
+  formatUndo,
+  formatTrashList,
+  formatTrashRestored,
+  formatSuccess,
+  formatError
+} = require('./formatter');
+
+/**
+ * Handle task creation
+ */
+async function handleCreateTasks(userId, intent, context) {
+  let tasksToCreate = intent.tasks || [];
+  
+  // NEW: support simple single-task creation via entities.*
+  if (tasksToCreate.length === 0 && intent.entities?.title) {
+    const e = intent.entities;
+    tasksToCreate = [{
+      title: e.title,
+      description: e.description || '',
+      priority: e.priority || 'medium',
+      assignee: e.assignee || e.person || null,
+      dueDate: e.datetime || null,
+      project: e.project || null,
+      recurrence: e.recurrence || null,
+      subtasks: e.items || []
+    }];
+  }
+  
+  if (tasksToCreate.length === 0) {
+    return formatError('No tasks specified to create');
+  }
+  
+  const createdTasks = createTasks(userId, tasksToCreate, context);
+  
+  // Update context with task IDs
+  updateContext(userId, {
+    taskIds: createdTasks.map(t => t.id)
+  });
+  
+  const profile = getProfile(userId);
+  const response = formatTaskCreated(createdTasks, context, profile);
+  
+  // Persist overflow from long requests so it can be drained via /webhook/process-queue
+  if (Array.isArray(intent.queue) && intent.queue.length > 0) {
+    // Resolve due dates and repeat rules now: "tomorrow" means tomorrow from when it was asked
+    const options = dateOptions(profile);
+    const pendingActions = enqueueTasks(userId, intent.queue.map(task => withResolvedRecurrence(withResolvedDue(task, options), options)), context);
+    
+    response.message += `\n\n📦 ${intent.queue.length} more task${intent.queue.length > 1 ? 's are' : ' is'} queued. Run the queue to create them.`;
+    response.warning = intent.warning;
+    response.pendingActions = pendingActions;
+    response.structured.pendingActions = pendingActions;
+  }
+  
+  return response;
+}
+
+/**
+ * Handle show/list tasks with filtering and sorting
+ */
+async function handleListTasks(userId, intent, context, userContext) {
+  // Default to every task still to be done; "show tasks in review" narrows to one status
+  const filters = { status: intent.entities?.status || 'open' };
+  const matchesStatus = task => (filters.status === 'open' ? isOpen(task.status) : task.status === filters.status);
+  
+  // Check scope: "my tasks" vs "all tasks"
+  const scope = intent.entities?.scope || 'all'; // default to 'all' for backward compatibility
+  const showOnlyOwned = scope === 'my';
+  
+  // Apply assignee filter from entities.assignee (updated from person)
+  if (intent.entities && intent.entities.assignee) {
+    filters.assignee = intent.entities.assignee;
+  }
+  
+  // Apply priority filter
+  if (intent.entities && intent.entities.priority) {
+    filters.priority = intent.entities.priority;
+  }
+  
+  // Apply project filter
+  if (context.projectId) {
+    filters.projectId = context.projectId;
+  }
+  
+  // Get user's own tasks
+  let tasks = getTasks(userId, filters);
+  
+  // CROSS-USER VISIBILITY: Also get tasks assigned to this user (created by others)
+  // Only if showing "all tasks"
+  let assignedTasksCount = 0;
+  if (!showOnlyOwned) {
+    const assignedTasks = getTasksAssignedTo(userId);
+    
+    // Merge assigned tasks (avoiding duplicates)
+    const taskIds = new Set(tasks.map(t => t.id));
+    assignedTasks.forEach(task => {
+      if (!taskIds.has(task.id) && matchesStatus(task)) {
+        tasks.push(task);
+      }
+    });
+  } else {
+    // If showing only owned, still check if there are assigned tasks for helpful message
+    const assignedTasks = getTasksAssignedTo(userId);
+    assignedTasksCount = assignedTasks.filter(matchesStatus).length;
+  }
+  
+  // Apply sorting - check for sortBy (not sort_by)
+  if (intent.entities && intent.entities.sortBy) {
+    // Sort the merged tasks
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    if (intent.entities.sortBy === 'priority') {
+      tasks.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
+    }
+  }
+  
+  const listed = withBlockers(tasks);
+  const listContext = {
+    ...context,
+    filters: intent.entities,
+    currentUser: userId,
+    showOnlyOwned: showOnlyOwned,
+    assignedTasksCount: assignedTasksCount
+  };
+  
+  // Remember the tasks in the order they're numbered, so "complete 2" is the task shown as 2
+  const shown = taskListOrder(listed, listContext);
+  updateContext(userId, {
+    taskList: shown.map(t => ({ id: t.id, title: t.title, priority: t.priority })),
+    taskIds: shown.map(t => t.id),
+    action: 'list_tasks'
+  });
+  
+  return formatTaskList(listed, listContext);
+}
+
+/**
+ * Handle complete task
+ */
+async function handleCompleteTask(userId, intent, userContext) {
+  // Get task_ref from entities (could be a title, numeric index, or "all")
+  const taskRef = intent.entities?.task_ref;
+  const lastTaskList = userContext.lastTaskList || [];
+  
+  // Resolve the task reference to actual task IDs
+  const taskIds = resolveTaskRef(userId, taskRef, lastTaskList);
+  
+  if (taskIds.length === 0) {
+    // Provide helpful error message based on context
+    if (!taskRef && lastTaskList.length === 0) {
+      return {
+        message: '❌ No tasks to complete. Please list your tasks first or specify which task to complete.',
+        structured: { type: 'error', error: 'No tasks in context' }
+      };
+    } else if (taskRef && typeof taskRef === 'string') {
+      return {
+        message: `❌ Could not find a task matching "${taskRef}". Try listing your tasks first.`,
+        structured: { type: 'error', error: 'Task not found' }
+      };
+    } else {
+      return {
+        message: '❌ Could not find that task. Please list your tasks first or specify which task to complete.',
+        structured: { type: 'error', error: 'Task not found' }
+      };
+    }
+  }
+  
+  const result = completeTasks(userId, taskIds);
+  
+  if (result.completed > 0 || result.checked.length > 0) {
+    // Update context
+    updateContext(userId, { action: 'complete_task' });
+    
+    return formatTasksCompleted(result, getProfile(userId));
+  } else {
+    return {
+      message: '❌ Could not complete the task. It may not exist or is already completed.',
+      structured: { type: 'error', error: 'Task not found' }
+    };
+  }
+}
+
+/**
+ * Handle adding or removing a dependency ("task 3 depends on task 1", "deploy no longer waits on QA")
+ */
+async function handleUpdateDependency(userId, intent, userContext) {
+  const lastTaskList = userContext.lastTaskList || [];
+  const { task_ref: taskRef, depends_on: blockerRef } = intent.entities || {};
+  const op = intent.entities?.dependency_op || 'add';
+  
+  const taskIds = resolveTaskRef(userId, taskRef, lastTaskList);
+  if (taskIds.length !== 1) {
+    return formatError(`Could not find a task matching "${taskRef}". Try listing your tasks first.`);
+  }
+  
+  let blockerId = null;
+  if (blockerRef !== undefined) {
+    [blockerId] = resolveTaskRef(userId, blockerRef, lastTaskList);
+    if (!blockerId) {
+      return formatError(`Could not find a task matching "${blockerRef}". Try listing your tasks first.`);
+    }
+  } else if (op === 'add') {
+    return formatError('Which task does it depend on?');
+  }
+  
+  const result = op === 'add'
+    ? addDependency(userId, taskIds[0], blockerId)
+    : removeDependency(userId, taskIds[0], blockerId);
+  if (result.error) {
+    return formatError(result.error);
+  }
+  
+  updateContext(userId, { action: 'update_dependency' });
+  
+  return formatDependencyUpdate(op, result);
+}
+
+/**
+ * Handle moving a task through the workflow ("move X to review", "put X on hold")
+ */
+async function handleUpdateStatus(userId, intent, userContext) {
+  const { task_ref: taskRef, status } = intent.entities || {};
+  let taskIds = resolveTaskRef(userId, taskRef, userContext.lastTaskList || []);
+  
+  // Finished tasks are only looked up by title here, to move them back ("reopen X"); latest first
+  if (taskIds.length === 0 && typeof taskRef === 'string') {
+    const finished = findTasksByTitle(userId, taskRef, null).filter(t => !isOpen(t.status));
+    taskIds = finished.slice(-1).map(t => t.id);
+  }
+  
+  if (taskIds.length !== 1) {
+    return formatError(taskIds.length > 1
+      ? 'Tasks move one at a time. Which task should move?'
+      : `Could not find a task matching "${taskRef}". Try listing your tasks first.`);
+  }
+  
+  const result = updateTaskStatus(userId, taskIds[0], status);
+  if (result.error) {
+    return formatError(result.error);
+  }
+  
+  updateContext(userId, { action: 'update_status' });
+  
+  return formatStatusUpdate(result, getProfile(userId));
+}
+
+/**
+ * Handle activity questions ("what changed on task 2?", "what did I do yesterday?")
+ */
+async function handleShowActivity(userId, intent, userContext) {
+  const { task_ref: taskRef, datetime } = intent.entities || {};
+  const profile = getProfile(userId);
+  
+  if (taskRef !== undefined) {
+    // A checklist step's history is its task's
+    let taskIds = [...new Set(resolveTaskRef(userId, taskRef, userContext.lastTaskList || []).map(id => splitItemId(id).taskId))];
+    
+    // Finished and deleted tasks keep their history: find them by title in the log itself, latest first
+    if (taskIds.length === 0 && typeof taskRef === 'string') {
+      const wanted = taskRef.toLowerCase();
+      const match = getActivity(userId).reverse().find(entry => entry.taskTitle.toLowerCase().includes(wanted));
+      taskIds = match ? [match.taskId] : [];
+    }
+    
+    if (taskIds.length !== 1) {
+      return formatError(taskIds.length > 1
+        ? 'Which task? Name just one to see its history.'
+        : `Could not find a task matching "${taskRef}". Try listing your tasks first.`);
+    }
+    
+    const entries = getActivity(userId, { taskId: taskIds[0] });
+    const task = getTasks(userId).find(t => t.id === taskIds[0]);
+    const taskTitle = task ? task.title : (entries.length > 0 ? entries[entries.length - 1].taskTitle : taskIds[0]);
+    
+    updateContext(userId, { action: 'show_activity' });
+    return formatActivity(entries, { taskTitle, profile });
+  }
+  
+  const period = resolvePeriod(datetime || 'today', dateOptions(profile));
+  if (!period) {
+    return formatError(`I couldn't tell which days "${datetime}" means. Try "yesterday", "this week" or a date.`);
+  }
+  
+  updateContext(userId, { action: 'show_activity' });
+  return formatActivity(getActivity(userId, { since: period.since, until: period.until }), { period, profile });
+}
+
+/**
+ * Handle adding checklist steps to a task ("add steps to task 2: build, test, tag")
+ */
+async function handleAddSubtasks(userId, intent, userContext) {
+  const taskRef = intent.entities?.task_ref;
+  const lastTaskList = userContext.lastTaskList || [];
+  const taskIds = resolveTaskRef(userId, taskRef, lastTaskList);
+  
+  if (taskIds.length !== 1) {
+    return formatError(taskIds.length > 1
+      ? 'Steps go on one task at a time. Which task should get them?'
+      : `Could not find a task matching "${taskRef}". Try listing your tasks first.`);
+  }
+  
+  const result = addSubtasks(userId, taskIds[0], intent.entities?.items || [], {
+    completeWithSubtasks: intent.entities?.auto_complete
+  });
+  if (result.error) {
+    return formatError(result.error);
+  }
+  
+  updateContext(userId, { action: 'add_subtasks' });
+  
+  const listNumber = lastTaskList.findIndex(t => t.id === result.task.id) + 1 || null;
+  return formatSubtasksAdded(result.task, result.added, listNumber);
+}
+
+/**
+ * Handle skip / pause / resume / end of a repeating task's series, or making a task repeat
+ */
+async function handleUpdateSeries(userId, intent, userContext) {
+  const taskRef = intent.entities?.task_ref;
+  const recurrence = intent.entities?.recurrence;
+  const op = intent.entities?.series_op || (recurrence ? 'set' : null);
+  
+  if (!op) {
+    return formatError('Say whether to skip, pause, resume or stop repeating the task, or how often it should repeat.');
+  }
+  if (op === 'set' && !recurrence) {
+    return formatError('How often should it repeat? e.g. "every Monday" or "monthly on the 1st"');
+  }
+  
+  const task = findSeriesTask(userId, taskRef, userContext.lastTaskList || []);
+  if (!task) {
+    return formatError(`Could not find a task matching "${taskRef}". Try listing your tasks first.`);
+  }
+  
+  const result = updateSeries(userId, task.id, op, { recurrence });
+  if (result.error) {
+    return formatError(result.error);
+  }
+  
+  updateContext(userId, { action: 'update_series' });
+  
+  return formatSeriesUpdate(op, result, getProfile(userId));
+}
+
+/**
+ * Handle update task priority
+ */
+async function handleUpdatePriority(userId, intent, userContext) {
+  // Get task_ref and priority from entities
+  const taskRef = intent.entities?.task_ref;
+  const newPriority = intent.entities?.priority;
+  const lastTaskList = userContext.lastTaskList || [];
+  
+  if (!newPriority) {
+    return {
+      message: '❌ Please specify a priority: high, medium, or low.',
+      structured: { type: 'error', error: 'No priority specified' }
+    };
+  }
+  
+  // Resolve the task reference to actual task IDs
+  const taskIds = resolveTaskRef(userId, taskRef, lastTaskList);
+  
+  if (taskIds.length === 0) {
+    // Provide helpful error message
+    if (!taskRef && lastTaskList.length === 0) {
+      return {
+        message: '❌ No task found. Please list your tasks first or specify which task to update.',
+        structured: { type: 'error', error: 'No task specified' }
+      };
+    } else if (taskRef && typeof taskRef === 'string') {
+      return {
+        message: `❌ Could not find a task matching "${taskRef}". Try listing your tasks first.`,
+        structured: { type: 'error', error: 'Task not found' }
+      };
+    } else {
+      return {
+        message: '❌ Could not find that task. Please list your tasks first or specify which task to update.',
+        structured: { type: 'error', error: 'Task not found' }
+      };
+    }
+  }
+  
+  // Update priority of the first resolved task
+  const result = updateTaskPriority(userId, taskIds[0], newPriority);
+  
+  if (result.updated > 0) {
+    const priorityEmoji = {
+      high: '🔴',
+      medium: '🟡',
+      low: '🟢'
+    };
+    
+    // Update context
+    updateContext(userId, { action: 'update_priority' });
+    
+    return {
+      message: `✅ Updated task priority!\n\n📝 ${result.task.title}\n${priorityEmoji[result.oldPriority]} ${result.oldPriority.toUpperCase()} → ${priorityEmoji[result.newPriority]} ${result.newPriority.toUpperCase()}`,
+      structured: { 
+        type: 'priority_updated', 
+        taskId: taskIds[0],
+        oldPriority: result.oldPriority,
+        newPriority: result.newPriority
+      }
+    };
+  } else {
+    return {
+      message: `❌ ${result.error}`,
+      structured: { type: 'error', error: result.error }
+    };
+  }
+}
+
+/**
+ * Handle update task (assignee, description, etc.)
+ */
+async function handleUpdateTask(userId, intent, userContext) {
+  // Get task_ref from entities
+  const taskRef = intent.entities?.task_ref;
+  const lastTaskList = userContext.lastTaskList || [];
+  
+  // Resolve the task reference to actual task IDs
+  const taskIds = resolveTaskRef(userId, taskRef, lastTaskList);
+  
+  if (taskIds.length === 0) {
+    // Provide helpful error message
+    if (!taskRef && lastTaskList.length === 0) {
+      return {
+        message: '❌ No task found. Please list your tasks first or specify which task to update.',
+        structured: { type: 'error', error: 'No task specified' }
+      };
+    } else if (taskRef && typeof taskRef === 'string') {
+      return {
+        message: `❌ Could not find a task matching "${taskRef}". Try listing your tasks first.`,
+        structured: { type: 'error', error: 'Task not found' }
+      };
+    } else {
+      return {
+        message: '❌ Could not find that task. Please list your tasks first or specify which task to update.',
+        structured: { type: 'error', error: 'Task not found' }
+      };
+    }
+  }
+  
+  // Build updates object from entities
+  const updates = {};
+  
+  if (intent.entities?.assignee) {
+    updates.assignee = intent.entities.assignee;
+  }
+  
+  if (intent.entities?.priority) {
+    updates.priority = intent.entities.priority;
+  }
+  
+  if (intent.entities?.description) {
+    updates.description = intent.entities.description;
+  }
+  
+  if (intent.entities?.datetime) {
+    updates.dueDate = intent.entities.datetime;
+  }
+  
+  // Also check entities.updates object
+  if (intent.entities?.updates) {
+    Object.assign(updates, intent.entities.updates);
+  }
+  
+  if (Object.keys(updates).length === 0) {
+    return {
+      message: '❌ No updates specified. What would you like to change?',
+      structured: { type: 'error', error: 'No updates specified' }
+    };
+  }
+  
+  // Update the first resolved task
+  const result = updateTask(userId, taskIds[0], updates);
+  
+  if (result.updated > 0) {
+    // Build message showing changes
+    let changeMsg = '';
+    
+    if (result.changes.assignee) {
+      const oldAssignee = result.changes.assignee.old || 'unassigned';
+      const newAssignee = result.changes.assignee.new || 'unassigned';
+      changeMsg += `👤 Assignee: ${oldAssignee} → @${newAssignee}\n`;
+    }
+    
+    if (result.changes.priority) {
+      const priorityEmoji = { high: '🔴', medium: '🟡', low: '🟢' };
+      changeMsg += `${priorityEmoji[result.changes.priority.old]} Priority: ${result.changes.priority.old} → ${priorityEmoji[result.changes.priority.new]} ${result.changes.priority.new}\n`;
+    }
+    
+    if (result.changes.description) {
+      changeMsg += `📝 Description updated\n`;
+    }
+    
+    if (result.changes.dueDate) {
+      changeMsg += `📅 Due: ${formatDue(result.task, getProfile(userId))}\n`;
+    }
+    
+    // Update context
+    updateContext(userId, { action: 'update_task' });
+    
+    return {
+      message: `✅ Updated task: **${result.task.title}**\n\n${changeMsg}`,
+      structured: { 
+        type: 'task_updated', 
+        taskId: taskIds[0],
+        changes: result.changes
+      }
+    };
+  } else {
+    return {
+      message: `❌ ${result.error}`,
+      structured: { type: 'error', error: result.error }
+    };
+  }
+}
+
+/**
+ * Handle delete task
+ */
+async function handleDeleteTask(userId, intent, userContext) {
+  // Get task_ref from entities (could be "all", a title, or numeric index)
+  const taskRef = intent.entities?.task_ref;
+  const lastTaskList = userContext.lastTaskList || [];
+  
+  // Special case: "delete all" - delete only owned tasks, not assigned ones
+  if (taskRef === 'all' || taskRef === 'everything') {
+    const count = deleteAllTasks(userId);
+    
+    if (count === 0) {
+      return {
+        message: '❌ No tasks to delete. You don\'t have any tasks you created.',
+        structured: { type: 'error', error: 'No tasks found' }
+      };
+    }
+    
+    // Clear context since we deleted everything
+    updateContext(userId, { taskList: [], taskIds: [], action: 'delete_task' });
+    
+    return {
+      message: `🗑️ Moved all ${count} task${count > 1 ? 's' : ''} you created to the trash.\n\n💡 Note: Tasks assigned to you by others were not deleted. Say "undo" or "show trash" to get yours back.`,
+      structured: { type: 'tasks_deleted', count: count }
+    };
+  }
+  
+  // Resolve the task reference to actual task IDs
+  const taskIds = resolveTaskRef(userId, taskRef, lastTaskList);
+  
+  if (taskIds.length === 0) {
+    // Provide helpful error message based on context
+    if (!taskRef && lastTaskList.length === 0) {
+      return {
+        message: '❌ No tasks to delete. Please list your tasks first or specify which task to delete.',
+        structured: { type: 'error', error: 'No tasks in context' }
+      };
+    } else if (taskRef && typeof taskRef === 'string') {
+      return {
+        message: `❌ Could not find a task matching "${taskRef}". Try listing your tasks first.`,
+        structured: { type: 'error', error: 'Task not found' }
+      };
+    } else {
+      return {
+        message: '❌ Could not find that task. Please list your tasks first or specify which task to delete.',
+        structured: { type: 'error', error: 'Task not found' }
+      };
+    }
+  }
+  
+  // Delete the resolved tasks
+  const result = deleteTasks(userId, taskIds);
+  
+  if (result.deleted > 0) {
+    // Update context - remove deleted task IDs
+    const remainingIds = userContext.lastTaskIds?.filter(id => !taskIds.includes(id)) || [];
+    const remainingList = lastTaskList.filter(t => !taskIds.includes(t.id));
+    
+    updateContext(userId, { 
+      taskList: remainingList,
+      taskIds: remainingIds,
+      action: 'delete_task'
+    });
+    
+    // Checklist items ("delete 2.3") are steps, not tasks
+    const onlySteps = taskIds.every(id => splitItemId(id).subtaskId);
+    
+    return {
+      message: onlySteps
+        ? `🗑️ Removed ${result.deleted} step${result.deleted > 1 ? 's' : ''}!`
+        : `🗑️ Moved ${result.deleted} task${result.deleted > 1 ? 's' : ''} to the trash. Say "undo" to bring ${result.deleted > 1 ? 'them' : 'it'} back.`,
+      structured: { type: 'tasks_deleted', count: result.deleted }
+    };
+  } else {
+    return {
+      message: '❌ Could not delete any tasks. They may have already been deleted.',
+      structured: { type: 'error', error: 'Tasks not found' }
+    };
+  }
+}
+
+/**
+ * Handle small talk
+ */
+async function handleSmallTalk(userId, message, intent, userContext) {
+  const lowerMessage = message.toLowerCase().trim();
+  
+  // Check for time/date questions (answered in the user's timezone and locale)
+  if (/what time|time is it/i.test(lowerMessage)) {
+    const { timezone, locale } = getProfile(userId);
+    const timeString = new Date().toLocaleTimeString(locale, { timeZone: timezone, hour: '2-digit', minute: '2-digit' });
+    return {
+      message: `🕐 It's **${timeString}** (${timezone}).\n\nNeed to schedule a task? Try: "create a task for 3pm tomorrow"`,
+      structured: { type: 'time_info', time: timeString, timezone }
+    };
+  }
+  
+  if (/what day|what.*date|today/i.test(lowerMessage)) {
+    const { timezone, locale } = getProfile(userId);
+    const dateString = new Date().toLocaleDateString(locale, { timeZone: timezone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    return {
+      message: `📅 Today is **${dateString}**.\n\nWant to see what's urgent? Try: "show urgent tasks"`,
+      structured: { type: 'date_info', date: dateString, timezone }
+    };
+  }
+  
+  // Greetings - short version (not the full help)
+  if (/^(hi|hello|hey|greetings|good morning|good afternoon|good evening|sup|yo)\b/i.test(lowerMessage)) {
+    const greetings = ['👋 Hey there!', '👋 Hello!', '👋 Hi!'];
+    const greeting = greetings[Math.floor(Math.random() * greetings.length)];
+    
+    // Check if this is first interaction
+    const isFirstTime = !userContext.lastActions || userContext.lastActions.length === 0;
+    
+    if (isFirstTime) {
+      return {
+        message: `${greeting} I'm FlowState CLI.\n\n**Quick start:**\n• "create a task to [description]"\n• "note: [your content]"\n• "show my tasks"\n• "help" for full guide`,
+        structured: { type: 'greeting', firstTime: true }
+      };
+    } else {
+      return {
+        message: `${greeting} What can I help with?\n\n💡 Try: "show tasks" or "create a task"`,
+        structured: { type: 'greeting', firstTime: false }
+      };
+    }
+  }
+  
+  // Thanks
+  if (/^(thanks|thank you|thx|ty|appreciate|cheers)/i.test(lowerMessage)) {
+    return {
+      message: `You're welcome! 😊\n\nAnything else I can help with?`,
+      structured: { type: 'acknowledgment' }
+    };
+  }
+  
+  // "What is priority?" or concept questions
+  if (/what is|what are|define|explain/i.test(lowerMessage)) {
+    // Use reply_hint from Groq if available
+    if (intent.reply_hint) {
+      return {
+        message: `💡 ${intent.reply_hint}\n\nNeed help organizing your tasks? Try: "show tasks sorted by priority"`,
+        structured: { type: 'explanation' }
+      };
+    }
+    
+    // Fallback explanations
+    if (/priority/i.test(lowerMessage)) {
+      return {
+        message: `💡 **Priority** helps you focus on what matters most:\n\n🔴 **High** - Urgent, needs immediate attention\n🟡 **Medium** - Important but not urgent\n🟢 **Low** - Nice to have, can wait\n\nTry: "show urgent tasks" or "re-arrange tasks by priority"`,
+        structured: { type: 'explanation', topic: 'priority' }
+      };
+    }
+  }
+  
+  // Generic small talk response
+  const defaultResponses = [
+    "I'm here to help you manage tasks and notes! What would you like to do?",
+    "Let's get productive! Try creating a task or listing your current work.",
+    "Ready to organize your work? I can help with tasks, notes, and focus sessions."
+  ];
+  
+  const replyMessage = intent.reply_hint || defaultResponses[Math.floor(Math.random() * defaultResponses.length)];
+  
+  return {
+    message: `💬 ${replyMessage}\n\n💡 Quick tip: Say "help" to see all I can do!`,
+    structured: { type: 'small_talk' }
+  };
+}
+
+/**
+ * Handle unknown/unrecognized input
+ */
+async function handleUnknown(userId, message, userContext) {
+  const lastAction = userContext.lastAction || null;
+  
+  // Short contextual hint instead of full help
+  let hint = '🤔 I\'m not sure what you mean.\n\n';
+  
+  if (lastAction === 'list_tasks') {
+    hint += '**Since you just viewed tasks, try:**\n';
+    hint += '• "complete [task name]"\n';
+    hint += '• "delete existing tasks"\n';
+    hint += '• "re-arrange by priority"';
+  } else if (lastAction === 'create_task') {
+    hint += '**You just created tasks. Try:**\n';
+    hint += '• "show my tasks"\n';
+    hint += '• "start focus mode"\n';
+    hint += '• "what\'s urgent?"';
+  } else {
+    hint += '**I mainly help with:**\n';
+    hint += '📋 Tasks - "create task", "show tasks", "complete task"\n';
+    hint += '📝 Notes - "note: [content]", "list notes"\n';
+    hint += '⏰ Focus - "start focus for 25 minutes"\n\n';
+    hint += '💡 Say "help" for the full guide!';
+  }
+  
+  return {
+    message: hint,
+    structured: { type: 'fallback', userMessage: message }
+  };
+}
+
+/**
+ * Handle a multi-step plan
+ * Every step is checked first; then steps run in order until one fails
+ */
+async function handlePlan(userId, intent, context, userContext, message) {
+  const steps = intent.steps || [];
+  
+  const errors = validatePlan(userId, steps, userContext.lastTaskList || []);
+  if (errors.length > 0) {
+    console.log(`[Actions] Plan rejected: ${errors.map(e => `step ${e.step}: ${e.message}`).join('; ')}`);
+    return formatPlanRejected(errors);
+  }
+  
+  const results = [];
+  let stopped = false;
+  
+  for (const [index, step] of steps.entries()) {
+    const result = { step: index + 1, action: step.action, label: describeIntent(step), status: 'skipped', taskIds: [] };
+    results.push(result);
+    if (stopped) continue;
+    
+    try {
+      const resolved = resolveStepReferences(step, results);
+      // Earlier steps may have changed the context (e.g. the last task list)
+      result.response = await dispatchAction(resolved.action, {
+        userId,
+        intent: resolved,
+        context,
+        userContext: getContext(userId),
+        message: resolved.query || message
+      });
+    } catch (error) {
+      result.response = { message: `❌ ${error.message}`, structured: { type: 'error', error: error.message } };
+    }
+    
+    const structured = result.response.structured || {};
+    result.status = structured.type === 'error' ? 'failed' : 'ok';
+    result.taskIds = result.status === 'ok' ? taskIdsFromResult(structured) : [];
+    stopped = result.status === 'failed';
+    console.log(`[Actions] Plan step ${result.step}/${steps.length} ${step.action}: ${result.status}`);
+  }
+  
+  return formatPlanResult(results);
+}
+
+/**
+ * Handle "undo" and "redo"
+ */
+async function handleUndo(userId, direction) {
+  const result = direction === 'undo' ? undo(userId) : redo(userId);
+  if (result.error) {
+    return formatError(result.error);
+  }
+  
+  return formatUndo(result, getProfile(userId));
+}
+
+/**
+ * Handle listing the trash ("show trash", "show deleted notes")
+ */
+async function handleListTrash(userId, intent) {
+  const collection = intent.entities?.kind || null;
+  const items = listTrash(userId, { collection });
+  
+  updateContext(userId, { trashList: items.map(item => item.id), action: 'list_trash' });
+  
+  return formatTrashList(items, { collection, retentionDays: getTrashConfig().retentionDays, profile: getProfile(userId) });
+}
+
+/**
+ * Handle restoring from the trash ("restore 2", "restore the budget review", "restore all")
+ * Numbers refer to the last trash listing
+ */
+async function handleRestoreFromTrash(userId, intent, userContext) {
+  const ref = intent.entities?.trash_ref;
+  const items = listTrash(userId);
+  let matches;
+  
+  if (ref === 'all') {
+    matches = items;
+  } else if (/^\d+$/.test(String(ref))) {
+    const listed = userContext.lastTrashList && userContext.lastTrashList.length > 0
+      ? userContext.lastTrashList
+      : items.map(item => item.id);
+    const id = listed[parseInt(ref, 10) - 1];
+    matches = items.filter(item => item.id === id);
+  } else {
+    // Most recently deleted first, so "restore report" brings back the latest one
+    const text = String(ref || '').toLowerCase();
+    matches = items.filter(item => text && item.record.title.toLowerCase().includes(text)).slice(0, 1);
+  }
+  
+  if (matches.length === 0) {
+    return formatError(items.length === 0
+      ? 'The trash is empty.'
+      : `I couldn't find "${ref}" in the trash. Say "show trash" to see what's there.`);
+  }
+  
+  const restored = restoreFromTrash(userId, matches.map(item => item.id));
+  updateContext(userId, { trashList: [], action: 'restore_from_trash' });
+  
+  return formatTrashRestored(restored);
+}
+
+/**
+ * Handle emptying the trash
+ */
+async function handleEmptyTrash(userId) {
+  const count = emptyTrash(userId);
+  updateContext(userId, { trashList: [], action: 'empty_trash' });
+  
+  if (count === 0) {
+    return formatSuccess('The trash is already empty.');
+  }
+  return {
+    message: `🧹 Emptied the trash: ${count} item${count > 1 ? 's' : ''}. Say "undo" to bring them back; otherwise they're gone.`,
+    structured: { type: 'trash_emptied', count }
+  };
+}
+
+/**
+ * Handle showing or changing the user's profile
+ */
+async function handleProfile(userId, intent) {
+  const changes = intent.entities?.profile || {};
+  
+  if (Object.keys(changes).length === 0) {
+    return formatProfile(getProfile(userId));
+  }
+  
+  const result = updateProfile(userId, changes);
+  
+  if (result.errors.length > 0) {
+    return formatProfileRejected(result.errors);
+  }
+  
+  updateContext(userId, { action: 'update_profile' });
+  
+  return formatProfile(result.profile, result.changed);
+}
+
+/**
+ * Handle setting a reminder
+ * A day without a time ("remind me tomorrow to...") reminds at the start of working hours
+ */
+async function handleCreateReminder(userId, intent) {
+  const { title, datetime } = intent.entities;
+  const profile = getProfile(userId);
+  
+  if (!datetime) {
+    return formatError(`When should I remind you to ${title}? Try: "remind me to ${title} at 4pm"`);
+  }
+  
+  const now = new Date();
+  const resolved = resolveDateExpression(datetime, { ...dateOptions(profile), now });
+  if (!resolved) {
+    return formatError(`I couldn't tell when "${datetime}" is. Try "at 4pm", "tomorrow at 9am" or "in 2 hours"`);
+  }
+  
+  const fireAt = notifyTimeFor(resolved.iso, resolved.allDay, profile);
+  if (fireAt <= now) {
+    return formatError(`${formatDue({ dueDate: fireAt.toISOString() }, profile)} has already passed. When should I remind you?`);
+  }
+  
+  const reminder = createReminder(userId, { text: title, fireAt }, now);
+  updateContext(userId, { action: 'create_reminder' });
+  
+  return formatReminderCreated(reminder, profile);
+}
+
+/**
+ * Handle listing reminders and upcoming due-date notifications
+ */
+async function handleListReminders(userId) {
+  return formatReminderList(listReminders(userId), getProfile(userId));
+}
+
+/**
+ * Handle cancelling reminders by number (from the list), text, or "all"
+ */
+async function handleCancelReminder(userId, intent) {
+  const ref = intent.entities?.reminder_ref;
+  const reminders = listReminders(userId);
+  let matches;
+  
+  if (ref === 'all') {
+    matches = reminders.filter(r => r.kind === 'reminder');
+  } else if (typeof ref === 'number') {
+    matches = reminders[ref - 1] ? [reminders[ref - 1]] : [];
+  } else {
+    const text = String(ref || '').toLowerCase();
+    matches = reminders.filter(r => text && r.text.toLowerCase().includes(text)).slice(0, 1);
+  }
+  
+  if (matches.length === 0) {
+    return formatError(`I couldn't find reminder "${ref}". Say "show my reminders" to see them.`);
+  }
+  
+  const cancelled = matches.map(r => cancelReminder(userId, r.id)).filter(Boolean);
+  updateContext(userId, { action: 'cancel_reminder' });
+  
+  return cancelled.length === 1
+    ? formatSuccess(`Cancelled reminder: "${cancelled[0].text}"`)
+    : formatSuccess(`Cancelled ${cancelled.length} reminders`);
+}
+
+/**
+ * Handle show urgent tasks
+ */
+async function handleShowUrgent(userId, context) {
+  const urgentTasks = getUrgentTasks(userId);
+  
+  return formatUrgentSummary(urgentTasks, getProfile(userId));
+}
+
+/**
+ * Handle focus mode
+ */
+async function handleFocus(userId, intent, context) {
+  // Check if already in focus
+  const currentFocus = getCurrentFocus(userId);
+  
+  if (currentFocus) {
+    return {
+      message: `⏰ You're already in focus mode working on: ${currentFocus.taskTitle}`,
+      structured: { type: 'focus_active', focus: currentFocus }
+    };
+  }
+  
+  // Extract duration from query if it's a number (e.g., "/f 25")
+  let duration = 25; // default
+  
+  if (intent.query && /^\d+$/.test(intent.query.trim())) {
+    duration = parseInt(intent.query.trim(), 10);
+  } else if (intent.entities && intent.entities.duration) {
+    duration = intent.entities.duration;
+  }
+  
+  // Validate duration
+  if (duration < 1 || duration > 120) {
+    return {
+      message: '⏰ Focus duration should be between 1 and 120 minutes.\n\nTry: "start focus for 25 minutes" or "/f 25"',
+      structured: { type: 'error', error: 'Invalid duration' }
+    };
+  }
+  
+  // Get task to focus on
+  let taskId = intent.entities && intent.entities.taskId;
+  
+  if (!taskId) {
+    // First urgent task, else first open one; skip tasks on hold or still waiting on others
+    const urgentTasks = getTasks(userId, { status: 'open', priority: 'high', blocked: false }).filter(t => isWorkable(t.status));
+    if (urgentTasks.length > 0) {
+      taskId = urgentTasks[0].id;
+    } else {
+      const allTasks = getTasks(userId, { status: 'open', blocked: false }).filter(t => isWorkable(t.status));
+      if (allTasks.length > 0) {
+        taskId = allTasks[0].id;
+      }
+    }
+  }
+  
+  if (!taskId) {
+    return {
+      message: '❌ No tasks available to focus on.\n\nCreate a task first! Try: "create a task to review code"',
+      structured: { type: 'error', error: 'No tasks found' }
+    };
+  }
+  
+  const focusSession = startFocus(userId, taskId, duration);
+  
+  if (!focusSession) {
+    return formatError('Could not start focus session');
+  }
+  
+  // Find the task details
+  const allTasks = getTasks(userId);
+  let task = allTasks.find(t => t.id === taskId);
+  
+  // Working on a task means it's in progress
+  let movedFrom = null;
+  if (task && isOpen(task.status) && !isStarted(task.status) && canTransition(task.status, FOCUS_STATUS)) {
+    const moved = updateTaskStatus(userId, taskId, FOCUS_STATUS);
+    if (!moved.error) {
+      movedFrom = moved.from;
+      task = moved.task;
+    }
+  }
+  
+  return formatFocusStart(task, duration, movedFrom);
+}
+
+/**
+ * Handle create note
+ */
+async function handleCreateNote(userId, intent, context) {
+  const notesToCreate = intent.notes || [];
+  
+  if (notesToCreate.length === 0) {
+    // Fallback: try to create from query or message
+    if (intent.query) {
+      notesToCreate.push({
+        title: intent.query.substring(0, 100),
+        body: intent.query.length > 100 ? intent.query : ''
+      });
+    } else {
+      return formatError('No note content specified');
+    }
+  }
+  
+  const createdNotes = [];
+  
+  for (const noteData of notesToCreate) {
+    const note = createNote(userId, {
+      title: noteData.title,
+      body: noteData.body || '',
+      tags: noteData.tags || [],
+      context
+    });
+    createdNotes.push(note);
+  }
+  
+  // Update context with note IDs
+  updateContext(userId, {
+    noteIds: createdNotes.map(n => n.id)
+  });
+  
+  return formatNoteCreated(createdNotes[0], context);
+}
+
+/**
+ * Handle list notes
+ */
+async function handleListNotes(userId, intent, context) {
+  const filters = {};
+  
+  if (context.projectId) {
+    filters.projectId = context.projectId;
+  }
+  
+  if (intent.entities && intent.entities.tag) {
+    filters.tag = intent.entities.tag;
+  }
+  
+  const notes = listNotes(userId, filters);
+  
+  return formatNoteList(notes, context);
+}
+
+/**
+ * Handle search notes
+ */
+async function handleSearchNotes(userId, intent, context) {
+  const query = intent.query || '';
+  const notes = searchNotes(userId, query);
+  
+  return formatNoteList(notes, { ...context, searchQuery: query });
+}
+
+/**
+ * Handle update note
+ */
+async function handleUpdateNote(userId, intent, context) {
+  const lastNote = getLastNote(userId);
+  
+  if (!lastNote) {
+    return formatError('No recent note to update. Create a note first!');
+  }
+  
+  const patch = {};
+  
+  if (intent.entities && intent.entities.appendContent) {
+    patch.appendBody = intent.entities.appendContent;
+  } else if (intent.query) {
+    patch.appendBody = intent.query;
+  }
+  
+  const updatedNote = updateNote(userId, lastNote.id, patch);
+  
+  if (!updatedNote) {
+    return formatError('Could not update note');
+  }
+  
+  return {
+    message: `✅ Updated note: "${updatedNote.title}"\n\n${updatedNote.body}`,
+    structured: { type: 'note_updated', noteId: updatedNote.id }
+  };
+}
+
+/**
+ * Handle math expressions
+ */
+async function handleMath(userId, intent) {
+  // Check if entities has numbers and operation
+  if (!intent.entities || !intent.entities.numbers || !intent.entities.operation) {
+    return formatError('No math expression detected');
+  }
+  
+  const numbers = intent.entities.numbers;
+  const operation = intent.entities.operation;
+  
+  try {
+    let result;
+    let operatorSymbol;
+    
+    // Perform calculation based on operation
+    switch (operation) {
+      case 'addition':
+        result = numbers.reduce((a, b) => a + b, 0);
+        operatorSymbol = '+';
+        break;
+        
+      case 'subtraction':
+        result = numbers.length > 0 ? numbers.slice(1).reduce((a, b) => a - b, numbers[0]) : 0;
+        operatorSymbol = '-';
+        break;
+        
+      case 'multiplication':
+        result = numbers.reduce((a, b) => a * b, 1);
+        operatorSymbol = '×';
+        break;
+        
+      case 'division':
+        result = numbers.length > 0 ? numbers.slice(1).reduce((a, b) => a / b, numbers[0]) : 0;
+        operatorSymbol = '÷';
+        break;
+        
+      default:
+        throw new Error('Unsupported operation: ' + operation);
+    }
+    
+    if (!isFinite(result)) {
+      throw new Error('Result is not a valid number');
+    }
+    
+    // Build expression string
+    const expr = numbers.join(` ${operatorSymbol} `);
+    
+    return formatMathResult(expr, result);
+  } catch (error) {
+    console.error('[Math] Calculation error:', error);
+    return {
+      message: `I tried to calculate but got an error. 🤔\n\nI can help with simple math like:\n• "calculate 5 + 3"\n• "add 100 and 50"\n• "multiply 12 by 5"\n\nOr I can help you create tasks and notes instead!`,
+      structured: { type: 'math_error', operation }
+    };
+  }
+}
+
+/**
+ * Handle help command - usage guide generated from the action registry
+ */
+async function handleHelp(userContext) {
+  const helpMessage = `📖 **FlowState CLI Help Guide**
+
+${buildHelpSections()}
+
+**📌 Shortcuts**
+• /t [message] - Force task mode
+• /n [message] - Force note mode
+• /f [minutes] - Start focus session
+
+**💡 Pro Tips:**
+- Reference tasks by name or number from list
+- Use "delete all" to clear everything
+- Tasks are sortable by priority (high/medium/low)
+- Assign tasks to team members by name
+
+Need more help? Just ask me anything! 😊`;
+
+  return {
+    message: helpMessage,
+    structured: { type: 'help' }
+  };
+}
+
+// ===== ACTION REGISTRY =====
+// Order matters: it is the order of the NLP action whitelist and the help guide
+
+registerAction('create_task', {
+  description: 'Create tasks',
+  entities: ['title', 'assignee', 'project', 'priority', 'datetime'],
+  fields: ['tasks'],
+  section: 'tasks',
+  examples: ['create a task to [description]', 'create a high priority task for [name] to [description] tomorrow', 'create 3 tasks: [task1], [task2], [task3]'],
+  undoable: true,
+  handler: ({ userId, intent, context }) => handleCreateTasks(userId, intent, context)
+});
+
+registerAction('list_tasks', {
+  description: 'List tasks',
+  entities: ['scope', 'assignee', 'priority', 'status', 'sortBy'],
+  section: 'tasks',
+  examples: ['show my tasks', 'list all tasks', 'show high priority tasks', 'show tasks in review', 're-arrange tasks by priority'],
+  handler: ({ userId, intent, context, userContext }) => handleListTasks(userId, intent, context, userContext)
+});
+
+registerAction('update_task', {
+  description: 'Update a task',
+  entities: ['task_ref', 'assignee', 'description', 'datetime', 'updates'],
+  section: 'tasks',
+  examples: ['assign [task] to [name]', 'move [task] to next Friday'],
+  undoable: true,
+  handler: ({ userId, intent, userContext }) => handleUpdateTask(userId, intent, userContext)
+});
+
+registerAction('update_priority', {
+  description: 'Change task priority',
+  entities: ['task_ref', 'priority'],
+  required: ['priority'],
+  section: 'tasks',
+  examples: ['make [task] high priority'],
+  undoable: true,
+  handler: ({ userId, intent, userContext }) => handleUpdatePriority(userId, intent, userContext)
+});
+
+registerAction('complete_task', {
+  description: 'Complete tasks',
+  entities: ['task_ref'],
+  section: 'tasks',
+  examples: ['complete [task name]', 'mark [task] as done'],
+  undoable: true,
+  handler: ({ userId, intent, userContext }) => handleCompleteTask(userId, intent, userContext)
+});
+
+registerAction('update_status', {
+  description: 'Move a task through its workflow: to do, in progress, in review, done, on hold or cancelled',
+  entities: ['task_ref', 'status'],
+  required: ['task_ref', 'status'],
+  section: 'tasks',
+  examples: ['move [task] to review', 'start working on [task]', 'put [task] on hold', 'cancel [task]'],
+  undoable: true,
+  handler: ({ userId, intent, userContext }) => handleUpdateStatus(userId, intent, userContext)
+});
+
+registerAction('show_activity', {
+  description: 'Show what changed on a task, or what you did over a period',
+  entities: ['task_ref', 'datetime'],
+  section: 'tasks',
+  examples: ['what changed on task 2?', 'history of [task]', 'what did I do yesterday?'],
+  handler: ({ userId, intent, userContext }) => handleShowActivity(userId, intent, userContext)
+});
+
+registerAction('update_dependency', {
+  description: 'Make a task wait on another, or remove that link',
+  entities: ['task_ref', 'depends_on', 'dependency_op'],
+  required: ['task_ref'],
+  section: 'tasks',
+  examples: ['task 3 depends on task 1', 'deploy is blocked by QA sign-off', 'unblock deploy'],
+  undoable: true,
+  handler: ({ userId, intent, userContext }) => handleUpdateDependency(userId, intent, userContext)
+});
+
+registerAction('add_subtasks', {
+  description: 'Add checklist steps to a task; "complete 2.3" checks off step 3 of task 2',
+  entities: ['task_ref', 'items', 'auto_complete'],
+  required: ['task_ref', 'items'],
+  section: 'tasks',
+  examples: ['add steps to task 2: build, test, tag', 'complete 2.1'],
+  undoable: true,
+  handler: ({ userId, intent, userContext }) => handleAddSubtasks(userId, intent, userContext)
+});
+
+registerAction('update_series', {
+  description: 'Make a task repeat, or skip, pause, resume or end its series',
+  entities: ['task_ref', 'series_op', 'recurrence'],
+  required: ['task_ref'],
+  section: 'tasks',
+  examples: ['make [task] repeat every Monday', 'skip [task]', 'pause [task]', 'stop repeating [task]'],
+  undoable: true,
+  handler: ({ userId, intent, userContext }) => handleUpdateSeries(userId, intent, userContext)
+});
+
+registerAction('delete_task', {
+  description: 'Delete tasks',
+  entities: ['task_ref'],
+  section: 'tasks',
+  examples: ['delete [task name]', 'delete all tasks'],
+  undoable: true,
+  handler: ({ userId, intent, userContext }) => handleDeleteTask(userId, intent, userContext)
+});
+
+registerAction('list_trash', {
+  description: 'Show deleted tasks and notes',
+  entities: ['kind'],
+  section: 'tasks',
+  examples: ['show trash', 'show deleted notes'],
+  handler: ({ userId, intent }) => handleListTrash(userId, intent)
+});
+
+registerAction('restore_from_trash', {
+  description: 'Restore a deleted task or note',
+  entities: ['trash_ref'],
+  required: ['trash_ref'],
+  section: 'tasks',
+  examples: ['restore 2', 'restore [title]', 'restore all'],
+  undoable: true,
+  handler: ({ userId, intent, userContext }) => handleRestoreFromTrash(userId, intent, userContext)
+});
+
+registerAction('empty_trash', {
+  description: 'Empty the trash',
+  section: 'tasks',
+  examples: ['empty the trash'],
+  undoable: true,
+  handler: ({ userId }) => handleEmptyTrash(userId)
+});
+
+registerAction('show_urgent', {
+  description: 'Show urgent tasks',
+  section: 'tasks',
+  examples: ['what\'s urgent?'],
+  handler: ({ userId, context }) => handleShowUrgent(userId, context)
+});
+
+registerAction('create_note', {
+  description: 'Create a note',
+  fields: ['notes'],
+  section: 'notes',
+  examples: ['note: [your content]', '/n [content]'],
+  undoable: true,
+  handler: ({ userId, intent, context }) => handleCreateNote(userId, intent, context)
+});
+
+registerAction('list_notes', {
+  description: 'List notes',
+  entities: ['tag'],
+  section: 'notes',
+  examples: ['list my notes', 'show notes'],
+  handler: ({ userId, intent, context }) => handleListNotes(userId, intent, context)
+});
+
+registerAction('search_notes', {
+  description: 'Search notes',
+  section: 'notes',
+  examples: ['search notes for [keyword]'],
+  fields: ['query'],
+  handler: ({ userId, intent, context }) => handleSearchNotes(userId, intent, context)
+});
+
+registerAction('update_note', {
+  description: 'Add to the last note',
+  entities: ['appendContent'],
+  section: 'notes',
+  examples: ['add to last note: [more content]'],
+  undoable: true,
+  handler: ({ userId, intent, context }) => handleUpdateNote(userId, intent, context)
+});
+
+registerAction('focus', {
+  description: 'Start a focus session',
+  entities: ['duration', 'taskId'],
+  section: 'focus',
+  examples: ['start focus for 25 minutes', '/f 25'],
+  undoable: true,
+  handler: ({ userId, intent, context }) => handleFocus(userId, intent, context)
+});
+
+registerAction('math', {
+  description: 'Calculate',
+  entities: ['numbers', 'operation'],
+  required: ['numbers', 'operation'],
+  section: 'math',
+  examples: ['calculate 100 + 50', 'add 5094 and 3776', 'multiply 12 by 5'],
+  handler: ({ userId, intent }) => handleMath(userId, intent)
+});
+
+registerAction('small_talk', {
+  description: 'Chat and ask about time or concepts',
+  fields: ['reply_hint'],
+  section: 'general',
+  examples: ['what time is it?', 'what day is today?', 'what is priority?'],
+  handler: ({ userId, message, intent, userContext }) => handleSmallTalk(userId, message, intent, userContext)
+});
+
+registerAction('create_reminder', {
+  description: 'Set a reminder',
+  entities: ['title', 'datetime'],
+  required: ['title'],
+  section: 'reminders',
+  examples: ['remind me to call Sam at 4pm', 'remind me tomorrow to send the report'],
+  undoable: true,
+  handler: ({ userId, intent }) => handleCreateReminder(userId, intent)
+});
+
+registerAction('list_reminders', {
+  description: 'Show upcoming reminders and due dates',
+  section: 'reminders',
+  examples: ['show my reminders'],
+  handler: ({ userId }) => handleListReminders(userId)
+});
+
+registerAction('cancel_reminder', {
+  description: 'Cancel a reminder',
+  entities: ['reminder_ref'],
+  required: ['reminder_ref'],
+  section: 'reminders',
+  examples: ['cancel reminder 2', 'cancel the reminder to call Sam'],
+  undoable: true,
+  handler: ({ userId, intent }) => handleCancelReminder(userId, intent)
+});
+
+registerAction('update_profile', {
+  description: 'Show or change your timezone, locale, date format, week start and working hours',
+  entities: ['profile'],
+  section: 'general',
+  examples: ['set my timezone to Asia/Kolkata', 'my working hours are 8am-4pm', 'show my settings'],
+  handler: ({ userId, intent }) => handleProfile(userId, intent)
+});
+
+registerAction('undo', {
+  description: 'Take back your last change, or make it again',
+  section: 'general',
+  examples: ['undo', 'redo'],
+  handler: ({ userId }) => handleUndo(userId, 'undo')
+});
+
+registerAction('redo', {
+  description: 'Make the last undone change again',
+  hidden: true,
+  handler: ({ userId }) => handleUndo(userId, 'redo')
+});
+
+registerAction('help', {
+  description: 'Show this guide',
+  section: 'general',
+  examples: ['help'],
+  handler: ({ userContext }) => handleHelp(userContext)
+});
+
+registerAction('plan', {
+  description: 'Several requests in one message, run in order',
+  fields: ['steps'],
+  hidden: true,
+  undoable: true,
+  handler: ({ userId, intent, context, userContext, message }) => handlePlan(userId, intent, context, userContext, message)
+});
+
+registerAction('unknown', {
+  description: 'Ambiguous or unsupported request',
+  hidden: true,
+  handler: ({ userId, message, userContext }) => handleUnknown(userId, message, userContext)
+});
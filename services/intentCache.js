@@ -0,0 +1,213 @@
+/**
+ * Intent Cache
+ * Remembers parsed intents so repeated messages don't cost an LLM call
+ *
+ * Entries are keyed by the normalized message, the chat mode and the prompt
+ * version (a hash of the system prompt, intent mode and model), so changing
+ * the prompt or switching models never serves a stale parse. The in-memory
+ * LRU is bounded by INTENT_CACHE_SIZE; with INTENT_CACHE_PERSIST=true entries
+ * are also written to the "intentCache" storage collection and survive a
+ * restart. Every entry expires after INTENT_CACHE_TTL_MS.
+ */
+
+const crypto = require('crypto');
+const { getLLMConfig } = require('./llm');
+const { getStorage } = require('../utils/storage');
+
+const COLLECTION = 'intentCache';
+const PRUNE_EVERY = 100; // Persistent sets between sweeps of expired records
+
+let intentCache = null;
+
+/**
+ * Normalize a message for cache lookups
+ * Case, surrounding whitespace, repeated spaces and trailing punctuation don't change the intent
+ *
+ * @param {string} text - User message
+ * @returns {string} Normalized message
+ */
+function normalizeUtterance(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[\s.!?]+$/, '');
+}
+
+/**
+ * Short hash identifying a prompt version
+ */
+function hashPrompt(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\n')).digest('hex').substring(0, 16);
+}
+
+/**
+ * Build the cache key for a message
+ *
+ * @param {string} text - User message
+ * @param {Object} options - { mode, promptVersion }
+ * @returns {string} Cache key
+ */
+function buildCacheKey(text, { mode = 'auto', promptVersion = '' } = {}) {
+  return crypto.createHash('sha256')
+    .update(`${promptVersion}\n${mode}\n${normalizeUtterance(text)}`)
+    .digest('hex');
+}
+
+/**
+ * Create an intent cache
+ *
+ * @param {Object} options
+ * @param {number} options.maxEntries - In-memory entries kept (0 disables the cache)
+ * @param {number} options.ttlMs - Entry lifetime in milliseconds (0 = never expires)
+ * @param {Object} options.storage - Storage adapter for persistent entries (optional)
+ * @param {Function} options.now - Clock (for tests)
+ */
+function createIntentCache({ maxEntries = 500, ttlMs = 0, storage = null, now = Date.now } = {}) {
+  const entries = new Map(); // key -> { intent, expiresAt }, least recently used first
+  const counters = { hits: 0, misses: 0, sets: 0, evictions: 0, expired: 0 };
+  let persistentSets = 0;
+
+  const isExpired = entry => entry.expiresAt !== null && entry.expiresAt <= now();
+  const clone = intent => JSON.parse(JSON.stringify(intent));
+
+  function remember(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  /**
+   * Drop expired records from storage
+   */
+  function prunePersistent() {
+    for (const record of storage.find(COLLECTION)) {
+      if (isExpired(record)) {
+        storage.remove(COLLECTION, record.id);
+      }
+    }
+  }
+
+  /**
+   * Look up a cached intent
+   *
+   * @param {string} key - Cache key from buildCacheKey
+   * @returns {Object|null} A copy of the cached intent, or null on a miss
+   */
+  function get(key) {
+    if (maxEntries <= 0) return null;
+
+    let entry = entries.get(key);
+    if (!entry && storage) {
+      const record = storage.get(COLLECTION, key);
+      if (record) {
+        entry = { intent: record.intent, expiresAt: record.expiresAt };
+      }
+    }
+
+    if (entry && isExpired(entry)) {
+      entries.delete(key);
+      if (storage) {
+        storage.remove(COLLECTION, key);
+      }
+      counters.expired++;
+      entry = null;
+    }
+
+    if (!entry) {
+      counters.misses++;
+      return null;
+    }
+
+    remember(key, entry);
+    counters.hits++;
+    return clone(entry.intent);
+  }
+
+  /**
+   * Cache an intent
+   *
+   * @param {string} key - Cache key from buildCacheKey
+   * @param {Object} intent - Parsed intent (stored as a copy)
+   */
+  function set(key, intent) {
+    if (maxEntries <= 0) return;
+
+    const entry = { intent: clone(intent), expiresAt: ttlMs > 0 ? now() + ttlMs : null };
+    remember(key, entry);
+    counters.sets++;
+
+    if (storage) {
+      storage.put(COLLECTION, { id: key, ...entry, createdAt: new Date(now()).toISOString() });
+      if (++persistentSets % PRUNE_EVERY === 0) {
+        prunePersistent();
+      }
+    }
+  }
+
+  /**
+   * Forget every entry (memory and storage)
+   */
+  function clear() {
+    entries.clear();
+    if (storage) {
+      for (const record of storage.find(COLLECTION)) {
+        storage.remove(COLLECTION, record.id);
+      }
+    }
+  }
+
+  /**
+   * Hit/miss counters and configuration
+   */
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      enabled: maxEntries > 0,
+      persistent: !!storage,
+      size: entries.size,
+      maxEntries,
+      ttlMs,
+      ...counters,
+      hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0
+    };
+  }
+
+  return {
+    get,
+    set,
+    clear,
+    stats
+  };
+}
+
+/**
+ * Get the intent cache for this deployment (created on first use)
+ */
+function getIntentCache() {
+  if (!intentCache) {
+    const { intentCacheSize, intentCacheTtlMs, intentCachePersist } = getLLMConfig();
+    const storage = intentCachePersist ? getStorage() : null;
+    intentCache = createIntentCache({ maxEntries: intentCacheSize, ttlMs: intentCacheTtlMs, storage });
+  }
+  return intentCache;
+}
+
+/**
+ * Replace the intent cache (used by tests)
+ */
+function setIntentCache(cache) {
+  intentCache = cache;
+}
+
+module.exports = {
+  normalizeUtterance,
+  hashPrompt,
+  buildCacheKey,
+  createIntentCache,
+  getIntentCache,
+  setIntentCache
+};
@@ -0,0 +1,706 @@
+/**
+ * Intent Schema
+ * Declarative schema for parsed intents, with coercion rules
+ *
+ * LLM replies vary in shape ("urgent" vs "high", "2" vs 2, "plus" vs
+ * "addition", made-up actions). Every intent is normalized here before it
+ * reaches a handler, so handlers only see canonical values.
+ *
+ * Field spec:
+ *   type      - "string" | "number" | "enum" | "object" | "array" | "custom"
+ *   values    - enum: { canonical: [aliases...] }
+ *   fields    - object: nested field specs
+ *   items     - array: spec for each element
+ *   coerce    - custom: (value, path, report) => value (undefined drops the field)
+ *   json      - custom: JSON Schema used when the field is declared as a tool parameter,
+ *               or a function returning it (for values that depend on configuration)
+ *   describe  - description shown to the model in tool parameters
+ *   required  - report an error when missing
+ *   invalid   - what to do with a bad value: "error" (default) | "drop" | "default"
+ *   default   - value used for "default" and for missing fields
+ */
+
+const { getActionNames, getAction, listActions } = require('./actions');
+const { resolveStatus, listStatuses } = require('./workflow');
+
+/**
+ * Action names models tend to invent, mapped to registered actions
+ */
+const ACTION_ALIASES = {
+  create_tasks: 'create_task',
+  add_task: 'create_task',
+  add_tasks: 'create_task',
+  new_task: 'create_task',
+  list_task: 'list_tasks',
+  show_tasks: 'list_tasks',
+  get_tasks: 'list_tasks',
+  complete: 'complete_task',
+  complete_tasks: 'complete_task',
+  finish_task: 'complete_task',
+  mark_done: 'complete_task',
+  delete_tasks: 'delete_task',
+  remove_task: 'delete_task',
+  edit_task: 'update_task',
+  assign_task: 'update_task',
+  set_priority: 'update_priority',
+  change_priority: 'update_priority',
+  urgent: 'show_urgent',
+  add_note: 'create_note',
+  create_notes: 'create_note',
+  show_notes: 'list_notes',
+  calculate: 'math',
+  chat: 'small_talk',
+  greeting: 'small_talk',
+  remind: 'create_reminder',
+  set_reminder: 'create_reminder',
+  add_reminder: 'create_reminder',
+  show_reminders: 'list_reminders',
+  delete_reminder: 'cancel_reminder',
+  remove_reminder: 'cancel_reminder',
+  set_recurrence: 'update_series',
+  repeat_task: 'update_series',
+  skip_occurrence: 'update_series',
+  pause_series: 'update_series',
+  end_series: 'update_series',
+  add_subtask: 'add_subtasks',
+  add_steps: 'add_subtasks',
+  add_checklist: 'add_subtasks',
+  create_subtasks: 'add_subtasks',
+  add_dependency: 'update_dependency',
+  set_dependency: 'update_dependency',
+  link_tasks: 'update_dependency',
+  depends_on: 'update_dependency',
+  set_status: 'update_status',
+  change_status: 'update_status',
+  move_task: 'update_status',
+  update_task_status: 'update_status',
+  task_history: 'show_activity',
+  show_history: 'show_activity',
+  activity_log: 'show_activity',
+  what_changed: 'show_activity',
+  undo_last: 'undo',
+  revert: 'undo',
+  undo_change: 'undo',
+  redo_last: 'redo',
+  show_trash: 'list_trash',
+  view_trash: 'list_trash',
+  list_deleted: 'list_trash',
+  restore: 'restore_from_trash',
+  restore_task: 'restore_from_trash',
+  undelete: 'restore_from_trash',
+  clear_trash: 'empty_trash'
+};
+
+const PRIORITY = {
+  type: 'enum',
+  values: {
+    high: ['urgent', 'critical', 'asap', 'important', 'top', 'p0', 'p1'],
+    medium: ['normal', 'med', 'moderate', 'default', 'p2'],
+    low: ['minor', 'later', 'someday', 'trivial', 'p3', 'p4']
+  }
+};
+
+const CONTEXT_FIELDS = {
+  title: { type: 'string' },
+  description: { type: 'string' },
+  assignee: { type: 'string' },
+  priority: PRIORITY
+};
+
+const TASK = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true },
+    description: { type: 'string', default: '' },
+    priority: { ...PRIORITY, invalid: 'default', default: 'medium' },
+    assignee: { type: 'string' },
+    dueDate: { type: 'string' },
+    project: { type: 'string' },
+    recurrence: { type: 'string', describe: 'repeat rule as the user said it, e.g. "every Monday at 9am"' },
+    subtasks: { type: 'array', items: { type: 'string' }, describe: 'checklist steps, in order' }
+  }
+};
+
+/**
+ * The intent schema
+ */
+const INTENT_SCHEMA = {
+  mode: {
+    type: 'enum',
+    values: { auto: [], tasks: ['task'], notes: ['note'], focus: [], chat: [] },
+    invalid: 'default',
+    default: 'auto'
+  },
+  action: { type: 'custom', coerce: coerceAction, required: true },
+  entities: {
+    type: 'object',
+    default: {},
+    fields: {
+      ...CONTEXT_FIELDS,
+      task_ref: {
+        type: 'custom',
+        coerce: coerceTaskRef,
+        json: { type: ['integer', 'string'] },
+        describe: '1-based number from the last list ("2.3" for step 3 of task 2), a task title, or "all"'
+      },
+      depends_on: {
+        type: 'custom',
+        coerce: coerceTaskRef,
+        json: { type: ['integer', 'string'] },
+        describe: 'the task that must be done first: number from the last list, or a title'
+      },
+      dependency_op: {
+        type: 'enum',
+        values: { add: ['link', 'block', 'depend'], remove: ['unlink', 'unblock', 'clear', 'delete'] },
+        invalid: 'drop'
+      },
+      status: {
+        type: 'custom',
+        coerce: coerceStatus,
+        json: () => ({ type: 'string', enum: listStatuses() }),
+        describe: 'workflow status'
+      },
+      reminder_ref: {
+        type: 'custom',
+        coerce: coerceTaskRef,
+        json: { type: ['integer', 'string'] },
+        describe: '1-based number from the reminder list, or the reminder text'
+      },
+      trash_ref: {
+        type: 'custom',
+        coerce: coerceTaskRef,
+        json: { type: ['integer', 'string'] },
+        describe: '1-based number from the trash list, the deleted task or note title, or "all"'
+      },
+      kind: { type: 'enum', values: { tasks: ['task'], notes: ['note'] }, invalid: 'drop' },
+      project: { type: 'string' },
+      datetime: { type: 'string', describe: 'time reference as the user said it' },
+      recurrence: { type: 'string', describe: 'repeat rule as the user said it, e.g. "monthly on the 1st"' },
+      series_op: {
+        type: 'enum',
+        values: {
+          skip: ['skip_next', 'skip_occurrence'],
+          pause: ['hold', 'suspend'],
+          resume: ['unpause', 'restart'],
+          end: ['stop', 'cancel', 'stop_repeating'],
+          set: ['repeat', 'change']
+        },
+        invalid: 'drop'
+      },
+      tag: { type: 'string' },
+      appendContent: { type: 'string' },
+      taskId: { type: 'string' },
+      scope: { type: 'enum', values: { my: ['mine', 'own', 'owned'], all: ['everyone', 'team'] }, invalid: 'drop' },
+      sortBy: { type: 'enum', values: { priority: [] }, invalid: 'drop' },
+      duration: { type: 'number', invalid: 'drop', describe: 'minutes' },
+      numbers: { type: 'array', items: { type: 'number' } },
+      operation: {
+        type: 'enum',
+        values: {
+          addition: ['add', 'plus', 'sum', '+'],
+          subtraction: ['subtract', 'minus', 'difference', '-'],
+          multiplication: ['multiply', 'times', 'product', 'x', '*', '×'],
+          division: ['divide', 'divided', 'quotient', '/', '÷']
+        }
+      },
+      items: { type: 'array', items: { type: 'string' }, describe: 'checklist steps, in order' },
+      auto_complete: {
+        type: 'custom',
+        coerce: coerceBoolean,
+        json: { type: 'boolean' },
+        describe: 'whether finishing every step completes the task'
+      },
+      updates: { type: 'object', fields: CONTEXT_FIELDS },
+      profile: {
+        type: 'object',
+        fields: {
+          timezone: { type: 'string', describe: 'IANA name, e.g. Asia/Kolkata' },
+          locale: { type: 'string', describe: 'e.g. en-GB' },
+          dateFormat: { type: 'string', describe: 'MDY, DMY or YMD' },
+          weekStart: { type: 'string', describe: 'day the week starts on' },
+          workingHours: { type: 'string', describe: 'as the user said it, e.g. "9am-5pm mon-fri"' }
+        }
+      }
+    }
+  },
+  tasks: { type: 'array', default: [], items: TASK },
+  queue: { type: 'array', items: TASK },
+  notes: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        title: { type: 'string' },
+        body: { type: 'string', default: '' },
+        tags: { type: 'custom', coerce: coerceTags, json: { type: 'array', items: { type: 'string' } } }
+      }
+    }
+  },
+  reply_hint: { type: 'string', describe: 'short reply under 60 words' },
+  query: { type: 'string', describe: 'search keywords' },
+  confidence: {
+    type: 'custom',
+    coerce: coerceConfidence,
+    json: { type: 'number', minimum: 0, maximum: 1 },
+    describe: 'how sure you are of this reading, 0 to 1'
+  },
+  candidates: {
+    type: 'custom',
+    coerce: coerceCandidates,
+    json: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { action: { type: 'string' }, entities: { type: 'object' }, label: { type: 'string' } },
+        required: ['action']
+      }
+    },
+    describe: 'other likely readings, most likely first'
+  },
+  steps: {
+    type: 'custom',
+    coerce: coerceSteps,
+    json: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string' },
+          entities: { type: 'object' },
+          tasks: { type: 'array', items: { type: 'object' } },
+          notes: { type: 'array', items: { type: 'object' } }
+        },
+        required: ['action']
+      }
+    },
+    describe: 'one intent per request, in order; refer to a task from an earlier step as "@<step number>"'
+  }
+};
+
+/**
+ * Normalize an action name to a registered action
+ */
+function coerceAction(value, path, report) {
+  const name = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const actions = getActionNames();
+
+  if (actions.includes(name)) return name;
+  if (ACTION_ALIASES[name]) return ACTION_ALIASES[name];
+
+  report.errors.push({ path, message: `"${value}" is not a supported action` });
+  return 'unknown';
+}
+
+/**
+ * Normalize a task reference: numeric strings become 1-based indices,
+ * "everything" becomes "all", titles stay as trimmed strings
+ */
+function coerceTaskRef(value, path, report) {
+  if (Array.isArray(value)) {
+    if (value.length !== 1) {
+      report.errors.push({ path, message: 'must reference a single task' });
+      return undefined;
+    }
+    value = value[0];
+  }
+
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return value > 0 ? value : undefined;
+  }
+
+  const text = String(value).trim();
+  const index = text.match(/^(?:#|task\s*|no\.?\s*)?(\d+)$/i);
+  if (index) return parseInt(index[1], 10);
+  // Checklist item: "2.3" is step 3 of task 2
+  const item = text.match(/^(?:#|task\s*|no\.?\s*)?(\d+\.\d+)$/i);
+  if (item) return item[1];
+  if (typeof value === 'number') return undefined;
+  if (/^(all|everything)$/i.test(text)) return 'all';
+  return text || undefined;
+}
+
+/**
+ * Normalize a confidence score to 0..1 ("85%" and 85 become 0.85)
+ * Unreadable scores are dropped: a missing score means "confident"
+ */
+function coerceConfidence(value, path, report) {
+  let score = typeof value === 'number' ? value : parseFloat(String(value));
+  if (!Number.isFinite(score) || score < 0) {
+    report.coercions.push({ path, from: value, to: null });
+    return undefined;
+  }
+  if (score > 1) {
+    score = score <= 100 ? score / 100 : 1;
+  }
+  return score;
+}
+
+/**
+ * Validate alternative readings of an ambiguous request
+ * Each candidate is a full intent plus a `label`; candidates that don't
+ * validate are dropped rather than failing the whole intent
+ */
+function coerceCandidates(value, path, report) {
+  const list = Array.isArray(value) ? value : [value];
+
+  return list
+    .map((candidate, i) => {
+      if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        report.coercions.push({ path: `${path}[${i}]`, from: candidate, to: null });
+        return undefined;
+      }
+
+      const { confidence, candidates, ...raw } = candidate;
+      const { intent, errors } = validateIntent(raw);
+      if (errors.length > 0 || intent.action === 'unknown') {
+        report.coercions.push({ path: `${path}[${i}]`, from: candidate.action, to: null });
+        return undefined;
+      }
+      return intent;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Validate the steps of a plan
+ * Each step is a full intent; unlike candidates, an invalid step makes the
+ * whole plan invalid, so no step runs unless every step can
+ */
+function coerceSteps(value, path, report) {
+  const list = Array.isArray(value) ? value : [value];
+
+  return list
+    .map((step, i) => {
+      const stepPath = `${path}[${i}]`;
+      if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        report.errors.push({ path: stepPath, message: 'must be an intent object' });
+        return undefined;
+      }
+
+      const { steps, candidates, ...raw } = step;
+      const result = validateIntent(raw);
+      report.errors.push(...result.errors.map(e => ({ ...e, path: e.path ? `${stepPath}.${e.path}` : stepPath })));
+      report.coercions.push(...result.coercions.map(c => ({ ...c, path: `${stepPath}.${c.path}` })));
+
+      if (result.errors.length === 0 && ['plan', 'unknown'].includes(result.intent.action)) {
+        report.errors.push({ path: `${stepPath}.action`, message: 'must be a single supported action' });
+      }
+      return result.intent;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Yes/no, including the words models use for it
+ */
+function coerceBoolean(value, path, report) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'on', '1'].includes(text)) return true;
+  if (['false', 'no', 'off', '0'].includes(text)) return false;
+  report.coercions.push({ path, from: value, to: null });
+  return undefined;
+}
+
+/**
+ * Normalize a workflow status ("review", "In Progress", "done") to its key
+ * Unknown statuses are dropped, so a required status reports as missing
+ */
+function coerceStatus(value, path, report) {
+  const status = resolveStatus(value);
+  if (!status) {
+    report.coercions.push({ path, from: value, to: null });
+    return undefined;
+  }
+  return status;
+}
+
+/**
+ * Normalize tags to an array of strings ("a, b" -> ["a", "b"])
+ */
+function coerceTags(value) {
+  const tags = Array.isArray(value) ? value : String(value).split(',');
+  return tags.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Apply a field spec to a value
+ *
+ * @returns {*} Coerced value, or undefined to drop the field
+ */
+function applySpec(spec, value, path, report) {
+  if (value === undefined || value === null || value === '') {
+    if (spec.required) {
+      report.errors.push({ path, message: 'is required' });
+    }
+    return spec.default !== undefined ? structuredClone(spec.default) : undefined;
+  }
+
+  let rejected = false;
+  const invalid = message => {
+    rejected = true;
+    if (spec.invalid === 'drop' || spec.invalid === 'default') {
+      const fallback = spec.invalid === 'default' ? spec.default : undefined;
+      report.coercions.push({ path, from: value, to: fallback === undefined ? null : fallback });
+      return fallback;
+    }
+    report.errors.push({ path, message });
+    return undefined;
+  };
+
+  const result = coerceValue(spec, value, path, report, invalid);
+  // Report changed scalars; nested objects report their own fields
+  if (!rejected && result !== undefined && typeof value !== 'object' && result !== value) {
+    report.coercions.push({ path, from: value, to: result });
+  }
+  return result;
+}
+
+function coerceValue(spec, value, path, report, invalid) {
+  switch (spec.type) {
+    case 'custom':
+      return spec.coerce(value, path, report);
+
+    case 'string':
+      return typeof value === 'object' ? invalid('must be text') : String(value).trim() || undefined;
+
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+      return Number.isFinite(number) ? number : invalid(`"${value}" is not a number`);
+    }
+
+    case 'enum': {
+      const text = String(value).trim().toLowerCase();
+      for (const [canonical, aliases] of Object.entries(spec.values)) {
+        if (text === canonical || aliases.includes(text)) return canonical;
+      }
+      return invalid(`"${value}" is not one of ${Object.keys(spec.values).join(', ')}`);
+    }
+
+    case 'array': {
+      // Accept a lone item or a comma-separated list where an array is expected
+      let items = value;
+      if (!Array.isArray(items)) {
+        items = typeof items === 'string' && spec.items.type !== 'object' ? items.split(',') : [items];
+      }
+      return items
+        .map((item, i) => {
+          // Items missing a required field are dropped (the error is kept)
+          const errorsBefore = report.errors.length;
+          const coerced = applySpec(spec.items, item, `${path}[${i}]`, report);
+          const incomplete = report.errors.slice(errorsBefore).some(e => e.message === 'is required');
+          return incomplete ? undefined : coerced;
+        })
+        .filter(item => item !== undefined);
+    }
+
+    case 'object': {
+      if (typeof value === 'string' && spec.fields.title) {
+        value = { title: value };
+      }
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return invalid('must be an object');
+      }
+      return applyFields(spec.fields, value, path, report);
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${spec.type}" at ${path}`);
+  }
+}
+
+/**
+ * Apply nested field specs; unknown keys pass through untouched
+ */
+function applyFields(fields, value, path, report) {
+  const result = { ...value };
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const coerced = applySpec(spec, value[key], path ? `${path}.${key}` : key, report);
+    if (coerced === undefined) {
+      delete result[key];
+    } else {
+      result[key] = coerced;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate and normalize a parsed intent
+ *
+ * @param {Object} raw - Intent parsed from the LLM (or the regex fallback)
+ * @returns {{ intent: Object, errors: Array, coercions: Array }}
+ *          errors/coercions are { path, message } / { path, from, to }
+ */
+function validateIntent(raw) {
+  const report = { errors: [], coercions: [] };
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    report.errors.push({ path: '', message: 'reply must be a JSON object' });
+    return { intent: { mode: 'auto', action: 'unknown', entities: {}, tasks: [] }, ...report };
+  }
+
+  const intent = applyFields(INTENT_SCHEMA, raw, '', report);
+
+  // Entities required by the chosen action
+  const action = getAction(intent.action);
+  if (action) {
+    for (const key of action.required) {
+      if (intent.entities[key] === undefined && !report.errors.some(e => e.path === `entities.${key}`)) {
+        report.errors.push({ path: `entities.${key}`, message: `is required for ${intent.action}` });
+      }
+    }
+  }
+
+  if (intent.action === 'create_task' && intent.tasks.length === 0 && !intent.entities.title) {
+    report.errors.push({ path: 'tasks', message: 'create_task needs at least one task with a title' });
+  }
+
+  if (intent.action === 'plan') {
+    const steps = intent.steps || [];
+    if (steps.length === 0 && !report.errors.some(e => e.path.startsWith('steps'))) {
+      report.errors.push({ path: 'steps', message: 'plan needs at least one step' });
+    } else if (steps.length === 1 && report.errors.length === 0) {
+      // A one-step plan is just that step
+      return { intent: { ...steps[0], query: intent.query || steps[0].query }, ...report };
+    }
+  }
+
+  return { intent, ...report };
+}
+
+/**
+ * Convert a field spec to JSON Schema for tool parameters
+ */
+function toJsonSchema(spec) {
+  let schema;
+  switch (spec.type) {
+    case 'custom':
+      schema = typeof spec.json === 'function' ? spec.json() : { ...spec.json };
+      break;
+
+    case 'enum':
+      schema = { type: 'string', enum: Object.keys(spec.values) };
+      break;
+
+    case 'array':
+      schema = { type: 'array', items: toJsonSchema(spec.items) };
+      break;
+
+    case 'object':
+      schema = {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(spec.fields).map(([key, field]) => [key, toJsonSchema(field)])),
+        required: Object.keys(spec.fields).filter(key => spec.fields[key].required)
+      };
+      if (schema.required.length === 0) delete schema.required;
+      break;
+
+    default:
+      schema = { type: spec.type };
+  }
+
+  if (spec.describe) {
+    schema.description = spec.describe;
+  }
+  return schema;
+}
+
+/**
+ * Declare every registered action as a tool (OpenAI function-calling format)
+ * Parameters are the action's entities plus the top-level fields it fills,
+ * typed from the intent schema
+ *
+ * @returns {Array} Tool definitions
+ */
+function buildActionTools() {
+  const entityFields = INTENT_SCHEMA.entities.fields;
+
+  return listActions().map(action => {
+    const properties = {};
+    for (const key of action.entities) {
+      properties[key] = entityFields[key] ? toJsonSchema(entityFields[key]) : { type: 'string' };
+    }
+    for (const key of action.fields) {
+      properties[key] = toJsonSchema(INTENT_SCHEMA[key]);
+    }
+    properties.confidence = toJsonSchema(INTENT_SCHEMA.confidence);
+
+    return {
+      type: 'function',
+      function: {
+        name: action.name,
+        description: action.description,
+        parameters: { type: 'object', properties, required: action.required }
+      }
+    };
+  });
+}
+
+/**
+ * Build a raw intent from tool calls
+ * Arguments named after an action's top-level fields (tasks, notes, ...)
+ * go on the intent; everything else is an entity. Repeated calls to the
+ * same action are merged, so "create three tasks" can arrive as three calls.
+ * Calls to other actions are the model's alternative readings and become
+ * `candidates`, in call order.
+ *
+ * @param {Array} toolCalls - tool_calls from the chat completion message
+ * @returns {Object|null} Raw intent, or null if the arguments aren't JSON
+ */
+function intentFromToolCalls(toolCalls) {
+  const names = [...new Set(toolCalls.map(call => call.function.name))];
+  const intents = [];
+
+  for (const name of names) {
+    const action = getAction(name);
+    const fields = action ? action.fields : [];
+    const intent = { action: name, entities: {} };
+
+    for (const call of toolCalls.filter(c => c.function.name === name)) {
+      let args;
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch (error) {
+        return null;
+      }
+
+      for (const [key, value] of Object.entries(args)) {
+        if (key === 'confidence') {
+          intent.confidence = value;
+        } else if (!fields.includes(key)) {
+          intent.entities[key] = value;
+        } else if (Array.isArray(value)) {
+          intent[key] = [...(intent[key] || []), ...value];
+        } else {
+          intent[key] = value;
+        }
+      }
+    }
+    intents.push(intent);
+  }
+
+  const [intent, ...candidates] = intents;
+  if (candidates.length > 0) {
+    intent.candidates = candidates;
+  }
+  return intent;
+}
+
+/**
+ * Format validation errors for a corrective prompt or log line
+ */
+function formatValidationErrors(errors) {
+  return errors.map(e => `- ${e.path || 'reply'}: ${e.message}`).join('\n');
+}
+
+module.exports = {
+  INTENT_SCHEMA,
+  ACTION_ALIASES,
+  validateIntent,
+  buildActionTools,
+  intentFromToolCalls,
+  formatValidationErrors
+};
@@ -0,0 +1,146 @@
+/**
+ * Fixture Providers
+ * Record real LLM responses to fixture files and replay them offline
+ *
+ * Fixtures are keyed by a hash of the user prompt (and whether tools were
+ * offered, since tool-calling replies differ), so re-recording replaces a
+ * prompt's file rather than adding another. Each fixture also stores a hash
+ * of the system prompt it was recorded with. Replay refuses a fixture
+ * recorded with a different system prompt ("stale"): a prompt change
+ * (new actions, reworded rules) fails replay until it is re-recorded.
+ *
+ * Only real LLMs are recorded: a fixture of the mock provider's scripted
+ * reply would test nothing, so recording refuses it and replay refuses
+ * fixtures that don't name the provider that answered.
+ *
+ * Fixture file: <dir>/<key>.json
+ *   { key, userPrompt, tools, systemPromptHash, provider, model, temperature, response, recordedAt }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Hash a string for fixture lookup
+ */
+function hash(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex').substring(0, 16);
+}
+
+/**
+ * Split a chat request into the prompts used for keying
+ */
+function promptsOf(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+  const user = messages.filter(m => m.role !== 'system').map(m => m.content).join('\n');
+  return { system, user };
+}
+
+/**
+ * Get the fixture key for a chat request
+ *
+ * @param {Object} request - Chat request ({ messages, tools })
+ * @returns {string} Fixture key
+ */
+function fixtureKey({ messages, tools }) {
+  const { user } = promptsOf(messages);
+  return hash(tools ? `${user}\n#tools` : user);
+}
+
+/**
+ * Wrap a provider so every response is saved as a fixture
+ *
+ * @param {Object} inner - Provider that answers the requests
+ * @param {Object} options
+ * @param {string} options.dir - Fixture directory
+ */
+function createRecordingProvider(inner, { dir }) {
+  if (!inner || inner.name === 'mock') {
+    throw new Error('Fixtures must be recorded from a real LLM provider (LLM_PROVIDER=groq or openai), not the mock.');
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  const recorded = [];
+
+  async function complete(request) {
+    const response = await inner.complete(request);
+    const { system, user } = promptsOf(request.messages);
+    const key = fixtureKey(request);
+
+    const fixture = {
+      key,
+      userPrompt: user,
+      tools: !!request.tools,
+      systemPromptHash: hash(system),
+      provider: inner.name,
+      model: request.model,
+      temperature: request.temperature,
+      response,
+      recordedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(fixture, null, 2) + '\n');
+    recorded.push(key);
+    console.log(`[LLM Fixtures] Recorded ${key}`);
+
+    return response;
+  }
+
+  return {
+    name: `${inner.name}+record`,
+    supportsTools: inner.supportsTools,
+    recorded,
+    isConfigured: inner.isConfigured,
+    complete
+  };
+}
+
+/**
+ * Serve responses from fixture files instead of calling an LLM
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Fixture directory
+ */
+function createReplayProvider({ dir }) {
+  const stale = [];
+  const misses = [];
+
+  function isConfigured() {
+    return true;
+  }
+
+  async function complete(request) {
+    const { system, user } = promptsOf(request.messages);
+    const key = fixtureKey(request);
+    const file = path.join(dir, `${key}.json`);
+
+    if (!fs.existsSync(file)) {
+      misses.push(key);
+      throw new Error(`No LLM fixture for prompt ${key} ("${user.substring(0, 60)}"). Record it with LLM_FIXTURES=record.`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!fixture.provider || fixture.provider === 'mock') {
+      throw new Error(`LLM fixture ${key} wasn't recorded from a real LLM provider. Re-record it with LLM_FIXTURES=record.`);
+    }
+    if (fixture.systemPromptHash !== hash(system)) {
+      stale.push(key);
+      throw new Error(`LLM fixture ${key} ("${user.substring(0, 60)}") was recorded with a different system prompt. Re-record it with LLM_FIXTURES=record.`);
+    }
+    return fixture.response;
+  }
+
+  return {
+    name: 'replay',
+    supportsTools: true,
+    stale,
+    misses,
+    isConfigured,
+    complete
+  };
+}
+
+module.exports = {
+  fixtureKey,
+  createRecordingProvider,
+  createReplayProvider
+};
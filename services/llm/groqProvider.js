@@ -0,0 +1,54 @@
+/**
+ * Groq Provider
+ * Chat completions through the groq-sdk client
+ */
+
+/**
+ * Create a Groq provider
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Groq API key
+ */
+function createGroqProvider({ apiKey }) {
+  // Initialize the client lazily so the server starts without a key
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      if (!apiKey) {
+        throw new Error(
+          'GROQ_API_KEY environment variable is not configured. ' +
+          'Please set it in your .env file or Vercel environment variables.'
+        );
+      }
+      const Groq = require('groq-sdk');
+      client = new Groq({ apiKey });
+    }
+    return client;
+  }
+
+  function isConfigured() {
+    return !!apiKey;
+  }
+
+  async function complete({ messages, model, temperature, maxTokens, tools, toolChoice }) {
+    return getClient().chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(tools ? { tools, tool_choice: toolChoice || 'auto' } : {})
+    });
+  }
+
+  return {
+    name: 'groq',
+    supportsTools: true,
+    isConfigured,
+    complete
+  };
+}
+
+module.exports = {
+  createGroqProvider
+};
@@ -0,0 +1,198 @@
+/**
+ * LLM Providers
+ * Selects the chat-completion provider used by the NLP service
+ *
+ * LLM_PROVIDER=groq    - Groq cloud API (default, requires GROQ_API_KEY)
+ * LLM_PROVIDER=openai  - Any OpenAI-compatible HTTP endpoint (llama.cpp, Ollama, vLLM, OpenAI)
+ * LLM_PROVIDER=mock    - Deterministic scripted responses for tests and offline runs
+ *
+ * Every provider implements the same interface:
+ *
+ *   name                                   -> provider name
+ *   supportsTools                          -> boolean (accepts `tools` and returns tool_calls)
+ *   isConfigured()                         -> boolean (credentials / endpoint present)
+ *   complete({ messages, model, temperature, maxTokens, tools, toolChoice })
+ *                                          -> Promise<{ choices: [{ message: { content } }], usage }>
+ *
+ * Responses use the OpenAI chat-completion shape so callers don't care
+ * which provider answered.
+ *
+ * LLM_INTENT_MODE=json  - Ask for a JSON reply in the prompt (default, works with any model)
+ * LLM_INTENT_MODE=tools - Declare actions as tools and read back tool calls
+ *                         (used when the provider supports tools; JSON mode is the fallback)
+ *
+ * LLM_FIXTURES=record  - Also save every response to LLM_FIXTURES_DIR
+ * LLM_FIXTURES=replay  - Answer from LLM_FIXTURES_DIR only (no network)
+ *
+ * All calls share one rate limiter (LLM_REQUESTS_PER_MINUTE, LLM_TOKENS_PER_MINUTE);
+ * long inputs run up to LLM_CHUNK_CONCURRENCY chunk calls at a time.
+ *
+ * Parsed intents are cached (INTENT_CACHE_SIZE, INTENT_CACHE_TTL_MS,
+ * INTENT_CACHE_PERSIST; see services/intentCache.js), and unambiguous
+ * commands skip the LLM entirely unless INTENT_FAST_PATH=false. Parses less
+ * confident than INTENT_CLARIFY_CONFIDENCE ask the user which reading they meant.
+ */
+
+const path = require('path');
+const { createGroqProvider } = require('./groqProvider');
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+const { createMockProvider } = require('./mockProvider');
+const { createRecordingProvider, createReplayProvider } = require('./fixtureProvider');
+const { createRateLimiter } = require('./rateLimiter');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'llm');
+
+const DEFAULT_MODELS = {
+  groq: 'llama-3.3-70b-versatile',
+  openai: 'llama3.1',
+  mock: 'mock'
+};
+
+let provider = null;
+let rateLimiter = null;
+
+/**
+ * Read a numeric setting from the environment
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Get the LLM configuration for this deployment
+ *
+ * @returns {Object} Provider name, model, sampling, token caps, rate limits and intent caching
+ */
+function getLLMConfig() {
+  const providerName = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+
+  return {
+    provider: providerName,
+    model: process.env.LLM_MODEL || DEFAULT_MODELS[providerName],
+    temperature: numberFromEnv('LLM_TEMPERATURE', 0.7),
+    intentMode: (process.env.LLM_INTENT_MODE || 'json').toLowerCase() === 'tools' ? 'tools' : 'json',
+    maxInputTokens: numberFromEnv('MAX_INPUT_TOKENS_PER_CALL', 6000),
+    maxOutputTokens: numberFromEnv('MAX_OUTPUT_TOKENS_PER_CALL', 2000),
+    maxTotalTokens: numberFromEnv('MAX_TOTAL_TOKENS_PER_CALL', 8000),
+    chunkConcurrency: Math.max(1, numberFromEnv('LLM_CHUNK_CONCURRENCY', 3)),
+    requestsPerMinute: numberFromEnv('LLM_REQUESTS_PER_MINUTE', 30),
+    tokensPerMinute: numberFromEnv('LLM_TOKENS_PER_MINUTE', 0),
+    rateLimitRetries: numberFromEnv('LLM_RATE_LIMIT_RETRIES', 3),
+    intentCacheSize: Math.max(0, numberFromEnv('INTENT_CACHE_SIZE', 500)),
+    intentCacheTtlMs: numberFromEnv('INTENT_CACHE_TTL_MS', 24 * 60 * 60 * 1000),
+    intentCachePersist: process.env.INTENT_CACHE_PERSIST === 'true',
+    fastPath: process.env.INTENT_FAST_PATH !== 'false',
+    clarifyConfidence: numberFromEnv('INTENT_CLARIFY_CONFIDENCE', 0.6)
+  };
+}
+
+/**
+ * Create a provider by name
+ *
+ * @param {string} name - "groq" | "openai" | "mock"
+ * @param {Object} options - Provider options (apiKey, baseUrl, responses, ...)
+ * @returns {Object} LLM provider
+ */
+function createProvider(name, options = {}) {
+  switch (name) {
+    case 'groq':
+      return createGroqProvider({
+        apiKey: options.apiKey || process.env.GROQ_API_KEY
+      });
+
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        baseUrl: options.baseUrl || process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: options.apiKey || process.env.LLM_API_KEY,
+        timeoutMs: options.timeoutMs || numberFromEnv('LLM_TIMEOUT_MS', 30000),
+        supportsTools: options.supportsTools !== undefined ? options.supportsTools : process.env.LLM_SUPPORTS_TOOLS !== 'false'
+      });
+
+    case 'mock':
+      return createMockProvider({
+        responses: options.responses,
+        respond: options.respond,
+        file: options.file || process.env.LLM_MOCK_RESPONSES
+      });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use groq, openai or mock.`);
+  }
+}
+
+/**
+ * Wrap a provider for fixture recording or replay
+ *
+ * @param {Object} inner - Provider used when recording
+ * @param {string} mode - "record" | "replay" | undefined
+ * @param {string} dir - Fixture directory
+ * @returns {Object} LLM provider
+ */
+function withFixtures(inner, mode, dir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+  switch (mode) {
+    case 'record':
+      return createRecordingProvider(inner, { dir });
+
+    case 'replay':
+      return createReplayProvider({ dir });
+
+    case undefined:
+    case '':
+      return inner;
+
+    default:
+      throw new Error(`Unknown LLM_FIXTURES mode "${mode}". Use record or replay.`);
+  }
+}
+
+/**
+ * Get the configured provider (created on first use)
+ */
+function getProvider() {
+  if (!provider) {
+    const { provider: name, model } = getLLMConfig();
+    const mode = process.env.LLM_FIXTURES;
+    // Replay never calls the real provider, so don't require its credentials
+    provider = withFixtures(mode === 'replay' ? null : createProvider(name), mode);
+    console.log(`[LLM] Using ${provider.name} provider (model ${model})`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the provider (used by tests and scripts)
+ */
+function setProvider(adapter) {
+  provider = adapter;
+}
+
+/**
+ * Get the rate limiter shared by all LLM calls (created on first use)
+ */
+function getRateLimiter() {
+  if (!rateLimiter) {
+    const { requestsPerMinute, tokensPerMinute } = getLLMConfig();
+    rateLimiter = createRateLimiter({ requestsPerMinute, tokensPerMinute });
+  }
+  return rateLimiter;
+}
+
+/**
+ * Replace the rate limiter (used by tests)
+ */
+function setRateLimiter(limiter) {
+  rateLimiter = limiter;
+}
+
+module.exports = {
+  DEFAULT_MODELS,
+  DEFAULT_FIXTURES_DIR,
+  getLLMConfig,
+  createProvider,
+  withFixtures,
+  getProvider,
+  setProvider,
+  getRateLimiter,
+  setRateLimiter
+};
@@ -0,0 +1,89 @@
+/**
+ * Mock Provider
+ * Deterministic scripted responses for tests and offline runs
+ *
+ * Responses are consumed in order. Each entry is either a string (the reply
+ * content), an object (serialized to JSON), an object with `tool_calls`
+ * (returned as a tool-call message), or an Error (thrown). A `respond`
+ * function can compute replies from the messages instead. Responses carry
+ * no `usage`, so callers count tokens themselves, as for providers that
+ * don't report it.
+ */
+
+const fs = require('fs');
+
+/**
+ * Create a mock provider
+ *
+ * @param {Object} options
+ * @param {Array} options.responses - Scripted replies, consumed in order
+ * @param {Function} options.respond - (messages, request) => reply; used when the script is empty
+ * @param {string} options.file - JSON file holding an array of scripted replies
+ */
+function createMockProvider({ responses, respond, file } = {}) {
+  const script = responses ? [...responses] : (file ? JSON.parse(fs.readFileSync(file, 'utf8')) : []);
+  const calls = [];
+
+  function isConfigured() {
+    return true;
+  }
+
+  function toResponse(reply) {
+    if (reply && Array.isArray(reply.tool_calls)) {
+      const toolCalls = reply.tool_calls.map((call, i) => ({
+        id: `call_${calls.length}_${i}`,
+        type: 'function',
+        function: {
+          name: call.name || call.function.name,
+          arguments: JSON.stringify(call.arguments || {})
+        }
+      }));
+      return {
+        choices: [{ message: { role: 'assistant', content: null, tool_calls: toolCalls }, finish_reason: 'tool_calls' }]
+      };
+    }
+
+    const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+    return {
+      choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }]
+    };
+  }
+
+  async function complete(request) {
+    calls.push(request);
+
+    let reply;
+    if (script.length > 0) {
+      reply = script.shift();
+    } else if (respond) {
+      reply = await respond(request.messages, request);
+    } else {
+      throw new Error('Mock LLM script exhausted');
+    }
+
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return toResponse(reply);
+  }
+
+  /**
+   * Append replies to the script
+   */
+  function enqueue(...replies) {
+    script.push(...replies);
+  }
+
+  return {
+    name: 'mock',
+    supportsTools: true,
+    calls,
+    isConfigured,
+    complete,
+    enqueue
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,71 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat completions over plain HTTP against any server exposing
+ * POST <baseUrl>/chat/completions (llama.cpp server, Ollama, vLLM, OpenAI)
+ */
+
+/**
+ * Create an OpenAI-compatible provider
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} options.apiKey - Bearer token (optional for local servers)
+ * @param {number} options.timeoutMs - Request timeout
+ * @param {boolean} options.supportsTools - Whether the served model handles tool calls
+ */
+function createOpenAICompatibleProvider({ baseUrl, apiKey, timeoutMs = 30000, supportsTools = true }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  function isConfigured() {
+    return !!baseUrl;
+  }
+
+  async function complete({ messages, model, temperature, maxTokens, tools, toolChoice }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          ...(tools ? { tools, tool_choice: toolChoice || 'auto' } : {})
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw new Error(`LLM API request to ${endpoint} failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`LLM API error ${response.status}: ${body.substring(0, 200)}`);
+      error.status = response.status;
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (Number.isFinite(retryAfter) && retryAfter > 0) {
+        error.retryAfterMs = retryAfter * 1000;
+      }
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  return {
+    name: 'openai',
+    supportsTools,
+    isConfigured,
+    complete
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
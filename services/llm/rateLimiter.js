@@ -0,0 +1,121 @@
+/**
+ * Rate Limiter
+ * Request-per-minute and token-per-minute budget shared by every LLM call
+ *
+ * Calls are tracked over a sliding one-minute window. `acquire` waits until
+ * the call fits both budgets, and callers are served in order. A call reserves
+ * its worst case (prompt + reply budget) and settles the real count once the
+ * response arrives. After a 429, `pause` holds every call back for the
+ * backoff delay, not just the one that was rejected.
+ */
+
+const WINDOW_MS = 60000;
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options
+ * @param {number} options.requestsPerMinute - Max requests per minute (0 = unlimited)
+ * @param {number} options.tokensPerMinute - Max tokens per minute (0 = unlimited)
+ * @param {Function} options.now - Clock (for tests)
+ * @param {Function} options.sleep - Delay function (for tests)
+ */
+function createRateLimiter({
+  requestsPerMinute = 0,
+  tokensPerMinute = 0,
+  now = Date.now,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  const window = []; // { at, tokens } per call in the last minute
+  let pausedUntil = 0;
+  let line = Promise.resolve();
+
+  function prune(time) {
+    while (window.length > 0 && window[0].at <= time - WINDOW_MS) {
+      window.shift();
+    }
+  }
+
+  /**
+   * How long a call of `tokens` has to wait before it fits
+   */
+  function waitTime(tokens) {
+    const time = now();
+    prune(time);
+    let wait = Math.max(0, pausedUntil - time);
+
+    if (requestsPerMinute > 0 && window.length >= requestsPerMinute) {
+      wait = Math.max(wait, window[window.length - requestsPerMinute].at + WINDOW_MS - time);
+    }
+
+    if (tokensPerMinute > 0) {
+      // A call bigger than the whole budget goes once the window is empty
+      const needed = Math.min(tokens, tokensPerMinute);
+      let used = window.reduce((sum, entry) => sum + entry.tokens, 0);
+      for (const entry of window) {
+        if (used + needed <= tokensPerMinute) break;
+        used -= entry.tokens;
+        wait = Math.max(wait, entry.at + WINDOW_MS - time);
+      }
+    }
+
+    return wait;
+  }
+
+  /**
+   * Wait for room in the budget and reserve it
+   *
+   * @param {number} tokens - Tokens to reserve
+   * @returns {Promise<{ settle: Function }>} Call settle(actualTokens) when the call is done
+   */
+  function acquire(tokens = 0) {
+    const ticket = line.then(async () => {
+      let wait;
+      while ((wait = waitTime(tokens)) > 0) {
+        await sleep(wait);
+      }
+
+      const entry = { at: now(), tokens };
+      window.push(entry);
+      return {
+        settle(actualTokens) {
+          entry.tokens = actualTokens;
+        }
+      };
+    });
+
+    line = ticket.catch(() => {});
+    return ticket;
+  }
+
+  /**
+   * Hold back every call for a while (after a rate-limit response)
+   */
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, now() + ms);
+  }
+
+  /**
+   * Usage in the current window
+   */
+  function stats() {
+    prune(now());
+    return {
+      requests: window.length,
+      tokens: window.reduce((sum, entry) => sum + entry.tokens, 0),
+      requestsPerMinute,
+      tokensPerMinute
+    };
+  }
+
+  return {
+    acquire,
+    pause,
+    stats
+  };
+}
+
+module.exports = {
+  WINDOW_MS,
+  createRateLimiter
+};
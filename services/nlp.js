@@ -1,59 +1,125 @@
 /**
- * NLP Service - Groq Integration with Token Splitting
+ * NLP Service - LLM Integration with Token Splitting
  * 
- * HARD TOKEN-SAFETY LAYER FOR GROQ CALLS
- * Model: llama-3.3-70b-versatile (context window 128k tokens)
+ * HARD TOKEN-SAFETY LAYER FOR LLM CALLS
+ * Provider and model are configurable (see services/llm);
+ * the default is Groq with llama-3.3-70b-versatile (context window 128k tokens)
  * 
  * Token splitting ensures large prompts are automatically chunked
- * and processed in multiple Groq calls, then merged.
+ * and processed in multiple LLM calls, then merged.
  */
 
-const Groq = require('groq-sdk');
+const { getActionNames, listActions } = require('./actions');
+const { getProvider, getLLMConfig, getRateLimiter } = require('./llm');
+const { countTokens, countMessageTokens, getTokenizerFamily } = require('./tokenizer');
+const { runChunks, locateChunks, isRateLimitError } = require('./chunkExecutor');
+const { validateIntent, formatValidationErrors, buildActionTools, intentFromToolCalls } = require('./intentSchema');
+const { getIntentCache, buildCacheKey, hashPrompt, normalizeUtterance } = require('./intentCache');
+const { findDateExpression } = require('./dates');
+const { findRecurrence } = require('./recurrence');
+const { INITIAL_STATUS, DONE_STATUS, resolveStatus, listStatuses, statusNames } = require('./workflow');
 
 // ===== TOKEN SAFETY CONSTANTS =====
-const MAX_INPUT_TOKENS_PER_CALL = 6000;      // safety cap per request
-const MAX_OUTPUT_TOKENS_PER_CALL = 2000;     // increased for large task lists
-const MAX_TOTAL_TOKENS_PER_CALL = 8000;      // input + output hard cap (well within model limit)
+// Overridable per deployment with the env vars of the same name
+const LLM_CONFIG = getLLMConfig();
+const MAX_INPUT_TOKENS_PER_CALL = LLM_CONFIG.maxInputTokens;    // safety cap per request
+const MAX_OUTPUT_TOKENS_PER_CALL = LLM_CONFIG.maxOutputTokens;  // increased for large task lists
+const MAX_TOTAL_TOKENS_PER_CALL = LLM_CONFIG.maxTotalTokens;    // input + output hard cap (well within model limit)
+const MIN_OUTPUT_TOKENS_PER_CALL = 256;                         // smallest reply budget worth making a call for
+// Largest prompt that still leaves room for a reply under the total cap
+const MAX_PROMPT_TOKENS_PER_CALL = Math.min(MAX_INPUT_TOKENS_PER_CALL, MAX_TOTAL_TOKENS_PER_CALL - MIN_OUTPUT_TOKENS_PER_CALL);
 
-// Initialize Groq client lazily to avoid startup errors
-let groq = null;
+/**
+ * TOKEN COUNTING
+ * Counts with the offline tokenizer for the configured model family
+ * (see services/tokenizer.js)
+ * 
+ * @param {string} text - Text to count tokens for
+ * @returns {number} Token count
+ */
+function estimateTokens(text) {
+  return countTokens(text, LLM_CONFIG.model);
+}
+
+/**
+ * Count the prompt tokens of a system + user call, including message overhead
+ */
+function countPromptTokens(systemPrompt, userPrompt, tools = null) {
+  return countMessageTokens([
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ], LLM_CONFIG.model, tools);
+}
+
+// Markdown heading ("## Apollo") or a short lead-in line ending in a colon ("For project Apollo:")
+const HEADING_PATTERN = /^\s*(#{1,6}\s+\S.*|[^.!?:]{1,80}:)\s*$/;
+// Bulleted or numbered list item ("- ...", "* ...", "1. ...", "2) ...")
+const LIST_ITEM_PATTERN = /^\s*([-*•+]|\d{1,3}[.)])\s+\S/;
 
 /**
- * Get or initialize the Groq client
- * @returns {Groq} Groq client instance
- * @throws {Error} If GROQ_API_KEY is not configured
+ * SPLIT TEXT INTO BLOCKS
+ * Breaks text into headings, list items (with their continuation lines)
+ * and blank-line separated paragraphs
+ * 
+ * @param {string} text - Text to split
+ * @returns {Array<{ type: string, text: string, separator: string }>}
+ *          type is "heading" | "item" | "paragraph"; separator is the
+ *          whitespace that preceded the block
  */
-function getGroqClient() {
-  if (!groq) {
-    if (!process.env.GROQ_API_KEY) {
-      throw new Error(
-        'GROQ_API_KEY environment variable is not configured. ' +
-        'Please set it in your .env file or Vercel environment variables.'
-      );
+function splitIntoBlocks(text) {
+  const blocks = [];
+  let current = null;
+  let blankBefore = false;
+  
+  const push = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+  
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/\s+$/, '');
+    
+    if (!line.trim()) {
+      push();
+      blankBefore = true;
+      continue;
     }
-    groq = new Groq({
-      apiKey: process.env.GROQ_API_KEY
-    });
+    
+    const separator = blocks.length === 0 && !current ? '' : (blankBefore ? '\n\n' : '\n');
+    
+    if (HEADING_PATTERN.test(line)) {
+      push();
+      blocks.push({ type: 'heading', text: line, separator });
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      push();
+      current = { type: 'item', text: line, separator };
+    } else if (current && !blankBefore) {
+      current.text += '\n' + line; // Continuation of the item or paragraph
+    } else {
+      push();
+      current = { type: 'paragraph', text: line, separator };
+    }
+    
+    blankBefore = false;
   }
-  return groq;
+  push();
+  
+  return blocks;
 }
 
 /**
- * TOKEN ESTIMATION
- * Rough rule: 1 token ≈ 4 characters
- * 
- * @param {string} text - Text to estimate tokens for
- * @returns {number} Estimated token count
+ * Join blocks back into text with their original separators
  */
-function estimateTokens(text) {
-  if (!text || typeof text !== 'string') return 0;
-  return Math.ceil(text.length / 4);
+function joinBlocks(blocks) {
+  return blocks.map((block, i) => (i === 0 ? '' : block.separator || '\n') + block.text).join('').trim();
 }
 
 /**
  * SPLIT TEXT INTO N CHUNKS
- * Splits text on sentence/line boundaries where possible
- * Ensures each chunk's estimated tokens <= maxTokensPerChunk
+ * Packs whole headings, list items and paragraphs into chunks; a heading
+ * stays with the content that follows it. Blocks that are too large on their
+ * own are split on sentence, then line, then character boundaries.
+ * Ensures each chunk's tokens <= maxTokensPerChunk
  * 
  * @param {string} text - Text to split
  * @param {number} maxTokensPerChunk - Maximum tokens per chunk
@@ -63,17 +129,80 @@ function splitTextIntoChunks(text, maxTokensPerChunk) {
   if (!text || estimateTokens(text) <= maxTokensPerChunk) {
     return [text];
   }
+  
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  
+  // Close the current chunk; trailing headings move on to start the next one
+  const flush = () => {
+    const carried = [];
+    while (current.length > 1 && current[current.length - 1].type === 'heading') {
+      carried.unshift(current.pop());
+    }
+    if (current.length > 0) {
+      chunks.push(joinBlocks(current));
+    }
+    current = carried;
+    currentTokens = carried.reduce((sum, block) => sum + block.tokens, 0);
+  };
+  
+  for (const block of splitIntoBlocks(text)) {
+    const tokens = estimateTokens(block.text) + 1; // +1 for the separator
+    
+    // A single block over the limit is split on its own
+    if (tokens > maxTokensPerChunk) {
+      if (current.length > 0) {
+        chunks.push(joinBlocks(current));
+        current = [];
+        currentTokens = 0;
+      }
+      chunks.push(...splitBySentences(block.text, maxTokensPerChunk));
+      continue;
+    }
+    
+    if (currentTokens + tokens > maxTokensPerChunk && current.length > 0) {
+      flush();
+      
+      // Carried headings plus this block can still be too much
+      if (currentTokens + tokens > maxTokensPerChunk) {
+        chunks.push(joinBlocks(current));
+        current = [];
+        currentTokens = 0;
+      }
+    }
+    
+    current.push({ ...block, tokens });
+    currentTokens += tokens;
+  }
+  
+  if (current.length > 0) {
+    chunks.push(joinBlocks(current));
+  }
+  
+  const nonEmpty = chunks.filter(chunk => chunk);
+  return nonEmpty.length > 0 ? nonEmpty : [text];
+}
 
+/**
+ * Split one oversized block on sentence boundaries, falling back to lines
+ * and then characters
+ * 
+ * @param {string} text - Text to split
+ * @param {number} maxTokensPerChunk - Maximum tokens per chunk
+ * @returns {string[]} Array of text chunks
+ */
+function splitBySentences(text, maxTokensPerChunk) {
   const chunks = [];
   
-  // First try to split by sentences
-  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+  // Sentences, keeping any trailing text without end punctuation
+  const sentences = text.match(/[^.!?]+(?:[.!?]+|$)/g) || [text];
   
   let currentChunk = '';
+  let currentTokens = 0; // Running total; summing pieces may overcount slightly, never under
   
   for (const sentence of sentences) {
     const sentenceTokens = estimateTokens(sentence);
-    const currentTokens = estimateTokens(currentChunk);
     
     // If adding this sentence would exceed the limit
     if (currentTokens + sentenceTokens > maxTokensPerChunk) {
@@ -81,16 +210,17 @@ function splitTextIntoChunks(text, maxTokensPerChunk) {
       if (currentChunk.trim()) {
         chunks.push(currentChunk.trim());
         currentChunk = '';
+        currentTokens = 0;
       }
       
       // If a single sentence is too large, split it further by lines
       if (sentenceTokens > maxTokensPerChunk) {
         const lines = sentence.split('\n');
         let lineChunk = '';
+        let lineChunkTokens = 0;
         
         for (const line of lines) {
           const lineTokens = estimateTokens(line);
-          const lineChunkTokens = estimateTokens(lineChunk);
           
           if (lineChunkTokens + lineTokens > maxTokensPerChunk) {
             if (lineChunk.trim()) {
@@ -99,27 +229,30 @@ function splitTextIntoChunks(text, maxTokensPerChunk) {
             
             // If even a single line is too large, force split by character count
             if (lineTokens > maxTokensPerChunk) {
-              const maxChars = maxTokensPerChunk * 4; // Approximate chars per chunk
-              for (let i = 0; i < line.length; i += maxChars) {
-                chunks.push(line.substring(i, i + maxChars).trim());
-              }
+              chunks.push(...splitByCharacters(line, lineTokens, maxTokensPerChunk));
               lineChunk = '';
+              lineChunkTokens = 0;
             } else {
               lineChunk = line;
+              lineChunkTokens = lineTokens;
             }
           } else {
             lineChunk += (lineChunk ? '\n' : '') + line;
+            lineChunkTokens += lineTokens + 1;
           }
         }
         
         if (lineChunk.trim()) {
           currentChunk = lineChunk;
+          currentTokens = lineChunkTokens;
         }
       } else {
         currentChunk = sentence;
+        currentTokens = sentenceTokens;
       }
     } else {
       currentChunk += sentence;
+      currentTokens += sentenceTokens;
     }
   }
   
@@ -131,6 +264,35 @@ function splitTextIntoChunks(text, maxTokensPerChunk) {
   return chunks.length > 0 ? chunks : [text];
 }
 
+/**
+ * Force-split text that has no sentence or line breaks
+ * Sizes pieces from the text's own characters-per-token ratio, then shrinks
+ * any piece the tokenizer still counts over the limit
+ * 
+ * @param {string} text - Text to split
+ * @param {number} textTokens - Token count of the whole text
+ * @param {number} maxTokensPerChunk - Maximum tokens per chunk
+ * @returns {string[]} Array of text chunks
+ */
+function splitByCharacters(text, textTokens, maxTokensPerChunk) {
+  const charsPerToken = text.length / Math.max(textTokens, 1);
+  const pieces = [];
+  let start = 0;
+  
+  while (start < text.length) {
+    let size = Math.max(1, Math.floor(maxTokensPerChunk * charsPerToken * 0.95));
+    while (size > 1 && estimateTokens(text.substring(start, start + size)) > maxTokensPerChunk) {
+      size = Math.floor(size * 0.9);
+    }
+    
+    const piece = text.substring(start, start + size).trim();
+    if (piece) pieces.push(piece);
+    start += size;
+  }
+  
+  return pieces;
+}
+
 /**
  * REPAIR TRUNCATED JSON
  * Attempts to fix incomplete JSON responses
@@ -196,62 +358,176 @@ function cleanJsonResponse(content) {
 }
 
 /**
- * SAFE GROQ CALL
- * Makes a single Groq API call with token safety checks
+ * BUILD ACTION WHITELIST
+ * Lists every registered action with its description and required entities
+ * so the prompt cannot drift from what the webhook can dispatch
+ * 
+ * @returns {string} One line per action
+ */
+function buildActionWhitelist() {
+  return listActions()
+    .map(action => {
+      const required = action.required.length > 0
+        ? ` (requires ${action.required.map(key => `entities.${key}`).join(', ')})`
+        : '';
+      return `- ${action.name}: ${action.description}${required}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Intent rules shared by the JSON-prompt and tool-calling modes
+ */
+const INTENT_RULES = `- "X is assigned to Y" OR "assign X to Y" → action="update_task" with entities.task_ref=X and entities.assignee=Y
+- "make X urgent/high/low" OR "change priority" → action="update_priority" with entities.priority and entities.task_ref
+- "mark as done/complete X" → action="complete_task" with entities.task_ref
+- "delete/remove X" → action="delete_task" with entities.task_ref
+- "X every Monday" OR "X monthly on the 1st" → the task's "recurrence" holds the repeat rule as said, kept out of the title
+- "add steps to X: a, b, c" OR "break X into a, b, c" → action="add_subtasks" with entities.task_ref=X and entities.items=["a", "b", "c"]
+- "X depends on Y" OR "X is blocked by Y" OR "Y blocks X" → action="update_dependency" with entities.task_ref=X and entities.depends_on=Y; "X no longer depends on Y" adds entities.dependency_op="remove"; "unblock X" → dependency_op="remove" without depends_on
+- "what changed on X", "history of X" → action="show_activity" with entities.task_ref=X; "what did I do yesterday", "my activity this week" → action="show_activity" with entities.datetime (the period as said)
+- "undo", "undo that", "take that back" → action="undo"; "redo" → action="redo"
+- "show trash", "show deleted tasks/notes" → action="list_trash" (entities.kind="tasks" or "notes"); "restore X" OR "undelete X" → action="restore_from_trash" with entities.trash_ref; "empty the trash" → action="empty_trash"
+- "move X to review", "start working on X", "put X on hold", "cancel X", "reopen X" → action="update_status" with entities.task_ref=X and entities.status (one of the workflow's statuses); "show tasks in review" → action="list_tasks" with entities.status
+- "complete 2.3" → step 3 of task 2: entities.task_ref="2.3" (same for delete)
+- "skip/pause/resume X", "stop repeating X", "make X repeat every week" → action="update_series" with entities.task_ref=X, entities.series_op and (to change the rule) entities.recurrence
+- "delete all" OR "remove all" → action="delete_task" with entities.task_ref="all"
+- "re arrange the list based on tasks priority" → action="list_tasks" with entities.sortBy="priority"
+- "list my tasks" → action="list_tasks" with entities.scope="my" (only owned tasks)
+- "list all tasks" OR "list tasks" → action="list_tasks" with entities.scope="all" (owned + assigned)
+- "update/change/modify task X" → action="update_task" with relevant entities.updates
+- "what time/day" or greetings → action="small_talk" with reply_hint
+- "add 5094 + 3776" → action="math" with entities.numbers and entities.operation
+- Several requests in one message ("create X, make it high priority and start a focus on it") → action="plan" with one intent per request in "steps", in order; a step that acts on a task made or changed by an earlier step sets entities.task_ref (entities.taskId for focus) to "@<step number>"
+- If unsupported, or too ambiguous to guess → action="unknown"`;
+
+// JSON mode only: tool-calling mode reads alternatives from calls to other tools
+const CONFIDENCE_RULES = `- Set "confidence" (0 to 1) to how sure you are of the action and entities
+- Below ${LLM_CONFIG.clarifyConfidence}, list the other likely readings in "candidates" (up to 3, most likely first), each with action, entities and a short "label" saying what it would do`;
+
+/**
+ * SAFE LLM CALL
+ * Makes a single call to the configured LLM provider with token safety checks
  * 
  * @param {string} systemPrompt - System prompt
  * @param {string} userPrompt - User prompt
- * @returns {Promise<Object>} Groq API response
+ * @param {Object} options
+ * @param {Array} options.tools - Tool definitions (tool-calling mode)
+ * @param {string|Object} options.toolChoice - "auto" | "required" | a specific tool
+ * @param {Object} options.usage - Usage totals to add this call to (see createUsage)
+ * @returns {Promise<Object>} Chat completion response
  */
-async function safeGroqCall(systemPrompt, userPrompt) {
+async function safeLLMCall(systemPrompt, userPrompt, { tools, toolChoice, usage } = {}) {
   const messages = [
     { role: 'system', content: systemPrompt },
     { role: 'user', content: userPrompt }
   ];
   
-  const inputTokens = estimateTokens(systemPrompt + userPrompt);
-  
-  console.log(`[Token Check] Estimated input tokens: ${inputTokens}`);
+  // Tool definitions count against the input budget too
+  const inputTokens = countMessageTokens(messages, LLM_CONFIG.model, tools);
   
   if (inputTokens > MAX_INPUT_TOKENS_PER_CALL) {
     throw new Error(`Input tokens (${inputTokens}) exceed MAX_INPUT_TOKENS_PER_CALL (${MAX_INPUT_TOKENS_PER_CALL}). Use chunking instead.`);
   }
   
+  // Input + output must fit MAX_TOTAL_TOKENS_PER_CALL: the reply gets what's left
+  const maxTokens = Math.min(MAX_OUTPUT_TOKENS_PER_CALL, MAX_TOTAL_TOKENS_PER_CALL - inputTokens);
+  if (maxTokens < MIN_OUTPUT_TOKENS_PER_CALL) {
+    throw new Error(`Input tokens (${inputTokens}) leave only ${maxTokens} of MAX_TOTAL_TOKENS_PER_CALL (${MAX_TOTAL_TOKENS_PER_CALL}) for the reply. Use chunking instead.`);
+  }
+  
+  console.log(`[Token Check] Input tokens: ${inputTokens}, reply budget: ${maxTokens}`);
+  
+  // Wait for room in the per-minute budgets, reserving the worst case
+  const ticket = await getRateLimiter().acquire(inputTokens + maxTokens);
+  
   try {
-    const client = getGroqClient();
-    const response = await client.chat.completions.create({
-      model: 'llama-3.3-70b-versatile',
+    const response = await getProvider().complete({
+      model: LLM_CONFIG.model,
       messages: messages,
-      max_tokens: MAX_OUTPUT_TOKENS_PER_CALL,
-      temperature: 0.7
+      maxTokens,
+      temperature: LLM_CONFIG.temperature,
+      tools,
+      toolChoice
     });
     
+    ticket.settle(recordUsage(usage || createUsage(), response, inputTokens));
+    
     return response;
   } catch (error) {
-    if (error.message && error.message.includes('token')) {
-      console.error('[Groq Error] Token limit exceeded despite safety checks:', error);
+    ticket.settle(0);
+    
+    // Rate limits mention tokens too ("tokens per minute") but are retried, not re-split
+    if (error.message && error.message.includes('token') && !isRateLimitError(error)) {
+      console.error('[LLM Error] Token limit exceeded despite safety checks:', error);
       throw new Error('Token limit exceeded. Try with smaller input.');
     }
     throw error;
   }
 }
 
+/**
+ * Create an empty token usage record for one parse
+ * 
+ * @returns {Object} { model, tokenizer, calls, promptTokens, completionTokens, totalTokens, estimated }
+ */
+function createUsage() {
+  return {
+    model: LLM_CONFIG.model,
+    tokenizer: getTokenizerFamily(LLM_CONFIG.model),
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    estimated: false
+  };
+}
+
+/**
+ * Add one call to a usage record
+ * Takes the provider's reported usage; counts locally (and flags the record
+ * as estimated) when the provider doesn't report any
+ * 
+ * @returns {number} Total tokens of the call
+ */
+function recordUsage(usage, response, inputTokens) {
+  const reported = response.usage;
+  let promptTokens = inputTokens;
+  let completionTokens;
+  
+  if (reported && typeof reported.prompt_tokens === 'number') {
+    promptTokens = reported.prompt_tokens;
+    completionTokens = reported.completion_tokens || 0;
+  } else {
+    const message = response.choices?.[0]?.message || {};
+    completionTokens = estimateTokens(message.content || (message.tool_calls ? JSON.stringify(message.tool_calls) : ''));
+    usage.estimated = true;
+  }
+  
+  usage.calls++;
+  usage.promptTokens += promptTokens;
+  usage.completionTokens += completionTokens;
+  usage.totalTokens += promptTokens + completionTokens;
+  return promptTokens + completionTokens;
+}
+
 /**
  * PARSE LONG INPUT
  * Handles long user inputs by splitting into chunks and processing each
- * Merges results from multiple Groq calls
+ * Merges results from multiple LLM calls
  * 
  * @param {string} userText - User input text
- * @param {string} userId - User ID for context
+ * @param {Object} context - NLP context ({ mode })
+ * @param {Object} usage - Usage totals to add the LLM calls to
  * @returns {Promise<Object>} Combined parsed intent(s)
  */
-async function parseLongInput(userText, context = {}) {
+async function parseLongInput(userText, context = {}, usage = null) {
   const modeContext = context.mode ? `\nCurrent mode is ${context.mode.toUpperCase()}; prefer ${context.mode}-related actions.` : '';
   
   const systemPrompt = `You are a task management assistant. Parse user requests into structured intents.
 
 STRICT ACTION WHITELIST - ONLY return one of these actions:
-create_task, list_tasks, update_task, update_priority, complete_task, delete_task, create_note, list_notes, focus, show_urgent, math, small_talk, help, unknown
+${buildActionWhitelist()}
 ${modeContext}
 
 IMPORTANT RULES:
@@ -267,7 +543,7 @@ Return ONLY valid JSON, no markdown, no code blocks, no explanations.
 Format:
 {
   "mode": "auto" | "tasks" | "notes" | "focus" | "chat",
-  "action": "create_task" | "list_tasks" | "update_task" | "update_priority" | "complete_task" | "delete_task" | "create_note" | "list_notes" | "focus" | "show_urgent" | "math" | "small_talk" | "help" | "unknown",
+  "action": ${getActionNames().map(name => `"${name}"`).join(' | ')},
   "entities": {
     "task_ref": "title text or number",
     "assignee": "person name",
@@ -280,18 +556,21 @@ Format:
       "description": "new description"
     }
   },
-  "tasks": [{ "title": "...", "description": "...", "priority": "high|medium|low", "assignee": "name or null" }],
+  "tasks": [{ "title": "...", "description": "...", "priority": "high|medium|low", "assignee": "name or null", "project": "name or null", "dueDate": "time reference or null", "recurrence": "repeat rule as said, or null", "subtasks": ["checklist step"] }],
+  "shared_context": { "project": "...", "assignee": "...", "dueDate": "..." },
   "query": "original user message"
 }
 
-If user requests multiple tasks, include all in the "tasks" array.`;
+If user requests multiple tasks, include all in the "tasks" array.
+Long requests arrive in parts. Apply any "Context from earlier parts" to the tasks in this part unless they say otherwise.
+In "shared_context", return the project, assignee and due date that apply to a group of tasks (e.g. a heading "For project Apollo:") and are still in effect at the end of this part; omit keys that don't apply.`;
 
-  const inputTokens = estimateTokens(systemPrompt + userText);
+  const inputTokens = countPromptTokens(systemPrompt, userText);
   
   // If input is within limits, process normally
-  if (inputTokens <= MAX_INPUT_TOKENS_PER_CALL) {
+  if (inputTokens <= MAX_PROMPT_TOKENS_PER_CALL) {
     console.log('[Token Split] Input within limits, single call');
-    const response = await safeGroqCall(systemPrompt, userText);
+    const response = await safeLLMCall(systemPrompt, userText, { usage });
     const content = response.choices[0]?.message?.content || '{}';
     
     try {
@@ -300,7 +579,7 @@ If user requests multiple tasks, include all in the "tasks" array.`;
       parsed.query = parsed.query || userText;
       return parsed;
     } catch (e) {
-      console.error('[Parse Error] Invalid JSON from Groq:', content.substring(0, 200));
+      console.error('[Parse Error] Invalid JSON from LLM:', content.substring(0, 200));
       
       // Try to repair truncated JSON
       try {
@@ -318,81 +597,255 @@ If user requests multiple tasks, include all in the "tasks" array.`;
   
   // Input is too large - split into chunks (800-1000 chars each)
   console.log(`[Token Split] Input too large (${inputTokens} tokens), splitting...`);
-  const chunks = splitTextIntoChunks(userText, MAX_INPUT_TOKENS_PER_CALL - estimateTokens(systemPrompt) - 100);
+  const chunks = splitTextIntoChunks(userText, MAX_PROMPT_TOKENS_PER_CALL - countPromptTokens(systemPrompt, '') - 100);
   
   console.log(`[Token Split] Created ${chunks.length} chunks`);
   
+  // Prompts carry only the context found in the text of earlier chunks, so
+  // no chunk has to wait for the replies to the ones before it
+  const promptContexts = [];
+  let textContext = {};
+  for (const chunk of chunks) {
+    promptContexts.push(textContext);
+    textContext = { ...textContext, ...extractSharedContext(chunk) };
+  }
+  
+  const { chunkConcurrency, rateLimitRetries } = getLLMConfig();
+  const reports = await runChunks(
+    chunks,
+    (chunk, i) => parseChunk(systemPrompt, chunk, i, chunks.length, promptContexts[i], usage),
+    { concurrency: chunkConcurrency, maxRetries: rateLimitRetries, limiter: getRateLimiter() }
+  );
+  
+  // Resolve tasks in chunk order, now also with the shared context the model reported
   const allIntents = [];
   let primaryAction = null;
+  let sharedContext = {};
   
-  // Process each chunk
-  for (let i = 0; i < chunks.length; i++) {
-    console.log(`[Token Split] Processing chunk ${i + 1}/${chunks.length}`);
+  for (const report of reports) {
+    const chunk = chunks[report.index];
+    const contextBefore = sharedContext;
+    const leadIn = extractSharedContext(chunk, { leadInOnly: true });
+    sharedContext = { ...contextBefore, ...extractSharedContext(chunk) };
+    
+    if (report.status !== 'ok') continue;
+    
+    for (const intent of report.value.intents) {
+      sharedContext = { ...sharedContext, ...pickSharedContext(intent.shared_context) };
+      delete intent.shared_context;
+      allIntents.push(resolveTaskEntities(intent, { ...contextBefore, ...leadIn }));
+    }
+    
+    // Track primary action from first chunk
+    if (report.index === 0 && report.value.parsed) {
+      primaryAction = report.value.intents[0]?.action;
+    }
+  }
+  
+  if (Object.keys(sharedContext).length > 0) {
+    console.log('[Token Split] Shared context:', JSON.stringify(sharedContext));
+  }
+  
+  // MERGE INTENTS
+  const merged = mergeIntents(allIntents, primaryAction);
+  merged.metadata = { ...merged.metadata, ...buildChunkMetadata(userText, chunks, reports) };
+  return merged;
+}
+
+/**
+ * Parse one chunk of a long input
+ * Falls back to regex parsing when the reply isn't JSON. A chunk that is
+ * still too large is split in half and its pieces sent one after another.
+ * Other errors (including rate limits) are left to the chunk executor.
+ * 
+ * @returns {Promise<{ intents: Object[], parsed: boolean }>} parsed is false
+ *          when the regex fallback was used
+ */
+async function parseChunk(systemPrompt, chunk, index, total, sharedContext, usage) {
+  let response;
+  try {
+    response = await safeLLMCall(systemPrompt, buildChunkPrompt(chunk, index, total, sharedContext), { usage });
+  } catch (error) {
+    if (isRateLimitError(error) || !(error.message && error.message.includes('token'))) {
+      throw error;
+    }
+    
+    const pieces = splitTextIntoChunks(chunk, Math.floor(MAX_PROMPT_TOKENS_PER_CALL / 2));
+    if (pieces.length <= 1) {
+      throw error;
+    }
+    
+    console.log(`[Token Split] Chunk ${index + 1} still too large, retrying in ${pieces.length} pieces...`);
+    const intents = [];
+    for (const piece of pieces) {
+      const result = await parseChunk(systemPrompt, piece, index, total, sharedContext, usage);
+      intents.push(...result.intents);
+    }
+    return { intents, parsed: true };
+  }
+  
+  const content = response.choices[0]?.message?.content || '{}';
+  let intent;
+  
+  try {
+    intent = JSON.parse(cleanJsonResponse(content));
+  } catch (parseError) {
+    console.error(`[Token Split] JSON parse error in chunk ${index + 1}, attempting repair...`);
     
     try {
-      const chunkPrompt = chunks.length > 1 
-        ? `Part ${i + 1} of ${chunks.length} of user request:\n\n${chunks[i]}`
-        : chunks[i];
-      
-      const response = await safeGroqCall(systemPrompt, chunkPrompt);
-      const content = response.choices[0]?.message?.content || '{}';
-      
-      try {
-        const cleaned = cleanJsonResponse(content);
-        const intent = JSON.parse(cleaned);
-        intent.query = intent.query || chunks[i];
-        
-        // Track primary action from first chunk
-        if (i === 0) {
-          primaryAction = intent.action;
-        }
-        
-        allIntents.push(intent);
-      } catch (parseError) {
-        console.error(`[Token Split] JSON parse error in chunk ${i + 1}, attempting repair...`);
-        
-        try {
-          const repaired = repairTruncatedJson(cleanJsonResponse(content));
-          const intent = JSON.parse(repaired);
-          intent.query = intent.query || chunks[i];
-          
-          if (i === 0) {
-            primaryAction = intent.action;
-          }
-          
-          allIntents.push(intent);
-        } catch (repairError) {
-          console.error(`[Token Split] Repair failed for chunk ${i + 1}, using regex fallback`);
-          const fallbackIntent = regexFallbackParser(chunks[i]);
-          allIntents.push(fallbackIntent);
-        }
-      }
-    } catch (error) {
-      console.error(`[Token Split] Error processing chunk ${i + 1}:`, error);
-      
-      // Try with smaller chunk size on error
-      if (error.message && error.message.includes('token')) {
-        console.log('[Token Split] Retrying with smaller chunk...');
-        const smallerChunks = splitTextIntoChunks(chunks[i], Math.floor(MAX_INPUT_TOKENS_PER_CALL / 2));
-        
-        for (const smallChunk of smallerChunks) {
-          try {
-            const response = await safeGroqCall(systemPrompt, smallChunk);
-            const content = response.choices[0]?.message?.content || '{}';
-            const cleaned = cleanJsonResponse(content);
-            const intent = JSON.parse(cleaned);
-            allIntents.push(intent);
-          } catch (retryError) {
-            console.error('[Token Split] Retry failed:', retryError);
-            // Continue with other chunks
-          }
-        }
+      intent = JSON.parse(repairTruncatedJson(cleanJsonResponse(content)));
+    } catch (repairError) {
+      console.error(`[Token Split] Repair failed for chunk ${index + 1}, using regex fallback`);
+      return { intents: [regexFallbackParser(chunk)], parsed: false };
+    }
+  }
+  
+  intent.query = intent.query || chunk;
+  return { intents: [intent], parsed: true };
+}
+
+/**
+ * Per-chunk status report for a long input
+ * Failed parts carry their position in the original text so the user can
+ * resend just those
+ * 
+ * @param {string} text - Original user text
+ * @param {string[]} chunks - Chunks sent
+ * @param {Array} reports - Reports from runChunks
+ * @returns {Object} { chunked, chunkCount, chunkReport, failedChunks }
+ */
+function buildChunkMetadata(text, chunks, reports) {
+  const ranges = locateChunks(text, chunks);
+  
+  const chunkReport = reports.map(report => ({
+    part: report.index + 1,
+    status: report.status === 'ok' && !report.value.parsed ? 'fallback' : report.status,
+    attempts: report.attempts,
+    ...ranges[report.index],
+    ...(report.error ? { error: report.error } : {})
+  }));
+  
+  const failedChunks = chunkReport
+    .filter(entry => entry.status === 'failed')
+    .map(entry => ({ ...entry, preview: chunks[entry.part - 1].substring(0, 80) }));
+  
+  return {
+    chunked: true,
+    chunkCount: chunks.length,
+    chunkReport,
+    failedChunks
+  };
+}
+
+/**
+ * SHARED CONTEXT
+ * Project, assignee and due date stated for a group of tasks rather than
+ * one task ("For project Apollo:", "Assign these to Sam", "All due Friday").
+ * Carried from chunk to chunk so later parts of a long request keep them.
+ */
+const SHARED_CONTEXT_KEYS = ['project', 'assignee', 'dueDate'];
+
+const SHARED_CONTEXT_PATTERNS = {
+  project: /\b[Pp]roject\s*:?\s+["']?([A-Z0-9][\w&.-]*(?:[ \t]+[A-Z0-9][\w&.-]*)*)/,
+  assignee: /\b(?:[Aa]ssign(?:ed)?\s+(?:(?:all|these|them|everything)\s+)?(?:(?:of\s+)?(?:these|the)\s+tasks\s+)?to|[Oo]wner\s*:)\s+([A-Z][\w'-]*)/,
+  dueDate: /\b(?:due|deadline\s*:?|by)\s+((?:next\s+|this\s+)?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday|today|tonight|tomorrow|end of (?:the\s+)?(?:day|week|month)|eod|eow|\d{4}-\d{2}-\d{2}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?))\b/i
+};
+
+/**
+ * Find shared context in a chunk's headings and lead-in paragraphs
+ * List items are skipped: a date or name there belongs to that task only
+ * 
+ * @param {string} text - Chunk text
+ * @param {Object} options
+ * @param {boolean} options.leadInOnly - Stop at the first list item (context
+ *        stated before the chunk's tasks, which applies to all of them)
+ * @returns {Object} { project?, assignee?, dueDate? } - later mentions win
+ */
+function extractSharedContext(text, { leadInOnly = false } = {}) {
+  const found = {};
+  
+  for (const block of splitIntoBlocks(text || '')) {
+    if (block.type === 'item') {
+      if (leadInOnly) break;
+      continue;
+    }
+    
+    for (const key of SHARED_CONTEXT_KEYS) {
+      const match = block.text.match(SHARED_CONTEXT_PATTERNS[key]);
+      if (match) {
+        found[key] = match[1].trim();
       }
     }
   }
   
-  // MERGE INTENTS
-  return mergeIntents(allIntents, primaryAction);
+  return found;
+}
+
+/**
+ * Keep the known, non-empty shared context keys of an LLM reply
+ */
+function pickSharedContext(value) {
+  const picked = {};
+  if (!value || typeof value !== 'object') return picked;
+  
+  for (const key of SHARED_CONTEXT_KEYS) {
+    if (typeof value[key] === 'string' && value[key].trim() && value[key] !== 'null') {
+      picked[key] = value[key].trim();
+    }
+  }
+  return picked;
+}
+
+/**
+ * Build the prompt for one chunk, with the context from earlier chunks
+ */
+function buildChunkPrompt(chunk, index, total, sharedContext) {
+  if (total <= 1) return chunk;
+  
+  const parts = [];
+  if (sharedContext.project) parts.push(`project "${sharedContext.project}"`);
+  if (sharedContext.assignee) parts.push(`assignee ${sharedContext.assignee}`);
+  if (sharedContext.dueDate) parts.push(`due ${sharedContext.dueDate}`);
+  
+  const contextLine = parts.length > 0
+    ? `\nContext from earlier parts (applies to tasks in this part unless they say otherwise): ${parts.join('; ')}`
+    : '';
+  
+  return `Part ${index + 1} of ${total} of user request:${contextLine}\n\n${chunk}`;
+}
+
+/**
+ * Fill each task's project, assignee and due date from its own chunk:
+ * the task's values win, then the chunk's entities, then the shared context
+ * 
+ * @param {Object} intent - Intent parsed from one chunk
+ * @param {Object} sharedContext - Context carried from earlier chunks
+ * @returns {Object} The intent, with tasks resolved
+ */
+function resolveTaskEntities(intent, sharedContext = {}) {
+  if (!Array.isArray(intent.tasks) || intent.tasks.length === 0) {
+    return intent;
+  }
+  
+  const entities = intent.entities || {};
+  const defaults = {
+    ...sharedContext,
+    ...pickSharedContext({ project: entities.project, assignee: entities.assignee, dueDate: entities.datetime })
+  };
+  
+  intent.tasks = intent.tasks.map(task => {
+    if (!task || typeof task !== 'object') return task;
+    
+    const resolved = { ...task };
+    for (const key of SHARED_CONTEXT_KEYS) {
+      if (!resolved[key] && defaults[key]) {
+        resolved[key] = defaults[key];
+      }
+    }
+    return resolved;
+  });
+  
+  return intent;
 }
 
 /**
@@ -458,7 +911,8 @@ function mergeIntents(intents, primaryAction) {
   };
   
   for (const intent of intents) {
-    // Merge tasks
+    // Merge tasks (each filled from its own chunk's entities first)
+    resolveTaskEntities(intent);
     if (intent.tasks && Array.isArray(intent.tasks)) {
       merged.tasks.push(...intent.tasks);
     }
@@ -473,22 +927,16 @@ function mergeIntents(intents, primaryAction) {
       merged.query += (merged.query ? ' ' : '') + intent.query;
     }
     
-    // Merge entities (later chunks override earlier ones for same key)
-    if (intent.entities) {
-      merged.entities = { ...merged.entities, ...intent.entities };
-    }
-    
     // Carry reply_hint from small_talk
     if (intent.reply_hint) {
       merged.reply_hint = intent.reply_hint;
     }
-    
-    // Special handling for sortBy - if any chunk has it, keep it
-    if (intent.entities && intent.entities.sortBy) {
-      merged.entities.sortBy = intent.entities.sortBy;
-    }
   }
   
+  // Per-task values were resolved chunk by chunk; top-level entities keep only
+  // what the chunks agree on, so one chunk's project doesn't relabel the rest
+  merged.entities = mergeSharedEntities(intents.map(intent => intent.entities));
+  
   // If we have many tasks, add a warning
   if (merged.tasks.length > 20) {
     merged.warning = `This is a long request with ${merged.tasks.length} tasks. Processing in batches.`;
@@ -499,24 +947,189 @@ function mergeIntents(intents, primaryAction) {
   return merged;
 }
 
+/**
+ * Merge chunk entities, dropping keys whose values differ between chunks
+ * sortBy is kept if any chunk asks for it
+ * 
+ * @param {Object[]} entityList - Entities of each chunk
+ * @returns {Object} Merged entities
+ */
+function mergeSharedEntities(entityList) {
+  const merged = {};
+  const conflicting = new Set();
+  
+  for (const entities of entityList) {
+    if (!entities) continue;
+    
+    for (const [key, value] of Object.entries(entities)) {
+      if (value === undefined || value === null || value === '') continue;
+      
+      if (!(key in merged)) {
+        merged[key] = value;
+      } else if (JSON.stringify(merged[key]) !== JSON.stringify(value)) {
+        conflicting.add(key);
+      }
+    }
+  }
+  
+  for (const key of conflicting) {
+    if (key !== 'sortBy') delete merged[key];
+  }
+  
+  return merged;
+}
+
+/**
+ * PARSE LLM REPLY
+ * Extracts the JSON intent from a reply and validates it against the intent schema
+ * 
+ * @param {string} content - Raw reply content
+ * @param {string} userText - Original user text (used as the default query)
+ * @returns {{ intent: Object, errors: Array, coercions: Array }}
+ */
+function parseLLMReply(content, userText) {
+  let parsed;
+  try {
+    parsed = JSON.parse(cleanJsonResponse(content));
+  } catch (e) {
+    try {
+      parsed = JSON.parse(repairTruncatedJson(cleanJsonResponse(content)));
+    } catch (e2) {
+      return { intent: null, errors: [{ path: '', message: 'reply is not valid JSON' }], coercions: [] };
+    }
+  }
+  
+  if (parsed && typeof parsed === 'object' && !parsed.query) {
+    parsed.query = userText;
+  }
+  return validateIntent(parsed);
+}
+
+/**
+ * Build the corrective prompt sent after an invalid reply
+ */
+function buildCorrectionPrompt(userText, reply, errors) {
+  return `${userText}
+
+Your previous reply to this message was invalid:
+${formatValidationErrors(errors)}
+
+Previous reply:
+${reply.substring(0, 2000)}
+
+Return the corrected intent as JSON only, following the format and action whitelist exactly.`;
+}
+
+/**
+ * Attach the validation report to a validated intent
+ */
+function withValidation({ intent, errors, coercions }, { reprompted = false, fallback = false } = {}) {
+  intent.validation = { valid: errors.length === 0, errors, coercions, reprompted, fallback };
+  return intent;
+}
+
+/**
+ * Regex fallback, normalized through the intent schema
+ * 
+ * @param {string} userText - User input text
+ * @param {Object} rejected - Validation result of the rejected LLM reply, if any
+ */
+function fallbackIntent(userText, rejected = null) {
+  const { intent } = validateIntent(regexFallbackParser(userText));
+  if (rejected) {
+    intent.validation = { valid: false, errors: rejected.errors, coercions: [], reprompted: true, fallback: true };
+  }
+  return intent;
+}
+
+/**
+ * PARSE INTENT WITH TOOLS
+ * Declares every action as a tool and reads the intent back from the tool calls
+ * 
+ * @param {string} userText - User input text
+ * @param {Object} context - NLP context ({ mode })
+ * @returns {Promise<Object|null>} Validated intent, or null when the model didn't
+ *          return a usable tool call (the caller falls back to the JSON prompt)
+ */
+async function parseIntentWithTools(userText, context = {}, usage = null) {
+  const modeContext = context.mode ? `\nCurrent mode is ${context.mode.toUpperCase()}; prefer ${context.mode}-related actions.` : '';
+  
+  const systemPrompt = `You are a task management assistant. Call the tool that matches the user's request.
+Call the same tool several times only to create several tasks or notes.
+Pass "confidence" (0 to 1) for how sure you are. If the request could mean different actions,
+call each likely tool once, most likely first.
+
+RULES:
+${INTENT_RULES}
+${modeContext}`;
+  
+  const response = await safeLLMCall(systemPrompt, userText, {
+    tools: buildActionTools(),
+    toolChoice: 'required',
+    usage
+  });
+  const toolCalls = response.choices[0]?.message?.tool_calls || [];
+  
+  if (toolCalls.length === 0) {
+    console.log('[Parse Intent] No tool call returned');
+    return null;
+  }
+  
+  const raw = intentFromToolCalls(toolCalls);
+  if (!raw) {
+    console.log('[Parse Intent] Tool call arguments are not valid JSON');
+    return null;
+  }
+  
+  raw.query = raw.query || userText;
+  const result = validateIntent(raw);
+  if (result.errors.length > 0) {
+    console.log(`[Parse Intent] Invalid tool call:\n${formatValidationErrors(result.errors)}`);
+    return null;
+  }
+  
+  return withValidation(result);
+}
+
 /**
  * PARSE INTENT (Main Entry Point)
  * Automatically decides whether to use single call or chunking
+ * Token usage of the LLM calls made is attached as `intent.usage`
  * 
  * @param {string} userText - User input text
- * @param {string} userId - User ID for context
+ * @param {Object} context - NLP context ({ mode })
  * @returns {Promise<Object>} Parsed intent(s)
  */
 async function parseIntent(userText, context = {}) {
+  const usage = createUsage();
+  const intent = await parseIntentCalls(userText, context, usage);
+  
+  if (intent && usage.calls > 0) {
+    intent.usage = usage;
+  }
+  return intent;
+}
+
+/**
+ * Route a parse to the fast path, cache, single-call or chunking strategy
+ */
+async function parseIntentCalls(userText, context, usage) {
   if (!userText || !userText.trim()) {
     return { action: 'error', message: 'Empty input' };
   }
   
+  const quick = fastPathIntent(userText, context);
+  if (quick) {
+    console.log(`[Parse Intent] Fast path: ${quick.action}`);
+    return quick;
+  }
+  
   try {
-    // Check if GROQ_API_KEY is available
-    if (!process.env.GROQ_API_KEY) {
-      console.error('[Parse Intent] GROQ_API_KEY is not set! Using regex fallback.');
-      return regexFallbackParser(userText);
+    // Check if the LLM provider is usable (e.g. GROQ_API_KEY is set)
+    const provider = getProvider();
+    if (!provider.isConfigured()) {
+      console.error(`[Parse Intent] LLM provider "${provider.name}" is not configured! Using regex fallback.`);
+      return fallbackIntent(userText);
     }
     
     // Mode context injection
@@ -525,76 +1138,90 @@ async function parseIntent(userText, context = {}) {
     const systemPrompt = `You are a task management assistant. Parse user requests into structured intents.
 
 STRICT ACTION WHITELIST - ONLY return one of these actions:
-create_task, list_tasks, update_task, update_priority, complete_task, delete_task, create_note, list_notes, focus, show_urgent, math, small_talk, help, unknown
+${buildActionWhitelist()}
 
 RULES:
-- "X is assigned to Y" OR "assign X to Y" → action="update_task" with entities.task_ref=X and entities.assignee=Y
-- "make X urgent/high/low" OR "change priority" → action="update_priority" with entities.priority and entities.task_ref
-- "mark as done/complete X" → action="complete_task" with entities.task_ref
-- "delete/remove X" → action="delete_task" with entities.task_ref
-- "delete all" OR "remove all" → action="delete_task" with entities.task_ref="all"
-- "re arrange the list based on tasks priority" → action="list_tasks" with entities.sortBy="priority"
-- "list my tasks" → action="list_tasks" with entities.scope="my" (only owned tasks)
-- "list all tasks" OR "list tasks" → action="list_tasks" with entities.scope="all" (owned + assigned)
-- "update/change/modify task X" → action="update_task" with relevant entities.updates
-- "what time/day" or greetings → action="small_talk" with reply_hint
-- "add 5094 + 3776" → action="math" with entities.numbers and entities.operation
-- If ambiguous or unsupported → action="unknown"
+${INTENT_RULES}
+${CONFIDENCE_RULES}
 ${modeContext}
 
 Return ONLY valid JSON, no markdown, no code blocks, no explanations.
 Format:
 {
   "mode": "auto" | "tasks" | "notes" | "focus" | "chat",
-  "action": "create_task" | "list_tasks" | "update_task" | "update_priority" | "complete_task" | "delete_task" | "create_note" | "list_notes" | "focus" | "show_urgent" | "math" | "small_talk" | "help" | "unknown",
+  "action": ${getActionNames().map(name => `"${name}"`).join(' | ')},
   "entities": {
     "title": "task title text",
     "task_ref": "title text or number like 1,2,3 from last list",
+    "reminder_ref": "reminder text or number from the reminder list",
     "assignee": "person name",
     "project": "project name",
     "priority": "high" | "medium" | "low",
     "sortBy": "priority",
     "scope": "my" | "all",
-    "datetime": "time reference",
+    "datetime": "time reference as said, like tomorrow at 4pm",
+    "series_op": "skip" | "pause" | "resume" | "end" | "set",
+    "items": ["checklist step", "..."],
+    "depends_on": "title text or number of the task that must be done first",
+    "dependency_op": "add" | "remove",
+    "status": ${listStatuses().map(key => `"${key}"`).join(' | ')},
+    "recurrence": "repeat rule as said, like monthly on the 1st",
     "numbers": [5094, 3776],
     "operation": "addition" | "subtraction" | "multiplication" | "division",
     "updates": {
       "assignee": "new assignee name",
       "priority": "new priority",
       "description": "new description"
+    },
+    "profile": {
+      "timezone": "IANA name like Asia/Kolkata",
+      "locale": "like en-GB",
+      "dateFormat": "MDY" | "DMY" | "YMD",
+      "weekStart": "day name",
+      "workingHours": "as said, like 9am-5pm mon-fri"
     }
   },
-  "tasks": [{ "title": "...", "description": "...", "priority": "high|medium|low", "assignee": "name or null" }],
+  "tasks": [{ "title": "...", "description": "...", "priority": "high|medium|low", "assignee": "name or null", "dueDate": "time reference as said, or null", "recurrence": "repeat rule as said, like every Monday at 9am, or null", "subtasks": ["checklist step", "..."] }],
   "notes": [{ "title": "...", "body": "...", "tags": [] }],
   "reply_hint": "short reply under 60 words for small_talk",
+  "steps": [{ "action": "...", "entities": {}, "tasks": [] }],
+  "confidence": 0.9,
+  "candidates": [{ "action": "...", "entities": {}, "label": "what this reading would do" }],
   "query": "original user message"
 }`;
 
-    const inputTokens = estimateTokens(systemPrompt + userText);
+    const inputTokens = countPromptTokens(systemPrompt, userText);
     
     // Decide: simple or long input?
-    if (inputTokens <= MAX_INPUT_TOKENS_PER_CALL) {
-      // Simple input - single call
-      console.log('[Parse Intent] Using single Groq call');
-      const response = await safeGroqCall(systemPrompt, userText);
-      const content = response.choices[0]?.message?.content || '{}';
-      const cleaned = cleanJsonResponse(content);
-      const parsed = JSON.parse(cleaned);
-      parsed.query = parsed.query || userText;
-      return parsed;
+    if (inputTokens <= MAX_PROMPT_TOKENS_PER_CALL) {
+      // Same message, mode and prompt version as an earlier parse: reuse it
+      const { intentMode, model } = getLLMConfig();
+      const cache = getIntentCache();
+      const cacheKey = buildCacheKey(userText, { mode: context.mode, promptVersion: hashPrompt(systemPrompt, intentMode, model) });
+      const cached = cache.get(cacheKey);
+      if (cached) {
+        console.log('[Parse Intent] Using cached intent');
+        return { ...cached, query: userText, cached: true };
+      }
+      
+      const intent = await parseShortInput(userText, context, systemPrompt, provider, usage);
+      if (isCacheable(intent)) {
+        cache.set(cacheKey, intent);
+      }
+      return intent;
     } else {
-      // Long input - use chunking
+      // Long input - use chunking (merged result is normalized, not re-prompted)
       console.log('[Parse Intent] Using multi-call chunking strategy');
-      return await parseLongInput(userText, context);
+      return withValidation(validateIntent(await parseLongInput(userText, context, usage)));
     }
   } catch (error) {
     console.error('[Parse Intent] Error:', error.message);
     console.error('[Parse Intent] Full error:', error);
     
-    // If Groq API error, use regex fallback
+    // If LLM API error, use regex fallback
     if (error.message && (error.message.includes('GROQ_API_KEY') || error.message.includes('API'))) {
-      console.log('[Parse Intent] Groq API unavailable, using regex fallback');
-      return regexFallbackParser(userText);
+      console.log('[Parse Intent] LLM API unavailable, using regex fallback');
+      return fallbackIntent(userText);
     }
     
     // Friendly error message
@@ -608,10 +1235,148 @@ Format:
     
     // Use regex fallback for any error
     console.log('[Parse Intent] Error occurred, using regex fallback');
-    return regexFallbackParser(userText);
+    return fallbackIntent(userText);
   }
 }
 
+/**
+ * Parse a message that fits in one call
+ * Tool calling first (when configured), then the JSON prompt with one
+ * corrective re-prompt, then the regex fallback
+ */
+async function parseShortInput(userText, context, systemPrompt, provider, usage) {
+  // Tool-calling mode first, when configured and the provider supports it
+  if (getLLMConfig().intentMode === 'tools' && provider.supportsTools) {
+    try {
+      const toolIntent = await parseIntentWithTools(userText, context, usage);
+      if (toolIntent) return toolIntent;
+    } catch (error) {
+      console.error('[Parse Intent] Tool-calling failed:', error.message);
+    }
+    console.log('[Parse Intent] Falling back to JSON prompt');
+  }
+  
+  // Simple input - single call
+  console.log('[Parse Intent] Using single LLM call');
+  const response = await safeLLMCall(systemPrompt, userText, { usage });
+  const content = response.choices[0]?.message?.content || '{}';
+  const result = parseLLMReply(content, userText);
+  
+  if (result.errors.length === 0) {
+    return withValidation(result);
+  }
+  
+  // One corrective re-prompt, then the regex fallback
+  console.log(`[Parse Intent] Invalid intent, re-prompting once:\n${formatValidationErrors(result.errors)}`);
+  const retry = await safeLLMCall(systemPrompt, buildCorrectionPrompt(userText, content, result.errors), { usage });
+  const corrected = parseLLMReply(retry.choices[0]?.message?.content || '{}', userText);
+  
+  if (corrected.errors.length > 0) {
+    console.log('[Parse Intent] Intent still invalid after re-prompt, using regex fallback');
+    return fallbackIntent(userText, corrected);
+  }
+  return withValidation(corrected, { reprompted: true });
+}
+
+// Actions whose parse depends on more than the message (small talk replies mention the time)
+const UNCACHED_ACTIONS = new Set(['small_talk', 'unknown', 'error']);
+
+/**
+ * Whether a parsed intent can be reused for the same message later
+ * Only clean LLM parses are cached; fallbacks are retried next time
+ */
+function isCacheable(intent) {
+  return !!intent &&
+    !!intent.validation &&
+    intent.validation.valid &&
+    !intent.validation.fallback &&
+    !intent.fallback &&
+    !UNCACHED_ACTIONS.has(intent.action);
+}
+
+// ===== FAST PATH =====
+// Whole-message command shapes the regex parser reads without ambiguity.
+// They skip the LLM and the cache; matched against the normalized message.
+// Shapes that name a status are built from the workflow in fastPathPatterns().
+const FAST_PATH_PATTERNS = [
+  /^help$/,
+  /^(?:show )?my (?:profile|settings|preferences)$/,
+  /^(?:set|change|update) my (?:time ?zone|locale|language|date format|week start|working hours|work hours|office hours) to .+$/,
+  /^my (?:time ?zone|locale|language|date format|week start|working hours|work hours|office hours) (?:is|are) .+$/,
+  /^my week starts? on [a-z]+$/,
+  /^(?:show|list|view)(?: me)?(?: my)?(?: upcoming)? reminders$/,
+  /^(?:cancel|delete|remove) reminder (?:#)?\d+$/,
+  /^(?:show|list|display)(?: me)?(?: (?:my|all))? tasks$/,
+  /^(?:complete|finish) (?:task |#)?\d+(?:\.\d+)?$/,
+  /^(?:delete|remove) (?:task |#)?\d+(?:\.\d+)?$/,
+  /^add (?:steps|subtasks|checklist items) to (?:task |#)?\d+ ?: .+$/,
+  /^(?:task |#)?\d+ (?:depends on|is blocked by) (?:task |#)?\d+$/,
+  /^what (?:changed|happened) (?:on|to) (?:task |#)?\d+$/,
+  /^what (?:did i do|have i done) (?:today|yesterday|this week|last week)$/,
+  /^(?:undo|redo)(?: that| it| (?:the |my )?last (?:change|action))?$/,
+  /^(?:show|list|view|open)(?: me)?(?: my| the)? (?:trash|bin|deleted (?:tasks|notes|items))$/,
+  /^(?:empty|clear)(?: my| the)? (?:trash|bin)$/,
+  /^(?:restore|undelete) (?:#)?\d+$/,
+  /^(?:delete|remove) all(?: tasks)?$/,
+  /^\d+ ?[-+*\/] ?\d+$/
+];
+
+let fastPathHits = 0;
+
+/**
+ * Regex alternation matching any name of the given statuses (default: all)
+ */
+function statusPattern(keys) {
+  return statusNames(keys)
+    .map(name => name.split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\s_-]+'))
+    .join('|');
+}
+
+/**
+ * Fast-path patterns, with the status shapes for the current workflow
+ */
+function fastPathPatterns() {
+  const status = statusPattern();
+  return [
+    ...FAST_PATH_PATTERNS,
+    new RegExp(`^(?:show|list|display)(?: me)?(?: my)? (?:${status}) tasks$`),
+    new RegExp(`^move (?:task |#)?\\d+ (?:back )?to (?:${status})$`)
+  ];
+}
+
+/**
+ * Parse an unambiguous command without the LLM
+ * Off with INTENT_FAST_PATH=false; other modes (notes, focus, chat) always
+ * go to the LLM, since "delete 2" there may not mean a task
+ * 
+ * @param {string} userText - User input text
+ * @param {Object} context - NLP context ({ mode })
+ * @returns {Object|null} Validated intent marked `fastPath`, or null
+ */
+function fastPathIntent(userText, context = {}) {
+  if (!getLLMConfig().fastPath || (context.mode && context.mode !== 'tasks')) {
+    return null;
+  }
+  
+  const normalized = normalizeUtterance(userText);
+  if (!fastPathPatterns().some(pattern => pattern.test(normalized))) {
+    return null;
+  }
+  
+  const { fallback, ...raw } = regexFallbackParser(userText);
+  const intent = withValidation(validateIntent(raw));
+  intent.fastPath = true;
+  fastPathHits++;
+  return intent;
+}
+
+/**
+ * Intent cache counters, plus messages answered by the fast path
+ */
+function getIntentCacheStats() {
+  return { ...getIntentCache().stats(), fastPathHits };
+}
+
 /**
  * PARSE WITH RETRY
  * Wraps parseIntent with automatic retry on JSON errors
@@ -628,9 +1393,330 @@ async function parseIntentWithRetry(userText, userId, retries = 1) {
   }
 }
 
+/**
+ * Text with a matched phrase cut out
+ */
+function withoutPhrase(text, match) {
+  return `${text.substring(0, match.start)} ${text.substring(match.end)}`.replace(/\s+/g, ' ').replace(/[\s,;:-]+$/, '').trim();
+}
+
+/**
+ * Task from a line of fallback input
+ * A repeat rule ("every Monday at 9am") and a due date ("call mom tomorrow at 5pm")
+ * move out of the title
+ */
+function fallbackTask(line) {
+  const task = { title: line, description: '', priority: 'medium' };
+
+  const repeat = findRecurrence(line);
+  if (repeat && withoutPhrase(line, repeat)) {
+    task.title = withoutPhrase(line, repeat);
+    task.recurrence = repeat.phrase;
+  }
+
+  const due = findDateExpression(task.title);
+  if (!due) return task;
+
+  const title = withoutPhrase(task.title, due);
+  if (title) {
+    task.title = title;
+    task.dueDate = due.phrase;
+  }
+  return task;
+}
+
+// Profile fields by the names people use for them
+const PROFILE_FIELD_NAMES = [
+  [/^time ?zone$/, 'timezone'],
+  [/^(?:locale|language)$/, 'locale'],
+  [/^date format$/, 'dateFormat'],
+  [/^week start$/, 'weekStart'],
+  [/^(?:working|work|office) hours$/, 'workingHours']
+];
+
+/**
+ * Profile change from "set my timezone to Asia/Kolkata" or "my working hours are 9-5"
+ * 
+ * @returns {Object|null} { field: value }, {} for "show my settings", or null
+ */
+function parseProfileCommand(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  if (/^(?:show|view|what are)?\s*my (?:profile|settings|preferences)$/i.test(trimmed)) {
+    return {};
+  }
+  
+  const match = trimmed.match(/^(?:(?:set|change|update) my (.+?) to|my (.+?) (?:is|are)) (.+)$/i) ||
+    trimmed.match(/^my (week) starts? on (.+)$/i);
+  if (!match) return null;
+  
+  const [name, value] = match[3] !== undefined ? [match[1] || match[2], match[3]] : ['week start', match[2]];
+  const field = PROFILE_FIELD_NAMES.find(([pattern]) => pattern.test(name.toLowerCase().trim()));
+  return field ? { [field[1]]: value.trim() } : null;
+}
+
+/**
+ * Reminder command from "remind me to call Sam at 4pm", "show my reminders"
+ * or "cancel reminder 2"
+ * 
+ * @returns {Object|null} { action, entities }, or null
+ */
+function parseReminderCommand(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  if (/^(?:show|list|view|what are)(?: me)?(?: my)?(?: upcoming)? reminders$/i.test(trimmed)) {
+    return { action: 'list_reminders', entities: {} };
+  }
+  
+  const cancel = trimmed.match(/^(?:cancel|delete|remove|clear) (?:the |my )?reminder (?:to |about )?(.+)$/i);
+  if (cancel) {
+    return { action: 'cancel_reminder', entities: { reminder_ref: cancel[1].trim() } };
+  }
+  
+  const remind = trimmed.match(/^remind me (.+)$/i);
+  if (!remind) return null;
+  
+  // The time can come before or after what to do: "at 4pm to call Sam", "to call Sam at 4pm"
+  const rest = remind[1];
+  const due = findDateExpression(rest);
+  const title = (due ? `${rest.substring(0, due.start)} ${rest.substring(due.end)}` : rest)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(?:to|about|that)\s+/i, '')
+    .replace(/[\s,;:-]+$/, '');
+  
+  const entities = { title };
+  if (due) entities.datetime = due.phrase;
+  return { action: 'create_reminder', entities };
+}
+
+/**
+ * Checklist steps from "a, b and c" or one step per line
+ */
+function splitItems(text) {
+  const parts = text.split(/\s*[,;\n]\s*/);
+  if (parts.length > 1) {
+    // "build, test and tag": the last "and" joins the final two steps
+    parts.push(...parts.pop().replace(/^and\s+/i, '').split(/\s+and\s+/i));
+  }
+  return parts.map(part => part.replace(/^(?:[-*•]|\d+[.)])\s*/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Checklist command from "add steps to task 2: build, test, tag", "break the
+ * release into build, test and tag" or "add a step to task 2: write notes"
+ * 
+ * @returns {Object|null} { task_ref, items }, or null
+ */
+function parseSubtaskCommand(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  const ref = name => name.trim().replace(/^(?:the|my)\s+/i, '');
+  
+  const list = trimmed.match(/^add (?:the |some |a )?(?:steps?|sub-?tasks?|checklist(?: items?)?|items?) to (?:task )?(.+?)\s*:\s*([\s\S]+)$/i) ||
+    trimmed.match(/^(?:break|split) (?:task )?(.+?) (?:down )?into (?:steps\s*:?\s*)?([\s\S]+)$/i);
+  if (list) {
+    return { task_ref: ref(list[1]), items: splitItems(list[2]) };
+  }
+  
+  const one = trimmed.match(/^add (?:a )?(?:step|sub-?task|checklist item) ["“]?(.+?)["”]? to (?:task )?(.+)$/i);
+  if (one) {
+    return { task_ref: ref(one[2]), items: [one[1].trim()] };
+  }
+  return null;
+}
+
+/**
+ * Dependency command from "task 3 depends on task 1", "deploy is blocked by QA
+ * sign-off", "task 1 blocks task 3", "deploy no longer depends on QA" or "unblock deploy"
+ * 
+ * @returns {Object|null} { task_ref, depends_on, dependency_op }, or null
+ */
+function parseDependencyCommand(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  const ref = name => name.trim().replace(/^(?:the|my)\s+/i, '').replace(/^(?:task\s*|#)(\d+)$/i, '$1');
+  
+  const removed = trimmed.match(/^(.+?) (?:no longer|doesn'?t|does not) (?:depends? on|waits? (?:on|for)|need to wait (?:on|for)) (.+)$/i);
+  if (removed) {
+    return { task_ref: ref(removed[1]), depends_on: ref(removed[2]), dependency_op: 'remove' };
+  }
+  
+  const unblock = trimmed.match(/^unblock (.+)$/i);
+  if (unblock) {
+    return { task_ref: ref(unblock[1]), dependency_op: 'remove' };
+  }
+  
+  const waits = trimmed.match(/^(.+?) (?:depends on|is blocked by|is waiting on|waits (?:on|for)|can'?t start (?:before|until)) (.+)$/i);
+  if (waits) {
+    return { task_ref: ref(waits[1]), depends_on: ref(waits[2]), dependency_op: 'add' };
+  }
+  
+  // "blocks" reads as a dependency only between task numbers: "fix the bug that blocks release" is a task
+  const blocks = trimmed.match(/^((?:task\s*|#)?\d+) (?:blocks|must be done before|comes before) ((?:task\s*|#)?\d+)$/i);
+  if (blocks) {
+    return { task_ref: ref(blocks[2]), depends_on: ref(blocks[1]), dependency_op: 'add' };
+  }
+  return null;
+}
+
+/**
+ * Status command from "move X to review", "mark X as in progress", "start working
+ * on X", "send X for review", "put X on hold", "cancel X" or "reopen X"
+ * "mark X as done" is left to completion
+ * 
+ * @returns {Object|null} { task_ref, status }, or null
+ */
+function parseStatusCommand(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  const ref = name => name.trim().replace(/^(?:the|my)\s+/i, '').replace(/^(?:task\s*|#)(\d+)$/i, '$1');
+  const status = name => resolveStatus(name.trim().replace(/^(?:the|a)\s+/i, '').replace(/\s+(?:column|stage|status)$/i, ''));
+  
+  const moved = trimmed.match(/^(?:move|set|put|change) (?:task )?(.+?) (?:back )?(?:to|into|as) (.+)$/i);
+  if (moved && status(moved[2])) {
+    return { task_ref: ref(moved[1]), status: status(moved[2]) };
+  }
+  
+  const marked = trimmed.match(/^mark (?:task )?(.+?) (?:as )?(.+)$/i);
+  if (marked && status(marked[2]) && status(marked[2]) !== DONE_STATUS) {
+    return { task_ref: ref(marked[1]), status: status(marked[2]) };
+  }
+  
+  // "X is done" / "X is open" stay with the complete and create parsers
+  const sideStatuses = listStatuses().filter(key => key !== INITIAL_STATUS && key !== DONE_STATUS);
+  const is = trimmed.match(new RegExp(`^(?:task )?(.+?) is (?:now )?(?:ready for |being )?(${statusPattern(sideStatuses)})$`, 'i'));
+  if (is) {
+    return { task_ref: ref(is[1]), status: status(is[2]) };
+  }
+  
+  const patterns = [
+    [/^(?:start|begin) (?:working on|work on|on) (.+)$/i, 'in_progress'],
+    [/^send (.+?) (?:for|to) review$/i, 'in_review'],
+    [/^put (.+?) on hold$/i, 'on_hold'],
+    [/^(?:cancel|drop|abandon) (?!(?:the |my )?(?:reminder|focus|timer|session)\b)(.+)$/i, 'cancelled'],
+    [/^(?:reopen|re-open|undo complete|uncomplete) (.+)$/i, 'pending']
+  ];
+  
+  for (const [pattern, key] of patterns) {
+    const match = trimmed.match(pattern);
+    if (match && resolveStatus(key)) return { task_ref: ref(match[1]), status: key };
+  }
+  return null;
+}
+
+/**
+ * Status filter of a list request: "show tasks in review", "list done tasks",
+ * "show my tasks on hold" or "what's in progress"
+ * 
+ * @returns {Object|null} { status, scope }, or null
+ */
+function parseStatusFilter(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  const match = trimmed.match(/^(?:show|list|display|view)(?: me)?(?: (my|all))?(?: the)? (.+?) tasks$/i) ||
+    trimmed.match(/^(?:show|list|display|view)(?: me)?(?: (my|all))? tasks (?:that are |which are |marked )?(.+)$/i) ||
+    trimmed.match(new RegExp(`^what(?:'s| is)(?: (my|all))? (${statusPattern()})$`, 'i'));
+  const status = match && resolveStatus(match[2]);
+  if (!status) return null;
+  
+  return match[1] ? { status, scope: match[1].toLowerCase() } : { status };
+}
+
+/**
+ * "undo", "undo that", "take that back", "redo"
+ * 
+ * @returns {string|null} "undo", "redo", or null
+ */
+function parseUndoCommand(text) {
+  const trimmed = text.trim().toLowerCase().replace(/[.!?]+$/, '').replace(/^please\s+/, '');
+  const match = trimmed.match(/^(undo|redo)(?: that| it| (?:the |my )?last (?:change|action|one))?(?: please)?$/);
+  if (match) return match[1];
+  return /^(?:take (?:that|it) back|revert (?:that|my last change))$/.test(trimmed) ? 'undo' : null;
+}
+
+/**
+ * Trash command: "show trash", "show deleted notes", "restore 2",
+ * "undelete the budget review", "empty the trash"
+ * 
+ * @returns {Object|null} { action, entities }, or null
+ */
+function parseTrashCommand(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  
+  const list = trimmed.match(/^(?:(?:show|list|view|open)(?: me)?(?: my| the)? (?:trash|bin|deleted (tasks|notes|items))|what(?:'s| is) in (?:my |the )?(?:trash|bin))$/i);
+  if (list) {
+    const kind = list[1] && list[1].toLowerCase();
+    return { action: 'list_trash', entities: kind && kind !== 'items' ? { kind } : {} };
+  }
+  
+  if (/^(?:empty|clear)(?: my| the)? (?:trash|bin)$/i.test(trimmed)) {
+    return { action: 'empty_trash', entities: {} };
+  }
+  
+  const restore = trimmed.match(/^(?:restore|undelete|recover) (?:(?:task|note|item) )?(.+?)(?: from (?:my |the )?(?:trash|bin))?$/i);
+  if (restore) {
+    const ref = restore[1].trim().replace(/^(?:the|my)\s+/i, '').replace(/^#(\d+)$/, '$1');
+    return { action: 'restore_from_trash', entities: { trash_ref: /^(?:all|everything)$/i.test(ref) ? 'all' : ref } };
+  }
+  return null;
+}
+
+// Periods an activity question can name instead of a task ("history for yesterday")
+const ACTIVITY_PERIOD = /^(?:today|yesterday|(?:this|last|past) (?:week|month)|(?:last|past) \d+ days?|(?:last )?(?:mon|tues|wednes|thurs|fri|satur|sun)day)$/i;
+
+/**
+ * Activity question: "what changed on task 2?", "history of the report",
+ * "what did I do yesterday?" or "my activity this week"
+ * 
+ * @returns {Object|null} { task_ref } or { datetime } ({} for today), or null
+ */
+function parseActivityCommand(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  const ref = name => name.trim().replace(/^(?:the|my)\s+/i, '').replace(/^(?:task\s*|#)(\d+)$/i, '$1');
+  
+  const task = trimmed.match(/^what(?:'s| has)? (?:changed|happened) (?:on|to|with) (.+)$/i) ||
+    trimmed.match(/^(?:show |view )?(?:me )?(?:the )?(?:history|activity|changes) (?:of|for|on) (.+)$/i);
+  if (task && !ACTIVITY_PERIOD.test(ref(task[1]))) {
+    return { task_ref: ref(task[1]) };
+  }
+  
+  const mine = trimmed.match(/^(?:what (?:changed|did i do|have i done|did i get done|did i work on)|(?:show |view )?(?:me )?(?:my (?:activity|history)|(?:the )?activity log))(?: (.+))?$/i);
+  const period = task ? task[1] : mine && mine[1];
+  if (period) {
+    return { datetime: period.trim().replace(/^(?:for|on|in|from|during)\s+/i, '') };
+  }
+  return mine ? {} : null;
+}
+
+/**
+ * Series command from "skip standup", "pause weekly report", "stop repeating
+ * standup" or "make standup repeat every weekday"
+ * 
+ * @returns {Object|null} { task_ref, series_op, recurrence }, or null
+ */
+function parseSeriesCommand(text) {
+  const trimmed = text.trim().replace(/[.!?]+$/, '');
+  const ref = name => name.trim().replace(/^(?:the|my)\s+/i, '').replace(/\s+(?:series|task)$/i, '');
+  
+  const set = trimmed.match(/^(?:make|set) (.+?) (?:to )?(?:repeat|recur) (.+)$/i) ||
+    trimmed.match(/^repeat (.+?) ((?:every|each|daily|weekly|monthly|biweekly|fortnightly)\b.*)$/i);
+  if (set) {
+    return { task_ref: ref(set[1]), series_op: 'set', recurrence: set[2].trim() };
+  }
+  
+  const patterns = [
+    [/^skip (?:the )?(?:next )?(.+?)(?: this (?:time|week|month))?$/i, 'skip'],
+    [/^pause (.+)$/i, 'pause'],
+    [/^(?:resume|unpause) (.+)$/i, 'resume'],
+    [/^(?:stop repeating|don'?t repeat|do not repeat) (.+)$/i, 'end'],
+    [/^(?:stop|end) (.+?) (?:from repeating|series)$/i, 'end']
+  ];
+  
+  for (const [pattern, op] of patterns) {
+    const match = trimmed.match(pattern);
+    if (match) return { task_ref: ref(match[1]), series_op: op };
+  }
+  return null;
+}
+
 /**
  * REGEX-BASED FALLBACK PARSER
- * Ultra-simple parsing for when Groq fails
+ * Ultra-simple parsing for when the LLM fails
  * 
  * @param {string} text - User input text
  * @returns {Object} Basic parsed intent
@@ -647,11 +1733,80 @@ function regexFallbackParser(text) {
     fallback: true
   };
   
+  const profile = parseProfileCommand(text);
+  if (profile) {
+    intent.action = 'update_profile';
+    intent.entities.profile = profile;
+    return intent;
+  }
+  
+  const reminder = parseReminderCommand(text);
+  if (reminder) {
+    intent.action = reminder.action;
+    intent.entities = reminder.entities;
+    return intent;
+  }
+  
+  const history = parseUndoCommand(text);
+  if (history) {
+    intent.action = history;
+    return intent;
+  }
+  
+  const trash = parseTrashCommand(text);
+  if (trash) {
+    intent.action = trash.action;
+    intent.entities = trash.entities;
+    return intent;
+  }
+  
+  const activity = parseActivityCommand(text);
+  if (activity) {
+    intent.action = 'show_activity';
+    intent.entities = activity;
+    return intent;
+  }
+  
+  const checklist = parseSubtaskCommand(text);
+  if (checklist) {
+    intent.action = 'add_subtasks';
+    intent.entities = checklist;
+    return intent;
+  }
+  
+  const dependency = parseDependencyCommand(text);
+  if (dependency) {
+    intent.action = 'update_dependency';
+    intent.entities = dependency;
+    return intent;
+  }
+  
+  const status = parseStatusCommand(text);
+  if (status) {
+    intent.action = 'update_status';
+    intent.entities = status;
+    return intent;
+  }
+  
+  const series = parseSeriesCommand(text);
+  if (series) {
+    intent.action = 'update_series';
+    intent.entities = series;
+    return intent;
+  }
+  
+  const statusFilter = parseStatusFilter(text);
+  if (statusFilter) {
+    intent.action = 'list_tasks';
+    intent.entities = statusFilter;
+    return intent;
+  }
+  
   // Detect action by keywords
   if (/complete|done|finish|mark.*done/i.test(text)) {
     intent.action = 'complete_task';
     // Try to extract task reference
-    const match = text.match(/complete|done|finish\s+(.+)/i);
+    const match = text.match(/(?:complete|done|finish)\s+(.+)/i);
     if (match) intent.entities.task_ref = match[1].trim();
     return intent;
   }
@@ -662,7 +1817,7 @@ function regexFallbackParser(text) {
     if (/delete\s+all|remove\s+all|delete\s+everything|remove\s+everything/i.test(text)) {
       intent.entities.task_ref = 'all';
     } else {
-      const match = text.match(/delete|remove\s+(.+)/i);
+      const match = text.match(/(?:delete|remove)\s+(.+)/i);
       if (match) intent.entities.task_ref = match[1].trim();
     }
     return intent;
@@ -734,22 +1889,11 @@ function regexFallbackParser(text) {
   const taskMatches = text.match(/\d+[\)\.]\s*([^\n]+)/g);
   
   if (taskMatches) {
-    intent.tasks = taskMatches.map(match => {
-      const title = match.replace(/^\d+\)\s*/, '').trim();
-      return {
-        title,
-        description: '',
-        priority: 'medium'
-      };
-    });
+    intent.tasks = taskMatches.map(match => fallbackTask(match.replace(/^\d+\)\s*/, '').trim()));
   } else {
     // Fallback: treat each line as a task
     const lines = text.split('\n').filter(line => line.trim().length > 0);
-    intent.tasks = lines.slice(0, 50).map(line => ({
-      title: line.trim(),
-      description: '',
-      priority: 'medium'
-    }));
+    intent.tasks = lines.slice(0, 50).map(line => fallbackTask(line.trim()));
   }
   
   return intent;
@@ -761,12 +1905,25 @@ module.exports = {
   parseLongInput,
   estimateTokens,
   splitTextIntoChunks,
-  safeGroqCall,
+  splitIntoBlocks,
+  extractSharedContext,
+  resolveTaskEntities,
+  mergeIntents,
+  safeLLMCall,
+  safeGroqCall: safeLLMCall, // Backwards-compatible alias
   cleanJsonResponse,
   repairTruncatedJson,
   regexFallbackParser,
+  buildActionWhitelist,
+  parseLLMReply,
+  parseIntentWithTools,
+  fastPathIntent,
+  getIntentCacheStats,
+  createUsage,
   // Export constants for testing/configuration
   MAX_INPUT_TOKENS_PER_CALL,
   MAX_OUTPUT_TOKENS_PER_CALL,
-  MAX_TOTAL_TOKENS_PER_CALL
+  MAX_TOTAL_TOKENS_PER_CALL,
+  MIN_OUTPUT_TOKENS_PER_CALL,
+  MAX_PROMPT_TOKENS_PER_CALL
 };
@@ -1,88 +1,21 @@
 /**
  * Notes Service
  * Notion-lite note management system with context awareness
- * Uses in-memory storage for serverless environments
+ * Notes are stored as records in the "notes" collection
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const NOTES_FILE = path.join(__dirname, '..', 'data', 'notes.json');
-const IS_SERVERLESS = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME || !process.env.HOME;
-
-// In-memory storage for serverless environments
-let memoryStore = [];
-
-/**
- * Check if running in serverless environment
- */
-function isServerless() {
-  return IS_SERVERLESS;
-}
-
-/**
- * Load notes from file or memory
- */
-function loadNotes() {
-  // Use memory storage in serverless environment
-  if (isServerless()) {
-    return memoryStore;
-  }
-  
-  // Use file storage in local environment
-  try {
-    if (!fs.existsSync(NOTES_FILE)) {
-      const dataDir = path.dirname(NOTES_FILE);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-      fs.writeFileSync(NOTES_FILE, JSON.stringify([], null, 2));
-      return [];
-    }
-    
-    const data = fs.readFileSync(NOTES_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('[Notes] Error loading notes, using memory fallback:', error.message);
-    return memoryStore;
-  }
-}
-
-/**
- * Save notes to file or memory
- */
-function saveNotes(notes) {
-  // Use memory storage in serverless environment
-  if (isServerless()) {
-    memoryStore = notes;
-    return true;
-  }
-  
-  // Use file storage in local environment
-  try {
-    const dataDir = path.dirname(NOTES_FILE);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(NOTES_FILE, JSON.stringify(notes, null, 2));
-    return true;
-  } catch (error) {
-    console.error('[Notes] Error saving notes, using memory fallback:', error.message);
-    memoryStore = notes;
-    return false;
-  }
-}
+const { getStorage } = require('../utils/storage');
+const { SCHEMA_VERSIONS } = require('../utils/storage/migrations');
+const { moveToTrash } = require('./trash');
 
 /**
  * Create a new note
  */
 function createNote(userId, { title, body = '', tags = [], context = {} }) {
-  const notes = loadNotes();
-  
   const note = {
     id: `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     userId,
+    schemaVersion: SCHEMA_VERSIONS.notes,
     title: title || 'Untitled Note',
     body,
     tags: Array.isArray(tags) ? tags : [],
@@ -95,8 +28,7 @@ function createNote(userId, { title, body = '', tags = [], context = {} }) {
     updatedAt: new Date().toISOString()
   };
   
-  notes.push(note);
-  saveNotes(notes);
+  getStorage().put('notes', note);
   
   console.log(`[Notes] Created note: ${note.id} for user ${userId}`);
   
@@ -107,9 +39,7 @@ function createNote(userId, { title, body = '', tags = [], context = {} }) {
  * List notes with optional filters
  */
 function listNotes(userId, filters = {}) {
-  const notes = loadNotes();
-  
-  let userNotes = notes.filter(note => note.userId === userId);
+  let userNotes = getStorage().find('notes', { userId });
   
   // Apply filters
   if (filters.projectId) {
@@ -138,8 +68,7 @@ function listNotes(userId, filters = {}) {
  * Search notes by query
  */
 function searchNotes(userId, query) {
-  const notes = loadNotes();
-  const userNotes = notes.filter(note => note.userId === userId);
+  const userNotes = getStorage().find('notes', { userId });
   
   if (!query || query.trim() === '') {
     return userNotes;
@@ -160,24 +89,13 @@ function searchNotes(userId, query) {
  * Get note by ID
  */
 function getNoteById(noteId) {
-  const notes = loadNotes();
-  return notes.find(note => note.id === noteId);
+  return getStorage().get('notes', noteId);
 }
 
 /**
- * Update note
+ * Apply a patch to a note in place
  */
-function updateNote(userId, noteId, patch) {
-  const notes = loadNotes();
-  const noteIndex = notes.findIndex(note => note.id === noteId && note.userId === userId);
-  
-  if (noteIndex === -1) {
-    return null;
-  }
-  
-  const note = notes[noteIndex];
-  
-  // Update fields
+function applyNotePatch(note, patch) {
   if (patch.title !== undefined) {
     note.title = patch.title;
   }
@@ -205,28 +123,44 @@ function updateNote(userId, noteId, patch) {
   }
   
   note.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Update note
+ * Runs as one atomic read-modify-write
+ */
+function updateNote(userId, noteId, patch) {
+  let updated = null;
   
-  notes[noteIndex] = note;
-  saveNotes(notes);
+  getStorage().update('notes', noteId, note => {
+    if (!note || note.userId !== userId) {
+      return null;
+    }
+    applyNotePatch(note, patch);
+    updated = note;
+    return note;
+  });
+  
+  if (!updated) {
+    return null;
+  }
   
   console.log(`[Notes] Updated note: ${noteId}`);
   
-  return note;
+  return updated;
 }
 
 /**
- * Delete note
+ * Delete note (it goes to the trash; see services/trash.js)
  */
 function deleteNote(userId, noteId) {
-  const notes = loadNotes();
-  const noteIndex = notes.findIndex(note => note.id === noteId && note.userId === userId);
+  const deletedNote = getStorage().get('notes', noteId);
   
-  if (noteIndex === -1) {
+  if (!deletedNote || deletedNote.userId !== userId) {
     return false;
   }
   
-  const deletedNote = notes.splice(noteIndex, 1)[0];
-  saveNotes(notes);
+  moveToTrash('notes', deletedNote);
   
   console.log(`[Notes] Deleted note: ${noteId}`);
   
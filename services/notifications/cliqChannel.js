@@ -0,0 +1,61 @@
+/**
+ * Cliq Channel
+ * Sends notifications as Zoho Cliq bot messages to the user
+ *
+ * POST <apiBase>/bots/<botName>/message with { text, userids }. The user ID
+ * is the one the webhook received from Cliq (the user's Cliq ID or email).
+ */
+
+/**
+ * Create a Cliq bot channel
+ *
+ * @param {Object} options
+ * @param {string} options.botName - Bot unique name
+ * @param {string} options.token - OAuth access token (ZohoCliq.Webhooks.CREATE scope)
+ * @param {string} options.apiBase - API base URL, e.g. https://cliq.zoho.com/api/v2
+ * @param {number} options.timeoutMs - Request timeout
+ */
+function createCliqChannel({ botName, token, apiBase = 'https://cliq.zoho.com/api/v2', timeoutMs = 10000 }) {
+  function isConfigured() {
+    return !!(botName && token);
+  }
+
+  async function send(notification) {
+    if (!isConfigured()) {
+      throw new Error('CLIQ_BOT_NAME and CLIQ_OAUTH_TOKEN must be set');
+    }
+
+    const endpoint = `${apiBase.replace(/\/+$/, '')}/bots/${encodeURIComponent(botName)}/message`;
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Zoho-oauthtoken ${token}`
+        },
+        body: JSON.stringify({ text: notification.message, userids: notification.userId }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw new Error(`Cliq message to ${notification.userId} failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`Cliq API error ${response.status}: ${text.substring(0, 200)}`);
+    }
+
+    return { delivered: true, status: response.status };
+  }
+
+  return {
+    name: 'cliq',
+    isConfigured,
+    send
+  };
+}
+
+module.exports = {
+  createCliqChannel
+};
@@ -0,0 +1,31 @@
+/**
+ * Console Channel
+ * Writes notifications to the log; the default when no outbound channel is set up
+ */
+
+/**
+ * Create a console channel
+ *
+ * @param {Object} options
+ * @param {Function} options.log - Where lines go (default: console.log)
+ */
+function createConsoleChannel({ log = console.log } = {}) {
+  function isConfigured() {
+    return true;
+  }
+
+  async function send(notification) {
+    log(`[Notify] @${notification.userId}: ${notification.message}`);
+    return { delivered: true };
+  }
+
+  return {
+    name: 'console',
+    isConfigured,
+    send
+  };
+}
+
+module.exports = {
+  createConsoleChannel
+};
@@ -0,0 +1,120 @@
+/**
+ * Notification Channels
+ * Selects where reminders and due-date notifications are delivered
+ *
+ * NOTIFY_CHANNEL=console  - Write them to the log (default)
+ * NOTIFY_CHANNEL=webhook  - POST them as JSON to NOTIFY_WEBHOOK_URL
+ *                           (signed with NOTIFY_WEBHOOK_SECRET when set)
+ * NOTIFY_CHANNEL=cliq     - Send them as Zoho Cliq bot messages
+ *                           (CLIQ_BOT_NAME, CLIQ_OAUTH_TOKEN, CLIQ_API_BASE)
+ *
+ * Every channel implements the same interface:
+ *
+ *   name                   -> channel name
+ *   isConfigured()         -> boolean (URL / credentials present)
+ *   send(notification)     -> Promise<{ delivered: true }>, throws when delivery failed
+ *
+ * A notification is { id, userId, kind, text, message, fireAt, taskId, dueDate, late }:
+ * `message` is ready to show; the other fields are for receivers that format their own.
+ *
+ * The scheduler (services/scheduler.js) runs every SCHEDULER_INTERVAL_MS,
+ * notifies REMINDER_DUE_LEAD_MINUTES before timed due dates, and handles
+ * notifications found late (missed while the process was down) per
+ * SCHEDULER_CATCH_UP: each | summary | skip.
+ */
+
+const { createConsoleChannel } = require('./consoleChannel');
+const { createWebhookChannel } = require('./webhookChannel');
+const { createCliqChannel } = require('./cliqChannel');
+
+const CATCH_UP_MODES = ['each', 'summary', 'skip'];
+
+let channel = null;
+
+/**
+ * Read a numeric setting from the environment
+ */
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Get the notification and scheduler configuration for this deployment
+ *
+ * @returns {Object} Channel name, scheduler interval, due-date lead time, retries and catch-up policy
+ */
+function getNotificationConfig() {
+  const catchUp = (process.env.SCHEDULER_CATCH_UP || 'each').toLowerCase();
+
+  return {
+    channel: (process.env.NOTIFY_CHANNEL || 'console').toLowerCase(),
+    schedulerEnabled: process.env.SCHEDULER_ENABLED !== 'false',
+    intervalMs: Math.max(1000, numberFromEnv('SCHEDULER_INTERVAL_MS', 30000)),
+    dueLeadMinutes: Math.max(0, numberFromEnv('REMINDER_DUE_LEAD_MINUTES', 60)),
+    maxAttempts: Math.max(1, numberFromEnv('NOTIFY_MAX_ATTEMPTS', 5)),
+    catchUp: CATCH_UP_MODES.includes(catchUp) ? catchUp : 'each',
+    catchUpMaxAgeMs: numberFromEnv('SCHEDULER_CATCH_UP_MAX_AGE_MS', 24 * 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Create a channel by name
+ *
+ * @param {string} name - "console" | "webhook" | "cliq"
+ * @param {Object} options - Channel options (url, secret, botName, token, log, ...)
+ * @returns {Object} Notification channel
+ */
+function createChannel(name, options = {}) {
+  switch (name) {
+    case 'console':
+      return createConsoleChannel({ log: options.log });
+
+    case 'webhook':
+      return createWebhookChannel({
+        url: options.url || process.env.NOTIFY_WEBHOOK_URL,
+        secret: options.secret || process.env.NOTIFY_WEBHOOK_SECRET,
+        timeoutMs: options.timeoutMs || numberFromEnv('NOTIFY_TIMEOUT_MS', 10000)
+      });
+
+    case 'cliq':
+      return createCliqChannel({
+        botName: options.botName || process.env.CLIQ_BOT_NAME,
+        token: options.token || process.env.CLIQ_OAUTH_TOKEN,
+        apiBase: options.apiBase || process.env.CLIQ_API_BASE,
+        timeoutMs: options.timeoutMs || numberFromEnv('NOTIFY_TIMEOUT_MS', 10000)
+      });
+
+    default:
+      throw new Error(`Unknown NOTIFY_CHANNEL "${name}". Use console, webhook or cliq.`);
+  }
+}
+
+/**
+ * Get the configured channel (created on first use)
+ */
+function getChannel() {
+  if (!channel) {
+    channel = createChannel(getNotificationConfig().channel);
+    if (!channel.isConfigured()) {
+      console.warn(`[Notify] ${channel.name} channel is missing its settings; notifications will fail until they are set`);
+    }
+    console.log(`[Notify] Using ${channel.name} channel`);
+  }
+  return channel;
+}
+
+/**
+ * Replace the channel (used by tests and scripts)
+ */
+function setChannel(adapter) {
+  channel = adapter;
+}
+
+module.exports = {
+  CATCH_UP_MODES,
+  getNotificationConfig,
+  createChannel,
+  getChannel,
+  setChannel
+};
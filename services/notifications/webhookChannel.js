@@ -0,0 +1,59 @@
+/**
+ * Webhook Channel
+ * POSTs each notification as JSON to an outbound URL
+ *
+ * With a secret, requests carry X-FlowState-Signature: sha256=<hex HMAC of the body>,
+ * so the receiver can check they came from this server.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create an outbound webhook channel
+ *
+ * @param {Object} options
+ * @param {string} options.url - Endpoint receiving notifications
+ * @param {string} options.secret - HMAC secret for the signature header (optional)
+ * @param {number} options.timeoutMs - Request timeout
+ */
+function createWebhookChannel({ url, secret, timeoutMs = 10000 }) {
+  function isConfigured() {
+    return !!url;
+  }
+
+  async function send(notification) {
+    if (!url) {
+      throw new Error('NOTIFY_WEBHOOK_URL is not set');
+    }
+
+    const body = JSON.stringify(notification);
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-FlowState-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+      throw new Error(`Notification webhook ${url} failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`Notification webhook error ${response.status}: ${text.substring(0, 200)}`);
+    }
+
+    return { delivered: true, status: response.status };
+  }
+
+  return {
+    name: 'webhook',
+    isConfigured,
+    send
+  };
+}
+
+module.exports = {
+  createWebhookChannel
+};
@@ -0,0 +1,156 @@
+/**
+ * Plans
+ * Checks and wires up the ordered steps of a multi-request message
+ *
+ * "create a task to draft the spec, make it high priority and start a 50
+ * minute focus on it" parses to a `plan` intent with three steps. Later steps
+ * refer to tasks from earlier ones either explicitly ("@1" = the task made by
+ * step 1) or with a pronoun ("it" = the task from the most recent step that
+ * made or changed one). The whole plan is checked before any step runs, so a
+ * plan that can't work changes nothing.
+ */
+
+const { getAction } = require('./actions');
+const { findTasksByTitle } = require('./tasks');
+
+const TASK_REF_KEYS = ['task_ref', 'taskId', 'depends_on'];
+const STEP_REFERENCE = /^@(\d+)$/;
+const PRONOUN_REFERENCE = /^(it|that|this|them|that one|this one|that task|this task|the task|the new task)$/i;
+
+// Actions that always leave tasks behind for later steps to refer to
+const TASK_PRODUCING_ACTIONS = ['create_task'];
+
+/**
+ * Whether a step makes or changes a task later steps can refer to
+ */
+function producesTasks(step) {
+  return TASK_PRODUCING_ACTIONS.includes(step.action) ||
+    TASK_REF_KEYS.some(key => step.entities && step.entities[key] !== undefined);
+}
+
+/**
+ * Whether a step's earlier create_task steps will make a task matching a title
+ */
+function createdEarlier(steps, index, title) {
+  const query = String(title).toLowerCase();
+  return steps.slice(0, index).some(step =>
+    step.action === 'create_task' &&
+    [...(step.tasks || []), step.entities].some(task => task && task.title && task.title.toLowerCase().includes(query))
+  );
+}
+
+/**
+ * Check every step of a plan before running any of them
+ *
+ * @param {string} userId - User ID
+ * @param {Object[]} steps - Validated step intents
+ * @param {Array} lastTaskList - Last listed tasks (numeric references)
+ * @returns {Array<{ step, message }>} Problems, by 1-based step number; empty when the plan can run
+ */
+function validatePlan(userId, steps, lastTaskList = []) {
+  const errors = [];
+
+  steps.forEach((step, index) => {
+    const number = index + 1;
+    if (!getAction(step.action) || ['plan', 'unknown'].includes(step.action)) {
+      errors.push({ step: number, message: `"${step.action}" isn't something I can do` });
+      return;
+    }
+
+    for (const key of TASK_REF_KEYS) {
+      const ref = step.entities && step.entities[key];
+      if (ref === undefined || ref === 'all' || PRONOUN_REFERENCE.test(String(ref))) continue;
+
+      const stepRef = String(ref).match(STEP_REFERENCE);
+      if (stepRef) {
+        const target = parseInt(stepRef[1], 10);
+        if (target < 1 || target >= number) {
+          errors.push({ step: number, message: `refers to step ${target}, which doesn't come before it` });
+        } else if (!producesTasks(steps[target - 1])) {
+          errors.push({ step: number, message: `refers to step ${target}, which doesn't create or change a task` });
+        }
+        continue;
+      }
+
+      if (key === 'taskId') continue;
+
+      if (typeof ref === 'number') {
+        if (!lastTaskList[ref - 1]) {
+          errors.push({ step: number, message: `there's no task ${ref} in your last list` });
+        }
+        continue;
+      }
+
+      const matches = findTasksByTitle(userId, ref);
+      if (matches.length > 1) {
+        errors.push({ step: number, message: `"${ref}" matches ${matches.length} tasks; use the full title` });
+      } else if (matches.length === 0 && !createdEarlier(steps, index, ref)) {
+        errors.push({ step: number, message: `no pending task matches "${ref}"` });
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Task IDs a step's result refers to (created, updated or focused on)
+ *
+ * @param {Object} structured - Structured part of the handler response
+ * @returns {string[]} Task IDs
+ */
+function taskIdsFromResult(structured = {}) {
+  if (Array.isArray(structured.tasks)) {
+    return structured.tasks.map(task => task.id).filter(Boolean);
+  }
+  return structured.taskId ? [structured.taskId] : [];
+}
+
+/**
+ * Replace references to earlier steps with the task IDs they produced
+ *
+ * @param {Object} step - Step intent
+ * @param {Array} results - Results of the steps run so far ({ taskIds })
+ * @returns {Object} Step intent ready to dispatch (a copy)
+ * @throws {Error} When a referenced step left no task behind
+ */
+function resolveStepReferences(step, results) {
+  const entities = { ...step.entities };
+  const action = getAction(step.action);
+
+  // Focus takes a task ID; models often send a task_ref instead
+  if (action && action.entities.includes('taskId') && !action.entities.includes('task_ref') && entities.task_ref !== undefined) {
+    entities.taskId = entities.taskId !== undefined ? entities.taskId : entities.task_ref;
+    delete entities.task_ref;
+  }
+
+  for (const key of TASK_REF_KEYS) {
+    const ref = entities[key];
+    if (ref === undefined) continue;
+
+    const stepRef = String(ref).match(STEP_REFERENCE);
+    if (stepRef) {
+      const source = results[parseInt(stepRef[1], 10) - 1];
+      if (!source || !source.taskIds || source.taskIds.length === 0) {
+        throw new Error(`Step ${stepRef[1]} didn't leave a task to refer to`);
+      }
+      entities[key] = source.taskIds[0];
+    } else if (PRONOUN_REFERENCE.test(String(ref))) {
+      const source = [...results].reverse().find(result => result.taskIds && result.taskIds.length > 0);
+      if (source) {
+        entities[key] = source.taskIds[0];
+      } else {
+        // Nothing earlier in the plan: let the handler fall back to the conversation context
+        delete entities[key];
+      }
+    }
+  }
+
+  return { ...step, entities };
+}
+
+module.exports = {
+  validatePlan,
+  resolveStepReferences,
+  taskIdsFromResult
+};
@@ -0,0 +1,267 @@
+/**
+ * User Profile
+ * Timezone, locale, date format, week start and working hours per user
+ *
+ * userManager stores only the settings a user has chosen. Everything else
+ * falls back to the server defaults (DEFAULT_TIMEZONE, DEFAULT_LOCALE), so
+ * changing a default reaches every user who hasn't picked their own value.
+ * Date parsing, formatter output and scheduled features read the resolved
+ * profile through getProfile().
+ */
+
+const { getUserProfile, updateUserProfile } = require('../utils/userManager');
+const { WEEKDAYS, DEFAULT_CALENDAR, getDefaultTimeZone, isValidTimeZone } = require('./dates');
+
+const PROFILE_FIELDS = ['timezone', 'locale', 'dateFormat', 'weekStart', 'workingHours'];
+
+// Common abbreviations people type instead of IANA names
+const TIMEZONE_ALIASES = {
+  utc: 'UTC', gmt: 'UTC', z: 'UTC',
+  est: 'America/New_York', edt: 'America/New_York', et: 'America/New_York', eastern: 'America/New_York',
+  cst: 'America/Chicago', cdt: 'America/Chicago', ct: 'America/Chicago', central: 'America/Chicago',
+  mst: 'America/Denver', mdt: 'America/Denver', mt: 'America/Denver', mountain: 'America/Denver',
+  pst: 'America/Los_Angeles', pdt: 'America/Los_Angeles', pt: 'America/Los_Angeles', pacific: 'America/Los_Angeles',
+  bst: 'Europe/London', cet: 'Europe/Paris', cest: 'Europe/Paris',
+  ist: 'Asia/Kolkata', jst: 'Asia/Tokyo', aest: 'Australia/Sydney', aedt: 'Australia/Sydney'
+};
+
+const DATE_FORMATS = {
+  MDY: ['mdy', 'mm/dd', 'mm/dd/yyyy', 'm/d', 'us', 'month first'],
+  DMY: ['dmy', 'dd/mm', 'dd/mm/yyyy', 'd/m', 'uk', 'eu', 'day first'],
+  YMD: ['ymd', 'yyyy-mm-dd', 'iso']
+};
+
+/**
+ * Default locale for users who haven't set one
+ */
+function getDefaultLocale() {
+  return process.env.DEFAULT_LOCALE || 'en-US';
+}
+
+/**
+ * Date format a locale writes numeric dates in ("en-GB" → DMY)
+ */
+function dateFormatForLocale(locale) {
+  const order = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(new Date(Date.UTC(2026, 0, 31, 12)))
+    .filter(part => ['year', 'month', 'day'].includes(part.type))
+    .map(part => part.type[0].toUpperCase())
+    .join('');
+  return DATE_FORMATS[order] ? order : 'MDY';
+}
+
+/**
+ * Complete profile from stored overrides and the defaults
+ *
+ * @param {Object} stored - Settings the user has chosen
+ * @returns {Object} { timezone, locale, dateFormat, weekStart, workingHours: { start, end, days } }
+ */
+function resolveProfile(stored = {}) {
+  const locale = stored.locale || getDefaultLocale();
+  return {
+    timezone: stored.timezone || getDefaultTimeZone(),
+    locale,
+    dateFormat: stored.dateFormat || dateFormatForLocale(locale),
+    weekStart: stored.weekStart || DEFAULT_CALENDAR.weekStart,
+    workingHours: { ...DEFAULT_CALENDAR.workingHours, ...stored.workingHours }
+  };
+}
+
+/**
+ * Get a user's profile, with defaults for anything they haven't set
+ */
+function getProfile(userId) {
+  return resolveProfile(getUserProfile(userId));
+}
+
+/**
+ * Options for the date resolver (services/dates.js) from a profile
+ */
+function dateOptions(profile) {
+  return {
+    timeZone: profile.timezone,
+    dateFormat: profile.dateFormat,
+    weekStart: profile.weekStart,
+    workingHours: profile.workingHours
+  };
+}
+
+// ===== NORMALIZATION =====
+// Each takes what the user typed and returns the stored value, or null
+
+function normalizeTimeZone(value) {
+  const text = String(value).trim();
+  const name = TIMEZONE_ALIASES[text.toLowerCase()] || text.replace(/\s+/g, '_');
+  if (!isValidTimeZone(name)) return null;
+
+  // Keep the name the user chose (ICU may know Asia/Kolkata as Asia/Calcutta), with proper casing
+  const known = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+  return known.find(zone => zone.toLowerCase() === name.toLowerCase()) ||
+    (name === name.toLowerCase() ? name.replace(/(^|[/_-])([a-z])/g, (m, sep, c) => sep + c.toUpperCase()) : name);
+}
+
+function normalizeLocale(value) {
+  try {
+    const [locale] = Intl.getCanonicalLocales(String(value).trim().replace(/_/g, '-'));
+    return locale && Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0 ? locale : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeDateFormat(value) {
+  const text = String(value).trim().toLowerCase();
+  return Object.keys(DATE_FORMATS).find(format => DATE_FORMATS[format].includes(text)) || null;
+}
+
+function normalizeWeekStart(value) {
+  const text = String(value).trim().toLowerCase();
+  return text.length >= 3 ? WEEKDAYS.find(day => day.startsWith(text)) || null : null;
+}
+
+/**
+ * "9am", "17:30", "9" to "HH:MM"
+ */
+function parseClockTime(text) {
+  const match = String(text).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?m?\.?$/);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = match[3] === 'p' ? (hour % 12) + 12 : hour % 12;
+  }
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute, meridiem: Boolean(match[3]) };
+}
+
+/**
+ * Day list from "mon-fri", "sun-thu", "weekdays", "mon, wed, fri", "every day"
+ */
+function parseWorkDays(text) {
+  const value = text.trim().toLowerCase();
+  if (/^(?:weekdays|workdays|business days)$/.test(value)) return [1, 2, 3, 4, 5];
+  if (/^(?:every ?day|daily|all week|7 days)$/.test(value)) return [0, 1, 2, 3, 4, 5, 6];
+
+  const dayIndex = name => WEEKDAYS.findIndex(day => name.length >= 2 && day.startsWith(name));
+  const range = value.match(/^([a-z]+)\s*(?:-|–|to|through|thru)\s*([a-z]+)$/);
+  if (range) {
+    const from = dayIndex(range[1]);
+    const to = dayIndex(range[2]);
+    if (from === -1 || to === -1) return null;
+    const days = [];
+    for (let day = from; days.length < 7; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === to) break;
+    }
+    return days.sort((a, b) => a - b);
+  }
+
+  const days = value.split(/\s*(?:,|and|&|\s)\s*/).filter(Boolean).map(dayIndex);
+  return days.length > 0 && !days.includes(-1) ? [...new Set(days)].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Working hours from "9am-5pm", "09:00 to 17:30 mon-fri", "9-5", "sun-thu 8-4"
+ *
+ * @param {string} value - What the user typed
+ * @returns {Object|null} { start: "HH:MM", end: "HH:MM", days? } (days only when given)
+ */
+function parseWorkingHours(value) {
+  const text = String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+  const clock = '(\\d{1,2}(?::\\d{2})?\\s*(?:[ap]\\.?m?\\.?)?)';
+  const match = text.match(new RegExp(`^(?:(?!from\\b)(.+?),?\\s+)?(?:from\\s+)?${clock}\\s*(?:-|–|to|until|till)\\s*${clock}(?:,?\\s+(?:on\\s+)?(.+))?$`));
+  if (!match) return null;
+
+  const start = parseClockTime(match[2]);
+  const end = parseClockTime(match[3]);
+  if (!start || !end) return null;
+
+  // "9-5": an end hour before the start without am/pm is in the afternoon
+  if (!end.meridiem && end.hour < 12 && end.hour * 60 + end.minute <= start.hour * 60 + start.minute) {
+    end.hour += 12;
+  }
+  if (end.hour * 60 + end.minute <= start.hour * 60 + start.minute) return null;
+
+  const pad = n => String(n).padStart(2, '0');
+  const hours = { start: `${pad(start.hour)}:${pad(start.minute)}`, end: `${pad(end.hour)}:${pad(end.minute)}` };
+
+  const daysText = match[1] || match[4];
+  if (daysText) {
+    const days = parseWorkDays(daysText);
+    if (!days) return null;
+    hours.days = days;
+  }
+  return hours;
+}
+
+const NORMALIZERS = {
+  timezone: [normalizeTimeZone, value => `"${value}" isn't a timezone I know. Use a name like Asia/Kolkata or America/New_York`],
+  locale: [normalizeLocale, value => `"${value}" isn't a locale I know. Use a tag like en-US, en-GB or de-DE`],
+  dateFormat: [normalizeDateFormat, value => `"${value}" isn't a date format. Use MDY (11/3 = Nov 3), DMY (3/11 = Nov 3) or YMD`],
+  weekStart: [normalizeWeekStart, value => `"${value}" isn't a day of the week`],
+  workingHours: [parseWorkingHours, value => `I couldn't read "${value}" as working hours. Try "9am-5pm" or "8:30-16:30 sun-thu"`]
+};
+
+/**
+ * Check and normalize profile changes
+ *
+ * @param {Object} changes - Fields as the user gave them (strings)
+ * @returns {{ values: Object, errors: Array<{ field, value, message }> }}
+ */
+function validateProfileChanges(changes = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const field of PROFILE_FIELDS) {
+    const value = changes[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    const [normalize, describeError] = NORMALIZERS[field];
+    const normalized = normalize(value);
+    if (normalized) {
+      values[field] = normalized;
+    } else {
+      errors.push({ field, value, message: describeError(value) });
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Change a user's profile
+ * Nothing is saved unless every change is valid
+ *
+ * @param {string} userId - User ID
+ * @param {Object} changes - Fields as the user gave them
+ * @returns {Object} { profile, changed, errors } - `changed` holds the normalized values saved
+ */
+function updateProfile(userId, changes) {
+  const { values, errors } = validateProfileChanges(changes);
+  if (errors.length > 0 || Object.keys(values).length === 0) {
+    return { profile: getProfile(userId), changed: {}, errors };
+  }
+
+  // Working hours given without days keep the days already set
+  if (values.workingHours) {
+    values.workingHours = { ...getUserProfile(userId).workingHours, ...values.workingHours };
+  }
+
+  updateUserProfile(userId, values);
+  console.log(`[Profile] Updated ${Object.keys(values).join(', ')} for user ${userId}`);
+
+  return { profile: getProfile(userId), changed: values, errors: [] };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  getDefaultLocale,
+  resolveProfile,
+  getProfile,
+  updateProfile,
+  validateProfileChanges,
+  parseWorkingHours,
+  dateOptions
+};
@@ -0,0 +1,130 @@
+/**
+ * Queue Service
+ * Durable per-user queue of pending actions
+ *
+ * Long requests can produce more tasks than we create in one pass
+ * (see mergeIntents in services/nlp.js). The overflow is stored as records
+ * in the "queue" collection and drained in bounded batches via
+ * /api/webhook/process-queue.
+ */
+
+const { getStorage } = require('../utils/storage');
+const { createTasks, getTasks } = require('./tasks');
+
+const DEFAULT_BATCH_SIZE = 20;
+const MAX_BATCH_SIZE = 50;
+
+/**
+ * Generate an ID
+ */
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Enqueue tasks for later creation
+ * Each item gets its task ID up front so draining is idempotent
+ *
+ * @param {string} userId - User ID
+ * @param {Object[]} tasks - Task data (title, description, priority, ...)
+ * @param {Object} context - Task context (projectId, channelId, dealId)
+ * @returns {number} Number of pending actions after enqueueing
+ */
+function enqueueTasks(userId, tasks, context = {}) {
+  const storage = getStorage();
+
+  for (const task of tasks) {
+    storage.put('queue', {
+      id: generateId('queue'),
+      userId,
+      type: 'create_task',
+      taskId: generateId('task'),
+      task,
+      context,
+      attempts: 0,
+      lastError: null,
+      enqueuedAt: new Date().toISOString()
+    });
+  }
+
+  console.log(`[Queue] Enqueued ${tasks.length} tasks for user ${userId}`);
+
+  return getPendingActions(userId).length;
+}
+
+/**
+ * Get pending actions for a user
+ */
+function getPendingActions(userId) {
+  return getStorage().find('queue', { userId });
+}
+
+/**
+ * Record a failed attempt on a pending action
+ */
+function markFailed(item, error) {
+  getStorage().update('queue', item.id, current => current && {
+    ...current,
+    attempts: current.attempts + 1,
+    lastError: error.message || String(error)
+  });
+}
+
+/**
+ * Process the pending queue in a bounded batch
+ *
+ * Items are applied in order and removed only after they succeed. A task
+ * whose ID already exists was created by an earlier run that stopped before
+ * removing the item, so it is removed without creating it again.
+ * Processing stops at the first failure so the order is kept.
+ *
+ * @param {string} userId - User ID
+ * @param {number} batchSize - Maximum number of items to process
+ * @returns {Object} { processed, failed, remaining, createdTasks, error }
+ */
+function processQueue(userId, batchSize = DEFAULT_BATCH_SIZE) {
+  const limit = Math.min(Math.max(parseInt(batchSize, 10) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+  const batch = getPendingActions(userId).slice(0, limit);
+  const existingIds = new Set(getTasks(userId).map(t => t.id));
+
+  const createdTasks = [];
+  let processed = 0;
+  let failed = 0;
+  let error = null;
+
+  for (const item of batch) {
+    try {
+      if (item.type !== 'create_task') {
+        throw new Error(`Unsupported queued action: ${item.type}`);
+      }
+
+      if (!existingIds.has(item.taskId)) {
+        const [task] = createTasks(userId, [{ ...item.task, id: item.taskId }], item.context);
+        createdTasks.push(task);
+      }
+
+      getStorage().remove('queue', item.id);
+      processed++;
+    } catch (err) {
+      console.error(`[Queue] Failed to process ${item.id} for user ${userId}:`, err.message);
+      markFailed(item, err);
+      failed++;
+      error = err.message;
+      break;
+    }
+  }
+
+  const remaining = getPendingActions(userId).length;
+
+  console.log(`[Queue] Processed ${processed}/${batch.length} pending actions for user ${userId}, ${remaining} remaining`);
+
+  return { processed, failed, remaining, createdTasks, error };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  MAX_BATCH_SIZE,
+  enqueueTasks,
+  getPendingActions,
+  processQueue
+};
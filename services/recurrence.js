@@ -0,0 +1,526 @@
+/**
+ * Recurrence
+ * Repeat rules for tasks, modelled on iCalendar RRULEs (RFC 5545)
+ *
+ * A rule is { freq, interval, byDay, byMonthDay, until, count, time, dtstart }:
+ *   freq       - "daily" | "weekly" | "monthly"
+ *   interval   - every n days / weeks / months
+ *   byDay      - weekly: ["MO", "TH"]; monthly: ["1MO"] (first Monday) or ["-1FR"] (last Friday)
+ *   byMonthDay - monthly: 15, or -1 for the last day
+ *   until      - last date an occurrence may fall on ("YYYY-MM-DD"), or null
+ *   count      - total number of occurrences, or null
+ *   time       - local time of each occurrence ("HH:MM"), or null for all-day
+ *   dtstart    - date of the first occurrence ("YYYY-MM-DD"), set when the series starts
+ *
+ * Rules come from phrases ("every Monday at 9am", "monthly on the last
+ * Friday", "every other day until Dec 20", "weekly, 6 times") or RRULE
+ * strings ("FREQ=WEEKLY;BYDAY=MO,WE"). Occurrences are calendar dates in the
+ * user's timezone, so "every Monday at 9am" stays at 9am across DST.
+ *
+ * Rules worth knowing:
+ *   - "every other week" counts weeks from Monday, like RRULE's default WKST
+ *   - a month day past the end of a shorter month ("the 31st") falls on its
+ *     last day rather than skipping the month
+ *   - "weekly" and "monthly" without a day repeat on the day the series starts
+ */
+
+const {
+  WEEKDAYS,
+  ALL_DAY,
+  getDefaultTimeZone,
+  resolveDateExpression,
+  zonedParts,
+  zonedToUtc,
+  addDays,
+  addMonths,
+  daysInMonth,
+  weekdayOf,
+  startOfWeek,
+  compareDates
+} = require('./dates');
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1 };
+const NUMBERS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+const MAX_SEARCH_DAYS = 5 * 366;    // a rule that matches nothing in five years never will
+const MAX_PHRASE_WORDS = 14;
+
+const DAY = '(?:mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?s?';
+const DAYS = `(${DAY}(?:(?:\\s*,\\s*(?:and\\s+)?|\\s+and\\s+|\\s*&\\s*|\\s*/\\s*)${DAY})*)`;
+const N = '(\\d+|two|three|four|five|six|seven|eight|nine|ten|twelve)';
+const ORDINAL = '(first|second|third|fourth|fifth|last|[1-5](?:st|nd|rd|th))';
+const EVERY = '(?:every|each)';
+const OF_EVERY_MONTH = '(?: of (?:the|every|each) month)?';
+
+// Words a recurrence phrase can start with inside free text
+const FIRST_WORDS = /^(?:every|each|daily|weekly|monthly|biweekly|bi-weekly|fortnightly|on|the)$/i;
+
+// "daily", "weekly"... alone mid-sentence are adjectives ("Do weekly review")
+const BARE_WORDS = /^(?:daily|weekly|monthly|biweekly|bi-weekly|fortnightly)$/i;
+
+// ===== CALENDAR HELPERS =====
+
+function formatDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function parseDate(text) {
+  const [year, month, day] = text.split('-').map(Number);
+  return { year, month, day };
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / 86400000);
+}
+
+function localDate(instant, timeZone) {
+  const { year, month, day } = zonedParts(instant, timeZone);
+  return { year, month, day };
+}
+
+function count(text) {
+  return NUMBERS[text] || parseInt(text, 10);
+}
+
+function ordinal(text) {
+  return ORDINALS[text] || parseInt(text, 10);
+}
+
+/**
+ * "mon", "Tuesdays", "thurs" to an RRULE day code ("MO", "TU", "TH")
+ */
+function dayCode(name) {
+  const text = name.toLowerCase().replace(/s$/, '');
+  const index = WEEKDAYS.findIndex(day => day.startsWith(text));
+  return index === -1 ? null : DAY_CODES[index];
+}
+
+function dayList(text) {
+  const codes = text.split(/\s*(?:,|\band\b|&|\/)\s*/).filter(Boolean).map(dayCode);
+  if (codes.length === 0 || codes.includes(null)) return null;
+  return [...new Set(codes)].sort((a, b) => DAY_CODES.indexOf(a) - DAY_CODES.indexOf(b));
+}
+
+// ===== PHRASE PARSING =====
+
+const rule = (freq, interval = 1, fields = {}) => ({ freq, interval, byDay: null, byMonthDay: null, ...fields });
+const weekly = (interval, days) => dayList(days) && rule('weekly', interval, { byDay: dayList(days) });
+const nthDay = (nth, day) => rule('monthly', 1, { byDay: [`${ordinal(nth)}${dayCode(day)}`] });
+const monthDay = day => rule('monthly', 1, { byMonthDay: day ? parseInt(day, 10) : -1 });
+
+// How the phrase starts: how often it repeats. Tried in order; the first match wins
+const HEADS = [
+  [/^(?:every other day|every second day)/, () => rule('daily', 2)],
+  [new RegExp(`^every ${N} days`), m => rule('daily', count(m[1]))],
+  [/^(?:(?:every|each) ?day|daily)/, () => rule('daily')],
+  [/^(?:(?:every|each) weekday|(?:on )?weekdays)/, () => rule('weekly', 1, { byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] })],
+  [/^(?:(?:every|each) weekend|(?:on )?weekends)/, () => rule('weekly', 1, { byDay: ['SU', 'SA'] })],
+  [/^(?:every other week|every second week|bi-?weekly|fortnightly)/, () => rule('weekly', 2)],
+  [new RegExp(`^every ${N} weeks`), m => rule('weekly', count(m[1]))],
+  [/^(?:(?:every|each) week|weekly)/, () => rule('weekly')],
+  [new RegExp(`^${EVERY} ${ORDINAL} (${DAY}) of (?:the|every|each) month`), m => nthDay(m[1], m[2])],
+  [new RegExp(`^every (?:other|second) ${DAYS}`), m => weekly(2, m[1])],
+  [new RegExp(`^${EVERY} ${ORDINAL} (${DAY})`), m => nthDay(m[1], m[2])],
+  [new RegExp(`^(?:on )?the ${ORDINAL} (${DAY}) of (?:every|each) month`), m => nthDay(m[1], m[2])],
+  [new RegExp(`^${EVERY} (?:(\\d{1,2})(?:st|nd|rd|th)|last day)${OF_EVERY_MONTH}`), m => monthDay(m[1])],
+  [new RegExp(`^(?:on )?the (?:(\\d{1,2})(?:st|nd|rd|th)?|last day) of (?:every|each) month`), m => monthDay(m[1])],
+  [new RegExp(`^${EVERY} ${DAYS}`), m => weekly(1, m[1])],
+  [new RegExp(`^on (${DAY.replace(/s\?$/, 's')}(?:(?:\\s*,\\s*(?:and\\s+)?|\\s+and\\s+)${DAY})*)`), m => weekly(1, m[1])],
+  [/^(?:every other month|every second month)/, () => rule('monthly', 2)],
+  [new RegExp(`^every ${N} months`), m => rule('monthly', count(m[1]))],
+  [/^(?:(?:every|each) month|monthly)/, () => rule('monthly')]
+];
+
+/**
+ * Time of day at the start of text: "at 9am", "9:30", "at 17:00", "noon"
+ *
+ * @returns {Object|null} { time: "HH:MM", length }
+ */
+function leadingTime(text) {
+  const named = text.match(/^(?:at )?(noon|midday|midnight)\b/);
+  if (named) return { time: named[1] === 'midnight' ? '00:00' : '12:00', length: named[0].length };
+
+  const match = text.match(/^(at )?(\d{1,2})(?::(\d{2}))? ?([ap])?\.?m?\.?(?=\s|,|$)/);
+  if (!match || !(match[1] || match[3] || match[4])) return null;
+
+  let hour = Number(match[2]);
+  const minute = Number(match[3] || 0);
+  if (match[4]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = match[4] === 'p' ? (hour % 12) + 12 : hour % 12;
+  }
+  if (hour > 23 || minute > 59) return null;
+  return { time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`, length: match[0].length };
+}
+
+/**
+ * Longest date at the start of text ("Dec 20", "next friday")
+ *
+ * @returns {Object|null} { date: "YYYY-MM-DD", length }
+ */
+function leadingDate(text, options) {
+  const words = [...text.matchAll(/\S+/g)];
+  for (let j = Math.min(words.length, 6) - 1; j >= 0; j--) {
+    const end = words[j].index + words[j][0].replace(/,$/, '').length;
+    const resolved = resolveDateExpression(text.substring(0, end), options);
+    if (resolved) return { date: resolved.date, length: end };
+  }
+  return null;
+}
+
+/**
+ * Read what follows the frequency: days, time, start and end
+ * "on monday", "on the 15th", "at 9am", "until dec 20", "6 times", "for 3 months", "starting next week"
+ *
+ * @returns {boolean} false if something in the text isn't understood
+ */
+function applyModifiers(parsed, text, options) {
+  const today = localDate(options.now || new Date(), options.timeZone || getDefaultTimeZone());
+  let rest = text;
+
+  while (rest) {
+    let match;
+    const time = leadingTime(rest);
+
+    if ((match = rest.match(/^(?:,|and)\s*/)) && match[0]) {
+      // connector
+    } else if (time && !parsed.time) {
+      parsed.time = time.time;
+      match = [rest.substring(0, time.length)];
+    } else if (parsed.freq === 'weekly' && !parsed.byDay && (match = rest.match(new RegExp(`^on ${DAYS}`)))) {
+      parsed.byDay = dayList(match[1]);
+      if (!parsed.byDay) return false;
+    } else if (parsed.freq === 'monthly' && !parsed.byDay && !parsed.byMonthDay &&
+      (match = rest.match(new RegExp(`^on the ${ORDINAL} (${DAY})`)))) {
+      parsed.byDay = [`${ordinal(match[1])}${dayCode(match[2])}`];
+    } else if (parsed.freq === 'monthly' && !parsed.byDay && !parsed.byMonthDay &&
+      (match = rest.match(/^on (?:the )?(?:(\d{1,2})(?:st|nd|rd|th)?|last day)(?= |,|$)/))) {
+      parsed.byMonthDay = match[1] ? parseInt(match[1], 10) : -1;
+    } else if (!parsed.count && (match = rest.match(new RegExp(`^(?:for )?${N} (?:times|occurrences)`)))) {
+      parsed.count = count(match[1]);
+    } else if (!parsed.until && (match = rest.match(new RegExp(`^for ${N} (day|week|month)s?`)))) {
+      const n = count(match[1]);
+      const end = match[2] === 'month' ? addMonths(today, n) : addDays(today, match[2] === 'week' ? n * 7 : n);
+      parsed.until = formatDate(addDays(end, -1));
+    } else if ((match = rest.match(/^(until|till|through|ending|starting|from|beginning|as of) /))) {
+      const date = leadingDate(rest.substring(match[0].length), options);
+      if (!date) return false;
+      parsed[/^(?:starting|from|beginning|as of)$/.test(match[1]) ? 'dtstart' : 'until'] = date.date;
+      match = [rest.substring(0, match[0].length + date.length)];
+    } else {
+      return false;
+    }
+    rest = rest.substring(match[0].length).trim();
+  }
+  return true;
+}
+
+/**
+ * Check a parsed rule and fill the fields left unset
+ */
+function finishRule(parsed) {
+  const result = {
+    freq: parsed.freq,
+    interval: parsed.interval || 1,
+    byDay: parsed.byDay || null,
+    byMonthDay: parsed.byMonthDay || null,
+    until: parsed.until || null,
+    count: parsed.count || null,
+    time: parsed.time || null,
+    dtstart: parsed.dtstart || null
+  };
+
+  if (!FREQUENCIES.includes(result.freq)) return null;
+  if (!Number.isInteger(result.interval) || result.interval < 1 || result.interval > 366) return null;
+  if (result.count !== null && (!Number.isInteger(result.count) || result.count < 1)) return null;
+  if (result.byMonthDay !== null && result.byMonthDay !== -1 && (result.byMonthDay < 1 || result.byMonthDay > 31)) return null;
+  if (result.byDay) {
+    const pattern = result.freq === 'monthly' ? /^(-1|[1-5])(SU|MO|TU|WE|TH|FR|SA)$/ : /^(SU|MO|TU|WE|TH|FR|SA)$/;
+    if (result.freq === 'daily' || !result.byDay.every(code => pattern.test(code))) return null;
+  }
+  if (result.until && result.dtstart && result.until < result.dtstart) return null;
+  return result;
+}
+
+/**
+ * Rule from an RRULE string ("FREQ=MONTHLY;BYDAY=-1FR;COUNT=6")
+ * Only the parts FlowState can repeat on are accepted
+ */
+function parseRRule(text) {
+  const parsed = {};
+  for (const part of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ': parsed.freq = value.toLowerCase(); break;
+      case 'INTERVAL': parsed.interval = Number(value); break;
+      case 'BYDAY': parsed.byDay = value.toUpperCase().split(',').map(code => code.replace(/^\+/, '')); break;
+      case 'BYMONTHDAY': parsed.byMonthDay = Number(value); break;
+      case 'COUNT': parsed.count = Number(value); break;
+      case 'WKST': break;
+      case 'UNTIL': {
+        const date = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!date) return null;
+        parsed.until = `${date[1]}-${date[2]}-${date[3]}`;
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+  return finishRule(parsed);
+}
+
+/**
+ * Parse a recurrence phrase or RRULE string
+ *
+ * @param {string} phrase - e.g. "every Monday at 9am", "monthly on the last Friday", "FREQ=DAILY"
+ * @param {Object} options - { now, timeZone, dateFormat, weekStart } for dates in the phrase ("until Dec 20")
+ * @returns {Object|null} Rule (without dtstart unless the phrase gives a start), or null
+ */
+function parseRecurrence(phrase, options = {}) {
+  if (typeof phrase !== 'string' || !phrase.trim()) return null;
+  if (/^(?:RRULE:)?FREQ=/i.test(phrase.trim())) return parseRRule(phrase.trim());
+
+  const text = phrase.trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '');
+  for (const [pattern, build] of HEADS) {
+    const match = text.match(pattern);
+    if (!match || !/^(?:\s|,|$)/.test(text.substring(match[0].length))) continue;
+
+    const parsed = build(match);
+    if (!parsed || !applyModifiers(parsed, text.substring(match[0].length).trim(), options)) return null;
+    return finishRule(parsed);
+  }
+  return null;
+}
+
+/**
+ * Find the longest recurrence phrase inside free text
+ * Used to pull repeat rules out of task titles ("Standup prep every Monday at 9am")
+ *
+ * @returns {Object|null} { rule, phrase, start, end }
+ */
+function findRecurrence(text, options = {}) {
+  if (typeof text !== 'string') return null;
+  const words = [...text.matchAll(/\S+/g)];
+
+  for (let i = 0; i < words.length; i++) {
+    if (!FIRST_WORDS.test(words[i][0])) continue;
+    for (let j = Math.min(words.length, i + MAX_PHRASE_WORDS) - 1; j >= i; j--) {
+      const start = words[i].index;
+      const end = words[j].index + words[j][0].replace(/[.,!?;:]+$/, '').length;
+      if (j === i && j < words.length - 1 && BARE_WORDS.test(text.substring(start, end))) break;
+      const rule = parseRecurrence(text.substring(start, end), options);
+      if (rule) return { rule, phrase: text.substring(start, end), start, end };
+    }
+  }
+  return null;
+}
+
+// ===== OCCURRENCES =====
+
+/**
+ * Whether a monthly "nth weekday" code ("2TU", "-1FR") falls on a date
+ */
+function isNthWeekday(code, date) {
+  const [, nth, day] = code.match(/^(-?\d)([A-Z]{2})$/);
+  if (DAY_CODES[weekdayOf(date)] !== day) return false;
+  const n = Number(nth);
+  return n > 0 ? Math.ceil(date.day / 7) === n : date.day + 7 * -n > daysInMonth(date) && date.day + 7 * (-n - 1) <= daysInMonth(date);
+}
+
+/**
+ * Whether the rule has an occurrence on a date
+ *
+ * @param {Object} rule - Rule with defaults filled
+ * @param {Object} date - Calendar date
+ * @param {Object} anchor - Calendar date intervals count from
+ */
+function matches(rule, date, anchor) {
+  switch (rule.freq) {
+    case 'daily':
+      return daysBetween(anchor, date) % rule.interval === 0;
+
+    case 'weekly':
+      return rule.byDay.includes(DAY_CODES[weekdayOf(date)]) &&
+        (daysBetween(startOfWeek(anchor, 1), startOfWeek(date, 1)) / 7) % rule.interval === 0;
+
+    case 'monthly': {
+      const months = (date.year - anchor.year) * 12 + date.month - anchor.month;
+      if (months % rule.interval !== 0) return false;
+      if (rule.byDay) return rule.byDay.some(code => isNthWeekday(code, date));
+      const last = daysInMonth(date);
+      return date.day === (rule.byMonthDay === -1 ? last : Math.min(rule.byMonthDay, last));
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * First date on or after `from` with an occurrence, up to the rule's end date
+ */
+function findDate(rule, from, anchor) {
+  const until = rule.until ? parseDate(rule.until) : null;
+  let date = from;
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, date = addDays(date, 1)) {
+    if (until && compareDates(date, until) > 0) return null;
+    if (matches(rule, date, anchor)) return date;
+  }
+  return null;
+}
+
+/**
+ * The occurrence on a date: its instant in the user's timezone
+ *
+ * @returns {Object} { date: "YYYY-MM-DD", iso, allDay, index }
+ */
+function occurrenceOn(rule, date, index, timeZone) {
+  const [hour, minute] = rule.time ? rule.time.split(':').map(Number) : [ALL_DAY.hour, ALL_DAY.minute];
+  return {
+    date: formatDate(date),
+    iso: zonedToUtc({ ...date, hour, minute }, timeZone).toISOString(),
+    allDay: !rule.time,
+    index
+  };
+}
+
+/**
+ * Start a series: fill the rule's defaults and find its first occurrence
+ *
+ * @param {Object} rule - Parsed rule
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {string} options.timeZone - User's timezone
+ * @param {string} options.from - Earliest date ("YYYY-MM-DD"), e.g. the task's due date
+ * @returns {Object|null} { rule (with dtstart), occurrence }, or null if the rule never occurs
+ */
+function startSeries(rule, options = {}) {
+  const { now = new Date(), timeZone = getDefaultTimeZone() } = options;
+  const today = localDate(now, timeZone);
+  const from = [today, options.from && parseDate(options.from), rule.dtstart && parseDate(rule.dtstart)]
+    .filter(Boolean)
+    .reduce((latest, date) => (compareDates(date, latest) > 0 ? date : latest));
+
+  const series = { ...rule };
+  if (series.freq === 'weekly' && !series.byDay) series.byDay = [DAY_CODES[weekdayOf(from)]];
+  if (series.freq === 'monthly' && !series.byDay && !series.byMonthDay) series.byMonthDay = from.day;
+
+  let first = findDate(series, from, from);
+  if (first && compareDates(first, today) === 0 && new Date(occurrenceOn(series, first, 1, timeZone).iso) <= now) {
+    first = findDate(series, addDays(first, 1), from);
+  }
+  if (!first) return null;
+
+  series.dtstart = formatDate(first);
+  return { rule: series, occurrence: occurrenceOn(series, first, 1, timeZone) };
+}
+
+/**
+ * The occurrence after another
+ *
+ * @param {Object} rule - Rule of a started series
+ * @param {string} after - Date of the current occurrence ("YYYY-MM-DD")
+ * @param {number} index - 1-based number of the current occurrence
+ * @param {Object} options - { timeZone, notBefore: Date } (occurrences before it are passed over)
+ * @returns {Object|null} { date, iso, allDay, index }, or null once the series has ended
+ */
+function nextOccurrence(rule, after, index, options = {}) {
+  const timeZone = options.timeZone || getDefaultTimeZone();
+  const anchor = parseDate(rule.dtstart);
+  let date = parseDate(after);
+  let n = index;
+
+  for (;;) {
+    date = findDate(rule, addDays(date, 1), anchor);
+    n++;
+    if (!date || (rule.count && n > rule.count)) return null;
+
+    const occurrence = occurrenceOn(rule, date, n, timeZone);
+    if (!options.notBefore || new Date(occurrence.iso) >= options.notBefore) return occurrence;
+  }
+}
+
+// ===== DISPLAY =====
+
+const NTH_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+
+function ordinalSuffix(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  return `${n}${teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th')}`;
+}
+
+function dayName(code, short = false) {
+  const name = WEEKDAYS[DAY_CODES.indexOf(code)];
+  return name.charAt(0).toUpperCase() + (short ? name.slice(1, 3) : name.slice(1));
+}
+
+function joinList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+function clockText(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return `${hour % 12 || 12}${minute ? `:${String(minute).padStart(2, '0')}` : ''}${hour < 12 ? 'am' : 'pm'}`;
+}
+
+/**
+ * Describe a rule in words: "every Monday at 9am", "every month on the last Friday, 6 times"
+ */
+function describeRecurrence(rule) {
+  const every = (unit, units) => (rule.interval === 1 ? `every ${unit}` : rule.interval === 2 ? `every other ${unit}` : `every ${rule.interval} ${units}`);
+  let text;
+
+  if (rule.freq === 'daily') {
+    text = every('day', 'days');
+  } else if (rule.freq === 'weekly') {
+    const days = rule.byDay || [];
+    if (days.join() === 'MO,TU,WE,TH,FR' && rule.interval === 1) {
+      text = 'every weekday';
+    } else if (days.length === 0) {
+      text = every('week', 'weeks');
+    } else {
+      const names = joinList(days.map(code => dayName(code, days.length > 2)));
+      text = rule.interval > 2 ? `every ${rule.interval} weeks on ${names}` : `${rule.interval === 2 ? 'every other' : 'every'} ${names}`;
+    }
+  } else {
+    text = every('month', 'months');
+    if (rule.byDay) {
+      const [, nth, code] = rule.byDay[0].match(/^(-?\d)([A-Z]{2})$/);
+      text += ` on the ${NTH_NAMES[nth]} ${dayName(code)}`;
+    } else if (rule.byMonthDay) {
+      text += rule.byMonthDay === -1 ? ' on the last day' : ` on the ${ordinalSuffix(rule.byMonthDay)}`;
+    }
+  }
+
+  if (rule.time) text += ` at ${clockText(rule.time)}`;
+  if (rule.until) {
+    text += ` until ${new Date(`${rule.until}T12:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`;
+  }
+  if (rule.count) text += `, ${rule.count} time${rule.count !== 1 ? 's' : ''}`;
+  return text;
+}
+
+/**
+ * RRULE string for a rule ("FREQ=WEEKLY;BYDAY=MO,TH")
+ */
+function toRRule(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+module.exports = {
+  parseRecurrence,
+  findRecurrence,
+  startSeries,
+  nextOccurrence,
+  describeRecurrence,
+  toRRule
+};
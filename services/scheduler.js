@@ -0,0 +1,397 @@
+/**
+ * Scheduler
+ * Sends reminders and due-date notifications through the notification channel
+ *
+ * The schedule lives in the "reminders" collection, so it survives restarts:
+ *   - kind "reminder": set by the user ("remind me to call Sam at 4pm")
+ *   - kind "due": one per task with a due date, kept in step with the task on
+ *     every tick (moved when the due date changes, cancelled when the task is
+ *     completed or deleted). Timed due dates notify REMINDER_DUE_LEAD_MINUTES
+ *     ahead; all-day ones at the start of the user's working hours that day.
+ *
+ * Each tick sends everything whose time has come. A notification found more
+ * than two intervals late was missed while the process was down, and is
+ * handled per SCHEDULER_CATCH_UP:
+ *   each    - send it, marked as late (default)
+ *   summary - one message per user listing everything missed
+ *   skip    - don't send it; mark it missed
+ * Anything older than SCHEDULER_CATCH_UP_MAX_AGE_MS is marked missed.
+ *
+ * Failed sends retry with backoff, up to NOTIFY_MAX_ATTEMPTS. Delivery is
+ * at-least-once: a crash between sending and saving resends after a restart.
+ *
+ * Each tick also purges trash past its retention period (see trash.js).
+ */
+
+const { getStorage } = require('../utils/storage');
+const { getChannel, getNotificationConfig } = require('./notifications');
+const { getProfile } = require('./profile');
+const { zonedParts, zonedToUtc } = require('./dates');
+const { formatNotification, formatMissedSummary } = require('./formatter');
+const { isOpen } = require('./workflow');
+const { purgeTrash } = require('./trash');
+
+const COLLECTION = 'reminders';
+const RETRY_BASE_MS = 60 * 1000;
+
+let scheduler = null;
+
+function byFireAt(a, b) {
+  return new Date(a.fireAt) - new Date(b.fireAt);
+}
+
+/**
+ * When to notify about a due date, or a reminder without a time
+ * All-day dates notify at the start of the user's working hours that day
+ *
+ * @param {string} iso - Due date / reminder time (ISO)
+ * @param {boolean} allDay - Whether only the day was given
+ * @param {Object} profile - Resolved user profile
+ * @param {number} leadMinutes - How long before a timed date to notify
+ * @returns {Date}
+ */
+function notifyTimeFor(iso, allDay, profile, leadMinutes = 0) {
+  if (allDay) {
+    const { year, month, day } = zonedParts(new Date(iso), profile.timezone);
+    const [hour, minute] = profile.workingHours.start.split(':').map(Number);
+    return zonedToUtc({ year, month, day, hour, minute }, profile.timezone);
+  }
+  return new Date(new Date(iso).getTime() - leadMinutes * 60 * 1000);
+}
+
+/**
+ * Schedule a reminder
+ *
+ * @param {string} userId - User ID
+ * @param {Object} reminder - { text, fireAt (Date or ISO), taskId? }
+ * @param {Date} now - Current time
+ * @returns {Object} Stored reminder
+ */
+function createReminder(userId, { text, fireAt, taskId = null }, now = new Date()) {
+  const reminder = {
+    id: `reminder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    userId,
+    kind: 'reminder',
+    text,
+    taskId,
+    fireAt: new Date(fireAt).toISOString(),
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: null,
+    late: false,
+    createdAt: now.toISOString(),
+    sentAt: null
+  };
+
+  getStorage().put(COLLECTION, reminder);
+  console.log(`[Scheduler] Reminder ${reminder.id} set for ${reminder.fireAt} (user ${userId})`);
+  return reminder;
+}
+
+/**
+ * Pending notifications for a user, soonest first
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - { kind: "reminder" | "due" } to list one kind only
+ */
+function listReminders(userId, options = {}) {
+  return getStorage().find(COLLECTION, { userId })
+    .filter(r => r.status === 'pending' && (!options.kind || r.kind === options.kind))
+    .sort(byFireAt);
+}
+
+/**
+ * Cancel a pending reminder
+ * A due-date notification is dismissed instead: it stays off until the
+ * task's due date changes
+ *
+ * @returns {Object|null} The cancelled reminder, or null if not found
+ */
+function cancelReminder(userId, reminderId) {
+  let cancelled = null;
+
+  getStorage().update(COLLECTION, reminderId, reminder => {
+    if (!reminder || reminder.userId !== userId || reminder.status !== 'pending') return null;
+    cancelled = { ...reminder, status: reminder.kind === 'due' ? 'dismissed' : 'cancelled' };
+    return cancelled;
+  });
+  return cancelled;
+}
+
+/**
+ * Bring "due" notifications in line with the tasks
+ *
+ * @param {Date} now - Current time
+ * @param {number} leadMinutes - How long before a timed due date to notify
+ * @returns {Object} { scheduled, cancelled }
+ */
+function syncDueReminders(now, leadMinutes) {
+  const storage = getStorage();
+  const existing = new Map(storage.find(COLLECTION)
+    .filter(r => r.kind === 'due')
+    .map(r => [r.taskId, r]));
+  const profiles = new Map();
+  const profileFor = userId => {
+    if (!profiles.has(userId)) profiles.set(userId, getProfile(userId));
+    return profiles.get(userId);
+  };
+  const result = { scheduled: 0, cancelled: 0 };
+
+  const cancel = record => {
+    if (record && record.status === 'pending') {
+      storage.put(COLLECTION, { ...record, status: 'cancelled' });
+      result.cancelled++;
+    }
+  };
+
+  for (const task of storage.find('tasks')) {
+    const record = existing.get(task.id);
+    existing.delete(task.id);
+
+    if (!isOpen(task.status) || !task.dueDate) {
+      cancel(record);
+      continue;
+    }
+    if (record && record.status !== 'cancelled' && record.dueDate === task.dueDate &&
+      record.dueAllDay === Boolean(task.dueAllDay)) continue;
+
+    // New, moved or reopened due date. One already past isn't worth a notification;
+    // one whose notify time has passed (due within the lead time) goes out now
+    const fireAt = notifyTimeFor(task.dueDate, task.dueAllDay, profileFor(task.userId), leadMinutes);
+    storage.put(COLLECTION, {
+      id: record ? record.id : `due_${task.id}`,
+      userId: task.userId,
+      kind: 'due',
+      text: task.title,
+      taskId: task.id,
+      dueDate: task.dueDate,
+      dueAllDay: Boolean(task.dueAllDay),
+      fireAt: new Date(Math.max(fireAt.getTime(), now.getTime())).toISOString(),
+      status: new Date(task.dueDate) < now ? 'skipped' : 'pending',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      late: false,
+      createdAt: now.toISOString(),
+      sentAt: null
+    });
+    result.scheduled++;
+  }
+
+  // Tasks that were deleted
+  existing.forEach(cancel);
+  return result;
+}
+
+/**
+ * Create a scheduler
+ *
+ * @param {Object} options
+ * @param {Object} options.channel - Notification channel (default: the configured one)
+ * @param {Function} options.now - Clock (tests)
+ * @param {Object} options.config - Overrides for getNotificationConfig()
+ * @returns {Object} { start, stop, tick, stats }
+ */
+function createScheduler(options = {}) {
+  const config = { ...getNotificationConfig(), ...options.config };
+  const now = options.now || (() => new Date());
+  const channel = () => options.channel || getChannel();
+  const graceMs = config.intervalMs * 2;
+  const totals = { sent: 0, failed: 0, missed: 0, lastTickAt: null, lastError: null };
+  let timer = null;
+  let ticking = false;
+
+  function save(record, changes) {
+    getStorage().put(COLLECTION, { ...record, ...changes });
+  }
+
+  function recordFailure(record, error, at, result) {
+    const attempts = record.attempts + 1;
+    const exhausted = attempts >= config.maxAttempts;
+
+    save(record, {
+      attempts,
+      lastError: error.message,
+      status: exhausted ? 'failed' : 'pending',
+      nextAttemptAt: exhausted ? null : new Date(at.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString()
+    });
+    totals.lastError = error.message;
+    if (exhausted) {
+      result.failed++;
+      totals.failed++;
+      console.error(`[Scheduler] Giving up on ${record.id} after ${attempts} attempts: ${error.message}`);
+    } else {
+      result.retrying++;
+      console.warn(`[Scheduler] ${record.id} not delivered (attempt ${attempts}): ${error.message}`);
+    }
+  }
+
+  function recordSent(record, late, at, result) {
+    save(record, { status: 'sent', sentAt: at.toISOString(), late, attempts: record.attempts + 1, nextAttemptAt: null });
+    result.sent++;
+    totals.sent++;
+  }
+
+  async function deliver(record, late, at, result) {
+    const profile = getProfile(record.userId);
+    const task = record.taskId ? getStorage().get('tasks', record.taskId) : null;
+    const { message } = formatNotification(record, { late, profile, task, now: at });
+
+    try {
+      await channel().send({
+        id: record.id,
+        userId: record.userId,
+        kind: record.kind,
+        text: task && record.kind === 'due' ? task.title : record.text,
+        message,
+        fireAt: record.fireAt,
+        taskId: record.taskId,
+        dueDate: record.dueDate || null,
+        late
+      });
+      recordSent(record, late, at, result);
+    } catch (error) {
+      recordFailure(record, error, at, result);
+    }
+  }
+
+  async function deliverSummary(userId, records, at, result) {
+    const { message } = formatMissedSummary(records, { profile: getProfile(userId), now: at });
+
+    try {
+      await channel().send({
+        id: `missed_${userId}_${at.getTime()}`,
+        userId,
+        kind: 'missed_summary',
+        text: `${records.length} missed`,
+        message,
+        fireAt: at.toISOString(),
+        taskId: null,
+        dueDate: null,
+        late: true,
+        reminders: records.map(r => r.id)
+      });
+      records.forEach(record => recordSent(record, true, at, result));
+    } catch (error) {
+      records.forEach(record => recordFailure(record, error, at, result));
+    }
+  }
+
+  /**
+   * Send everything that's due
+   *
+   * @returns {Promise<Object|null>} { sent, late, missed, retrying, failed, scheduled, cancelled },
+   *   or null if a tick was already running
+   */
+  async function tick() {
+    if (ticking) return null;
+    ticking = true;
+
+    try {
+      const at = now();
+      const result = { sent: 0, late: 0, missed: 0, retrying: 0, failed: 0, ...syncDueReminders(at, config.dueLeadMinutes), purged: purgeTrash(at) };
+      const ready = getStorage().find(COLLECTION)
+        .filter(r => r.status === 'pending' && new Date(r.fireAt) <= at && (!r.nextAttemptAt || new Date(r.nextAttemptAt) <= at))
+        .sort(byFireAt);
+      const missedByUser = new Map();
+
+      for (const record of ready) {
+        // Retries are late because delivery failed, not because we were down
+        const lateBy = at - new Date(record.fireAt);
+        const late = record.attempts === 0 && lateBy > graceMs;
+
+        if (late) {
+          result.late++;
+          if (config.catchUp === 'skip' || lateBy > config.catchUpMaxAgeMs) {
+            save(record, { status: 'missed', late: true });
+            result.missed++;
+            totals.missed++;
+            continue;
+          }
+          if (config.catchUp === 'summary') {
+            missedByUser.set(record.userId, [...(missedByUser.get(record.userId) || []), record]);
+            continue;
+          }
+        }
+        await deliver(record, late, at, result);
+      }
+
+      for (const [userId, records] of missedByUser) {
+        await deliverSummary(userId, records, at, result);
+      }
+
+      totals.lastTickAt = at.toISOString();
+      if (ready.length > 0) {
+        console.log(`[Scheduler] Tick: ${result.sent} sent, ${result.missed} missed, ${result.retrying} retrying, ${result.failed} failed`);
+      }
+      return result;
+    } finally {
+      ticking = false;
+    }
+  }
+
+  /**
+   * Run a tick now (catching up on anything missed) and every interval after
+   */
+  function start() {
+    if (timer) return;
+    const run = () => tick().catch(error => {
+      totals.lastError = error.message;
+      console.error('[Scheduler] Tick failed:', error.message);
+    });
+
+    timer = setInterval(run, config.intervalMs);
+    timer.unref();
+    run();
+    console.log(`[Scheduler] Started (every ${config.intervalMs / 1000}s, catch-up: ${config.catchUp})`);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  function stats() {
+    return {
+      running: Boolean(timer),
+      channel: channel().name,
+      intervalMs: config.intervalMs,
+      catchUp: config.catchUp,
+      pending: getStorage().find(COLLECTION).filter(r => r.status === 'pending').length,
+      ...totals
+    };
+  }
+
+  return { start, stop, tick, stats };
+}
+
+/**
+ * Get the scheduler (created on first use)
+ */
+function getScheduler() {
+  if (!scheduler) {
+    scheduler = createScheduler();
+  }
+  return scheduler;
+}
+
+/**
+ * Replace the scheduler (used by tests and scripts)
+ */
+function setScheduler(instance) {
+  scheduler = instance;
+}
+
+module.exports = {
+  notifyTimeFor,
+  createReminder,
+  listReminders,
+  cancelReminder,
+  syncDueReminders,
+  createScheduler,
+  getScheduler,
+  setScheduler
+};
@@ -3,38 +3,207 @@
  * Task management operations
  */
 
-const { loadUsers, saveUsers } = require('../utils/userManager');
+const { getStorage } = require('../utils/storage');
+const { SCHEMA_VERSIONS } = require('../utils/storage/migrations');
+const { resolveDateExpression } = require('./dates');
+const { getProfile, dateOptions } = require('./profile');
+const { parseRecurrence, startSeries, nextOccurrence } = require('./recurrence');
+const { recordActivity, recordCreated } = require('./activity');
+const { moveToTrash } = require('./trash');
+const { INITIAL_STATUS, DONE_STATUS, getStatus, statusLabel, isOpen, canTransition, allowedTransitions } = require('./workflow');
+
+// Checklist items are addressed as "<taskId>/<subtaskId>" wherever task IDs are accepted
+const ITEM_SEPARATOR = '/';
 
 /**
- * Create tasks for a user
+ * ID of a checklist item, usable where task IDs are
+ */
+function itemId(taskId, subtaskId) {
+  return `${taskId}${ITEM_SEPARATOR}${subtaskId}`;
+}
+
+/**
+ * Split an ID into its task and, for checklist items, subtask
+ * 
+ * @returns {Object} { taskId, subtaskId } (subtaskId null for a task)
+ */
+function splitItemId(id) {
+  const [taskId, subtaskId = null] = String(id).split(ITEM_SEPARATOR);
+  return { taskId, subtaskId };
+}
+
+/**
+ * Whether completing a task's last checklist item completes the task
+ * Tasks follow SUBTASKS_COMPLETE_PARENT (default on) unless they say otherwise
  */
-function createTasks(userId, tasks, context = {}) {
-  const users = loadUsers();
+function completesWithSubtasks(task) {
+  if (typeof task.completeWithSubtasks === 'boolean') {
+    return task.completeWithSubtasks;
+  }
+  return process.env.SUBTASKS_COMPLETE_PARENT !== 'false';
+}
+
+/**
+ * Checklist items from titles or stored items, numbered from `firstNumber`
+ * Status is kept for stored items (next occurrences reset it themselves)
+ */
+function buildSubtasks(items = [], firstNumber = 1) {
+  return items
+    .map(item => (typeof item === 'string' ? { title: item } : item))
+    .filter(item => item && String(item.title || '').trim())
+    .map((item, i) => ({
+      id: `sub_${firstNumber + i}`,
+      title: String(item.title).trim(),
+      status: item.status === 'completed' ? 'completed' : 'pending',
+      completedAt: item.status === 'completed' ? item.completedAt || new Date().toISOString() : null
+    }));
+}
+
+/**
+ * Move a task to a status, recording the transition and when it happened
+ */
+function recordStatus(task, status, at = new Date().toISOString()) {
+  task.statusHistory = [...(task.statusHistory || []), { from: task.status, to: status, at }];
+  task.status = status;
+}
+
+/**
+ * Get a task owned by the user
+ */
+function getOwnedTask(userId, taskId) {
+  const task = getStorage().get('tasks', taskId);
+  return task && task.userId === userId ? task : null;
+}
+
+/**
+ * Atomically read, change and save a task owned by the user
+ * 
+ * @param {string} userId - User ID
+ * @param {string} taskId - Task ID
+ * @param {Function} mutate - Changes the task in place
+ * @returns {Object|null} Updated task, or null if not found
+ */
+function updateOwnedTask(userId, taskId, mutate) {
+  let updated = null;
   
-  if (!users[userId]) {
-    users[userId] = {
-      id: userId,
-      tasks: [],
-      notes: [],
-      context: {}
-    };
+  getStorage().update('tasks', taskId, task => {
+    if (!task || task.userId !== userId) {
+      return null;
+    }
+    mutate(task);
+    task.updatedAt = new Date().toISOString();
+    updated = task;
+    return task;
+  });
+  
+  return updated;
+}
+
+/**
+ * Resolve a due date as the user said it ("next Friday EOD") to an ISO timestamp
+ * Phrases the resolver doesn't understand are kept in `dueText` with no `dueDate`
+ * 
+ * @param {string|null} value - Phrase or ISO timestamp
+ * @param {Object} options - { now, timeZone } for the resolver
+ * @param {string} dueText - Original phrase, when `value` is already resolved
+ * @returns {Object} { dueDate, dueText, dueAllDay }
+ */
+function resolveDue(value, options = {}, dueText = null) {
+  if (!value) {
+    return { dueDate: null, dueText: dueText || null, dueAllDay: false };
   }
   
-  if (!users[userId].tasks) {
-    users[userId].tasks = [];
+  const resolved = resolveDateExpression(String(value), options);
+  if (!resolved) {
+    return { dueDate: null, dueText: String(value), dueAllDay: false };
   }
   
+  return { dueDate: resolved.iso, dueText: dueText || resolved.phrase, dueAllDay: resolved.allDay };
+}
+
+/**
+ * Resolve the due date of task data before it is stored or queued
+ * Resolved data passes through unchanged, so queued tasks keep the date from when they were asked for
+ */
+function withResolvedDue(taskData, options = {}) {
+  if (taskData.dueAllDay !== undefined) {
+    return taskData;
+  }
+  return { ...taskData, ...resolveDue(taskData.dueDate, options, taskData.dueText) };
+}
+
+/**
+ * Local date ("YYYY-MM-DD") of a due timestamp in the user's timezone
+ */
+function dueLocalDate(dueDate, options = {}) {
+  const resolved = dueDate && resolveDateExpression(dueDate, options);
+  return resolved ? resolved.date : null;
+}
+
+/**
+ * Start the repeat rule of task data before it is stored
+ * A phrase ("every Monday at 9am") becomes a rule whose first occurrence, on or
+ * after any due date given, becomes the due date. Started series (next
+ * occurrences) pass through unchanged.
+ */
+function withResolvedRecurrence(taskData, options = {}) {
+  if (!taskData.recurrence || typeof taskData.recurrence !== 'string') {
+    return taskData;
+  }
+  
+  const rule = parseRecurrence(taskData.recurrence, options);
+  if (rule && !rule.time && taskData.dueDate && !taskData.dueAllDay) {
+    rule.time = resolveDateExpression(taskData.dueDate, options).time;
+  }
+  const series = rule && startSeries(rule, { ...options, from: dueLocalDate(taskData.dueDate, options) });
+  
+  if (!series) {
+    console.warn(`[Tasks] Couldn't read repeat rule "${taskData.recurrence}" for "${taskData.title}"; it won't repeat`);
+    return { ...taskData, recurrence: null };
+  }
+  
+  return {
+    ...taskData,
+    dueDate: series.occurrence.iso,
+    dueAllDay: series.occurrence.allDay,
+    dueText: taskData.dueText || taskData.recurrence,
+    recurrence: {
+      rule: series.rule,
+      seriesId: `series_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      index: series.occurrence.index,
+      paused: false
+    }
+  };
+}
+
+/**
+ * Create tasks for a user
+ * Due dates resolve in the user's profile (timezone, date format, working hours) unless `options` says otherwise
+ */
+function createTasks(userId, tasks, context = {}, options = dateOptions(getProfile(userId))) {
+  const storage = getStorage();
   const createdTasks = [];
   
-  for (const taskData of tasks) {
+  for (const data of tasks) {
+    const taskData = withResolvedRecurrence(withResolvedDue(data, options), options);
     const task = {
-      id: `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: taskData.id || `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      userId,
+      schemaVersion: SCHEMA_VERSIONS.tasks,
       title: taskData.title,
       description: taskData.description || '',
       priority: taskData.priority || 'medium',
-      status: 'pending',
+      status: INITIAL_STATUS,
+      statusHistory: [{ from: null, to: INITIAL_STATUS, at: new Date().toISOString() }],
       assignee: taskData.assignee || null,
-      dueDate: taskData.dueDate || null,
+      dueDate: taskData.dueDate,
+      dueText: taskData.dueText,
+      dueAllDay: taskData.dueAllDay,
+      project: taskData.project || null,
+      recurrence: taskData.recurrence || null,
+      subtasks: buildSubtasks(taskData.subtasks),
+      completeWithSubtasks: typeof taskData.completeWithSubtasks === 'boolean' ? taskData.completeWithSubtasks : null,
+      blockedBy: Array.isArray(taskData.blockedBy) ? taskData.blockedBy : [],
       context: {
         projectId: context.projectId || null,
         channelId: context.channelId || null,
@@ -44,12 +213,11 @@ function createTasks(userId, tasks, context = {}) {
       updatedAt: new Date().toISOString()
     };
     
-    users[userId].tasks.push(task);
+    storage.put('tasks', task);
+    recordCreated(task);
     createdTasks.push(task);
   }
   
-  saveUsers(users);
-  
   console.log(`[Tasks] Created ${createdTasks.length} tasks for user ${userId}`);
   
   return createdTasks;
@@ -59,18 +227,12 @@ function createTasks(userId, tasks, context = {}) {
  * Get all tasks for a user
  */
 function getTasks(userId, filters = {}) {
-  const users = loadUsers();
-  const user = users[userId];
-  
-  if (!user || !user.tasks) {
-    return [];
-  }
-  
-  let tasks = [...user.tasks];
+  let tasks = getStorage().find('tasks', { userId });
   
-  // Apply filters
+  // Apply filters ("open" = any status that still needs doing; a list matches any of its statuses)
   if (filters.status) {
-    tasks = tasks.filter(t => t.status === filters.status);
+    const wanted = [].concat(filters.status);
+    tasks = tasks.filter(t => (filters.status === 'open' ? isOpen(t.status) : wanted.includes(t.status)));
   }
   
   if (filters.priority) {
@@ -85,11 +247,17 @@ function getTasks(userId, filters = {}) {
   }
   
   if (filters.projectId) {
-    tasks = tasks.filter(t => t.context && t.context.projectId === filters.projectId);
+    tasks = tasks.filter(t => t.context.projectId === filters.projectId);
   }
   
   if (filters.channelId) {
-    tasks = tasks.filter(t => t.context && t.context.channelId === filters.channelId);
+    tasks = tasks.filter(t => t.context.channelId === filters.channelId);
+  }
+  
+  // Blocked = open and waiting on an open task
+  if (filters.blocked !== undefined) {
+    const openIds = new Set(getStorage().find('tasks', { userId }).filter(t => isOpen(t.status)).map(t => t.id));
+    tasks = tasks.filter(t => (isOpen(t.status) && (t.blockedBy || []).some(id => openIds.has(id))) === filters.blocked);
   }
   
   // Apply sorting
@@ -116,58 +284,74 @@ function getTasks(userId, filters = {}) {
 }
 
 /**
- * Get urgent tasks (high priority, pending)
+ * Get urgent tasks (high priority, still open)
  */
 function getUrgentTasks(userId) {
-  return getTasks(userId, { status: 'pending', priority: 'high' });
+  return getTasks(userId, { status: 'open', priority: 'high' });
 }
 
 /**
- * Update task status
+ * Move a task to another status of the workflow (see services/workflow.js)
+ * Moves the workflow doesn't allow are refused. Moving to done completes the
+ * task, so a repeating task creates its next occurrence
+ * 
+ * @param {string} userId - User ID
+ * @param {string} taskId - Task ID
+ * @param {string} status - Status key, e.g. "in_review"
+ * @param {Object} options - Date options for a repeating task's next occurrence
+ * @returns {Object} { task, from, unchanged, next, unblocked } or { error }
  */
-function updateTaskStatus(userId, taskId, status) {
-  const users = loadUsers();
-  const user = users[userId];
-  
-  if (!user || !user.tasks) {
-    return null;
+function updateTaskStatus(userId, taskId, status, options = dateOptions(getProfile(userId))) {
+  if (splitItemId(taskId).subtaskId) {
+    return { error: 'Checklist steps are only done or not done; complete or delete them instead' };
   }
   
-  const task = user.tasks.find(t => t.id === taskId);
+  const existing = getOwnedTask(userId, taskId);
+  if (!existing) {
+    return { error: 'Task not found' };
+  }
+  if (!getStatus(status)) {
+    return { error: `"${status}" isn't a task status` };
+  }
   
-  if (!task) {
-    return null;
+  const from = existing.status;
+  if (from === status) {
+    return { task: existing, from, unchanged: true, next: null, unblocked: [] };
+  }
+  if (!canTransition(from, status)) {
+    const targets = allowedTransitions(from).map(key => statusLabel(key).toLowerCase());
+    const choices = targets.length > 1 ? `${targets.slice(0, -1).join(', ')} or ${targets[targets.length - 1]}` : targets[0];
+    return {
+      error: `"${existing.title}" is ${statusLabel(from).toLowerCase()}, so it can't move to ${statusLabel(status).toLowerCase()}` +
+        (choices ? `. From there it can move to ${choices}.` : '.')
+    };
   }
   
-  task.status = status;
-  task.updatedAt = new Date().toISOString();
+  if (status === DONE_STATUS) {
+    const { task, next } = completeTask(userId, taskId, options);
+    return { task, from, unchanged: false, next, unblocked: newlyUnblocked(userId, [taskId]) };
+  }
   
-  saveUsers(users);
+  const task = updateOwnedTask(userId, taskId, t => recordStatus(t, status));
+  recordActivity('status', task, { actor: userId, changes: [{ field: 'status', from, to: status }] });
   
-  console.log(`[Tasks] Updated task ${taskId} status to ${status}`);
+  console.log(`[Tasks] Moved task ${taskId} from ${from} to ${status}`);
   
-  return task;
+  return { task, from, unchanged: false, next: null, unblocked: isOpen(status) ? [] : newlyUnblocked(userId, [taskId]) };
 }
 
 /**
- * Delete task
+ * Delete task (it goes to the trash; see services/trash.js)
  */
 function deleteTask(userId, taskId) {
-  const users = loadUsers();
-  const user = users[userId];
-  
-  if (!user || !user.tasks) {
-    return false;
-  }
-  
-  const taskIndex = user.tasks.findIndex(t => t.id === taskId);
-  
-  if (taskIndex === -1) {
+  const task = getOwnedTask(userId, taskId);
+  if (!task) {
     return false;
   }
   
-  user.tasks.splice(taskIndex, 1);
-  saveUsers(users);
+  moveToTrash('tasks', task);
+  recordActivity('deleted', task, { actor: userId });
+  dropDependencies(userId, [taskId]);
   
   console.log(`[Tasks] Deleted task ${taskId}`);
   
@@ -175,27 +359,34 @@ function deleteTask(userId, taskId) {
 }
 
 /**
- * Delete multiple tasks
+ * Delete multiple tasks (to the trash)
+ * Checklist item IDs remove the item from its task
  */
 function deleteTasks(userId, taskIds) {
-  const users = loadUsers();
-  const user = users[userId];
-  
-  if (!user || !user.tasks) {
-    return { deleted: 0, failed: taskIds.length };
-  }
-  
   let deletedCount = 0;
-  
-  for (const taskId of taskIds) {
-    const taskIndex = user.tasks.findIndex(t => t.id === taskId);
-    if (taskIndex !== -1) {
-      user.tasks.splice(taskIndex, 1);
+  const removedTasks = [];
+  
+  for (const id of taskIds) {
+    const { taskId, subtaskId } = splitItemId(id);
+    if (subtaskId) {
+      let removed = false;
+      updateOwnedTask(userId, taskId, t => {
+        const before = (t.subtasks || []).length;
+        t.subtasks = (t.subtasks || []).filter(item => item.id !== subtaskId);
+        removed = t.subtasks.length < before;
+      });
+      if (removed) deletedCount++;
+    } else {
+      const task = getOwnedTask(userId, taskId);
+      if (!task) continue;
+      moveToTrash('tasks', task);
+      recordActivity('deleted', task, { actor: userId });
+      removedTasks.push(taskId);
       deletedCount++;
     }
   }
   
-  saveUsers(users);
+  dropDependencies(userId, removedTasks);
   
   console.log(`[Tasks] Deleted ${deletedCount}/${taskIds.length} tasks for user ${userId}`);
   
@@ -203,60 +394,491 @@ function deleteTasks(userId, taskIds) {
 }
 
 /**
- * Complete multiple tasks
+ * Mark one task completed
+ * Completing an occurrence of a repeating task (not paused) creates the next one
+ * 
+ * @returns {Object|null} { task, next, wasOpen }, or null if not found or the
+ *   workflow doesn't allow completing it from its status
  */
-function completeTasks(userId, taskIds) {
-  const users = loadUsers();
-  const user = users[userId];
+function completeTask(userId, taskId, options = {}) {
+  const existing = getOwnedTask(userId, taskId);
+  if (!existing || (existing.status !== DONE_STATUS && !canTransition(existing.status, DONE_STATUS))) {
+    return null;
+  }
   
-  if (!user || !user.tasks) {
-    return { completed: 0, failed: taskIds.length };
+  let wasOpen = false;
+  const task = updateOwnedTask(userId, taskId, t => {
+    wasOpen = t.status !== DONE_STATUS;
+    if (wasOpen) recordStatus(t, DONE_STATUS);
+  });
+  if (wasOpen) {
+    recordActivity('completed', task, { actor: userId, changes: [{ field: 'status', from: existing.status, to: DONE_STATUS }] });
   }
   
+  const next = wasOpen && task.recurrence && !task.recurrence.paused ? createNextOccurrence(userId, task, options) : null;
+  return { task, next, wasOpen };
+}
+
+/**
+ * Complete multiple tasks
+ * Checklist item IDs check the item off; checking off a task's last open item
+ * completes the task too, unless it's set not to
+ * 
+ * @returns {Object} { completed, failed, next: [created occurrences], checked: [{ task, subtask, parentCompleted }],
+ *   unblocked: [tasks no longer waiting on anything] }
+ */
+function completeTasks(userId, taskIds, options = dateOptions(getProfile(userId))) {
   let completedCount = 0;
-  
-  for (const taskId of taskIds) {
-    const task = user.tasks.find(t => t.id === taskId);
-    if (task) {
-      task.status = 'completed';
-      task.updatedAt = new Date().toISOString();
+  const next = [];
+  const checked = [];
+  const completedIds = [];
+  
+  for (const id of taskIds) {
+    const { taskId, subtaskId } = splitItemId(id);
+    const result = subtaskId
+      ? completeSubtask(userId, taskId, subtaskId, options)
+      : completeTask(userId, taskId, options);
+    if (!result) continue;
+    
+    if (subtaskId) {
+      checked.push(result);
+    } else {
       completedCount++;
     }
+    if (result.wasOpen || result.parentCompleted) completedIds.push(taskId);
+    if (result.next) next.push(result.next);
+  }
+  
+  console.log(`[Tasks] Completed ${completedCount} tasks and ${checked.length} checklist items (${taskIds.length} asked) for user ${userId}`);
+  
+  return {
+    completed: completedCount,
+    failed: taskIds.length - completedCount - checked.length,
+    next,
+    checked,
+    unblocked: newlyUnblocked(userId, completedIds)
+  };
+}
+
+// ===== DEPENDENCIES =====
+
+/**
+ * Open tasks a task is waiting on
+ * Finished (done, cancelled) or deleted blockers no longer block, so "blocked" clears by itself
+ * 
+ * @param {Object} task - Task (blockers are looked up among its owner's tasks)
+ * @returns {Array} Blocking tasks
+ */
+function getBlockers(task) {
+  return (task.blockedBy || [])
+    .map(id => getOwnedTask(task.userId, id))
+    .filter(blocker => blocker && isOpen(blocker.status));
+}
+
+/**
+ * Whether a task is waiting on another one
+ */
+function isBlocked(task) {
+  return isOpen(task.status) && getBlockers(task).length > 0;
+}
+
+/**
+ * Tasks with the open tasks they wait on, for display
+ * 
+ * @returns {Array} Copies of the tasks with `blockers: [{ id, title }]`
+ */
+function withBlockers(tasks) {
+  return tasks.map(task => ({
+    ...task,
+    blockers: isOpen(task.status) ? getBlockers(task).map(b => ({ id: b.id, title: b.title })) : []
+  }));
+}
+
+/**
+ * Chain of tasks from `fromId` to `toId` along blockedBy links, if there is one
+ * 
+ * @returns {Array|null} Tasks on the path, both ends included
+ */
+function dependencyPath(userId, fromId, toId, seen = new Set()) {
+  const task = getOwnedTask(userId, fromId);
+  if (!task || seen.has(fromId)) {
+    return null;
+  }
+  if (fromId === toId) {
+    return [task];
+  }
+  
+  seen.add(fromId);
+  for (const id of task.blockedBy || []) {
+    const path = dependencyPath(userId, id, toId, seen);
+    if (path) return [task, ...path];
+  }
+  return null;
+}
+
+/**
+ * Make one task wait on another ("deploy depends on QA sign-off")
+ * Refuses links that would make a cycle
+ * 
+ * @param {string} userId - User ID
+ * @param {string} taskId - Task that waits
+ * @param {string} blockerId - Task it waits on
+ * @returns {Object} { task, blocker, existed } or { error }
+ */
+function addDependency(userId, taskId, blockerId) {
+  if ([taskId, blockerId].some(id => splitItemId(id).subtaskId)) {
+    return { error: 'Dependencies link tasks, not checklist steps' };
+  }
+  
+  const task = getOwnedTask(userId, taskId);
+  const blocker = getOwnedTask(userId, blockerId);
+  if (!task || !blocker) {
+    return { error: 'Task not found' };
+  }
+  if (taskId === blockerId) {
+    return { error: 'A task can\'t depend on itself' };
+  }
+  if ((task.blockedBy || []).includes(blockerId)) {
+    return { task, blocker, existed: true };
+  }
+  
+  // The blocker already waits on the task, directly or through others
+  const cycle = dependencyPath(userId, blockerId, taskId);
+  if (cycle) {
+    const chain = [task, ...cycle].map(t => `"${t.title}"`).join(' → ');
+    return { error: `That would make a loop: ${chain}` };
   }
   
-  saveUsers(users);
+  const updated = updateOwnedTask(userId, taskId, t => {
+    t.blockedBy = [...(t.blockedBy || []), blockerId];
+  });
   
-  console.log(`[Tasks] Completed ${completedCount}/${taskIds.length} tasks for user ${userId}`);
+  console.log(`[Tasks] Task ${taskId} now depends on ${blockerId}`);
   
-  return { completed: completedCount, failed: taskIds.length - completedCount };
+  return { task: updated, blocker, existed: false };
 }
 
 /**
- * Find task by title (fuzzy match)
+ * Remove a dependency, or every dependency of a task when `blockerId` is omitted
+ * 
+ * @returns {Object} { task, removed: [blocker tasks] } or { error }
  */
-function findTaskByTitle(userId, titleQuery) {
-  const tasks = getTasks(userId, { status: 'pending' });
+function removeDependency(userId, taskId, blockerId = null) {
+  const existing = getOwnedTask(userId, taskId);
+  if (!existing) {
+    return { error: 'Task not found' };
+  }
   
-  if (!titleQuery) {
+  const removedIds = (existing.blockedBy || []).filter(id => !blockerId || id === blockerId);
+  if (removedIds.length === 0) {
+    return { error: blockerId ? `"${existing.title}" doesn't depend on that task` : `"${existing.title}" doesn't depend on anything` };
+  }
+  
+  const task = updateOwnedTask(userId, taskId, t => {
+    t.blockedBy = (t.blockedBy || []).filter(id => !removedIds.includes(id));
+  });
+  
+  console.log(`[Tasks] Removed ${removedIds.length} dependencies from task ${taskId}`);
+  
+  return { task, removed: removedIds.map(id => getOwnedTask(userId, id)).filter(Boolean) };
+}
+
+/**
+ * Forget deleted tasks in other tasks' dependencies
+ */
+function dropDependencies(userId, removedIds) {
+  if (removedIds.length === 0) {
+    return;
+  }
+  
+  for (const task of getStorage().find('tasks', { userId })) {
+    if ((task.blockedBy || []).some(id => removedIds.includes(id))) {
+      updateOwnedTask(userId, task.id, t => {
+        t.blockedBy = t.blockedBy.filter(id => !removedIds.includes(id));
+      });
+    }
+  }
+}
+
+/**
+ * Open tasks that were waiting on any of `completedIds` and now wait on nothing
+ */
+function newlyUnblocked(userId, completedIds) {
+  return getTasks(userId, { status: 'open', blocked: false })
+    .filter(task => (task.blockedBy || []).some(id => completedIds.includes(id)));
+}
+
+// ===== CHECKLISTS =====
+
+/**
+ * Add checklist items (subtasks) to a task
+ * 
+ * @param {string} userId - User ID
+ * @param {string} taskId - Task ID
+ * @param {Array<string>} titles - Item titles, in order
+ * @param {Object} settings - { completeWithSubtasks } to change whether finishing the list completes the task
+ * @returns {Object} { task, added } or { error }
+ */
+function addSubtasks(userId, taskId, titles, settings = {}) {
+  if (splitItemId(taskId).subtaskId) {
+    return { error: 'Checklist items can\'t have steps of their own' };
+  }
+  
+  const existing = getOwnedTask(userId, taskId);
+  if (!existing) {
+    return { error: 'Task not found' };
+  }
+  if (!isOpen(existing.status)) {
+    return { error: `"${existing.title}" is already ${statusLabel(existing.status).toLowerCase()}` };
+  }
+  
+  let added = [];
+  const task = updateOwnedTask(userId, taskId, t => {
+    const current = t.subtasks || [];
+    const lastNumber = Math.max(0, ...current.map(item => parseInt(item.id.replace('sub_', ''), 10)));
+    added = buildSubtasks(titles, lastNumber + 1);
+    t.subtasks = [...current, ...added];
+    if (typeof settings.completeWithSubtasks === 'boolean') {
+      t.completeWithSubtasks = settings.completeWithSubtasks;
+    }
+  });
+  
+  if (added.length === 0) {
+    return { error: 'No steps given' };
+  }
+  
+  console.log(`[Tasks] Added ${added.length} checklist items to task ${taskId}`);
+  
+  return { task, added };
+}
+
+/**
+ * Check off one checklist item
+ * 
+ * @returns {Object|null} { task, subtask, parentCompleted, next }, or null if not found
+ */
+function completeSubtask(userId, taskId, subtaskId, options = {}) {
+  let subtask = null;
+  let task = updateOwnedTask(userId, taskId, t => {
+    subtask = (t.subtasks || []).find(item => item.id === subtaskId) || null;
+    if (subtask && subtask.status !== 'completed') {
+      subtask.status = 'completed';
+      subtask.completedAt = new Date().toISOString();
+    }
+  });
+  if (!task || !subtask) {
     return null;
   }
   
-  const lowerQuery = titleQuery.toLowerCase();
+  const allDone = task.subtasks.every(item => item.status === 'completed');
+  let next = null;
+  let parentCompleted = false;
+  const done = allDone && isOpen(task.status) && completesWithSubtasks(task) ? completeTask(userId, taskId, options) : null;
+  if (done) {
+    ({ task, next } = done);
+    parentCompleted = true;
+    console.log(`[Tasks] Completed task ${taskId}: every checklist item is done`);
+  }
   
-  // Exact match first
-  let task = tasks.find(t => t.title.toLowerCase() === lowerQuery);
+  return { task, subtask, parentCompleted, next };
+}
+
+/**
+ * Checklist progress of a task
+ * 
+ * @returns {Object|null} { done, total }, or null without a checklist
+ */
+function subtaskProgress(task) {
+  const items = task.subtasks || [];
+  if (items.length === 0) {
+    return null;
+  }
+  return { done: items.filter(item => item.status === 'completed').length, total: items.length };
+}
+
+// ===== REPEATING TASKS =====
+
+/**
+ * The occurrence after a task's, skipping any already in the past
+ */
+function followingOccurrence(task, options = {}) {
+  const { rule, index } = task.recurrence;
+  const after = dueLocalDate(task.dueDate, options) || rule.dtstart;
+  return nextOccurrence(rule, after, index, { timeZone: options.timeZone, notBefore: options.now || new Date() });
+}
+
+/**
+ * Create the task for the next occurrence of a series
+ * 
+ * @returns {Object|null} New task, or null once the series has ended
+ */
+function createNextOccurrence(userId, task, options = {}) {
+  const occurrence = followingOccurrence(task, options);
+  if (!occurrence) {
+    console.log(`[Tasks] Series ${task.recurrence.seriesId} ended with task ${task.id}`);
+    return null;
+  }
+  
+  const [created] = createTasks(userId, [{
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    assignee: task.assignee,
+    project: task.project,
+    dueDate: occurrence.iso,
+    dueText: null,
+    dueAllDay: occurrence.allDay,
+    recurrence: { ...task.recurrence, index: occurrence.index },
+    subtasks: (task.subtasks || []).map(item => item.title),
+    completeWithSubtasks: task.completeWithSubtasks
+  }], task.context, options);
+  
+  return created;
+}
+
+/**
+ * Find the task a series command is about
+ * Pending tasks first; a paused series may only have completed occurrences,
+ * so otherwise the latest repeating task with a matching title
+ */
+function findSeriesTask(userId, taskRef, lastTaskList = []) {
+  const [taskId] = resolveTaskRef(userId, taskRef, lastTaskList);
+  if (taskId) {
+    return getOwnedTask(userId, taskId);
+  }
   
+  if (typeof taskRef !== 'string' || !taskRef.trim()) {
+    return null;
+  }
+  
+  const query = taskRef.trim().toLowerCase();
+  return getTasks(userId)
+    .filter(t => t.recurrence && t.title.toLowerCase().includes(query))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+}
+
+/**
+ * Skip, pause, resume, end or set the repeat rule of a task's series
+ * 
+ * @param {string} userId - User ID
+ * @param {string} taskId - Task ID (any occurrence of the series)
+ * @param {string} op - "skip" | "pause" | "resume" | "end" | "set"
+ * @param {Object} params - { recurrence } repeat phrase for "set"
+ * @param {Object} options - { now, timeZone } for dates; defaults to the user's profile
+ * @returns {Object} { task, skipped, next } or { error }
+ */
+function updateSeries(userId, taskId, op, params = {}, options = dateOptions(getProfile(userId))) {
+  const task = getOwnedTask(userId, taskId);
   if (!task) {
-    // Partial match
-    task = tasks.find(t => t.title.toLowerCase().includes(lowerQuery));
+    return { error: 'Task not found' };
+  }
+  
+  if (op === 'set') {
+    const resolved = withResolvedRecurrence({ ...task, recurrence: params.recurrence }, options);
+    if (!resolved.recurrence) {
+      return { error: `I couldn't understand "${params.recurrence}" as a repeat rule` };
+    }
+    const updated = updateOwnedTask(userId, taskId, t => {
+      t.dueDate = resolved.dueDate;
+      t.dueAllDay = resolved.dueAllDay;
+      t.dueText = null;
+      t.recurrence = task.recurrence ? { ...resolved.recurrence, seriesId: task.recurrence.seriesId } : resolved.recurrence;
+    });
+    console.log(`[Tasks] Task ${taskId} now repeats`);
+    return { task: updated };
+  }
+  
+  if (!task.recurrence) {
+    return { error: `"${task.title}" doesn't repeat` };
   }
   
-  return task;
+  switch (op) {
+    case 'skip': {
+      if (!isOpen(task.status)) {
+        return { error: `"${task.title}" is already ${statusLabel(task.status).toLowerCase()}` };
+      }
+      const occurrence = followingOccurrence(task, options);
+      if (!occurrence) {
+        return { error: `"${task.title}" is the last occurrence of its series` };
+      }
+      const updated = updateOwnedTask(userId, taskId, t => {
+        t.dueDate = occurrence.iso;
+        t.dueAllDay = occurrence.allDay;
+        t.dueText = null;
+        t.recurrence = { ...t.recurrence, index: occurrence.index };
+      });
+      console.log(`[Tasks] Skipped occurrence ${task.recurrence.index} of series ${task.recurrence.seriesId}`);
+      return { task: updated, skipped: task.dueDate };
+    }
+    
+    case 'pause':
+    case 'resume': {
+      const paused = op === 'pause';
+      const updated = updateOwnedTask(userId, taskId, t => {
+        t.recurrence = { ...t.recurrence, paused };
+      });
+      // Resuming a series whose latest occurrence was completed while paused
+      const hasPending = getTasks(userId, { status: 'open' })
+        .some(t => t.recurrence && t.recurrence.seriesId === task.recurrence.seriesId);
+      const next = !paused && !hasPending ? createNextOccurrence(userId, updated, options) : null;
+      console.log(`[Tasks] ${paused ? 'Paused' : 'Resumed'} series ${task.recurrence.seriesId}`);
+      return { task: updated, next };
+    }
+    
+    case 'end': {
+      const updated = updateOwnedTask(userId, taskId, t => {
+        t.recurrence = null;
+      });
+      console.log(`[Tasks] Ended series ${task.recurrence.seriesId}`);
+      return { task: updated };
+    }
+    
+    default:
+      return { error: `Unknown series operation "${op}". Use skip, pause, resume, end or set.` };
+  }
+}
+
+/**
+ * Find open tasks matching a title
+ * Exact (case-insensitive) matches win; otherwise every partial match
+ * 
+ * @param {string} userId - User ID
+ * @param {string} titleQuery - Title or part of one
+ * @param {string|Array|null} status - Status filter (see getTasks); null searches every task
+ * @returns {Array} Matching tasks, in creation order
+ */
+function findTasksByTitle(userId, titleQuery, status = 'open') {
+  if (!titleQuery) {
+    return [];
+  }
+  
+  const tasks = getTasks(userId, { status });
+  const lowerQuery = titleQuery.toLowerCase();
+  
+  const exact = tasks.filter(t => t.title.toLowerCase() === lowerQuery);
+  if (exact.length > 0) {
+    return exact;
+  }
+  
+  return tasks.filter(t => t.title.toLowerCase().includes(lowerQuery));
+}
+
+/**
+ * Find task by title (fuzzy match)
+ * Takes the first match; use findTasksByTitle to detect ambiguous titles
+ */
+function findTaskByTitle(userId, titleQuery) {
+  if (!titleQuery) {
+    return null;
+  }
+  
+  return findTasksByTitle(userId, titleQuery)[0];
 }
 
 /**
  * Resolve task reference to task ID(s)
- * Handles: numeric index, title string, "all", or context-based resolution
+ * Handles: numeric index, checklist item ("2.3" = third item of task 2), task ID,
+ * title string, "all", or context-based resolution
  * 
  * @param {string} userId - User ID
  * @param {string|number} taskRef - Task reference from entities.task_ref
@@ -264,9 +886,9 @@ function findTaskByTitle(userId, titleQuery) {
  * @returns {Array} Array of task IDs, or empty array if none found
  */
 function resolveTaskRef(userId, taskRef, lastTaskList = []) {
-  // Handle "all" - return all user's pending tasks
+  // Handle "all" - return all user's open tasks
   if (taskRef === 'all' || taskRef === 'everything') {
-    const allTasks = getTasks(userId, { status: 'pending' });
+    const allTasks = getTasks(userId, { status: 'open' });
     return allTasks.map(t => t.id);
   }
   
@@ -279,6 +901,23 @@ function resolveTaskRef(userId, taskRef, lastTaskList = []) {
     return []; // Index out of range
   }
   
+  // Handle a checklist item of a task in the last list
+  const item = typeof taskRef === 'string' && taskRef.trim().match(/^(\d+)\.(\d+)$/);
+  if (item) {
+    const listed = lastTaskList && lastTaskList[parseInt(item[1], 10) - 1];
+    const task = listed && getOwnedTask(userId, listed.id);
+    const subtask = task && (task.subtasks || [])[parseInt(item[2], 10) - 1];
+    return subtask ? [itemId(task.id, subtask.id)] : [];
+  }
+  
+  // Handle a task ID (set when the user picks a task from a clarification)
+  if (typeof taskRef === 'string') {
+    const task = getTasks(userId, { status: 'open' }).find(t => t.id === taskRef);
+    if (task) {
+      return [task.id];
+    }
+  }
+  
   // Handle title string - fuzzy match
   if (typeof taskRef === 'string' && taskRef.trim()) {
     const task = findTaskByTitle(userId, taskRef.trim());
@@ -296,52 +935,43 @@ function resolveTaskRef(userId, taskRef, lastTaskList = []) {
 }
 
 /**
- * Delete all tasks for a user (including pending and completed)
+ * Delete all tasks for a user (including pending and completed), to the trash
  * Used for "delete all" operations
  */
 function deleteAllTasks(userId) {
-  const users = loadUsers();
-  const user = users[userId];
-  
-  if (!user || !user.tasks) {
-    return 0;
+  const tasks = getStorage().find('tasks', { userId });
+  for (const task of tasks) {
+    moveToTrash('tasks', task);
+    recordActivity('deleted', task, { actor: userId });
   }
   
-  const count = user.tasks.length;
-  user.tasks = [];
-  saveUsers(users);
-  
-  console.log(`[Tasks] Deleted all ${count} tasks for user ${userId}`);
+  console.log(`[Tasks] Deleted all ${tasks.length} tasks for user ${userId}`);
   
-  return count;
+  return tasks.length;
 }
 
 /**
  * Update task priority
  */
 function updateTaskPriority(userId, taskId, newPriority) {
-  const users = loadUsers();
-  
-  if (!users[userId] || !users[userId].tasks) {
-    return { updated: 0, error: 'User or tasks not found' };
-  }
-  
   const validPriorities = ['high', 'medium', 'low'];
   if (!validPriorities.includes(newPriority.toLowerCase())) {
     return { updated: 0, error: 'Invalid priority. Must be: high, medium, or low' };
   }
   
-  const task = users[userId].tasks.find(t => t.id === taskId);
+  let oldPriority;
+  const task = updateOwnedTask(userId, taskId, t => {
+    oldPriority = t.priority;
+    t.priority = newPriority.toLowerCase();
+  });
   
   if (!task) {
     return { updated: 0, error: 'Task not found' };
   }
   
-  const oldPriority = task.priority;
-  task.priority = newPriority.toLowerCase();
-  task.updatedAt = new Date().toISOString();
-  
-  saveUsers(users);
+  if (oldPriority !== task.priority) {
+    recordActivity('updated', task, { actor: userId, changes: [{ field: 'priority', from: oldPriority, to: task.priority }] });
+  }
   
   return { 
     updated: 1, 
@@ -353,55 +983,55 @@ function updateTaskPriority(userId, taskId, newPriority) {
 
 /**
  * Update task fields (assignee, description, etc.)
+ * A new due date phrase resolves in the user's profile unless `options` says otherwise
  */
-function updateTask(userId, taskId, updates) {
-  const users = loadUsers();
-  
-  if (!users[userId] || !users[userId].tasks) {
-    return { updated: 0, error: 'User or tasks not found' };
-  }
+function updateTask(userId, taskId, updates, options = dateOptions(getProfile(userId))) {
+  const changes = {};
   
-  const task = users[userId].tasks.find(t => t.id === taskId);
+  const task = updateOwnedTask(userId, taskId, task => {
+    // Update assignee
+    if (updates.assignee !== undefined) {
+      changes.assignee = { old: task.assignee, new: updates.assignee };
+      task.assignee = updates.assignee;
+    }
+    
+    // Update description
+    if (updates.description !== undefined) {
+      changes.description = { old: task.description, new: updates.description };
+      task.description = updates.description;
+    }
+    
+    // Update priority
+    if (updates.priority !== undefined) {
+      const validPriorities = ['high', 'medium', 'low'];
+      if (validPriorities.includes(updates.priority.toLowerCase())) {
+        changes.priority = { old: task.priority, new: updates.priority.toLowerCase() };
+        task.priority = updates.priority.toLowerCase();
+      }
+    }
+    
+    // Update due date
+    if (updates.dueDate !== undefined) {
+      const due = resolveDue(updates.dueDate, options);
+      changes.dueDate = { old: task.dueDate, new: due.dueDate, text: due.dueText, allDay: due.dueAllDay };
+      Object.assign(task, due);
+    }
+  });
   
   if (!task) {
     return { updated: 0, error: 'Task not found' };
   }
   
-  const changes = {};
-  
-  // Update assignee
-  if (updates.assignee !== undefined) {
-    changes.assignee = { old: task.assignee, new: updates.assignee };
-    task.assignee = updates.assignee;
-  }
-  
-  // Update description
-  if (updates.description !== undefined) {
-    changes.description = { old: task.description, new: updates.description };
-    task.description = updates.description;
-  }
-  
-  // Update priority
-  if (updates.priority !== undefined) {
-    const validPriorities = ['high', 'medium', 'low'];
-    if (validPriorities.includes(updates.priority.toLowerCase())) {
-      changes.priority = { old: task.priority, new: updates.priority.toLowerCase() };
-      task.priority = updates.priority.toLowerCase();
-    }
-  }
+  console.log(`[Tasks] Updated task ${taskId} for user ${userId}:`, changes);
   
-  // Update due date
-  if (updates.dueDate !== undefined) {
-    changes.dueDate = { old: task.dueDate, new: updates.dueDate };
-    task.dueDate = updates.dueDate;
+  // Log what actually changed; a new assignee makes it an assignment
+  const changed = Object.entries(changes)
+    .filter(([, change]) => JSON.stringify(change.old ?? null) !== JSON.stringify(change.new ?? null))
+    .map(([field, change]) => ({ field, from: change.old ?? null, to: change.new ?? null }));
+  if (changed.length > 0) {
+    recordActivity(changed.some(c => c.field === 'assignee') ? 'assigned' : 'updated', task, { actor: userId, changes: changed });
   }
   
-  task.updatedAt = new Date().toISOString();
-  
-  saveUsers(users);
-  
-  console.log(`[Tasks] Updated task ${taskId} for user ${userId}:`, changes);
-  
   return { 
     updated: 1, 
     task: task,
@@ -413,29 +1043,17 @@ function updateTask(userId, taskId, updates) {
  * Get tasks assigned to a specific person (cross-user visibility)
  */
 function getTasksAssignedTo(assignee) {
-  const users = loadUsers();
-  const assignedTasks = [];
-  
   // Search through all users' tasks
-  for (const userId in users) {
-    const user = users[userId];
-    if (user.tasks && Array.isArray(user.tasks)) {
-      const userTasks = user.tasks.filter(task => {
-        if (!task.assignee) return false;
-        return task.assignee.toLowerCase() === assignee.toLowerCase();
-      });
-      
-      // Add task with owner info
-      userTasks.forEach(task => {
-        assignedTasks.push({
-          ...task,
-          owner: userId
-        });
-      });
-    }
-  }
-  
-  return assignedTasks;
+  return getStorage().find('tasks')
+    .filter(task => {
+      if (!task.assignee) return false;
+      return task.assignee.toLowerCase() === assignee.toLowerCase();
+    })
+    // Add task with owner info
+    .map(task => ({
+      ...task,
+      owner: task.userId
+    }));
 }
 
 /**
@@ -453,13 +1071,15 @@ function searchTasks(userId, query) {
   return tasks.filter(task => {
     return (
       task.title.toLowerCase().includes(lowerQuery) ||
-      (task.description && task.description.toLowerCase().includes(lowerQuery))
+      task.description.toLowerCase().includes(lowerQuery)
     );
   });
 }
 
 module.exports = {
   createTasks,
+  withResolvedDue,
+  withResolvedRecurrence,
   getTasks,
   getUrgentTasks,
   updateTaskStatus,
@@ -470,7 +1090,18 @@ module.exports = {
   deleteTasks,
   deleteAllTasks,
   completeTasks,
+  addDependency,
+  removeDependency,
+  getBlockers,
+  isBlocked,
+  withBlockers,
+  addSubtasks,
+  subtaskProgress,
+  splitItemId,
+  updateSeries,
+  findSeriesTask,
   findTaskByTitle,
+  findTasksByTitle,
   resolveTaskRef,
   searchTasks
 };
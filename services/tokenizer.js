@@ -0,0 +1,104 @@
+/**
+ * Tokenizer Service
+ * Counts tokens with an offline tokenizer matching the configured model family
+ *
+ * Families:
+ *   llama3  - Llama 3.x models (Groq llama-3.3-70b-versatile, Ollama llama3.1, ...)
+ *   o200k   - GPT-4o / GPT-4.1 / GPT-5 and o-series models
+ *   cl100k  - GPT-4 / GPT-3.5 models, and the approximation for other families
+ *
+ * Vocabularies are bundled with the npm packages (no network) and loaded on
+ * first use. If a tokenizer can't be loaded, counts fall back to the
+ * 4-characters-per-token heuristic.
+ */
+
+const { getLLMConfig } = require('./llm');
+
+// Tokens added per chat message for role markers and separators
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const encoders = new Map();
+let warnedFallback = false;
+
+/**
+ * Pick the tokenizer family for a model name
+ *
+ * @param {string} model - Model name (e.g. "llama-3.3-70b-versatile")
+ * @returns {string} "llama3" | "o200k" | "cl100k"
+ */
+function getTokenizerFamily(model = '') {
+  const name = String(model).toLowerCase();
+
+  if (/llama[-_. ]?3|llama3/.test(name)) return 'llama3';
+  if (/gpt-4o|gpt-4\.1|gpt-5|^o\d|chatgpt/.test(name)) return 'o200k';
+  return 'cl100k';
+}
+
+/**
+ * Load (once) the encode function for a family
+ */
+function getEncoder(family) {
+  if (!encoders.has(family)) {
+    let encode;
+    switch (family) {
+      case 'llama3': {
+        const { llama3Tokenizer } = require('llama3-tokenizer-js/bundle/commonjs-llama3-tokenizer-with-baked-data.cjs');
+        encode = text => llama3Tokenizer.encode(text, { bos: false, eos: false });
+        break;
+      }
+
+      case 'o200k':
+        encode = require('gpt-tokenizer/cjs/encoding/o200k_base').encode;
+        break;
+
+      default:
+        encode = require('gpt-tokenizer/cjs/encoding/cl100k_base').encode;
+    }
+    encoders.set(family, encode);
+  }
+  return encoders.get(family);
+}
+
+/**
+ * Count tokens in a text
+ *
+ * @param {string} text - Text to count
+ * @param {string} model - Model name (defaults to the configured model)
+ * @returns {number} Token count
+ */
+function countTokens(text, model = getLLMConfig().model) {
+  if (!text || typeof text !== 'string') return 0;
+
+  try {
+    return getEncoder(getTokenizerFamily(model))(text).length;
+  } catch (error) {
+    if (!warnedFallback) {
+      console.warn(`[Tokenizer] Falling back to character estimate: ${error.message}`);
+      warnedFallback = true;
+    }
+    return Math.ceil(text.length / 4);
+  }
+}
+
+/**
+ * Count the prompt tokens of a chat request
+ *
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {string} model - Model name
+ * @param {Array} tools - Tool definitions sent with the request
+ * @returns {number} Token count
+ */
+function countMessageTokens(messages, model = getLLMConfig().model, tools = null) {
+  const messageTokens = messages.reduce(
+    (sum, message) => sum + MESSAGE_OVERHEAD_TOKENS + countTokens(message.content || '', model),
+    0
+  );
+  return messageTokens + (tools ? countTokens(JSON.stringify(tools), model) : 0);
+}
+
+module.exports = {
+  MESSAGE_OVERHEAD_TOKENS,
+  getTokenizerFamily,
+  countTokens,
+  countMessageTokens
+};
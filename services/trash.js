@@ -0,0 +1,158 @@
+/**
+ * Trash
+ * Deleted tasks and notes, kept for a while so they can be restored
+ *
+ * Deleting moves a record out of its collection into the "trash"
+ * collection, so lists and searches no longer see it:
+ *
+ *   { id, userId, collection, record, deletedAt }
+ *
+ *   collection - where the record came from ("tasks" or "notes")
+ *   record     - the record as it was when deleted
+ *
+ * Restoring puts the record back as it was. Items deleted more than
+ * TRASH_RETENTION_DAYS ago (default 30; 0 keeps them until the trash is
+ * emptied) are purged on the scheduler's tick and whenever the trash is read.
+ */
+
+const { getStorage } = require('../utils/storage');
+const { migrateRecord } = require('../utils/storage/migrations');
+const { recordActivity } = require('./activity');
+
+const COLLECTION = 'trash';
+
+/**
+ * Trash settings from the environment
+ */
+function getTrashConfig() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return {
+    retentionDays: Number.isNaN(days) || days < 0 ? 30 : days
+  };
+}
+
+/**
+ * When an item deleted at `deletedAt` is purged, or null if it's kept until the trash is emptied
+ */
+function expiresAt(deletedAt) {
+  const { retentionDays } = getTrashConfig();
+  return retentionDays > 0 ? new Date(new Date(deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Move a record from its collection to the trash
+ *
+ * @param {string} collection - "tasks" or "notes"
+ * @param {Object} record - The record being deleted
+ * @returns {Object} The trash item
+ */
+function moveToTrash(collection, record, now = new Date()) {
+  const storage = getStorage();
+  storage.remove(collection, record.id);
+  return storage.put(COLLECTION, {
+    id: `trash_${record.id}`,
+    userId: record.userId,
+    collection,
+    record,
+    deletedAt: now.toISOString()
+  });
+}
+
+/**
+ * Purge items past the retention period
+ *
+ * @param {Date} now - Current time
+ * @param {string} userId - Only this user's trash (default: everyone's)
+ * @returns {number} Items purged
+ */
+function purgeTrash(now = new Date(), userId = null) {
+  const storage = getStorage();
+  const expired = storage.find(COLLECTION, userId ? { userId } : undefined)
+    .filter(item => {
+      const expiry = expiresAt(item.deletedAt);
+      return expiry && expiry <= now;
+    });
+
+  expired.forEach(item => storage.remove(COLLECTION, item.id));
+  if (expired.length > 0) {
+    console.log(`[Trash] Purged ${expired.length} item(s) past ${getTrashConfig().retentionDays} days`);
+  }
+  return expired.length;
+}
+
+/**
+ * A user's trash, most recently deleted first
+ *
+ * @param {string} userId - User ID
+ * @param {Object} filters - { collection: "tasks" | "notes" }
+ */
+function listTrash(userId, filters = {}, now = new Date()) {
+  purgeTrash(now, userId);
+  return getStorage().find(COLLECTION, { userId })
+    .filter(item => !filters.collection || item.collection === filters.collection)
+    .reverse() // items deleted in the same instant: the last one first
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+/**
+ * Put trashed records back where they were
+ * A restored task no longer waits on tasks that are gone; links between
+ * tasks restored together are kept
+ *
+ * @param {string} userId - User ID
+ * @param {Array<string>} trashIds - Trash item IDs
+ * @returns {Array} Restored items ({ collection, record })
+ */
+function restoreFromTrash(userId, trashIds) {
+  const storage = getStorage();
+  const restored = [];
+  const returning = new Set(trashIds
+    .map(trashId => storage.get(COLLECTION, trashId))
+    .filter(item => item && item.userId === userId && item.collection === 'tasks')
+    .map(item => item.record.id));
+
+  for (const trashId of trashIds) {
+    const item = storage.get(COLLECTION, trashId);
+    if (!item || item.userId !== userId) continue;
+
+    // Records can sit in the trash across a schema upgrade
+    const { record: migrated } = migrateRecord(item.collection, item.record, storage.get('users', userId));
+    const record = { ...migrated, updatedAt: new Date().toISOString() };
+    if (item.collection === 'tasks' && record.blockedBy) {
+      record.blockedBy = record.blockedBy.filter(id => returning.has(id) || storage.get('tasks', id));
+    }
+
+    storage.put(item.collection, record);
+    storage.remove(COLLECTION, trashId);
+    if (item.collection === 'tasks') {
+      recordActivity('restored', record, { actor: userId });
+    }
+    restored.push({ collection: item.collection, record });
+  }
+
+  if (restored.length > 0) {
+    console.log(`[Trash] Restored ${restored.length} item(s) for user ${userId}`);
+  }
+  return restored;
+}
+
+/**
+ * Delete everything in a user's trash for good
+ *
+ * @returns {number} Items removed
+ */
+function emptyTrash(userId) {
+  const count = getStorage().removeWhere(COLLECTION, { userId });
+  console.log(`[Trash] Emptied ${count} item(s) for user ${userId}`);
+  return count;
+}
+
+module.exports = {
+  getTrashConfig,
+  expiresAt,
+  moveToTrash,
+  purgeTrash,
+  listTrash,
+  restoreFromTrash,
+  emptyTrash
+};
@@ -0,0 +1,269 @@
+/**
+ * Undo / Redo
+ * Per-user history of the changes made in conversation, so "undo" and
+ * "redo" can walk back and forth through it
+ *
+ * Actions registered as `undoable` run through recordChange: the user's
+ * tasks, notes, reminders and trash are compared before and after, and the records
+ * that differ become one step:
+ *
+ *   { id, label, changes: [{ collection, id, before, after }], at }
+ *
+ *   label  - the request as the user said it ("delete all")
+ *   before - the record before the change (null if the change created it)
+ *   after  - the record after it (null if the change deleted it)
+ *
+ * Undoing a step writes every `before` back; redoing writes every `after`.
+ * A step whose records changed again since is refused rather than
+ * overwriting the newer change. Steps live in the user's context
+ * (`undoStack`, `redoStack`): at most UNDO_LIMIT of them (default 20), none
+ * older than UNDO_MAX_AGE_MINUTES (default 60). Either set to 0 turns undo
+ * off: nothing is kept. A new change clears redo.
+ */
+
+const { getStorage } = require('../utils/storage');
+const { modifyUser } = require('../utils/userManager');
+const { recordActivity } = require('./activity');
+
+// Records a step covers. Due-date notifications aren't: the scheduler rebuilds them from the tasks
+const TRACKED = {
+  tasks: () => true,
+  notes: () => true,
+  reminders: reminder => reminder.kind === 'reminder',
+  trash: () => true
+};
+
+// Task fields the activity log shows for an undone or redone change
+const LOGGED_FIELDS = ['title', 'description', 'priority', 'assignee', 'dueDate', 'status'];
+
+/**
+ * Undo limits from the environment
+ */
+function getUndoConfig() {
+  const limit = parseInt(process.env.UNDO_LIMIT, 10);
+  const maxAgeMinutes = parseInt(process.env.UNDO_MAX_AGE_MINUTES, 10);
+  return {
+    limit: Number.isNaN(limit) || limit < 0 ? 20 : limit,
+    maxAgeMinutes: Number.isNaN(maxAgeMinutes) || maxAgeMinutes < 0 ? 60 : maxAgeMinutes
+  };
+}
+
+/**
+ * Whether undo is on (UNDO_LIMIT or UNDO_MAX_AGE_MINUTES of 0 turns it off)
+ */
+function undoEnabled() {
+  const { limit, maxAgeMinutes } = getUndoConfig();
+  return limit > 0 && maxAgeMinutes > 0;
+}
+
+/**
+ * Copies of every tracked record the user owns, by "<collection>:<id>"
+ */
+function snapshot(userId) {
+  const storage = getStorage();
+  const records = new Map();
+
+  for (const [collection, tracked] of Object.entries(TRACKED)) {
+    for (const record of storage.find(collection, { userId }).filter(tracked)) {
+      records.set(`${collection}:${record.id}`, { collection, record: JSON.parse(JSON.stringify(record)) });
+    }
+  }
+  return records;
+}
+
+/**
+ * Records that differ between two snapshots
+ *
+ * @returns {Array} [{ collection, id, before, after }]
+ */
+function diffSnapshots(before, after) {
+  const changes = [];
+
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const was = before.get(key);
+    const now = after.get(key);
+    if (was && now && JSON.stringify(was.record) === JSON.stringify(now.record)) continue;
+
+    const { collection, record } = was || now;
+    changes.push({ collection, id: record.id, before: was ? was.record : null, after: now ? now.record : null });
+  }
+  return changes;
+}
+
+/**
+ * Drop steps past the undo window
+ */
+function prune(steps, now) {
+  if (!undoEnabled()) return [];
+  const { limit, maxAgeMinutes } = getUndoConfig();
+  const oldest = now.getTime() - maxAgeMinutes * 60 * 1000;
+  return steps.filter(step => new Date(step.at).getTime() >= oldest).slice(-limit);
+}
+
+/**
+ * Atomically change a user's undo and redo stacks
+ *
+ * @param {Function} fn - Receives { undo, redo } (pruned) to change in place; its return value is passed on
+ * @returns {*} What fn returned, or null if there is no such user
+ */
+function modifyStacks(userId, fn, now = new Date()) {
+  let result = null;
+
+  modifyUser(userId, user => {
+    if (!user) return null;
+    const stacks = {
+      undo: prune(user.context.undoStack || [], now),
+      redo: prune(user.context.redoStack || [], now)
+    };
+    result = fn(stacks);
+    return {
+      ...user,
+      context: { ...user.context, undoStack: prune(stacks.undo, now), redoStack: prune(stacks.redo, now) }
+    };
+  });
+  return result;
+}
+
+/**
+ * Run a change and keep what it did as one undo step
+ * Nothing is kept if it changed nothing, or if undo is off
+ *
+ * @param {string} userId - User making the change
+ * @param {string} label - The request, as shown when it's undone
+ * @param {Function} change - async () => result
+ * @returns {Promise<*>} What change returned
+ */
+async function recordChange(userId, label, change) {
+  if (!undoEnabled()) {
+    return change();
+  }
+
+  const before = snapshot(userId);
+  const result = await change();
+  const changes = diffSnapshots(before, snapshot(userId));
+
+  if (changes.length > 0) {
+    const now = new Date();
+    modifyStacks(userId, stacks => {
+      stacks.undo.push({
+        id: `undo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        label,
+        changes,
+        at: now.toISOString()
+      });
+      stacks.redo = [];
+    }, now);
+    console.log(`[Undo] Kept "${label}" for ${userId} (${changes.length} record(s))`);
+  }
+  return result;
+}
+
+/**
+ * Name of a record, for messages
+ */
+function recordName(collection, record) {
+  if (collection === 'trash') return recordName(record.collection, record.record);
+  return collection === 'reminders' ? record.text : record.title;
+}
+
+/**
+ * Write one side of a step back to storage
+ * Refused (nothing written) if any record no longer matches the other side
+ *
+ * @param {Object} step - Undo step
+ * @param {string} direction - "undo" (write `before`) or "redo" (write `after`)
+ * @param {string} actor - User undoing or redoing
+ * @returns {Object} { conflict } naming a record that changed since, or {}
+ */
+function applyStep(step, direction, actor) {
+  const storage = getStorage();
+  const [from, to] = direction === 'undo' ? ['after', 'before'] : ['before', 'after'];
+
+  const conflict = step.changes.find(change =>
+    JSON.stringify(storage.get(change.collection, change.id) || null) !== JSON.stringify(change[from]));
+  if (conflict) {
+    return { conflict };
+  }
+
+  for (const change of step.changes) {
+    if (change[to]) {
+      storage.put(change.collection, change[to]);
+    } else {
+      storage.remove(change.collection, change.id);
+    }
+
+    if (change.collection === 'tasks') {
+      const task = change[to] || change[from];
+      let type = direction === 'undo' ? 'undone' : 'redone';
+      if (!change[to]) type = 'deleted';
+      else if (!change[from]) type = 'restored';
+      const changes = change[to] && change[from]
+        ? LOGGED_FIELDS
+          .filter(field => JSON.stringify(change[from][field] ?? null) !== JSON.stringify(change[to][field] ?? null))
+          .map(field => ({ field, from: change[from][field] ?? null, to: change[to][field] ?? null }))
+        : [];
+      recordActivity(type, task, { actor, changes });
+    }
+  }
+  return {};
+}
+
+/**
+ * Take back the latest change
+ *
+ * @param {string} userId - User ID
+ * @returns {Object} { step, direction } or { error }
+ */
+function undo(userId, now = new Date()) {
+  return walk(userId, 'undo', now);
+}
+
+/**
+ * Make the latest undone change again
+ *
+ * @param {string} userId - User ID
+ * @returns {Object} { step, direction } or { error }
+ */
+function redo(userId, now = new Date()) {
+  return walk(userId, 'redo', now);
+}
+
+/**
+ * Move one step from one stack to the other, applying it on the way
+ * A step that can't be applied is dropped, so older steps stay reachable
+ */
+function walk(userId, direction, now) {
+  const [source, target] = direction === 'undo' ? ['undo', 'redo'] : ['redo', 'undo'];
+  const step = modifyStacks(userId, stacks => stacks[source].pop() || null, now);
+
+  if (!step) {
+    const { maxAgeMinutes } = getUndoConfig();
+    return {
+      error: direction === 'undo'
+        ? `Nothing to undo. Changes can be undone for ${maxAgeMinutes} minutes.`
+        : 'Nothing to redo.'
+    };
+  }
+
+  const { conflict } = applyStep(step, direction, userId);
+  if (conflict) {
+    const name = recordName(conflict.collection, conflict.after || conflict.before);
+    console.log(`[Undo] Can't ${direction} "${step.label}" for ${userId}: ${conflict.collection} ${conflict.id} changed since`);
+    return {
+      error: `Can't ${direction} "${step.label}": "${name}" has changed since. That change has been dropped from the history.`
+    };
+  }
+
+  modifyStacks(userId, stacks => {
+    stacks[target].push(step);
+  }, now);
+  console.log(`[Undo] ${direction === 'undo' ? 'Undid' : 'Redid'} "${step.label}" for ${userId}`);
+  return { step, direction };
+}
+
+module.exports = {
+  getUndoConfig,
+  recordChange,
+  undo,
+  redo
+};
@@ -0,0 +1,255 @@
+/**
+ * Task Workflow
+ * The statuses a task can be in and the moves allowed between them
+ *
+ * The default workflow is to do → in progress → in review → done, with
+ * on hold and cancelled to the side. TASK_WORKFLOW names a JSON file that
+ * replaces it:
+ *
+ *   {
+ *     "statuses": { "<key>": { "label", "emoji", "aliases": [], "final", "hold", "started" } },
+ *     "transitions": { "<from key>": ["<to key>", ...] }
+ *   }
+ *
+ *   final   - the task is finished (done, cancelled): it leaves the list and stops blocking others
+ *   hold    - set aside: still open, but focus sessions don't pick it
+ *   started - work is under way; starting a focus session doesn't move the task
+ *
+ * "pending" (to do) and "completed" (done) are required: new tasks start as
+ * pending and completing a task moves it to completed. They keep those names
+ * so stored tasks and API clients read the same as before.
+ */
+
+const fs = require('fs');
+
+const INITIAL_STATUS = 'pending';
+const DONE_STATUS = 'completed';
+const FOCUS_STATUS = 'in_progress';
+
+const DEFAULT_WORKFLOW = {
+  statuses: {
+    pending: { label: 'To do', emoji: '⬜', aliases: ['todo', 'to do', 'to-do', 'open', 'not started', 'backlog'] },
+    in_progress: { label: 'In progress', emoji: '🔄', aliases: ['in progress', 'doing', 'started', 'wip', 'working', 'active'], started: true },
+    in_review: { label: 'In review', emoji: '👀', aliases: ['review', 'in review', 'reviewing', 'for review', 'needs review'], started: true },
+    completed: { label: 'Done', emoji: '✅', aliases: ['done', 'complete', 'finished', 'closed'], final: true },
+    on_hold: { label: 'On hold', emoji: '⏸️', aliases: ['on hold', 'hold', 'paused', 'parked'], hold: true },
+    cancelled: { label: 'Cancelled', emoji: '🚫', aliases: ['canceled', 'cancel', 'dropped', 'abandoned', "won't do"], final: true }
+  },
+  transitions: {
+    pending: ['in_progress', 'completed', 'on_hold', 'cancelled'],
+    in_progress: ['pending', 'in_review', 'completed', 'on_hold', 'cancelled'],
+    in_review: ['in_progress', 'completed', 'on_hold', 'cancelled'],
+    on_hold: ['pending', 'in_progress', 'completed', 'cancelled'],
+    completed: ['pending', 'in_progress'],
+    cancelled: ['pending']
+  }
+};
+
+let workflow = null;
+
+/**
+ * Check a workflow definition
+ *
+ * @returns {string[]} Problems found; empty when usable
+ */
+function validateWorkflow(definition) {
+  const errors = [];
+  const statuses = (definition && definition.statuses) || {};
+  const transitions = (definition && definition.transitions) || {};
+
+  for (const key of [INITIAL_STATUS, DONE_STATUS]) {
+    if (!statuses[key]) errors.push(`missing the "${key}" status`);
+  }
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!statuses[from]) errors.push(`transitions from unknown status "${from}"`);
+    for (const to of Array.isArray(targets) ? targets : []) {
+      if (!statuses[to]) errors.push(`"${from}" moves to unknown status "${to}"`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Read the workflow file named by TASK_WORKFLOW
+ * Falls back to the default workflow (with a warning) if it can't be used
+ */
+function loadWorkflow(file = process.env.TASK_WORKFLOW) {
+  if (!file) {
+    return DEFAULT_WORKFLOW;
+  }
+
+  try {
+    const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateWorkflow(definition);
+    if (errors.length === 0) {
+      console.log(`[Workflow] Loaded ${Object.keys(definition.statuses).length} statuses from ${file}`);
+      return definition;
+    }
+    console.warn(`[Workflow] Ignoring ${file}: ${errors.join('; ')}`);
+  } catch (error) {
+    console.warn(`[Workflow] Could not read ${file}: ${error.message}`);
+  }
+  return DEFAULT_WORKFLOW;
+}
+
+/**
+ * The workflow in use
+ */
+function getWorkflow() {
+  if (!workflow) {
+    workflow = loadWorkflow();
+  }
+  return workflow;
+}
+
+/**
+ * Replace the workflow (tests, embedding); null goes back to TASK_WORKFLOW or the default
+ */
+function setWorkflow(definition) {
+  if (definition) {
+    const errors = validateWorkflow(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid workflow: ${errors.join('; ')}`);
+    }
+  }
+  workflow = definition;
+}
+
+/**
+ * Definition of one status, or null if the workflow doesn't have it
+ */
+function getStatus(key) {
+  return getWorkflow().statuses[key] || null;
+}
+
+/**
+ * Display name of a status ("in_review" → "In review")
+ */
+function statusLabel(key) {
+  const status = getStatus(key);
+  return status && status.label ? status.label : String(key).replace(/_/g, ' ');
+}
+
+/**
+ * Status name with its emoji, for messages
+ */
+function describeStatus(key) {
+  const status = getStatus(key);
+  return status && status.emoji ? `${status.emoji} ${statusLabel(key)}` : statusLabel(key);
+}
+
+/**
+ * Whether a task in this status still needs doing
+ * Unknown statuses count as open, so a task never silently disappears
+ */
+function isOpen(key) {
+  const status = getStatus(key);
+  return !status || !status.final;
+}
+
+/**
+ * Whether focus sessions can pick a task in this status
+ */
+function isWorkable(key) {
+  const status = getStatus(key);
+  return isOpen(key) && !(status && status.hold);
+}
+
+/**
+ * Whether work on a task in this status has begun
+ */
+function isStarted(key) {
+  const status = getStatus(key);
+  return Boolean(status && status.started);
+}
+
+/**
+ * Every status key, in workflow order
+ */
+function listStatuses() {
+  return Object.keys(getWorkflow().statuses);
+}
+
+/**
+ * Every status that still needs doing, in workflow order
+ */
+function openStatuses() {
+  return Object.keys(getWorkflow().statuses).filter(isOpen);
+}
+
+/**
+ * Statuses a task can move to from `from`
+ */
+function allowedTransitions(from) {
+  return getWorkflow().transitions[from] || [];
+}
+
+/**
+ * Whether a task can move from one status to another
+ */
+function canTransition(from, to) {
+  return from !== to && Boolean(getStatus(to)) && allowedTransitions(from).includes(to);
+}
+
+/**
+ * Names the user can call statuses by: keys, labels and aliases, lowercased
+ * with "_" and "-" read as spaces. Longest first, so a regex alternation
+ * built from them tries "in review" before "review".
+ *
+ * @param {string[]} [keys] - Only these statuses (default: all)
+ * @returns {string[]}
+ */
+function statusNames(keys = listStatuses()) {
+  const names = new Set();
+  for (const key of keys) {
+    const status = getStatus(key);
+    if (!status) continue;
+    for (const name of [key, status.label || '', ...(status.aliases || [])]) {
+      const normalized = name.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+      if (normalized) names.add(normalized);
+    }
+  }
+  return [...names].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Status named by the user or the model ("review", "In Progress", "on-hold")
+ *
+ * @returns {string|null} Status key, or null if it isn't one
+ */
+function resolveStatus(text) {
+  if (text === undefined || text === null) {
+    return null;
+  }
+
+  const wanted = String(text).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  for (const [key, status] of Object.entries(getWorkflow().statuses)) {
+    const names = [key, status.label || '', ...(status.aliases || [])]
+      .map(name => name.toLowerCase().replace(/[\s_-]+/g, ' '));
+    if (names.includes(wanted)) return key;
+  }
+  return null;
+}
+
+module.exports = {
+  INITIAL_STATUS,
+  DONE_STATUS,
+  FOCUS_STATUS,
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  setWorkflow,
+  loadWorkflow,
+  validateWorkflow,
+  getStatus,
+  statusLabel,
+  describeStatus,
+  isOpen,
+  isWorkable,
+  isStarted,
+  listStatuses,
+  openStatuses,
+  statusNames,
+  allowedTransitions,
+  canTransition,
+  resolveStatus
+};
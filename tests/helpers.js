@@ -0,0 +1,78 @@
+/**
+ * Shared test helpers
+ * Silencing service logs and talking to the API over HTTP
+ *
+ *   const { quiet, restoreConsole, startServer } = require('./helpers');
+ *
+ *   const api = startServer('omar');
+ *   const reply = await api.send('list tasks');          // POST /api/webhook as omar
+ *   const { status, body } = await api.post('/webhook/process-queue', { userId: 'omar' });
+ *   api.close();
+ */
+
+const express = require('express');
+
+const originalConsole = { log: console.log, error: console.error, warn: console.warn };
+
+/**
+ * Run fn with console.log, console.error and console.warn silenced
+ *
+ * @param {Function} fn - Sync or async work
+ * @returns {Promise<*>} What fn returned
+ */
+function quiet(fn) {
+  console.log = console.error = console.warn = () => {};
+  return Promise.resolve()
+    .then(fn)
+    .finally(restoreConsole);
+}
+
+/**
+ * Put the console back, e.g. before reporting a failure
+ */
+function restoreConsole() {
+  Object.assign(console, originalConsole);
+}
+
+/**
+ * Serve the API routes on a free local port
+ * The webhook is loaded here rather than at the top of this file, so the
+ * environment a test sets up is in place before it loads.
+ *
+ * @param {string} userId - Who send() talks as by default
+ * @returns {Object} { base, send(message, userId), post(path, body), get(path, query), close() }
+ */
+function startServer(userId) {
+  const webhookRouter = require('../webhooks/webhook');
+  const app = express();
+  app.use(express.json());
+  app.use('/api', webhookRouter);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  // A request the server never answers fails the test instead of hanging it
+  const request = (path, options) => quiet(async () => {
+    const response = await fetch(`${base}${path}`, { ...options, signal: AbortSignal.timeout(10000) });
+    return { status: response.status, body: await response.json() };
+  });
+  const post = (path, body) => request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const get = (path, query = {}) => request(`${path}?${new URLSearchParams(query)}`);
+
+  return {
+    base,
+    send: async (message, as = userId) => (await post('/webhook', { userId: as, message })).body,
+    post,
+    get,
+    close: () => server.close()
+  };
+}
+
+module.exports = {
+  quiet,
+  restoreConsole,
+  startServer
+};
@@ -0,0 +1,105 @@
+/**
+ * Test Suite for the Action Registry (registration, dispatch, help guide)
+ * Run with: node tests/test-actions.js
+ */
+
+const assert = require('assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+const {
+  HELP_SECTIONS,
+  registerAction,
+  getAction,
+  hasAction,
+  getActionNames,
+  getMissingEntities,
+  dispatchAction,
+  buildHelpSections
+} = require('../services/actions');
+const { regexFallbackParser, buildActionWhitelist } = require('../services/nlp');
+const { validateIntent } = require('../services/intentSchema');
+const { quiet, restoreConsole } = require('./helpers');
+
+console.log('🧪 Testing Action Registry\n');
+
+async function run() {
+  console.log('BUILT-IN ACTIONS');
+  // Nothing here loads the webhook: reading the registry registers the built-in actions
+  const names = getActionNames();
+  assert.strictEqual(names[0], 'create_task');
+  assert.ok(['list_tasks', 'complete_task', 'undo', 'plan', 'unknown'].every(hasAction));
+  assert.match(buildActionWhitelist(), /^- create_task: Create tasks$/m);
+  assert.strictEqual(validateIntent(regexFallbackParser('show my tasks')).intent.action, 'list_tasks');
+  console.log('  ✅ the NLP whitelist and validation see every action without the webhook\n');
+
+  console.log('REGISTRATION');
+  assert.throws(() => registerAction('broken', { description: 'No handler' }), /must have a name and a handler function/);
+  assert.throws(() => registerAction('', { handler: () => ({}) }), /must have a name/);
+
+  const calls = [];
+  registerAction('archive_task', {
+    description: 'Archive a task',
+    entities: ['task_ref'],
+    required: ['task_ref'],
+    section: 'tasks',
+    examples: ['archive [task]', 'put [task] away'],
+    handler: async args => {
+      calls.push(args);
+      return { message: 'archived', structured: { type: 'task_archived' } };
+    }
+  });
+  registerAction('secret_handshake', { hidden: true, examples: ['shake'], handler: () => ({}) });
+
+  const archive = getAction('archive_task');
+  assert.deepStrictEqual(
+    { fields: archive.fields, hidden: archive.hidden, undoable: archive.undoable },
+    { fields: [], hidden: false, undoable: false }
+  );
+  assert.strictEqual(getAction('secret_handshake').section, 'general');
+  assert.strictEqual(getAction('no_such_action'), null);
+  assert.strictEqual(getActionNames().slice(-2).join(), 'archive_task,secret_handshake');
+  console.log('  ✅ definitions get defaults and keep registration order');
+
+  assert.deepStrictEqual(getMissingEntities(archive, { entities: {} }), ['task_ref']);
+  assert.deepStrictEqual(getMissingEntities(archive, {}), ['task_ref']);
+  for (const empty of [null, '', []]) {
+    assert.deepStrictEqual(getMissingEntities(archive, { entities: { task_ref: empty } }), ['task_ref']);
+  }
+  assert.deepStrictEqual(getMissingEntities(archive, { entities: { task_ref: 0 } }), []);
+  console.log('  ✅ null, empty strings and empty lists count as missing; 0 does not\n');
+
+  console.log('DISPATCH');
+  const intent = { action: 'archive_task', entities: { task_ref: 2 } };
+  const archived = await dispatchAction('archive_task', { userId: 'ada', intent, message: 'archive 2' });
+  assert.strictEqual(archived.structured.type, 'task_archived');
+  assert.deepStrictEqual(calls, [{ userId: 'ada', intent, message: 'archive 2' }]);
+
+  const missing = await dispatchAction('archive_task', { userId: 'ada', intent: { entities: {} } });
+  assert.strictEqual(missing.message, '❌ I need task_ref to archive a task.');
+  assert.deepStrictEqual(missing.structured, { type: 'error', error: 'Missing entities', action: 'archive_task', missing: ['task_ref'] });
+  assert.strictEqual(calls.length, 1);
+  console.log('  ✅ handlers get the request; missing required entities stop it first');
+
+  const unknown = await quiet(() => dispatchAction('no_such_action', { userId: 'ada', intent: {}, userContext: {}, message: 'blorp' }));
+  assert.strictEqual(unknown.structured.type, 'fallback');
+  console.log('  ✅ unregistered actions go to "unknown"\n');
+
+  console.log('HELP');
+  const help = buildHelpSections();
+  const titles = help.split('\n').filter(line => /^\*\*.*\*\*$/.test(line)).map(line => line.slice(2, -2));
+  assert.deepStrictEqual(titles, HELP_SECTIONS.map(s => s.title).filter(title => titles.includes(title)));
+  assert.strictEqual(titles[0], '📋 Task Management');
+  assert.match(help, /• Archive a task: "archive \[task\]" or "put \[task\] away"/);
+  assert.doesNotMatch(help, /shake/);
+  assert.doesNotMatch(help, /Ambiguous or unsupported request/);
+  console.log('  ✅ the help guide lists visible actions with examples, by section\n');
+
+  console.log('🎉 All action registry tests passed!\n');
+}
+
+run().catch(error => {
+  restoreConsole();
+  console.error('❌ Action registry test failed:', error);
+  process.exit(1);
+});
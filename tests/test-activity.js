@@ -0,0 +1,159 @@
+/**
+ * Test Suite for the Activity Log (task history, periods, API)
+ * Run with: node tests/test-activity.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+delete process.env.DEFAULT_LOCALE;
+delete process.env.TASK_WORKFLOW;
+const { createTasks, updateTask, updateTaskPriority, updateTaskStatus, completeTasks, deleteTasks } = require('../services/tasks');
+const { recordActivity, getActivity, getTaskActivity, resolvePeriod } = require('../services/activity');
+const { formatActivity } = require('../services/formatter');
+const { regexFallbackParser } = require('../services/nlp');
+const { validateIntent } = require('../services/intentSchema');
+const { quiet, restoreConsole, startServer } = require('./helpers');
+
+console.log('🧪 Testing Activity Log\n');
+
+async function run() {
+  console.log('RECORDING');
+  const [report, budget] = await quiet(() => createTasks('nina', [
+    { title: 'Quarterly report', priority: 'high' },
+    { title: 'Budget review' }
+  ]));
+
+  await quiet(() => updateTaskPriority('nina', report.id, 'low'));
+  await quiet(() => updateTaskPriority('nina', report.id, 'low'));
+  await quiet(() => updateTask('nina', report.id, { assignee: 'sam' }));
+  await quiet(() => updateTaskStatus('nina', report.id, 'in_progress'));
+  await quiet(() => completeTasks('nina', [report.id]));
+  await quiet(() => completeTasks('nina', [report.id]));
+
+  const history = getTaskActivity('nina', report.id);
+  assert.deepStrictEqual(history.map(e => e.type), ['created', 'updated', 'assigned', 'status', 'completed']);
+  assert.deepStrictEqual(history[0].changes, [
+    { field: 'title', from: null, to: 'Quarterly report' },
+    { field: 'priority', from: null, to: 'high' }
+  ]);
+  assert.deepStrictEqual(history[1].changes, [{ field: 'priority', from: 'high', to: 'low' }]);
+  assert.deepStrictEqual(history[2].changes, [{ field: 'assignee', from: null, to: 'sam' }]);
+  assert.deepStrictEqual(history[4].changes, [{ field: 'status', from: 'in_progress', to: 'completed' }]);
+  assert.ok(history.every(e => e.actor === 'nina' && !Number.isNaN(Date.parse(e.at))));
+  console.log('  ✅ creation, edits, assignment, moves and completion are logged with before and after');
+  console.log('  ✅ no-op changes and repeated completions add nothing');
+
+  await quiet(() => deleteTasks('nina', [budget.id]));
+  const deleted = getTaskActivity('nina', budget.id);
+  assert.deepStrictEqual(deleted.map(e => e.type), ['created', 'deleted']);
+  assert.strictEqual(deleted[1].taskTitle, 'Budget review');
+  assert.deepStrictEqual(getActivity('nina', { types: ['deleted'] }).map(e => e.taskTitle), ['Budget review']);
+  console.log('  ✅ a deleted task keeps its history\n');
+
+  console.log('PERIODS');
+  const now = new Date('2026-10-21T10:00:00Z'); // a Wednesday
+  const span = (phrase, options = {}) => {
+    const period = resolvePeriod(phrase, { now, timeZone: 'UTC', weekStart: 'monday', ...options });
+    return period && [period.since.toISOString().slice(0, 10), period.until.toISOString().slice(0, 10)];
+  };
+  assert.deepStrictEqual(span('today'), ['2026-10-21', '2026-10-22']);
+  assert.deepStrictEqual(span('yesterday'), ['2026-10-20', '2026-10-21']);
+  assert.deepStrictEqual(span('this week'), ['2026-10-19', '2026-10-26']);
+  assert.deepStrictEqual(span('last week'), ['2026-10-12', '2026-10-19']);
+  assert.deepStrictEqual(span('this week', { weekStart: 'sunday' }), ['2026-10-18', '2026-10-25']);
+  assert.deepStrictEqual(span('last month'), ['2026-09-01', '2026-10-01']);
+  assert.deepStrictEqual(span('last 3 days'), ['2026-10-19', '2026-10-22']);
+  assert.deepStrictEqual(span('on friday'), ['2026-10-16', '2026-10-17']);
+  assert.deepStrictEqual(span('wednesday'), ['2026-10-21', '2026-10-22']);
+  assert.deepStrictEqual(span('last wednesday'), ['2026-10-14', '2026-10-15']);
+  assert.strictEqual(span('whenever'), null);
+  const zoned = resolvePeriod('yesterday', { now, timeZone: 'America/New_York' });
+  assert.strictEqual(zoned.since.toISOString(), '2026-10-20T04:00:00.000Z');
+  console.log('  ✅ periods resolve to whole days in the user\'s timezone and week');
+
+  const task = { id: 'task_old', userId: 'omid', title: 'Old task' };
+  recordActivity('created', task, { at: new Date('2026-10-20T09:00:00Z') });
+  recordActivity('completed', task, { at: new Date('2026-10-21T09:00:00Z') });
+  recordActivity('updated', task, { actor: 'lea', changes: [{ field: 'dueDate', from: null, to: '2026-10-30' }], at: new Date('2026-10-21T09:30:00Z') });
+  const yesterday = resolvePeriod('yesterday', { now, timeZone: 'UTC' });
+  assert.deepStrictEqual(getActivity('omid', yesterday).map(e => e.type), ['created']);
+  assert.deepStrictEqual(getActivity('omid', { limit: 2 }).map(e => e.type), ['completed', 'updated']);
+
+  const formatted = formatActivity(getActivity('omid'), { period: { ...yesterday, phrase: 'this week' } });
+  assert.match(formatted.message, /📜 \*\*Your activity this week\*\* \(3\)/);
+  assert.match(formatted.message, /✅ Completed "Old task"/);
+  assert.match(formatted.message, /✏️ Changed "Old task": due: none → .*\(by @lea\)/);
+  assert.strictEqual(formatted.structured.type, 'activity');
+  assert.strictEqual(formatActivity([], { taskTitle: 'Old task' }).message, '📜 No changes recorded for "Old task" yet.');
+  console.log('  ✅ logs filter by period and format with who changed what\n');
+
+  console.log('COMMANDS');
+  assert.deepStrictEqual(regexFallbackParser('what changed on task 2?').entities, { task_ref: '2' });
+  assert.deepStrictEqual(regexFallbackParser('history of the budget review').entities, { task_ref: 'budget review' });
+  assert.deepStrictEqual(regexFallbackParser('what did I do yesterday?').entities, { datetime: 'yesterday' });
+  assert.deepStrictEqual(regexFallbackParser('show activity for last week').entities, { datetime: 'last week' });
+  assert.deepStrictEqual(regexFallbackParser('my activity this week').entities, { datetime: 'this week' });
+  assert.strictEqual(regexFallbackParser('what have I done today').action, 'show_activity');
+  assert.strictEqual(regexFallbackParser('write history of rome essay').action, 'create_task');
+  assert.strictEqual(validateIntent({ action: 'task_history', entities: { task_ref: 2 } }).intent.action, 'show_activity');
+  console.log('  ✅ activity questions parse without the LLM\n');
+
+  console.log('WEBHOOK');
+  const api = startServer('tomas');
+  const { send } = api;
+  const get = query => api.get('/activity', query);
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'create_task', tasks: [{ title: 'Plan offsite', priority: 'high' }, { title: 'Order laptops' }] }
+      ]
+    }));
+
+    await send('add plan offsite and order laptops');
+    await send('list tasks');
+    await send('move task 1 to in progress');
+    const changed = await send('what changed on task 1?');
+    assert.match(changed.message, /📜 \*\*History of "Plan offsite"\*\* \(2\)/);
+    assert.match(changed.message, /🆕 Created \(priority: high\)/);
+    assert.match(changed.message, /🔀 Moved from to do to in progress/);
+
+    await send('delete order laptops');
+    const gone = await send('history of order laptops');
+    assert.match(gone.message, /🗑️ Deleted/);
+    console.log('  ✅ a task\'s history is one question away, even after it is deleted');
+
+    const today = await send('what did I do today?');
+    assert.match(today.message, /📜 \*\*Your activity today\*\* \(4\)/);
+    assert.match(today.message, /Created "Order laptops"/);
+    const unclear = await send('what did I do whenever');
+    assert.match(unclear.message, /couldn't tell which days/);
+    console.log('  ✅ the day\'s activity across tasks is listed by period');
+
+    const all = await get({ userId: 'tomas' });
+    assert.strictEqual(all.status, 200);
+    assert.strictEqual(all.body.count, 4);
+    const taskId = all.body.entries[0].taskId;
+    assert.deepStrictEqual((await get({ userId: 'tomas', taskId })).body.entries.map(e => e.type), ['created', 'status']);
+    assert.strictEqual((await get({ userId: 'tomas', period: 'today', limit: '1' })).body.entries[0].type, 'deleted');
+    assert.strictEqual((await get({ userId: 'tomas', until: '2000-01-01' })).body.count, 0);
+    assert.strictEqual((await get({ taskId })).status, 400);
+    assert.strictEqual((await get({ userId: 'tomas', since: 'soon' })).status, 400);
+    assert.strictEqual((await get({ userId: 'tomas', period: 'whenever' })).status, 400);
+    console.log('  ✅ GET /api/activity filters by task, period, dates and limit\n');
+  } finally {
+    api.close();
+  }
+
+  console.log('🎉 All activity tests passed!\n');
+}
+
+run().catch(error => {
+  restoreConsole();
+  console.error('❌ Activity test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+/**
+ * Test Suite for the Chunk Executor and Rate Limiter
+ * Run with: node tests/test-chunk-executor.js
+ */
+
+const assert = require('assert');
+const { createRateLimiter, WINDOW_MS } = require('../services/llm/rateLimiter');
+const { runChunks, backoffDelay, isRateLimitError, locateChunks } = require('../services/chunkExecutor');
+const { createProvider, setProvider, setRateLimiter } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+const { parseLongInput } = require('../services/nlp');
+const { quiet } = require('./helpers');
+
+console.log('🧪 Testing Chunk Executor\n');
+
+// Fake clock: sleeping just moves time forward
+function fakeClock() {
+  const clock = { time: 0, slept: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.slept.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+async function run() {
+  console.log('RATE LIMITER');
+  let clock = fakeClock();
+  let limiter = createRateLimiter({ requestsPerMinute: 2, now: clock.now, sleep: clock.sleep });
+  await limiter.acquire();
+  await limiter.acquire();
+  await limiter.acquire();
+  assert.deepStrictEqual(clock.slept, [WINDOW_MS]);
+  console.log('  ✅ requests per minute');
+
+  clock = fakeClock();
+  limiter = createRateLimiter({ tokensPerMinute: 1000, now: clock.now, sleep: clock.sleep });
+  const first = await limiter.acquire(800);
+  first.settle(300); // Real usage came in under the reservation
+  clock.time = 10000;
+  await limiter.acquire(600);
+  assert.deepStrictEqual(clock.slept, []);
+  await limiter.acquire(400); // Fits once the first call leaves the window
+  assert.deepStrictEqual(clock.slept, [WINDOW_MS - 10000]);
+  assert.strictEqual(limiter.stats().tokens, 1000);
+  console.log('  ✅ tokens per minute, settled to real usage');
+
+  clock = fakeClock();
+  limiter = createRateLimiter({ now: clock.now, sleep: clock.sleep });
+  limiter.pause(5000);
+  await limiter.acquire();
+  assert.deepStrictEqual(clock.slept, [5000]);
+  console.log('  ✅ pause holds back every call\n');
+
+  console.log('EXECUTOR');
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const order = [];
+  const reports = await runChunks([30, 10, 20, 5, 15], async (ms, i) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    order.push(i);
+    return i * 10;
+  }, { concurrency: 2 });
+  assert.strictEqual(maxInFlight, 2);
+  assert.notDeepStrictEqual(order, [0, 1, 2, 3, 4]);
+  assert.deepStrictEqual(reports.map(r => r.value), [0, 10, 20, 30, 40]);
+  console.log('  ✅ bounded concurrency, reports in chunk order');
+
+  assert.ok(isRateLimitError({ status: 429, message: 'Too Many Requests' }));
+  assert.ok(isRateLimitError(new Error('Rate limit reached for model on tokens per minute')));
+  assert.ok(!isRateLimitError(new Error('Input tokens (9000) exceed MAX_INPUT_TOKENS_PER_CALL')));
+  assert.strictEqual(backoffDelay({ retryAfterMs: 2000 }, 1), 2000);
+  assert.strictEqual(backoffDelay({ headers: { 'retry-after': '3' } }, 1), 3000);
+  const third = backoffDelay({}, 3, { baseDelayMs: 100 });
+  assert.ok(third >= 400 && third <= 500);
+  console.log('  ✅ 429 detection and backoff delays');
+
+  clock = fakeClock();
+  limiter = createRateLimiter({ now: clock.now, sleep: clock.sleep });
+  const attemptsByChunk = [0, 0, 0];
+  const mixed = await quiet(() => runChunks(['a', 'b', 'c'], async (chunk, i) => {
+    attemptsByChunk[i]++;
+    if (chunk === 'b' && attemptsByChunk[i] < 3) {
+      throw Object.assign(new Error('LLM API error 429: slow down'), { status: 429 });
+    }
+    if (chunk === 'c') {
+      throw new Error('LLM API error 500: boom');
+    }
+    return chunk.toUpperCase();
+  }, { concurrency: 3, baseDelayMs: 100, limiter, sleep: clock.sleep }));
+  assert.deepStrictEqual(mixed.map(r => [r.status, r.attempts]), [['ok', 1], ['ok', 3], ['failed', 1]]);
+  assert.strictEqual(mixed[1].value, 'B');
+  assert.match(mixed[2].error, /500/);
+  assert.strictEqual(clock.slept.length, 2);
+  await limiter.acquire();
+  assert.strictEqual(clock.slept.length, 2); // The pause had already passed
+  console.log('  ✅ 429s retried with backoff, other errors fail only their chunk');
+
+  const gaveUp = await quiet(() => runChunks(['x'], async () => {
+    throw Object.assign(new Error('rate limited'), { status: 429 });
+  }, { maxRetries: 2, sleep: async () => {} }));
+  assert.deepStrictEqual([gaveUp[0].status, gaveUp[0].attempts], ['failed', 3]);
+  console.log('  ✅ gives up after maxRetries\n');
+
+  console.log('CHUNK RANGES');
+  const text = 'Intro line.\n\n- first item\n- second item   \n\n\n- third item\n  continued';
+  const chunks = ['Intro line.\n\n- first item', '- second item\n\n- third item\n  continued'];
+  const ranges = locateChunks(text, chunks);
+  assert.deepStrictEqual(ranges.map(r => text.substring(r.start, r.end)), [
+    'Intro line.\n\n- first item',
+    '- second item   \n\n\n- third item\n  continued'
+  ]);
+  assert.deepStrictEqual(ranges.map(r => [r.startLine, r.endLine]), [[1, 3], [4, 8]]);
+  console.log('  ✅ chunks located in the original text\n');
+
+  console.log('LONG INPUT');
+  setRateLimiter(createRateLimiter());
+  const longRequest = Array.from({ length: 700 }, (_, i) =>
+    `- Item ${i + 1}: collect the quarterly figures, compare them with the forecast and write up the differences`
+  ).join('\n');
+
+  const seen = new Set();
+  const mock = createProvider('mock', {
+    respond: messages => {
+      const prompt = messages[1].content;
+      const part = Number(prompt.match(/^Part (\d+) of/)[1]);
+      if (part === 2) {
+        throw new Error('LLM API error 500: upstream failure');
+      }
+      if (part === 3 && !seen.has(part)) {
+        seen.add(part);
+        throw Object.assign(new Error('LLM API error 429: Rate limit reached'), { status: 429, retryAfterMs: 5 });
+      }
+      const tasks = [...prompt.matchAll(/^- (Item \d+)/gm)].map(match => ({ title: match[1] }));
+      return { action: 'create_task', tasks };
+    }
+  });
+  setProvider(mock);
+
+  const intent = await quiet(() => parseLongInput(longRequest));
+  const { chunkCount, chunkReport, failedChunks } = intent.metadata;
+  assert.ok(chunkCount >= 3);
+  assert.strictEqual(chunkReport.length, chunkCount);
+  assert.deepStrictEqual(chunkReport.slice(0, 3).map(r => [r.part, r.status, r.attempts]), [[1, 'ok', 1], [2, 'failed', 1], [3, 'ok', 2]]);
+  assert.strictEqual(failedChunks.length, 1);
+  const lost = longRequest.substring(failedChunks[0].start, failedChunks[0].end);
+  assert.ok(lost.startsWith('- Item') && lost.endsWith('differences'));
+
+  const created = [...intent.tasks, ...(intent.queue || [])].map(task => task.title);
+  const lostTitles = [...lost.matchAll(/^- (Item \d+)/gm)].map(match => match[1]);
+  assert.strictEqual(created.length + lostTitles.length, 700);
+  assert.ok(lostTitles.every(title => !created.includes(title)));
+  console.log(`  ✅ ${chunkReport.length} chunks: 429 retried, failed part ${failedChunks[0].part} reported as lines ${failedChunks[0].startLine}-${failedChunks[0].endLine}\n`);
+
+  console.log('🎉 All chunk executor tests passed!\n');
+}
+
+run().catch(error => {
+  console.error('❌ Chunk executor test failed:', error);
+  process.exit(1);
+});
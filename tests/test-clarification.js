@@ -0,0 +1,157 @@
+/**
+ * Test Suite for Confidence Scores and Clarification Questions
+ * Run with: node tests/test-clarification.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+const { validateIntent, intentFromToolCalls } = require('../services/intentSchema');
+const { buildClarification, answerClarification, CLARIFICATION_TTL_MS } = require('../services/clarification');
+const { createTasks, getTasks } = require('../services/tasks');
+const { getContext } = require('../services/context');
+const { startServer } = require('./helpers');
+
+console.log('🧪 Testing Clarification\n');
+
+async function run() {
+  console.log('SCHEMA');
+  const scored = validateIntent({
+    action: 'create_task',
+    tasks: [{ title: 'Call Sam' }],
+    confidence: '85%',
+    candidates: [
+      { action: 'create_note', notes: [{ title: 'Call Sam' }], label: 'Save a note' },
+      { action: 'fly_to_moon' },
+      'nonsense'
+    ]
+  });
+  assert.deepStrictEqual(scored.errors, []);
+  assert.strictEqual(scored.intent.confidence, 0.85);
+  assert.deepStrictEqual(scored.intent.candidates.map(c => [c.action, c.label]), [['create_note', 'Save a note']]);
+  console.log('  ✅ confidence normalized, invalid candidates dropped');
+
+  const fromTools = intentFromToolCalls([
+    { function: { name: 'complete_task', arguments: '{"task_ref": "review", "confidence": 0.5}' } },
+    { function: { name: 'delete_task', arguments: '{"task_ref": "review"}' } }
+  ]);
+  assert.strictEqual(fromTools.action, 'complete_task');
+  assert.strictEqual(fromTools.confidence, 0.5);
+  assert.deepStrictEqual(fromTools.entities, { task_ref: 'review' });
+  assert.deepStrictEqual(fromTools.candidates.map(c => c.action), ['delete_task']);
+  console.log('  ✅ calls to other tools become candidates\n');
+
+  console.log('QUESTIONS');
+  const [prReview, budgetReview] = createTasks('dana', [
+    { title: 'Review PR', priority: 'high' },
+    { title: 'Review budget', assignee: 'Sam' },
+    { title: 'Write docs' }
+  ]);
+
+  const ambiguous = buildClarification('dana', validateIntent({ action: 'delete_task', entities: { task_ref: 'review' } }).intent);
+  assert.strictEqual(ambiguous.reason, 'task_ref');
+  assert.deepStrictEqual(ambiguous.options.map(o => o.label), ['Review PR (high)', 'Review budget (@Sam)']);
+  assert.deepStrictEqual(ambiguous.options.map(o => o.intent.entities.task_ref), [prReview.id, budgetReview.id]);
+  assert.strictEqual(buildClarification('dana', validateIntent({ action: 'delete_task', entities: { task_ref: 'docs' } }).intent), null);
+  assert.strictEqual(buildClarification('dana', validateIntent({ action: 'delete_task', entities: { task_ref: 'all' } }).intent), null);
+  console.log('  ✅ several matching titles ask which task');
+
+  const confident = validateIntent({ action: 'list_tasks', confidence: 0.9, candidates: [{ action: 'show_urgent' }] }).intent;
+  assert.strictEqual(buildClarification('dana', confident), null);
+  const unsure = buildClarification('dana', { ...confident, confidence: 0.3 });
+  assert.strictEqual(unsure.reason, 'low_confidence');
+  assert.deepStrictEqual(unsure.options.map(o => o.intent.action), ['list_tasks', 'show_urgent']);
+  assert.strictEqual(buildClarification('dana', validateIntent({ action: 'unknown' }).intent), null);
+  console.log('  ✅ low confidence asks only when there are candidates');
+
+  const pending = { ...ambiguous, createdAt: new Date().toISOString() };
+  assert.strictEqual(answerClarification(pending, '2').option.label, 'Review budget (@Sam)');
+  assert.strictEqual(answerClarification(pending, 'the first one').number, 1);
+  assert.strictEqual(answerClarification(pending, '#1.').number, 1);
+  assert.strictEqual(answerClarification(pending, 'review budget (@sam)').number, 2);
+  assert.deepStrictEqual(answerClarification(pending, 'never mind'), { cancelled: true });
+  assert.strictEqual(answerClarification(pending, '7'), null);
+  assert.strictEqual(answerClarification(pending, 'show my notes'), null);
+  assert.strictEqual(answerClarification(pending, '1', Date.now() + CLARIFICATION_TTL_MS + 1), null);
+  console.log('  ✅ numbers, ordinals and labels answer; other messages and expired questions don\'t\n');
+
+  console.log('WEBHOOK');
+  const { send, close } = startServer('dana');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'delete_task', entities: { task_ref: 'review' } },
+        { action: 'create_task', tasks: [{ title: 'Call Sam' }], confidence: 0.4, candidates: [{ action: 'create_note', notes: [{ title: 'Call Sam', body: 'Call Sam' }], label: 'Save a note about calling Sam' }] },
+        { action: 'create_task', tasks: [{ title: 'Call Sam' }], confidence: 0.4, candidates: [{ action: 'create_note', notes: [{ title: 'Call Sam', body: 'Call Sam' }] }] },
+        { action: 'show_urgent' }
+      ]
+    }));
+
+    const question = await send('delete the review one');
+    assert.strictEqual(question.structured.type, 'clarification');
+    assert.match(question.message, /1\. Review PR \(high\)\n {2}2\. Review budget \(@Sam\)/);
+    assert.strictEqual(getContext('dana').pendingClarification.options.length, 2);
+
+    const deleted = await send('2');
+    assert.strictEqual(deleted.structured.type, 'tasks_deleted');
+    assert.deepStrictEqual(deleted.structured.clarification, { answered: 2, label: 'Review budget (@Sam)' });
+    assert.deepStrictEqual(getTasks('dana').map(t => t.title), ['Review PR', 'Write docs']);
+    assert.strictEqual(getContext('dana').pendingClarification, null);
+    console.log('  ✅ "2" resolves the original delete');
+
+    const unsureQuestion = await send('sam call');
+    assert.deepStrictEqual(unsureQuestion.structured.options.map(o => o.label), ['Create tasks: Call Sam', 'Save a note about calling Sam']);
+    const cancelled = await send('cancel');
+    assert.strictEqual(cancelled.structured.type, 'clarification_cancelled');
+    assert.strictEqual(getTasks('dana').length, 2);
+    console.log('  ✅ low-confidence parse asks, "cancel" drops it');
+
+    await send('sam call');
+    const newRequest = await send('what\'s urgent?');
+    assert.strictEqual(newRequest.structured.type, 'urgent_summary');
+    assert.strictEqual(getContext('dana').pendingClarification, null);
+    console.log('  ✅ a new request replaces an unanswered question\n');
+
+    // The golden corpus's ambiguous utterances, with the replies a model gives them
+    console.log('AMBIGUOUS INPUT');
+    const model = createProvider('mock', {
+      responses: [
+        { action: 'create_task', tasks: [{ title: 'Finish the report' }], confidence: 0.5, candidates: [{ action: 'complete_task', entities: { task_ref: 'report' } }] },
+        { action: 'unknown', candidates: [{ action: 'create_task', tasks: [{ title: 'Groceries' }] }, { action: 'create_note', notes: [{ title: 'Groceries', body: 'Groceries' }] }] },
+        { action: 'unknown', confidence: 0.2, candidates: [{ action: 'create_task', tasks: [{ title: 'Budget thing' }] }, { action: 'update_task', entities: { task_ref: 'budget' } }] }
+      ]
+    });
+    setProvider(model);
+
+    const finish = await send('finish the report');
+    assert.strictEqual(finish.structured.type, 'clarification');
+    assert.match(finish.message, /I'm not sure what you meant\. Did you want to:\n\n {2}1\. Create tasks: Finish the report\n {2}2\. Complete tasks: report/);
+    assert.deepStrictEqual(finish.structured.options.map(o => o.action), ['create_task', 'complete_task']);
+    assert.match(model.calls[0].messages[0].content, /list the other likely readings in "candidates"/);
+
+    const groceries = await send('groceries');
+    assert.deepStrictEqual(groceries.structured.options.map(o => o.action), ['create_task', 'create_note']);
+    const budget = await send('budget thing');
+    assert.strictEqual(budget.structured.type, 'clarification');
+    assert.strictEqual(budget.structured.options.length, 2);
+    await send('cancel');
+    assert.deepStrictEqual(getTasks('dana').map(t => t.title), ['Review PR', 'Write docs']);
+
+    const clear = await send('show my tasks');
+    assert.notStrictEqual(clear.structured.type, 'clarification');
+    assert.strictEqual(model.calls.length, 3);
+    console.log('  ✅ unclear one-liners ask which reading was meant; clear commands just run\n');
+  } finally {
+    close();
+  }
+
+  console.log('🎉 All clarification tests passed!\n');
+}
+
+run().catch(error => {
+  console.error('❌ Clarification test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+/**
+ * Test Suite for Due Date Expressions
+ * Run with: node tests/test-dates.js
+ */
+
+const assert = require('assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+const { resolveDateExpression, findDateExpression, formatDueDate } = require('../services/dates');
+const { regexFallbackParser } = require('../services/nlp');
+const { createTasks, getTasks, updateTask } = require('../services/tasks');
+
+console.log('🧪 Testing Date Expressions\n');
+
+// Monday, October 19 2026, 10:30 in New York
+const options = { now: new Date('2026-10-19T14:30:00Z'), timeZone: 'America/New_York' };
+const local = phrase => {
+  const resolved = resolveDateExpression(phrase, options);
+  return resolved && `${resolved.date} ${resolved.time || 'all day'}`;
+};
+
+console.log('RESOLVER');
+assert.strictEqual(local('today'), '2026-10-19 all day');
+assert.strictEqual(local('tomorrow at 9am'), '2026-10-20 09:00');
+assert.strictEqual(local('the day after tomorrow'), '2026-10-21 all day');
+assert.strictEqual(local('tonight'), '2026-10-19 20:00');
+console.log('  ✅ relative days');
+
+assert.strictEqual(local('friday'), '2026-10-23 all day');
+assert.strictEqual(local('this Friday'), '2026-10-23 all day');
+assert.strictEqual(local('monday'), '2026-10-19 all day');
+assert.strictEqual(local('next friday'), '2026-10-30 all day');
+assert.strictEqual(local('friday next week'), '2026-10-30 all day');
+assert.strictEqual(local('next Friday EOD'), '2026-10-30 17:00');
+assert.strictEqual(local('by friday 5pm'), '2026-10-23 17:00');
+console.log('  ✅ weekdays ("next" is next week)');
+
+assert.strictEqual(local('in 3 hours'), '2026-10-19 13:30');
+assert.strictEqual(local('in half an hour'), '2026-10-19 11:00');
+assert.strictEqual(local('in 2 days'), '2026-10-21 all day');
+assert.strictEqual(local('a week from now'), '2026-10-26 all day');
+assert.strictEqual(local('eod'), '2026-10-19 17:00');
+assert.strictEqual(local('end of week'), '2026-10-23 17:00');
+assert.strictEqual(local('end of month'), '2026-10-31 17:00');
+assert.strictEqual(local('end of next month'), '2026-11-30 17:00');
+console.log('  ✅ offsets and period ends');
+
+assert.strictEqual(local('2026-11-03'), '2026-11-03 all day');
+assert.strictEqual(local('2026-11-03 14:00'), '2026-11-03 14:00');
+assert.strictEqual(local('11/3'), '2026-11-03 all day');
+assert.strictEqual(local('Nov 3rd'), '2026-11-03 all day');
+assert.strictEqual(local('3 November 2027'), '2027-11-03 all day');
+assert.strictEqual(local('march 8'), '2027-03-08 all day');
+assert.strictEqual(local('the 15th'), '2026-11-15 all day');
+assert.strictEqual(local('at 3pm'), '2026-10-19 15:00');
+assert.strictEqual(local('at 9am'), '2026-10-20 09:00');
+console.log('  ✅ explicit dates and times roll forward once passed');
+
+assert.strictEqual(resolveDateExpression('tomorrow at 9am', options).iso, '2026-10-20T13:00:00.000Z');
+assert.strictEqual(resolveDateExpression('tomorrow at 9am', { ...options, timeZone: 'Asia/Tokyo' }).iso, '2026-10-20T00:00:00.000Z');
+assert.strictEqual(resolveDateExpression('Mar 9 9am', { now: new Date('2026-03-06T12:00:00Z'), timeZone: 'America/New_York' }).iso, '2026-03-09T13:00:00.000Z');
+assert.strictEqual(resolveDateExpression('2026-10-20T17:00:00.000Z', options).iso, '2026-10-20T17:00:00.000Z');
+console.log('  ✅ wall-clock times in the user\'s timezone, across DST');
+
+for (const phrase of ['blah', 'may', '13/45', 'tomorrow yesterday', 'friday monday', 'in 3 hours tomorrow', '']) {
+  assert.strictEqual(resolveDateExpression(phrase, options), null, phrase);
+}
+console.log('  ✅ anything else is not a date');
+
+assert.strictEqual(formatDueDate('2026-10-30T21:00:00.000Z', options), 'Fri, Oct 30, 5:00 PM');
+assert.strictEqual(formatDueDate('2027-03-09T04:59:00.000Z', { ...options, allDay: true }), 'Mon, Mar 8, 2027');
+console.log('  ✅ due dates format in the user\'s timezone\n');
+
+console.log('EXTRACTION');
+const found = findDateExpression('call mom tomorrow at 5pm', options);
+assert.deepStrictEqual([found.phrase, found.start, found.end], ['tomorrow at 5pm', 9, 24]);
+assert.strictEqual(findDateExpression('Review the May report', options), null);
+assert.strictEqual(findDateExpression('Plan today\'s standup', options), null);
+
+const fallback = regexFallbackParser('Send invoice by friday\nBook dentist in 2 weeks\nWater plants');
+assert.deepStrictEqual(fallback.tasks.map(t => [t.title, t.dueDate]), [
+  ['Send invoice', 'by friday'],
+  ['Book dentist', 'in 2 weeks'],
+  ['Water plants', undefined]
+]);
+console.log('  ✅ the fallback parser moves due dates out of titles\n');
+
+console.log('TASKS');
+const [report, slides, vague] = createTasks('gia', [
+  { title: 'Report', dueDate: 'next Friday EOD' },
+  { title: 'Slides', dueDate: 'tomorrow' },
+  { title: 'Someday', dueDate: 'when pigs fly' }
+], {}, options);
+assert.deepStrictEqual([report.dueDate, report.dueText, report.dueAllDay], ['2026-10-30T21:00:00.000Z', 'next Friday EOD', false]);
+assert.deepStrictEqual([slides.dueDate, slides.dueAllDay], ['2026-10-21T03:59:00.000Z', true]);
+assert.deepStrictEqual([vague.dueDate, vague.dueText], [null, 'when pigs fly']);
+assert.deepStrictEqual(getTasks('gia', { sortBy: 'dueDate' }).map(t => t.title), ['Slides', 'Report', 'Someday']);
+console.log('  ✅ created tasks store ISO timestamps plus the phrase, and sort by them');
+
+const moved = updateTask('gia', slides.id, { dueDate: 'in 3 hours' }, options);
+assert.deepStrictEqual([moved.task.dueDate, moved.task.dueText, moved.changes.dueDate.old], ['2026-10-19T17:30:00.000Z', 'in 3 hours', '2026-10-21T03:59:00.000Z']);
+console.log('  ✅ updating the due date resolves the new phrase\n');
+
+console.log('🎉 All date expression tests passed!\n');
@@ -0,0 +1,147 @@
+/**
+ * Test Suite for Task Dependencies (blocked-by links, cycles, blocked state)
+ * Run with: node tests/test-dependencies.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+delete process.env.DEFAULT_LOCALE;
+const { createTasks, addDependency, removeDependency, getBlockers, isBlocked, withBlockers, completeTasks, deleteTasks, getTasks } = require('../services/tasks');
+const { formatTaskList } = require('../services/formatter');
+const { regexFallbackParser } = require('../services/nlp');
+const { getContext } = require('../services/context');
+const { quiet, restoreConsole, startServer } = require('./helpers');
+
+console.log('🧪 Testing Task Dependencies\n');
+
+async function run() {
+  console.log('LINKS');
+  const [qa, deploy, announce, docs] = await quiet(() => createTasks('iris', [
+    { title: 'QA sign-off' },
+    { title: 'Deploy', priority: 'high' },
+    { title: 'Announce release' },
+    { title: 'Update docs' }
+  ]));
+
+  const linked = await quiet(() => addDependency('iris', deploy.id, qa.id));
+  assert.deepStrictEqual(linked.task.blockedBy, [qa.id]);
+  assert.strictEqual(linked.existed, false);
+  assert.strictEqual(addDependency('iris', deploy.id, qa.id).existed, true);
+  await quiet(() => addDependency('iris', announce.id, deploy.id));
+  console.log('  ✅ tasks wait on other tasks; repeated links are no-ops');
+
+  assert.strictEqual(addDependency('iris', qa.id, qa.id).error, 'A task can\'t depend on itself');
+  assert.strictEqual(addDependency('iris', qa.id, deploy.id).error, 'That would make a loop: "QA sign-off" → "Deploy" → "QA sign-off"');
+  assert.strictEqual(
+    addDependency('iris', qa.id, announce.id).error,
+    'That would make a loop: "QA sign-off" → "Announce release" → "Deploy" → "QA sign-off"'
+  );
+  assert.strictEqual(addDependency('iris', qa.id, 'task_missing').error, 'Task not found');
+  assert.strictEqual(addDependency('iris', `${qa.id}/sub_1`, deploy.id).error, 'Dependencies link tasks, not checklist steps');
+  console.log('  ✅ direct and indirect cycles are refused, naming the loop\n');
+
+  console.log('BLOCKED STATE');
+  const current = id => getTasks('iris').find(t => t.id === id);
+  assert.strictEqual(isBlocked(current(deploy.id)), true);
+  assert.deepStrictEqual(getBlockers(current(announce.id)).map(t => t.title), ['Deploy']);
+  assert.deepStrictEqual(getTasks('iris', { status: 'pending', blocked: true }).map(t => t.title), ['Deploy', 'Announce release']);
+  assert.deepStrictEqual(getTasks('iris', { status: 'pending', blocked: false }).map(t => t.title), ['QA sign-off', 'Update docs']);
+
+  const list = formatTaskList(withBlockers(getTasks('iris', { status: 'pending' })), { currentUser: 'iris' });
+  assert.match(list.message, /⛔ \*\*BLOCKED\*\* \(2\)\n  3\. Deploy \(waiting on "QA sign-off"\)\n  4\. Announce release \(waiting on "Deploy"\)/);
+  assert.doesNotMatch(list.message, /HIGH PRIORITY/);
+  assert.strictEqual(list.structured.blockedCount, 2);
+  const tagged = formatTaskList([{ id: 'task_ship', title: 'Ship', priority: 'high', status: 'in_progress', assignee: 'sam', blockers: [{ title: 'QA sign-off' }] }], { currentUser: 'iris' });
+  assert.match(tagged.message, /  1\. Ship 🔄 In progress \[@sam\] \(waiting on "QA sign-off"\)/);
+  console.log('  ✅ blocked tasks are derived from pending blockers and listed on their own');
+
+  const done = await quiet(() => completeTasks('iris', [qa.id]));
+  assert.deepStrictEqual(done.unblocked.map(t => t.title), ['Deploy']);
+  assert.strictEqual(isBlocked(current(deploy.id)), false);
+  assert.strictEqual(isBlocked(current(announce.id)), true);
+  assert.deepStrictEqual((await quiet(() => completeTasks('iris', [qa.id]))).unblocked, []);
+  console.log('  ✅ completing a blocker clears the blocked state of what waited on it');
+
+  await quiet(() => deleteTasks('iris', [deploy.id]));
+  assert.deepStrictEqual(current(announce.id).blockedBy, []);
+  assert.strictEqual(isBlocked(current(announce.id)), false);
+  console.log('  ✅ deleting a blocker removes the link');
+
+  await quiet(() => addDependency('iris', docs.id, announce.id));
+  const unlinked = await quiet(() => removeDependency('iris', docs.id, announce.id));
+  assert.deepStrictEqual(unlinked.removed.map(t => t.title), ['Announce release']);
+  assert.match(removeDependency('iris', docs.id).error, /doesn't depend on anything/);
+  console.log('  ✅ links can be removed one at a time or all at once\n');
+
+  console.log('COMMANDS');
+  assert.deepStrictEqual(regexFallbackParser('task 3 depends on task 1').entities, { task_ref: '3', depends_on: '1', dependency_op: 'add' });
+  assert.deepStrictEqual(regexFallbackParser('task 1 blocks task 3').entities, { task_ref: '3', depends_on: '1', dependency_op: 'add' });
+  assert.deepStrictEqual(regexFallbackParser('deploy is blocked by the QA sign-off').entities, { task_ref: 'deploy', depends_on: 'QA sign-off', dependency_op: 'add' });
+  assert.deepStrictEqual(regexFallbackParser('deploy no longer depends on QA').entities, { task_ref: 'deploy', depends_on: 'QA', dependency_op: 'remove' });
+  assert.deepStrictEqual(regexFallbackParser('unblock deploy').entities, { task_ref: 'deploy', dependency_op: 'remove' });
+  assert.strictEqual(regexFallbackParser('fix the bug that blocks release').action, 'create_task');
+  console.log('  ✅ dependency commands parse without the LLM; "blocks" in a title stays a task\n');
+
+  console.log('WEBHOOK');
+  const { send, close } = startServer('jules');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'create_task', tasks: [{ title: 'Migrate database', priority: 'high' }, { title: 'Write tests' }] }
+      ]
+    }));
+
+    await send('add migrate database and write tests');
+    await send('list tasks');
+    const linkedReply = await send('task 1 depends on task 2');
+    assert.match(linkedReply.message, /"Migrate database" now waits on "Write tests"/);
+    const loop = await send('task 2 depends on task 1');
+    assert.match(loop.message, /would make a loop/);
+    console.log('  ✅ dependencies are added and refused in conversation');
+
+    const focus = await send('start focus for 25 minutes');
+    assert.strictEqual(focus.structured.taskTitle, 'Write tests');
+    const list = await send('list tasks');
+    assert.match(list.message, /⛔ \*\*BLOCKED\*\* \(1\)\n  2\. Migrate database \(waiting on "Write tests"\)/);
+    console.log('  ✅ focus skips the blocked high-priority task and the list shows it apart');
+
+    setProvider(createProvider('mock', {
+      responses: [{ action: 'create_task', tasks: [{ title: 'Alpha' }, { title: 'Beta' }, { title: 'Gamma' }] }]
+    }));
+    await send('add alpha, beta and gamma', 'kai');
+    await send('list tasks', 'kai');
+    await send('task 2 depends on task 3', 'kai');
+    const numbered = await send('list tasks', 'kai');
+    assert.match(numbered.message, /1\. Alpha\n  2\. Gamma\n\n⛔ \*\*BLOCKED\*\* \(1\)\n  3\. Beta \(waiting on "Gamma"\)/);
+    await send('complete 2', 'kai');
+    assert.deepStrictEqual(getTasks('kai', { status: 'completed' }).map(t => t.title), ['Gamma']);
+    const open = await send('list tasks', 'kai');
+    const again = await send('show them again', 'kai');
+    assert.strictEqual(again.message, open.message);
+    assert.doesNotMatch(again.message, /Gamma/);
+    assert.deepStrictEqual(getContext('kai').lastTaskList.map(t => t.title), ['Alpha', 'Beta']);
+    await send('delete 1', 'kai');
+    assert.deepStrictEqual(getTasks('kai').map(t => t.title), ['Beta', 'Gamma']);
+    console.log('  ✅ list numbers run on through the blocked section and mean the task shown; "show them again" lists the same');
+
+    await send('help', 'kai');
+    const yes = await send('yes', 'kai');
+    assert.strictEqual(yes.success, true);
+    console.log('  ✅ a follow-up word with nothing to follow up is handled as a new request\n');
+  } finally {
+    close();
+  }
+
+  console.log('🎉 All dependency tests passed!\n');
+}
+
+run().catch(error => {
+  restoreConsole();
+  console.error('❌ Dependency test failed:', error);
+  process.exit(1);
+});
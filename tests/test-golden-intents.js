@@ -0,0 +1,131 @@
+/**
+ * Golden Intent Corpus
+ * Checks parseIntent against expected actions/entities for known utterances
+ *
+ * Run with:
+ *   node tests/test-golden-intents.js           # replay recorded LLM responses (offline)
+ *   node tests/test-golden-intents.js --record  # call the configured LLM and re-record fixtures
+ *
+ * Corpus: tests/fixtures/golden-intents.json
+ * Fixtures: tests/fixtures/llm/ (one file per prompt, see services/llm/fixtureProvider.js)
+ *
+ * Expected keys are compared with the parsed intent, except:
+ *   clarifies - whether the bot asks which reading was meant instead of running it
+ *   options   - actions the clarification question must offer (any order)
+ *
+ * Replay fails on a missing fixture and on one recorded with a different
+ * system prompt, and when no fixtures have been recorded at all. It isn't
+ * part of `npm test`: run it with `npm run test:golden` where fixtures exist.
+ */
+
+require('dotenv').config();
+process.env.STORAGE_DRIVER = 'memory';
+// The corpus measures the model's parses: no fast path, no cached answers
+process.env.INTENT_FAST_PATH = 'false';
+process.env.INTENT_CACHE_SIZE = '0';
+
+const fs = require('fs');
+const path = require('path');
+const { getLLMConfig, createProvider, withFixtures, setProvider } = require('../services/llm');
+const { parseIntent } = require('../services/nlp');
+const { buildClarification } = require('../services/clarification');
+const { quiet } = require('./helpers');
+
+const corpus = require('./fixtures/golden-intents.json');
+const recording = process.argv.includes('--record');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'llm');
+const provider = recording
+  ? withFixtures(createProvider(getLLMConfig().provider), 'record', fixturesDir)
+  : withFixtures(null, 'replay', fixturesDir);
+setProvider(provider);
+
+/**
+ * Compare an expected value against the parsed one
+ * Strings compare case-insensitively; objects only check the expected keys
+ */
+function matches(expected, actual) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((value, i) => matches(value, actual[i]));
+  }
+  if (expected && typeof expected === 'object') {
+    return !!actual && typeof actual === 'object' &&
+      Object.keys(expected).every(key => matches(expected[key], actual[key]));
+  }
+  if (typeof expected === 'string') {
+    return String(actual).toLowerCase() === expected.toLowerCase();
+  }
+  return expected === actual;
+}
+
+async function run() {
+  console.log(`🧪 Golden Intent Corpus (${recording ? 'recording' : 'replay'}, ${corpus.length} utterances)\n`);
+
+  const recorded = fs.existsSync(fixturesDir) && fs.readdirSync(fixturesDir).some(file => file.endsWith('.json'));
+  if (!recording && !recorded) {
+    console.log(`❌ No recorded LLM fixtures in ${path.relative(process.cwd(), fixturesDir) || fixturesDir}`);
+    console.log('   Record them against a real model with: npm run test:golden:record\n');
+    process.exit(1);
+  }
+
+  const failures = [];
+
+  for (const { utterance, expected } of corpus) {
+    const [stale, misses] = recording ? [0, 0] : [provider.stale.length, provider.misses.length];
+    let intent;
+    try {
+      intent = await quiet(() => parseIntent(utterance));
+    } catch (error) {
+      intent = { fallback: true, error: error.message };
+    }
+
+    const problems = [];
+    if (!recording && provider.stale.length > stale) {
+      problems.push('fixture was recorded with a different system prompt; re-record it');
+    } else if (!recording && provider.misses.length > misses) {
+      problems.push('no fixture recorded for this utterance; record it');
+    } else if (intent.fallback) {
+      problems.push(`LLM call failed; regex fallback was used${intent.error ? ` and threw: ${intent.error}` : ''}`);
+    }
+    const clarification = buildClarification('golden', intent);
+    const offered = clarification ? clarification.options.map(option => option.intent.action) : [];
+    for (const key of Object.keys(expected)) {
+      if (key === 'options') {
+        const missing = expected.options.filter(action => !offered.includes(action));
+        if (missing.length > 0) {
+          problems.push(`options: expected ${JSON.stringify(expected.options)}, offered ${JSON.stringify(offered)}`);
+        }
+        continue;
+      }
+      const actual = key === 'clarifies' ? !!clarification : intent[key];
+      if (!matches(expected[key], actual)) {
+        problems.push(`${key}: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual)}`);
+      }
+    }
+
+    if (problems.length === 0) {
+      console.log(`  ✅ "${utterance}" → ${intent.action}`);
+    } else {
+      console.log(`  ❌ "${utterance}"`);
+      problems.forEach(problem => console.log(`     ${problem}`));
+      failures.push(utterance);
+    }
+  }
+
+  if (failures.length > 0) {
+    console.log(`\n❌ ${failures.length}/${corpus.length} golden intents failed\n`);
+    if (!recording && provider.stale.length + provider.misses.length > 0) {
+      console.log('   Re-record the fixtures with: npm run test:golden:record\n');
+    }
+    process.exit(1);
+  }
+
+  console.log(`\n🎉 All ${corpus.length} golden intents passed!\n`);
+}
+
+run().catch(error => {
+  console.error('❌ Golden intent run failed:', error);
+  process.exit(1);
+});
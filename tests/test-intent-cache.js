@@ -0,0 +1,127 @@
+/**
+ * Test Suite for the Intent Cache and Fast Path
+ * Run with: node tests/test-intent-cache.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+const { createIntentCache, setIntentCache, buildCacheKey, normalizeUtterance } = require('../services/intentCache');
+const { createMemoryAdapter } = require('../utils/storage/memoryAdapter');
+
+process.env.STORAGE_DRIVER = 'memory';
+const { parseIntent, getIntentCacheStats } = require('../services/nlp');
+const { quiet } = require('./helpers');
+
+console.log('🧪 Testing Intent Cache\n');
+
+async function run() {
+  console.log('CACHE');
+  assert.strictEqual(normalizeUtterance('  Create   a task to Ship it!! '), 'create a task to ship it');
+  assert.strictEqual(buildCacheKey('Ship it.'), buildCacheKey('ship it'));
+  assert.notStrictEqual(buildCacheKey('ship it', { mode: 'notes' }), buildCacheKey('ship it'));
+  assert.notStrictEqual(buildCacheKey('ship it', { promptVersion: 'a' }), buildCacheKey('ship it', { promptVersion: 'b' }));
+  console.log('  ✅ keys ignore case, spacing and trailing punctuation, not mode or prompt version');
+
+  let clock = 0;
+  let cache = createIntentCache({ maxEntries: 2, ttlMs: 1000, now: () => clock });
+  cache.set('a', { action: 'list_tasks' });
+  cache.set('b', { action: 'help' });
+  cache.get('a').action = 'mutated';
+  cache.set('c', { action: 'math' });
+  assert.strictEqual(cache.get('a').action, 'list_tasks');
+  assert.strictEqual(cache.get('b'), null);
+  assert.deepStrictEqual(
+    (({ hits, misses, evictions, size }) => ({ hits, misses, evictions, size }))(cache.stats()),
+    { hits: 2, misses: 1, evictions: 1, size: 2 }
+  );
+  console.log('  ✅ least recently used entry evicted, copies returned');
+
+  clock = 1000;
+  assert.strictEqual(cache.get('a'), null);
+  assert.strictEqual(cache.stats().expired, 1);
+  console.log('  ✅ entries expire after the TTL');
+
+  const storage = createMemoryAdapter();
+  createIntentCache({ storage }).set('k', { action: 'list_tasks' });
+  cache = createIntentCache({ storage });
+  assert.strictEqual(cache.get('k').action, 'list_tasks');
+  assert.strictEqual(cache.stats().size, 1);
+  cache.clear();
+  assert.strictEqual(storage.find('intentCache').length, 0);
+  console.log('  ✅ persistent entries survive a new cache instance\n');
+
+  console.log('PARSE INTENT');
+  setIntentCache(createIntentCache());
+  const mock = createProvider('mock', {
+    responses: [
+      { action: 'create_task', tasks: [{ title: 'Ship release' }] },
+      { action: 'create_task', tasks: [{ title: 'Ship release' }] },
+      { action: 'small_talk', reply_hint: 'Hi there!' },
+      { action: 'small_talk', reply_hint: 'Hello again!' }
+    ]
+  });
+  setProvider(mock);
+
+  const first = await quiet(() => parseIntent('Create a task to ship the release'));
+  const again = await quiet(() => parseIntent('create a task to ship the release.'));
+  assert.strictEqual(mock.calls.length, 1);
+  assert.strictEqual(again.cached, true);
+  assert.strictEqual(again.query, 'create a task to ship the release.');
+  assert.strictEqual(again.usage, undefined);
+  assert.deepStrictEqual(again.tasks, first.tasks);
+  console.log('  ✅ repeated message answered from the cache');
+
+  await quiet(() => parseIntent('create a task to ship the release', { mode: 'notes' }));
+  assert.strictEqual(mock.calls.length, 2);
+  console.log('  ✅ other modes parsed separately');
+
+  await quiet(() => parseIntent('hello'));
+  await quiet(() => parseIntent('hello'));
+  assert.strictEqual(mock.calls.length, 4);
+  console.log('  ✅ small talk never cached');
+
+  const fastPath = [
+    ['show my tasks', 'list_tasks', { scope: 'my' }],
+    ['List all tasks.', 'list_tasks', { scope: 'all' }],
+    ['complete 2', 'complete_task', { task_ref: 2 }],
+    ['delete #3', 'delete_task', { task_ref: 3 }],
+    ['remove all tasks', 'delete_task', { task_ref: 'all' }],
+    ['12 * 4', 'math', { numbers: [12, 4], operation: 'multiplication' }],
+    ['Help', 'help', {}]
+  ];
+  for (const [message, action, entities] of fastPath) {
+    const intent = await quiet(() => parseIntent(message));
+    assert.strictEqual(intent.fastPath, true, message);
+    assert.strictEqual(intent.action, action, message);
+    assert.deepStrictEqual(intent.entities, entities, message);
+    assert.ok(!intent.fallback, message);
+  }
+  assert.strictEqual(mock.calls.length, 4);
+  console.log(`  ✅ ${fastPath.length} unambiguous commands skip the LLM`);
+
+  const ambiguous = createProvider('mock', {
+    responses: [
+      { action: 'list_tasks', entities: { scope: 'my' } },
+      { action: 'delete_task', entities: { task_ref: 3 } },
+      { action: 'unknown' }
+    ]
+  });
+  setProvider(ambiguous);
+  await quiet(() => parseIntent('show my tasks due this week'));
+  await quiet(() => parseIntent('delete task #3'));
+  await quiet(() => parseIntent('delete 2', { mode: 'notes' }));
+  assert.strictEqual(ambiguous.calls.length, 3);
+  console.log('  ✅ longer commands and other modes still go to the LLM');
+
+  const stats = getIntentCacheStats();
+  assert.strictEqual(stats.fastPathHits, fastPath.length);
+  assert.ok(stats.hits >= 1 && stats.misses >= 1);
+  console.log('  ✅ hit/miss and fast path counters reported\n');
+
+  console.log('🎉 All intent cache tests passed!\n');
+}
+
+run().catch(error => {
+  console.error('❌ Intent cache test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+/**
+ * Test Suite for Intent Validation
+ * Run with: node tests/test-intent-schema.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+// The re-prompt tests need every message to reach the provider
+process.env.INTENT_FAST_PATH = 'false';
+process.env.INTENT_CACHE_SIZE = '0';
+const { validateIntent } = require('../services/intentSchema');
+const { parseIntent } = require('../services/nlp');
+const { quiet } = require('./helpers');
+
+console.log('🧪 Testing Intent Validation\n');
+
+async function run() {
+  console.log('COERCION');
+
+  let result = validateIntent({ action: 'Update Priority', entities: { task_ref: '#2', priority: 'URGENT' } });
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.intent.action, 'update_priority');
+  assert.strictEqual(result.intent.entities.task_ref, 2);
+  assert.strictEqual(result.intent.entities.priority, 'high');
+  assert.ok(result.coercions.some(c => c.path === 'entities.priority' && c.from === 'URGENT'));
+  console.log('  ✅ action names, task_ref indices and priority aliases');
+
+  result = validateIntent({ action: 'math', entities: { numbers: '5094, 3776', operation: 'plus' } });
+  assert.deepStrictEqual(result.intent.entities.numbers, [5094, 3776]);
+  assert.strictEqual(result.intent.entities.operation, 'addition');
+  result = validateIntent({ action: 'math', entities: { numbers: [5094, '3776'], operation: 'times' } });
+  assert.deepStrictEqual(result.intent.entities.numbers, [5094, 3776]);
+  assert.strictEqual(result.intent.entities.operation, 'multiplication');
+  console.log('  ✅ math numbers and operations');
+
+  result = validateIntent({ action: 'add_tasks', tasks: [{ title: 'Ship it', priority: 'whenever' }, { description: 'no title' }] });
+  assert.strictEqual(result.intent.action, 'create_task');
+  assert.deepStrictEqual(result.intent.tasks.map(t => [t.title, t.priority]), [['Ship it', 'medium']]);
+  assert.deepStrictEqual(result.errors.map(e => e.path), ['tasks[1].title']);
+  console.log('  ✅ task lists: defaults, untitled tasks dropped and reported');
+
+  result = validateIntent({ action: 'dance', entities: {} });
+  assert.strictEqual(result.intent.action, 'unknown');
+  assert.strictEqual(result.errors[0].path, 'action');
+  result = validateIntent({ action: 'update_priority', entities: { task_ref: 1, priority: 'super' } });
+  assert.deepStrictEqual(result.errors.map(e => e.path), ['entities.priority']);
+  console.log('  ✅ unknown actions and invalid required entities are errors\n');
+
+  console.log('RE-PROMPT');
+
+  // Invalid reply, then a corrected one
+  const mock = createProvider('mock', {
+    responses: [
+      { action: 'update_priority', entities: { task_ref: '1', priority: 'super' } },
+      { action: 'update_priority', entities: { task_ref: '1', priority: 'critical' } }
+    ]
+  });
+  setProvider(mock);
+
+  const corrected = await quiet(() => parseIntent('make the first one super important'));
+  assert.strictEqual(mock.calls.length, 2);
+  assert.ok(mock.calls[1].messages[1].content.includes('entities.priority'));
+  assert.strictEqual(corrected.entities.priority, 'high');
+  assert.strictEqual(corrected.validation.reprompted, true);
+  assert.strictEqual(corrected.validation.fallback, false);
+  console.log('  ✅ one corrective re-prompt fixes the intent');
+
+  // Invalid twice: regex fallback, errors kept for the response
+  setProvider(createProvider('mock', { responses: ['not json at all', { action: 'dance' }] }));
+  const fallback = await quiet(() => parseIntent('show my tasks'));
+  assert.strictEqual(fallback.action, 'list_tasks');
+  assert.strictEqual(fallback.validation.fallback, true);
+  assert.strictEqual(fallback.validation.errors[0].path, 'action');
+  console.log('  ✅ falls back to the regex parser after one retry\n');
+
+  console.log('🎉 All intent validation tests passed!\n');
+}
+
+run().catch(error => {
+  console.error('❌ Intent validation test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,282 @@
+/**
+ * Test Suite for LLM Providers
+ * Run with: node tests/test-llm-providers.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createProvider, setProvider, getLLMConfig, withFixtures } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+// These tests drive the LLM path, so commands must reach the provider every time
+process.env.INTENT_FAST_PATH = 'false';
+process.env.INTENT_CACHE_SIZE = '0';
+const { parseIntent, parseLongInput, safeLLMCall, createUsage, MAX_TOTAL_TOKENS_PER_CALL, MAX_OUTPUT_TOKENS_PER_CALL } = require('../services/nlp');
+const { countMessageTokens } = require('../services/tokenizer');
+const { buildActionTools } = require('../services/intentSchema');
+const { quiet } = require('./helpers');
+
+console.log('🧪 Testing LLM Providers\n');
+
+async function run() {
+  // Configuration
+  console.log('CONFIG');
+  const config = getLLMConfig();
+  assert.strictEqual(config.provider, process.env.LLM_PROVIDER || 'groq');
+  assert.ok(config.maxInputTokens > 0 && config.maxOutputTokens > 0);
+  assert.throws(() => createProvider('nope'), /Unknown LLM_PROVIDER/);
+  console.log('  ✅ defaults and unknown provider\n');
+
+  // Scripted mock drives parseIntent deterministically
+  console.log('MOCK PROVIDER');
+  const mock = createProvider('mock', {
+    responses: [
+      { action: 'create_task', tasks: [{ title: 'Ship release', priority: 'high' }] },
+      '```json\n{"action": "list_tasks", "entities": {"scope": "my"}}\n```',
+      new Error('LLM API error 503: unavailable')
+    ]
+  });
+  setProvider(mock);
+
+  const created = await quiet(() => parseIntent('create a task to ship the release'));
+  assert.strictEqual(created.action, 'create_task');
+  assert.strictEqual(created.tasks[0].title, 'Ship release');
+  assert.strictEqual(mock.calls[0].messages[1].content, 'create a task to ship the release');
+  assert.strictEqual(mock.calls[0].model, config.model);
+  console.log('  ✅ scripted JSON reply parsed');
+
+  // Mock replies carry no usage, so the parse reports locally counted tokens
+  const inputTokens = countMessageTokens(mock.calls[0].messages, config.model);
+  assert.strictEqual(mock.calls[0].maxTokens, Math.min(MAX_OUTPUT_TOKENS_PER_CALL, MAX_TOTAL_TOKENS_PER_CALL - inputTokens));
+  assert.deepStrictEqual(
+    { calls: created.usage.calls, promptTokens: created.usage.promptTokens, estimated: created.usage.estimated },
+    { calls: 1, promptTokens: inputTokens, estimated: true }
+  );
+  assert.ok(created.usage.completionTokens > 0);
+  assert.strictEqual(created.usage.totalTokens, created.usage.promptTokens + created.usage.completionTokens);
+  console.log('  ✅ reply budget and estimated usage');
+
+  const listed = await quiet(() => parseIntent('show my tasks'));
+  assert.strictEqual(listed.action, 'list_tasks');
+  console.log('  ✅ fenced reply cleaned');
+
+  const fallback = await quiet(() => parseIntent('show my tasks'));
+  assert.strictEqual(fallback.action, 'list_tasks');
+  assert.strictEqual(fallback.fallback, true);
+  assert.strictEqual(fallback.usage, undefined);
+  console.log('  ✅ provider errors fall back to regex parsing');
+
+  await assert.rejects(mock.complete({ messages: [] }), /script exhausted/);
+  console.log('  ✅ exhausted script throws');
+
+  // Oversized prompts are refused before the call
+  const bigPrompt = 'plan the quarterly roadmap review meeting agenda '.repeat(1500);
+  const callsBefore = mock.calls.length;
+  await assert.rejects(
+    quiet(() => safeLLMCall('You are a task assistant.', bigPrompt)),
+    /MAX_(INPUT|TOTAL)_TOKENS_PER_CALL/
+  );
+  assert.strictEqual(mock.calls.length, callsBefore);
+  console.log('  ✅ oversized prompts refused\n');
+
+  // Long input: chunk prompts carry the context from earlier chunks
+  console.log('LONG INPUT');
+  const item = n => `- Item ${n}: collect the quarterly figures, compare them with the forecast and write up the differences`;
+  const longRequest = [
+    'For project Apollo:',
+    'Assign these to Priya.',
+    ...Array.from({ length: 200 }, (_, i) => item(i + 1)),
+    '',
+    'For project Zeus:',
+    ...Array.from({ length: 100 }, (_, i) => item(i + 201))
+  ].join('\n');
+
+  // Like the model, the mock only sees headings inside its own chunk
+  const chunkMock = createProvider('mock', {
+    respond: messages => {
+      let project = null;
+      const tasks = [];
+      for (const line of messages[1].content.split('\n')) {
+        const heading = line.match(/^For project (\w+):$/);
+        if (heading) project = heading[1];
+        const task = line.match(/^- (Item \d+)/);
+        if (task) tasks.push(project ? { title: task[1], project } : { title: task[1] });
+      }
+      return { action: 'create_task', tasks };
+    }
+  });
+  setProvider(chunkMock);
+
+  const longIntent = await quiet(() => parseLongInput(longRequest));
+  const allTasks = [...longIntent.tasks, ...longIntent.queue];
+  assert.ok(chunkMock.calls.length > 1);
+  assert.ok(chunkMock.calls.slice(1).every(call => /Context from earlier parts.*project "(Apollo|Zeus)"; assignee Priya/.test(call.messages[1].content)));
+  assert.strictEqual(allTasks.length, 300);
+  assert.ok(allTasks.every(task => task.assignee === 'Priya'));
+  assert.deepStrictEqual(
+    [allTasks[0].project, allTasks[199].project, allTasks[200].project, allTasks[299].project],
+    ['Apollo', 'Apollo', 'Zeus', 'Zeus']
+  );
+  console.log(`  ✅ ${chunkMock.calls.length} chunks keep project and assignee from earlier parts\n`);
+
+  // Tool-calling mode
+  console.log('TOOL CALLING');
+  const tools = buildActionTools();
+  const priorityTool = tools.find(t => t.function.name === 'update_priority').function;
+  assert.deepStrictEqual(priorityTool.parameters.required, ['priority']);
+  assert.deepStrictEqual(priorityTool.parameters.properties.priority.enum, ['high', 'medium', 'low']);
+  assert.strictEqual(tools.find(t => t.function.name === 'create_task').function.parameters.properties.tasks.type, 'array');
+  console.log('  ✅ actions declared as typed tools');
+
+  process.env.LLM_INTENT_MODE = 'tools';
+  const toolMock = createProvider('mock', {
+    responses: [
+      {
+        tool_calls: [
+          { name: 'create_task', arguments: { tasks: [{ title: 'Write docs', priority: 'urgent' }] } },
+          { name: 'create_task', arguments: { tasks: [{ title: 'Tag release' }] } }
+        ]
+      },
+      'Sure, here are your tasks!',
+      { action: 'list_tasks', entities: { scope: 'my' } }
+    ]
+  });
+  setProvider(toolMock);
+
+  const toolIntent = await quiet(() => parseIntent('add tasks to write docs (urgent) and tag the release'));
+  assert.strictEqual(toolMock.calls[0].toolChoice, 'required');
+  assert.ok(toolMock.calls[0].tools.length > 0);
+  assert.strictEqual(toolIntent.action, 'create_task');
+  assert.deepStrictEqual(toolIntent.tasks.map(t => [t.title, t.priority]), [['Write docs', 'high'], ['Tag release', 'medium']]);
+  assert.ok(toolIntent.usage.promptTokens > countMessageTokens(toolMock.calls[0].messages, config.model));
+  console.log('  ✅ tool calls read back and merged');
+
+  const jsonFallback = await quiet(() => parseIntent('show my tasks'));
+  assert.strictEqual(toolMock.calls.length, 3);
+  assert.strictEqual(toolMock.calls[2].tools, undefined);
+  assert.strictEqual(jsonFallback.action, 'list_tasks');
+  assert.ok(!jsonFallback.fallback);
+  assert.strictEqual(jsonFallback.usage.calls, 2);
+  console.log('  ✅ replies without tool calls fall back to the JSON prompt\n');
+  delete process.env.LLM_INTENT_MODE;
+
+  // OpenAI-compatible HTTP provider against a local stub server
+  console.log('OPENAI-COMPATIBLE PROVIDER');
+  let received = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received = { url: req.url, auth: req.headers.authorization, body: JSON.parse(body) };
+      if (received.body.model === 'missing') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end('{"error": "model not found"}');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: '{"action": "help"}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const provider = createProvider('openai', {
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+      apiKey: 'local-key'
+    });
+
+    const response = await provider.complete({
+      messages: [{ role: 'user', content: 'help' }],
+      model: 'llama3.1',
+      temperature: 0.2,
+      maxTokens: 100
+    });
+    assert.strictEqual(response.choices[0].message.content, '{"action": "help"}');
+    assert.strictEqual(received.url, '/v1/chat/completions');
+    assert.strictEqual(received.auth, 'Bearer local-key');
+    assert.deepStrictEqual(
+      { model: received.body.model, temperature: received.body.temperature, max_tokens: received.body.max_tokens },
+      { model: 'llama3.1', temperature: 0.2, max_tokens: 100 }
+    );
+    console.log('  ✅ request shape and response');
+
+    // Reported usage is taken as-is
+    setProvider(provider);
+    const usage = createUsage();
+    await quiet(() => safeLLMCall('system', 'help', { usage }));
+    assert.deepStrictEqual(
+      { calls: usage.calls, promptTokens: usage.promptTokens, completionTokens: usage.completionTokens, totalTokens: usage.totalTokens, estimated: usage.estimated },
+      { calls: 1, promptTokens: 12, completionTokens: 4, totalTokens: 16, estimated: false }
+    );
+    console.log('  ✅ provider-reported usage recorded');
+
+    await provider.complete({ messages: [], model: 'llama3.1', temperature: 0, maxTokens: 10, tools, toolChoice: 'required' });
+    assert.strictEqual(received.body.tools.length, tools.length);
+    assert.strictEqual(received.body.tool_choice, 'required');
+    console.log('  ✅ tools passed through');
+
+    await assert.rejects(
+      provider.complete({ messages: [], model: 'missing', temperature: 0, maxTokens: 10 }),
+      error => error.status === 404 && /LLM API error 404/.test(error.message)
+    );
+    console.log('  ✅ HTTP errors surface status\n');
+  } finally {
+    server.close();
+  }
+
+  // Record / replay
+  console.log('FIXTURES');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  try {
+    assert.throws(() => withFixtures(createProvider('mock', { responses: [] }), 'record', dir), /real LLM provider/);
+
+    const live = {
+      name: 'openai',
+      supportsTools: false,
+      isConfigured: () => true,
+      complete: async () => ({
+        choices: [{ message: { role: 'assistant', content: '{"action":"help"}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+      })
+    };
+    const request = {
+      messages: [{ role: 'system', content: 'Parse intents.' }, { role: 'user', content: 'what can you do?' }],
+      model: 'llama3.1'
+    };
+    const recorded = await quiet(() => withFixtures(live, 'record', dir).complete(request));
+    const file = path.join(dir, fs.readdirSync(dir)[0]);
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual([fixture.provider, fixture.userPrompt], ['openai', 'what can you do?']);
+    assert.deepStrictEqual(fixture.response, recorded);
+    console.log('  ✅ recording keeps the real provider\'s reply, usage included, and refuses the mock');
+
+    const replay = withFixtures(null, 'replay', dir);
+    assert.deepStrictEqual(await replay.complete(request), recorded);
+    await assert.rejects(
+      replay.complete({ ...request, messages: [{ role: 'system', content: 'Parse intents. New rule.' }, request.messages[1]] }),
+      /recorded with a different system prompt/
+    );
+    assert.strictEqual(replay.stale.length, 1);
+    await assert.rejects(replay.complete({ messages: [{ role: 'user', content: 'never recorded' }] }), /No LLM fixture/);
+    assert.strictEqual(replay.misses.length, 1);
+
+    fs.writeFileSync(file, JSON.stringify({ ...fixture, provider: 'mock' }));
+    await assert.rejects(replay.complete(request), /wasn't recorded from a real LLM provider/);
+    console.log('  ✅ replay fails on a changed system prompt, a missing fixture or a mock recording\n');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('🎉 All LLM provider tests passed!\n');
+}
+
+run().catch(error => {
+  console.error('❌ LLM provider test failed:', error);
+  process.exit(1);
+});
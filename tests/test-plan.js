@@ -0,0 +1,129 @@
+/**
+ * Test Suite for Multi-Step Plans
+ * Run with: node tests/test-plan.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+const { validateIntent } = require('../services/intentSchema');
+const { validatePlan, resolveStepReferences } = require('../services/plan');
+const { createTasks, getTasks } = require('../services/tasks');
+const { startServer } = require('./helpers');
+
+console.log('🧪 Testing Plans\n');
+
+const DRAFT_PLAN = {
+  action: 'plan',
+  steps: [
+    { action: 'create_task', tasks: [{ title: 'Draft the spec' }] },
+    { action: 'update_priority', entities: { task_ref: 'it', priority: 'urgent' } },
+    { action: 'focus', entities: { task_ref: '@1', duration: 50 } }
+  ]
+};
+
+async function run() {
+  console.log('SCHEMA');
+  const plan = validateIntent(DRAFT_PLAN);
+  assert.deepStrictEqual(plan.errors, []);
+  assert.deepStrictEqual(plan.intent.steps.map(step => step.action), ['create_task', 'update_priority', 'focus']);
+  assert.strictEqual(plan.intent.steps[1].entities.priority, 'high');
+  console.log('  ✅ each step validated as an intent');
+
+  const single = validateIntent({ action: 'plan', steps: [{ action: 'list_tasks', entities: { scope: 'mine' } }], query: 'my tasks' });
+  assert.deepStrictEqual([single.intent.action, single.intent.entities.scope, single.intent.query], ['list_tasks', 'my', 'my tasks']);
+  console.log('  ✅ a one-step plan is just that step');
+
+  const broken = validateIntent({ action: 'plan', steps: [{ action: 'create_task', tasks: [] }, { action: 'teleport' }] });
+  assert.deepStrictEqual(broken.errors.map(e => e.path), ['steps[0].tasks', 'steps[1].action']);
+  assert.deepStrictEqual(validateIntent({ action: 'plan', steps: [] }).errors.map(e => e.path), ['steps']);
+  console.log('  ✅ an invalid step makes the plan invalid\n');
+
+  console.log('CHECKS');
+  createTasks('omar', [{ title: 'Review PR' }, { title: 'Review budget' }, { title: 'Pay rent' }]);
+  const problems = validatePlan('omar', validateIntent({
+    action: 'plan',
+    steps: [
+      { action: 'list_tasks' },
+      { action: 'complete_task', entities: { task_ref: '@1' } },
+      { action: 'complete_task', entities: { task_ref: '@4' } },
+      { action: 'delete_task', entities: { task_ref: 'review' } },
+      { action: 'delete_task', entities: { task_ref: 'groceries' } },
+      { action: 'create_task', tasks: [{ title: 'Book flights' }] },
+      { action: 'complete_task', entities: { task_ref: 'book flights' } },
+      { action: 'complete_task', entities: { task_ref: 'pay rent' } }
+    ]
+  }).intent.steps);
+  assert.deepStrictEqual(problems, [
+    { step: 2, message: 'refers to step 1, which doesn\'t create or change a task' },
+    { step: 3, message: 'refers to step 4, which doesn\'t come before it' },
+    { step: 4, message: '"review" matches 2 tasks; use the full title' },
+    { step: 5, message: 'no pending task matches "groceries"' }
+  ]);
+  console.log('  ✅ bad references and unknown or ambiguous titles caught up front');
+
+  const results = [{ taskIds: ['task_a'] }, { taskIds: [] }];
+  assert.strictEqual(resolveStepReferences({ action: 'complete_task', entities: { task_ref: 'it' } }, results).entities.task_ref, 'task_a');
+  assert.deepStrictEqual(resolveStepReferences({ action: 'focus', entities: { task_ref: '@1' } }, results).entities, { taskId: 'task_a' });
+  assert.throws(() => resolveStepReferences({ action: 'delete_task', entities: { task_ref: '@2' } }, results), /Step 2 didn't leave a task/);
+  assert.deepStrictEqual(resolveStepReferences({ action: 'delete_task', entities: { task_ref: 'that' } }, []).entities, {});
+  console.log('  ✅ "@N" and pronouns resolve to earlier steps\' tasks\n');
+
+  console.log('WEBHOOK');
+  const { send, close } = startServer('priya');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        DRAFT_PLAN,
+        {
+          action: 'plan',
+          steps: [
+            { action: 'create_task', tasks: [{ title: 'Write tests' }] },
+            { action: 'complete_task', entities: { task_ref: 'ship the release' } }
+          ]
+        },
+        {
+          action: 'plan',
+          steps: [
+            { action: 'complete_task', entities: { task_ref: 'Draft the spec' } },
+            { action: 'focus', entities: { taskId: '@1' } },
+            { action: 'list_tasks' }
+          ]
+        }
+      ]
+    }));
+
+    const ran = await send('create a task to draft the spec, make it high priority and start a 50 minute focus on it');
+    const [draft] = getTasks('priya');
+    assert.strictEqual(ran.structured.type, 'plan');
+    assert.deepStrictEqual(ran.structured.steps.map(step => step.status), ['ok', 'ok', 'ok']);
+    assert.strictEqual(draft.priority, 'high');
+    assert.deepStrictEqual([ran.structured.steps[2].result.taskId, ran.structured.steps[2].result.duration], [draft.id, 50]);
+    assert.match(ran.message, /1\. ✅ Got it! Created task: "Draft the spec"\n {2}2\. ✅ Updated task priority!\n {2}3\. ⏰ Focus Mode Activated!/);
+    console.log('  ✅ steps run in order; "it" is the task just created');
+
+    const rejected = await send('add a task to write tests and complete ship the release');
+    assert.strictEqual(rejected.structured.error, 'Invalid plan');
+    assert.match(rejected.message, /Step 2: no pending task matches "ship the release"/);
+    assert.deepStrictEqual(getTasks('priya').map(task => task.title), ['Draft the spec']);
+    console.log('  ✅ a plan that fails its checks changes nothing');
+
+    const stopped = await send('finish the spec, then focus on it and show my tasks');
+    assert.deepStrictEqual(stopped.structured.steps.map(step => step.status), ['ok', 'failed', 'skipped']);
+    assert.strictEqual(stopped.structured.failed, 2);
+    assert.match(stopped.message, /Step 2 of 3 didn't work[\s\S]*3\. ⏭️ Skipped: List tasks/);
+    console.log('  ✅ a failing step stops the rest and is reported\n');
+  } finally {
+    close();
+  }
+
+  console.log('🎉 All plan tests passed!\n');
+}
+
+run().catch(error => {
+  console.error('❌ Plan test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+/**
+ * Test Suite for User Profiles (timezone, locale, date format, week start, working hours)
+ * Run with: node tests/test-profile.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+delete process.env.DEFAULT_LOCALE;
+const { resolveProfile, getProfile, updateProfile, validateProfileChanges, parseWorkingHours, dateOptions } = require('../services/profile');
+const { resolveDateExpression } = require('../services/dates');
+const { formatDue } = require('../services/formatter');
+const { regexFallbackParser } = require('../services/nlp');
+const { initializeContext } = require('../services/context');
+const { getTasks } = require('../services/tasks');
+const { startServer } = require('./helpers');
+
+console.log('🧪 Testing User Profiles\n');
+
+async function run() {
+  console.log('PROFILE');
+  assert.deepStrictEqual(resolveProfile({}), {
+    timezone: 'UTC',
+    locale: 'en-US',
+    dateFormat: 'MDY',
+    weekStart: 'monday',
+    workingHours: { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }
+  });
+  assert.strictEqual(resolveProfile({ locale: 'en-GB' }).dateFormat, 'DMY');
+  assert.strictEqual(resolveProfile({ locale: 'ja-JP' }).dateFormat, 'YMD');
+  console.log('  ✅ unset fields fall back to defaults; date format follows the locale');
+
+  const { values } = validateProfileChanges({ timezone: 'ist', locale: 'en_gb', dateFormat: 'dd/mm', weekStart: 'Sun', workingHours: '8-4 sun-thu' });
+  assert.deepStrictEqual(values, {
+    timezone: 'Asia/Kolkata',
+    locale: 'en-GB',
+    dateFormat: 'DMY',
+    weekStart: 'sunday',
+    workingHours: { start: '08:00', end: '16:00', days: [0, 1, 2, 3, 4] }
+  });
+  assert.strictEqual(validateProfileChanges({ timezone: 'asia/kolkata' }).values.timezone, 'Asia/Kolkata');
+  assert.deepStrictEqual(parseWorkingHours('from 10 to 6 on weekdays'), { start: '10:00', end: '18:00', days: [1, 2, 3, 4, 5] });
+  assert.deepStrictEqual(parseWorkingHours('9:30am - 5:30pm'), { start: '09:30', end: '17:30' });
+  assert.strictEqual(parseWorkingHours('5pm-9am'), null);
+  console.log('  ✅ abbreviations, casing and spoken working hours normalized');
+
+  initializeContext('ravi');
+  updateProfile('ravi', { workingHours: '9-5 mon-fri' });
+  const rejected = updateProfile('ravi', { timezone: 'Mars/Olympus', weekStart: 'sunday' });
+  assert.deepStrictEqual(rejected.errors.map(e => e.field), ['timezone']);
+  assert.strictEqual(getProfile('ravi').weekStart, 'monday');
+  const hours = updateProfile('ravi', { workingHours: '10am-6pm' });
+  assert.deepStrictEqual(hours.profile.workingHours, { start: '10:00', end: '18:00', days: [1, 2, 3, 4, 5] });
+  console.log('  ✅ invalid changes save nothing; hours without days keep the days\n');
+
+  console.log('DATES');
+  const now = new Date('2026-10-19T14:30:00Z'); // Monday
+  const profile = resolveProfile({
+    timezone: 'Asia/Kolkata',
+    locale: 'en-GB',
+    weekStart: 'sunday',
+    workingHours: { start: '10:00', end: '18:30', days: [0, 1, 2, 3, 4] }
+  });
+  const local = phrase => {
+    const resolved = resolveDateExpression(phrase, { ...dateOptions(profile), now });
+    return `${resolved.date} ${resolved.time || 'all day'}`;
+  };
+  assert.strictEqual(local('5/3'), '2027-03-05 all day');
+  assert.strictEqual(local('end of week'), '2026-10-22 18:30');
+  assert.strictEqual(local('next week'), '2026-10-25 all day');
+  assert.strictEqual(local('tomorrow eod'), '2026-10-20 18:30');
+  assert.strictEqual(resolveDateExpression('tomorrow at 9am', { ...dateOptions(profile), now }).iso, '2026-10-20T03:30:00.000Z');
+  console.log('  ✅ date format, week start and working hours shape resolution');
+
+  assert.strictEqual(formatDue({ dueDate: '2026-10-20T03:30:00.000Z' }, profile), 'Tue 20 Oct, 9:00');
+  assert.strictEqual(formatDue({ dueDate: '2026-10-20T03:30:00.000Z' }), 'Tue, Oct 20, 3:30 AM');
+  console.log('  ✅ due dates display in the user\'s timezone and locale\n');
+
+  console.log('COMMANDS');
+  assert.deepStrictEqual(regexFallbackParser('set my timezone to Asia/Kolkata').entities.profile, { timezone: 'Asia/Kolkata' });
+  assert.deepStrictEqual(regexFallbackParser('My working hours are 9am-5pm').entities.profile, { workingHours: '9am-5pm' });
+  assert.deepStrictEqual(regexFallbackParser('my week starts on Sunday').entities.profile, { weekStart: 'Sunday' });
+  assert.deepStrictEqual(regexFallbackParser('show my settings').entities.profile, {});
+  assert.strictEqual(regexFallbackParser('my week is busy').action, 'create_task');
+  console.log('  ✅ settings commands parse without the LLM\n');
+
+  console.log('WEBHOOK');
+  const { send, close } = startServer('meera');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'small_talk' },
+        { action: 'create_task', tasks: [{ title: 'Standup notes', dueDate: 'tomorrow at 9am' }] }
+      ]
+    }));
+
+    const set = await send('set my timezone to Asia/Kolkata');
+    assert.strictEqual(set.structured.type, 'profile_updated');
+    assert.deepStrictEqual(set.structured.changed, { timezone: 'Asia/Kolkata' });
+    assert.match(set.message, /Timezone: Asia\/Kolkata \(now .+\) ✏️/);
+
+    const bad = await send('set my locale to klingon-xx-123');
+    assert.strictEqual(bad.structured.error, 'Invalid profile');
+    assert.strictEqual(getProfile('meera').locale, 'en-US');
+    console.log('  ✅ settings change conversationally, invalid ones are refused');
+
+    const time = await send('what time is it?');
+    assert.strictEqual(time.structured.timezone, 'Asia/Kolkata');
+    assert.match(time.message, /\(Asia\/Kolkata\)/);
+
+    const created = await send('add standup notes for tomorrow at 9am');
+    const [task] = getTasks('meera');
+    assert.strictEqual(task.dueText, 'tomorrow at 9am');
+    const kolkata = resolveDateExpression('tomorrow at 9am', { timeZone: 'Asia/Kolkata' });
+    assert.strictEqual(task.dueDate, kolkata.iso);
+    assert.match(created.message, /\(due: \w{3}, \w{3} \d+, 9:00 AM\)/);
+    console.log('  ✅ time answers and new due dates use the user\'s timezone\n');
+  } finally {
+    close();
+  }
+
+  console.log('🎉 All profile tests passed!\n');
+}
+
+run().catch(error => {
+  console.error('❌ Profile test failed:', error);
+  process.exit(1);
+});
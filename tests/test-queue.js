@@ -0,0 +1,115 @@
+/**
+ * Test Suite for the Pending-Actions Queue (batches, failures, re-runs)
+ * Run with: node tests/test-queue.js
+ */
+
+const assert = require('assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+const { enqueueTasks, getPendingActions, processQueue, MAX_BATCH_SIZE } = require('../services/queue');
+const { createTasks, getTasks } = require('../services/tasks');
+const { getStorage } = require('../utils/storage');
+const { quiet, restoreConsole, startServer } = require('./helpers');
+
+console.log('🧪 Testing Pending-Actions Queue\n');
+
+const titles = n => Array.from({ length: n }, (_, i) => ({ title: `Task ${i + 1}` }));
+
+async function run() {
+  console.log('BATCHES');
+  assert.strictEqual(await quiet(() => enqueueTasks('uma', titles(5), { projectId: 'launch' })), 5);
+  const queued = getPendingActions('uma');
+  assert.ok(queued.every(item => item.type === 'create_task' && item.taskId && item.attempts === 0));
+
+  const first = await quiet(() => processQueue('uma', 2));
+  assert.deepStrictEqual([first.processed, first.failed, first.remaining], [2, 0, 3]);
+  assert.deepStrictEqual(first.createdTasks.map(t => t.title), ['Task 1', 'Task 2']);
+  assert.deepStrictEqual(first.createdTasks.map(t => t.id), queued.slice(0, 2).map(item => item.taskId));
+  assert.strictEqual(first.createdTasks[0].context.projectId, 'launch');
+
+  const rest = await quiet(() => processQueue('uma', 10));
+  assert.deepStrictEqual([rest.processed, rest.remaining], [3, 0]);
+  assert.deepStrictEqual(getTasks('uma').map(t => t.title), ['Task 1', 'Task 2', 'Task 3', 'Task 4', 'Task 5']);
+  console.log('  ✅ items are created in order, a bounded batch at a time, under the IDs they were queued with');
+
+  await quiet(() => enqueueTasks('vic', titles(MAX_BATCH_SIZE + 5)));
+  assert.strictEqual((await quiet(() => processQueue('vic', 500))).processed, MAX_BATCH_SIZE);
+  assert.strictEqual((await quiet(() => processQueue('vic', -3))).processed, 1);
+  assert.strictEqual((await quiet(() => processQueue('vic', 'lots'))).processed, 4);
+  assert.strictEqual((await quiet(() => processQueue('uma'))).processed, 0);
+  console.log('  ✅ batch sizes are clamped to 1..MAX_BATCH_SIZE\n');
+
+  console.log('FAILURES');
+  await quiet(() => enqueueTasks('wes', titles(4)));
+  const [, , third] = getPendingActions('wes');
+  getStorage().update('queue', third.id, item => ({ ...item, type: 'send_email' }));
+
+  const stopped = await quiet(() => processQueue('wes', 10));
+  assert.deepStrictEqual([stopped.processed, stopped.failed, stopped.remaining], [2, 1, 2]);
+  assert.strictEqual(stopped.error, 'Unsupported queued action: send_email');
+  assert.deepStrictEqual(getTasks('wes').map(t => t.title), ['Task 1', 'Task 2']);
+  const kept = getStorage().get('queue', third.id);
+  assert.deepStrictEqual([kept.attempts, kept.lastError], [1, 'Unsupported queued action: send_email']);
+  console.log('  ✅ a failure stops the batch; the failed item and everything after it are kept');
+
+  await quiet(() => processQueue('wes', 10));
+  assert.strictEqual(getStorage().get('queue', third.id).attempts, 2);
+  getStorage().update('queue', third.id, item => ({ ...item, type: 'create_task' }));
+  const resumed = await quiet(() => processQueue('wes', 10));
+  assert.deepStrictEqual([resumed.processed, resumed.failed, resumed.remaining], [2, 0, 0]);
+  assert.deepStrictEqual(getTasks('wes').map(t => t.title), ['Task 1', 'Task 2', 'Task 3', 'Task 4']);
+  console.log('  ✅ a re-run retries from the failed item and finishes the queue');
+
+  // An earlier run created the task, then stopped before removing its item
+  await quiet(() => enqueueTasks('xan', titles(2)));
+  const [created] = getPendingActions('xan');
+  await quiet(() => createTasks('xan', [{ ...created.task, id: created.taskId }]));
+  const rerun = await quiet(() => processQueue('xan', 10));
+  assert.deepStrictEqual([rerun.processed, rerun.remaining], [2, 0]);
+  assert.deepStrictEqual(rerun.createdTasks.map(t => t.title), ['Task 2']);
+  assert.deepStrictEqual(getTasks('xan').map(t => t.title), ['Task 1', 'Task 2']);
+  console.log('  ✅ items whose task already exists are removed without creating it twice\n');
+
+  console.log('ENDPOINT');
+  const api = startServer();
+  const post = body => api.post('/webhook/process-queue', body);
+
+  try {
+    assert.strictEqual((await post({ batchSize: 2 })).status, 400);
+
+    await quiet(() => enqueueTasks('yara', titles(3)));
+    const [, second] = getPendingActions('yara');
+    getStorage().update('queue', second.id, item => ({ ...item, type: 'send_email' }));
+
+    const partial = await post({ userId: 'yara', batchSize: 2 });
+    assert.strictEqual(partial.status, 200);
+    assert.deepStrictEqual(
+      [partial.body.success, partial.body.processed, partial.body.failed, partial.body.remaining],
+      [false, 1, 1, 2]
+    );
+    assert.match(partial.body.message, /Created 1 queued task\.\n\n⚠️ Stopped on an error: Unsupported queued action: send_email/);
+    assert.match(partial.body.message, /📦 2 still pending/);
+    assert.deepStrictEqual(partial.body.structured.tasks.map(t => t.title), ['Task 1']);
+
+    getStorage().update('queue', second.id, item => ({ ...item, type: 'create_task' }));
+    const finished = await post({ userId: 'yara', batchSize: 2 });
+    assert.deepStrictEqual([finished.body.success, finished.body.processed, finished.body.remaining], [true, 2, 0]);
+    assert.match(finished.body.message, /✅ Queue is empty/);
+
+    const again = await post({ userId: 'yara' });
+    assert.deepStrictEqual([again.body.success, again.body.processed], [true, 0]);
+    assert.match(again.body.message, /Nothing queued/);
+    assert.deepStrictEqual(getTasks('yara').map(t => t.title), ['Task 1', 'Task 2', 'Task 3']);
+    console.log('  ✅ POST /api/webhook/process-queue reports partial runs and is safe to call again\n');
+  } finally {
+    api.close();
+  }
+
+  console.log('🎉 All queue tests passed!\n');
+}
+
+run().catch(error => {
+  restoreConsole();
+  console.error('❌ Queue test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,192 @@
+/**
+ * Test Suite for Recurring Tasks (repeat rules, next occurrences, series commands)
+ * Run with: node tests/test-recurrence.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+delete process.env.DEFAULT_LOCALE;
+const { parseRecurrence, findRecurrence, startSeries, nextOccurrence, describeRecurrence, toRRule } = require('../services/recurrence');
+const { createTasks, completeTasks, updateSeries, getTasks } = require('../services/tasks');
+const { regexFallbackParser } = require('../services/nlp');
+const { initializeContext } = require('../services/context');
+const { updateProfile } = require('../services/profile');
+const { quiet, restoreConsole, startServer } = require('./helpers');
+
+console.log('🧪 Testing Recurring Tasks\n');
+
+const now = new Date('2026-10-19T14:30:00Z'); // Monday, 10:30 in New York
+const options = { now, timeZone: 'America/New_York' };
+
+// Dates of the first `n` occurrences of a phrase
+function dates(phrase, n, opts = options) {
+  const series = startSeries(parseRecurrence(phrase, opts), opts);
+  const result = [series.occurrence];
+  while (result.length < n) {
+    const last = result[result.length - 1];
+    const next = nextOccurrence(series.rule, last.date, last.index, opts);
+    if (!next) break;
+    result.push(next);
+  }
+  return result.map(o => o.date);
+}
+
+async function run() {
+  console.log('RULES');
+  assert.deepStrictEqual(
+    parseRecurrence('every Monday at 9am', options),
+    { freq: 'weekly', interval: 1, byDay: ['MO'], byMonthDay: null, until: null, count: null, time: '09:00', dtstart: null }
+  );
+  assert.strictEqual(toRRule(parseRecurrence('every other week on tue and thu', options)), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH');
+  assert.strictEqual(toRRule(parseRecurrence('monthly on the last friday', options)), 'FREQ=MONTHLY;BYDAY=-1FR');
+  assert.strictEqual(toRRule(parseRecurrence('every month on the 15th, 6 times', options)), 'FREQ=MONTHLY;BYMONTHDAY=15;COUNT=6');
+  assert.strictEqual(toRRule(parseRecurrence('FREQ=DAILY;INTERVAL=3;UNTIL=20261231', options)), 'FREQ=DAILY;INTERVAL=3;UNTIL=20261231');
+  assert.strictEqual(parseRecurrence('next friday', options), null);
+  console.log('  ✅ daily, weekly and monthly phrases and RRULE strings parse');
+
+  assert.strictEqual(describeRecurrence(parseRecurrence('every weekday at 8:30am', options)), 'every weekday at 8:30am');
+  assert.strictEqual(describeRecurrence(parseRecurrence('every second tuesday of the month', options)), 'every month on the second Tuesday');
+  assert.strictEqual(describeRecurrence(parseRecurrence('every other friday until dec 18', options)), 'every other Friday until Dec 18, 2026');
+  console.log('  ✅ rules describe themselves in words');
+
+  const found = findRecurrence('Standup prep every Monday at 9am', options);
+  assert.strictEqual(found.phrase, 'every Monday at 9am');
+  assert.strictEqual(findRecurrence('Do weekly review', options), null);
+  assert.strictEqual(findRecurrence('Submit timesheet weekly', options).phrase, 'weekly');
+  console.log('  ✅ repeat phrases are found in task text, "weekly review" is left alone\n');
+
+  console.log('OCCURRENCES');
+  // 9am today has passed, so the series starts next Monday
+  assert.deepStrictEqual(dates('every monday at 9am', 3), ['2026-10-26', '2026-11-02', '2026-11-09']);
+  const standup = startSeries(parseRecurrence('every monday at 9am', options), options);
+  const afterDst = nextOccurrence(standup.rule, '2026-10-26', 1, options);
+  assert.strictEqual(standup.occurrence.iso, '2026-10-26T13:00:00.000Z');
+  assert.strictEqual(afterDst.iso, '2026-11-02T14:00:00.000Z');
+  console.log('  ✅ weekly occurrences keep their local time across DST');
+
+  assert.deepStrictEqual(dates('every other friday', 3), ['2026-10-23', '2026-11-06', '2026-11-20']);
+  assert.deepStrictEqual(dates('every month on the 31st', 4), ['2026-10-31', '2026-11-30', '2026-12-31', '2027-01-31']);
+  assert.deepStrictEqual(dates('monthly on the last friday', 3), ['2026-10-30', '2026-11-27', '2026-12-25']);
+  assert.deepStrictEqual(dates('every month on the first monday', 2), ['2026-11-02', '2026-12-07']);
+  console.log('  ✅ intervals, short months and nth weekdays land on the right dates');
+
+  assert.deepStrictEqual(dates('every day, 3 times', 10), ['2026-10-19', '2026-10-20', '2026-10-21']);
+  assert.deepStrictEqual(dates('every week until nov 2', 10), ['2026-10-19', '2026-10-26', '2026-11-02']);
+  console.log('  ✅ count and until end a series\n');
+
+  console.log('TASKS');
+  initializeContext('lena');
+  updateProfile('lena', { timezone: 'America/New_York' });
+  const [task] = await quiet(() => createTasks('lena', [{ title: 'Standup prep', recurrence: 'every Monday at 9am' }], {}, options));
+  assert.strictEqual(task.dueDate, '2026-10-26T13:00:00.000Z');
+  assert.strictEqual(task.recurrence.index, 1);
+  assert.strictEqual(task.recurrence.rule.dtstart, '2026-10-26');
+
+  const [billing] = await quiet(() => createTasks('lena', [{ title: 'Invoice', dueDate: 'nov 3', recurrence: 'monthly' }], {}, options));
+  assert.strictEqual(billing.recurrence.rule.byMonthDay, 3);
+  assert.match(billing.dueDate, /^2026-11-0[34]/);
+  console.log('  ✅ new tasks start their series at the first occurrence, on or after the due date');
+
+  const done = await quiet(() => completeTasks('lena', [task.id], options));
+  assert.strictEqual(done.completed, 1);
+  assert.strictEqual(done.next.length, 1);
+  const [second] = done.next;
+  assert.strictEqual(second.title, 'Standup prep');
+  assert.strictEqual(second.dueDate, '2026-11-02T14:00:00.000Z');
+  assert.strictEqual(second.recurrence.index, 2);
+  assert.strictEqual(second.recurrence.seriesId, task.recurrence.seriesId);
+
+  const again = await quiet(() => completeTasks('lena', [task.id], options));
+  assert.strictEqual(again.next.length, 0);
+  console.log('  ✅ completing an occurrence creates the next one, once');
+
+  // A long-overdue daily task comes back today, not in the past
+  const [water] = await quiet(() => createTasks('lena', [{ title: 'Water plants', recurrence: 'every day' }], {}, { ...options, now: new Date('2026-10-10T12:00:00Z') }));
+  const caughtUp = await quiet(() => completeTasks('lena', [water.id], options));
+  assert.strictEqual(caughtUp.next[0].dueDate, '2026-10-20T03:59:00.000Z');  // end of today in New York
+  assert.strictEqual(caughtUp.next[0].recurrence.index, 10);
+  console.log('  ✅ occurrences missed while overdue are passed over');
+
+  const skipped = await quiet(() => updateSeries('lena', second.id, 'skip', {}, options));
+  assert.strictEqual(skipped.skipped, '2026-11-02T14:00:00.000Z');
+  assert.strictEqual(skipped.task.dueDate, '2026-11-09T14:00:00.000Z');
+  assert.strictEqual(skipped.task.recurrence.index, 3);
+
+  await quiet(() => updateSeries('lena', second.id, 'pause', {}, options));
+  const whilePaused = await quiet(() => completeTasks('lena', [second.id], options));
+  assert.strictEqual(whilePaused.next.length, 0);
+  const resumed = await quiet(() => updateSeries('lena', second.id, 'resume', {}, options));
+  assert.strictEqual(resumed.next.dueDate, '2026-11-16T14:00:00.000Z');
+  console.log('  ✅ skip moves to the next date; a paused series resumes where it left off');
+
+  const ended = await quiet(() => updateSeries('lena', resumed.next.id, 'end', {}, options));
+  assert.strictEqual(ended.task.recurrence, null);
+  assert.strictEqual(ended.task.status, 'pending');
+  assert.strictEqual((await quiet(() => completeTasks('lena', [ended.task.id], options))).next.length, 0);
+
+  const [last] = await quiet(() => createTasks('lena', [{ title: 'Onboarding call', recurrence: 'every day, 2 times' }], {}, options));
+  const final = (await quiet(() => completeTasks('lena', [last.id], options))).next[0];
+  assert.match(updateSeries('lena', final.id, 'skip', {}, options).error, /last occurrence/);
+  assert.strictEqual((await quiet(() => completeTasks('lena', [final.id], options))).next.length, 0);
+  console.log('  ✅ ended and finished series create nothing more');
+
+  const [oneOff] = await quiet(() => createTasks('lena', [{ title: 'Review budget' }], {}, options));
+  assert.match(updateSeries('lena', oneOff.id, 'pause', {}, options).error, /doesn't repeat/);
+  const made = await quiet(() => updateSeries('lena', oneOff.id, 'set', { recurrence: 'every friday at 4pm' }, options));
+  assert.strictEqual(made.task.dueDate, '2026-10-23T20:00:00.000Z');
+  assert.strictEqual(describeRecurrence(made.task.recurrence.rule), 'every Friday at 4pm');
+  assert.match((await quiet(() => updateSeries('lena', oneOff.id, 'set', { recurrence: 'whenever' }, options))).error, /couldn't understand/);
+  console.log('  ✅ existing tasks can be made to repeat\n');
+
+  console.log('COMMANDS');
+  assert.deepStrictEqual(regexFallbackParser('Pay rent monthly on the 1st').tasks[0], {
+    title: 'Pay rent', description: '', priority: 'medium', recurrence: 'monthly on the 1st'
+  });
+  assert.deepStrictEqual(regexFallbackParser('skip the standup prep').entities, { task_ref: 'standup prep', series_op: 'skip' });
+  assert.deepStrictEqual(regexFallbackParser('stop repeating standup prep').entities, { task_ref: 'standup prep', series_op: 'end' });
+  assert.deepStrictEqual(regexFallbackParser('make budget review repeat every weekday').entities, {
+    task_ref: 'budget review', series_op: 'set', recurrence: 'every weekday'
+  });
+  console.log('  ✅ repeat phrases and series commands parse without the LLM\n');
+
+  console.log('WEBHOOK');
+  const { send, close } = startServer('omar');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'create_task', tasks: [{ title: 'Weekly report', recurrence: 'every friday at 3pm' }] },
+        { action: 'complete_task', entities: { task_ref: 'weekly report' } },
+        { action: 'update_series', entities: { task_ref: 'weekly report', series_op: 'pause' } }
+      ]
+    }));
+
+    const created = await send('add weekly report every friday at 3pm');
+    assert.match(created.message, /\(🔁 every Friday at 3pm\)/);
+    assert.strictEqual(created.structured.tasks[0].recurrence, 'every Friday at 3pm');
+
+    const completed = await send('complete weekly report');
+    assert.match(completed.message, /🔁 Next: "Weekly report" \(due: Fri, \w{3} \d+, 3:00 PM\)/);
+    assert.strictEqual(getTasks('omar', { status: 'pending' }).length, 1);
+
+    const paused = await send('hold off on the weekly report for now');
+    assert.strictEqual(paused.structured.type, 'series_updated');
+    assert.strictEqual(paused.structured.op, 'pause');
+    assert.strictEqual(getTasks('omar', { status: 'pending' })[0].recurrence.paused, true);
+    console.log('  ✅ repeating tasks are created, completed and paused in conversation\n');
+  } finally {
+    close();
+  }
+
+  console.log('🎉 All recurrence tests passed!\n');
+}
+
+run().catch(error => {
+  restoreConsole();
+  console.error('❌ Recurrence test failed:', error);
+  process.exit(1);
+});
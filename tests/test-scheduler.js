@@ -0,0 +1,293 @@
+/**
+ * Test Suite for the Reminder Scheduler and Notification Channels
+ * Run with: node tests/test-scheduler.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+delete process.env.DEFAULT_LOCALE;
+const { createStorage, setStorage } = require('../utils/storage');
+const { createProvider, setProvider } = require('../services/llm');
+const { createChannel } = require('../services/notifications');
+const { createScheduler, setScheduler, createReminder, listReminders, cancelReminder, syncDueReminders } = require('../services/scheduler');
+const { createTasks, completeTasks, deleteTasks, updateTask } = require('../services/tasks');
+const { regexFallbackParser } = require('../services/nlp');
+const { quiet, startServer } = require('./helpers');
+
+console.log('🧪 Testing Reminder Scheduler\n');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowstate-scheduler-'));
+setStorage(createStorage('json', { dir: tmpDir }));
+
+// A channel that records what it sends, and fails on demand
+const sent = [];
+let failing = false;
+const channel = {
+  name: 'test',
+  isConfigured: () => true,
+  async send(notification) {
+    if (failing) throw new Error('receiver returned 503');
+    sent.push(notification);
+    return { delivered: true };
+  }
+};
+
+let clock = new Date('2026-10-19T14:30:00Z'); // Monday
+const at = iso => { clock = new Date(iso); };
+const scheduler = (config = {}) => createScheduler({
+  channel,
+  now: () => clock,
+  config: { intervalMs: 30000, dueLeadMinutes: 60, maxAttempts: 3, catchUp: 'each', catchUpMaxAgeMs: 24 * 60 * 60 * 1000, ...config }
+});
+const statusOf = (userId, text) => createStorage('json', { dir: tmpDir }).find('reminders', { userId }).find(r => r.text === text).status;
+
+/**
+ * Start a local HTTP receiver that records requests
+ */
+function receiver(status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  server.listen(0);
+  return { server, requests, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function run() {
+  console.log('REMINDERS');
+  const sam = scheduler();
+  await quiet(() => createReminder('sam', { text: 'call Sam', fireAt: '2026-10-19T16:00:00Z' }, clock));
+
+  at('2026-10-19T15:59:00Z');
+  assert.strictEqual((await quiet(() => sam.tick())).sent, 0);
+  at('2026-10-19T16:00:10Z');
+  assert.strictEqual((await quiet(() => sam.tick())).sent, 1);
+  assert.strictEqual((await quiet(() => sam.tick())).sent, 0);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].message, '⏰ **Reminder:** call Sam');
+  assert.deepStrictEqual([sent[0].userId, sent[0].kind, sent[0].late], ['sam', 'reminder', false]);
+  assert.strictEqual(statusOf('sam', 'call Sam'), 'sent');
+  console.log('  ✅ reminders go out once, when their time comes');
+
+  const dentist = await quiet(() => createReminder('sam', { text: 'book dentist', fireAt: '2026-10-20T09:00:00Z' }, clock));
+  const [listed] = listReminders('sam');
+  assert.strictEqual(listed.id, dentist.id);
+  assert.strictEqual(cancelReminder('sam', listed.id).status, 'cancelled');
+  assert.strictEqual(cancelReminder('someone-else', listed.id), null);
+  assert.strictEqual(listReminders('sam').length, 0);
+  console.log('  ✅ pending reminders list soonest first and can be cancelled\n');
+
+  console.log('DUE DATES');
+  sent.length = 0;
+  at('2026-10-19T14:30:00Z');
+  const dateOptions = { timeZone: 'UTC', now: clock };
+  const [report, slides, old] = await quiet(() => createTasks('gia', [
+    { title: 'Report', dueDate: '2026-10-20T17:00:00.000Z' },
+    { title: 'Slides', dueDate: 'tomorrow' },
+    { title: 'Overdue', dueDate: '2026-10-18T12:00:00.000Z' }
+  ], {}, dateOptions));
+  await quiet(() => syncDueReminders(clock, 60));
+  const due = () => Object.fromEntries(createStorage('json', { dir: tmpDir }).find('reminders', { userId: 'gia' }).map(r => [r.text, r]));
+  assert.strictEqual(due().Report.fireAt, '2026-10-20T16:00:00.000Z');
+  assert.strictEqual(due().Slides.fireAt, '2026-10-20T09:00:00.000Z');
+  assert.strictEqual(due().Overdue.status, 'skipped');
+  console.log('  ✅ timed due dates notify ahead, all-day ones at the start of working hours');
+
+  await quiet(() => {
+    updateTask('gia', report.id, { dueDate: '2026-10-21T17:00:00.000Z' }, dateOptions);
+    completeTasks('gia', [slides.id]);
+    deleteTasks('gia', [old.id]);
+  });
+  const gia = scheduler();
+  at('2026-10-20T16:00:10Z');
+  const moved = await quiet(() => gia.tick());
+  assert.deepStrictEqual([moved.scheduled, moved.cancelled, moved.sent], [1, 1, 0]);
+  assert.strictEqual(due().Report.fireAt, '2026-10-21T16:00:00.000Z');
+  assert.strictEqual(due().Slides.status, 'cancelled');
+
+  at('2026-10-21T16:00:10Z');
+  await quiet(() => gia.tick());
+  assert.strictEqual(sent.length, 1);
+  assert.match(sent[0].message, /^📅 \*\*Coming up:\*\* "Report" is due Wed, Oct 21, 5:00 PM$/);
+  assert.strictEqual(sent[0].taskId, report.id);
+  console.log('  ✅ moved due dates re-arm; completed and deleted tasks are cancelled\n');
+
+  console.log('CATCH-UP');
+  // Each mode gets its own day; the process is down from 08:00 until 13:00
+  at('2026-10-22T08:00:00Z');
+  await quiet(() => {
+    for (const [userId, day] of [['each', 22], ['summary', 23], ['skip', 24], ['stale', 25]]) {
+      createReminder(userId, { text: 'stand up', fireAt: `2026-10-${day}T09:00:00Z` }, clock);
+      createReminder(userId, { text: 'lunch', fireAt: `2026-10-${day}T12:00:00Z` }, clock);
+    }
+  });
+  const restart = () => setStorage(createStorage('json', { dir: tmpDir }));
+  const byUser = userId => sent.filter(n => n.userId === userId);
+  sent.length = 0;
+
+  restart();
+  at('2026-10-22T13:00:00Z');
+  await quiet(() => scheduler({ catchUp: 'each' }).tick());
+  assert.deepStrictEqual(byUser('each').map(n => [n.text, n.late]), [['stand up', true], ['lunch', true]]);
+  assert.match(byUser('each')[0].message, /Sorry, this is late: it was set for Thu, Oct 22, 9:00 AM/);
+
+  await quiet(() => createReminder('each', { text: 'review', fireAt: '2026-10-22T14:00:00Z' }, clock));
+  sent.length = 0;
+  at('2026-10-22T14:00:05Z');
+  await quiet(() => scheduler({ catchUp: 'each' }).tick());
+  assert.deepStrictEqual(byUser('each').map(n => [n.text, n.late]), [['review', false]]);
+  console.log('  ✅ missed reminders are sent after a restart, marked late');
+
+  restart();
+  at('2026-10-23T13:00:00Z');
+  const summary = await quiet(() => scheduler({ catchUp: 'summary' }).tick());
+  assert.strictEqual(byUser('summary').length, 1);
+  assert.strictEqual(byUser('summary')[0].kind, 'missed_summary');
+  assert.match(byUser('summary')[0].message, /you missed 2 reminders:\*\*\n\n  • ⏰ stand up \(.+\)\n  • ⏰ lunch/);
+  assert.strictEqual(statusOf('summary', 'lunch'), 'sent');
+  assert.deepStrictEqual([summary.late, summary.sent], [2, 2]);
+  console.log('  ✅ summary mode sends one message per user');
+
+  restart();
+  at('2026-10-24T13:00:00Z');
+  await quiet(() => scheduler({ catchUp: 'skip' }).tick());
+  assert.strictEqual(byUser('skip').length, 0);
+  assert.strictEqual(statusOf('skip', 'stand up'), 'missed');
+  console.log('  ✅ skip mode marks them missed without sending');
+
+  restart();
+  at('2026-10-26T11:00:00Z');
+  const stale = await quiet(() => scheduler({ catchUp: 'each' }).tick());
+  assert.deepStrictEqual(byUser('stale').map(n => n.text), ['lunch']);
+  assert.deepStrictEqual([statusOf('stale', 'stand up'), statusOf('stale', 'lunch')], ['missed', 'sent']);
+  assert.strictEqual(stale.missed, 1);
+  console.log('  ✅ anything older than the catch-up window is dropped\n');
+
+  console.log('RETRIES');
+  at('2026-10-27T10:00:00Z');
+  sent.length = 0;
+  const retry = scheduler({ maxAttempts: 3 });
+  await quiet(() => createReminder('ivy', { text: 'flaky', fireAt: '2026-10-27T10:00:00Z' }, clock));
+  failing = true;
+  assert.strictEqual((await quiet(() => retry.tick())).retrying, 1);
+  assert.strictEqual((await quiet(() => retry.tick())).retrying, 0); // backing off
+  at('2026-10-27T10:01:01Z');
+  assert.strictEqual((await quiet(() => retry.tick())).retrying, 1);
+  at('2026-10-27T10:03:02Z');
+  assert.strictEqual((await quiet(() => retry.tick())).failed, 1);
+  assert.strictEqual(statusOf('ivy', 'flaky'), 'failed');
+  assert.strictEqual(retry.stats().lastError, 'receiver returned 503');
+
+  await quiet(() => createReminder('ivy', { text: 'recovers', fireAt: '2026-10-27T10:03:02Z' }, clock));
+  await quiet(() => retry.tick());
+  failing = false;
+  at('2026-10-27T10:04:03Z');
+  await quiet(() => retry.tick());
+  assert.deepStrictEqual(sent.map(n => [n.text, n.late]), [['recovers', false]]);
+  console.log('  ✅ failed sends retry with backoff, then give up (retries aren\'t "late")');
+
+  let release;
+  const slow = createScheduler({
+    channel: { name: 'slow', isConfigured: () => true, send: () => new Promise(resolve => { release = resolve; }) },
+    now: () => clock,
+    config: { catchUp: 'each' }
+  });
+  await quiet(() => createReminder('ivy', { text: 'slow', fireAt: clock }, clock));
+  const first = quiet(() => slow.tick());
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(await slow.tick(), null);
+  release({ delivered: true });
+  assert.strictEqual((await first).sent, 1);
+  console.log('  ✅ ticks never overlap\n');
+
+  console.log('CHANNELS');
+  const logged = [];
+  await createChannel('console', { log: line => logged.push(line) }).send({ userId: 'sam', message: 'hi' });
+  assert.deepStrictEqual(logged, ['[Notify] @sam: hi']);
+
+  const hook = receiver();
+  const cliq = receiver();
+  const broken = receiver(500);
+  try {
+    const notification = { id: 'r1', userId: 'sam', kind: 'reminder', text: 'call Sam', message: '⏰ **Reminder:** call Sam' };
+    await createChannel('webhook', { url: `${hook.base}/notify`, secret: 's3cret' }).send(notification);
+    const [request] = hook.requests;
+    assert.deepStrictEqual(JSON.parse(request.body), notification);
+    assert.strictEqual(request.headers['x-flowstate-signature'], `sha256=${crypto.createHmac('sha256', 's3cret').update(request.body).digest('hex')}`);
+    await assert.rejects(createChannel('webhook', { url: broken.base }).send(notification), /error 500/);
+    assert.strictEqual(createChannel('webhook', { url: '' }).isConfigured(), false);
+
+    await createChannel('cliq', { botName: 'flowbot', token: 'tok', apiBase: `${cliq.base}/api/v2` }).send(notification);
+    assert.strictEqual(cliq.requests[0].url, '/api/v2/bots/flowbot/message');
+    assert.strictEqual(cliq.requests[0].headers.authorization, 'Zoho-oauthtoken tok');
+    assert.deepStrictEqual(JSON.parse(cliq.requests[0].body), { text: '⏰ **Reminder:** call Sam', userids: 'sam' });
+    assert.throws(() => createChannel('pager'), /Unknown NOTIFY_CHANNEL/);
+    console.log('  ✅ console, signed webhook and Cliq channels deliver; errors reject\n');
+  } finally {
+    hook.server.close();
+    cliq.server.close();
+    broken.server.close();
+  }
+
+  console.log('COMMANDS');
+  assert.deepStrictEqual(regexFallbackParser('remind me to call Sam at 4pm').entities, { title: 'call Sam', datetime: 'at 4pm' });
+  assert.deepStrictEqual(regexFallbackParser('Remind me tomorrow at 9am to send the report').entities, { title: 'send the report', datetime: 'tomorrow at 9am' });
+  assert.strictEqual(regexFallbackParser('show my reminders').action, 'list_reminders');
+  assert.deepStrictEqual(regexFallbackParser('cancel reminder 2').entities, { reminder_ref: '2' });
+  console.log('  ✅ reminder commands parse without the LLM\n');
+
+  console.log('WEBHOOK');
+  setStorage(createStorage('memory'));
+  setScheduler(createScheduler({ channel, config: { catchUp: 'each' } }));
+  const { send, post, close } = startServer('nia');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'create_reminder', entities: { title: 'call Sam', datetime: 'in 2 hours' } },
+        { action: 'create_reminder', entities: { title: 'water plants' } }
+      ]
+    }));
+
+    const created = await send('remind me to call Sam in 2 hours');
+    assert.strictEqual(created.structured.type, 'reminder_created');
+    assert.match(created.message, /I'll remind you: "call Sam"/);
+    const noTime = await send('remind me to water plants');
+    assert.match(noTime.message, /When should I remind you to water plants\?/);
+
+    const list = await send('show my reminders');
+    assert.deepStrictEqual(list.structured.reminders.map(r => r.text), ['call Sam']);
+    const { body: ran } = await post('/webhook/run-reminders', {});
+    assert.deepStrictEqual([ran.success, ran.sent], [true, 0]);
+
+    const cancelled = await send('cancel reminder 1');
+    assert.match(cancelled.message, /Cancelled reminder: "call Sam"/);
+    assert.match((await send('show my reminders')).message, /No reminders set/);
+    console.log('  ✅ reminders are set, listed and cancelled conversationally; cron endpoint runs a tick\n');
+  } finally {
+    close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('🎉 All scheduler tests passed!\n');
+}
+
+run().catch(error => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.error('❌ Scheduler test failed:', error);
+  process.exit(1);
+});
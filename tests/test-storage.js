@@ -0,0 +1,209 @@
+/**
+ * Test Suite for Storage Adapters
+ * Run with: node tests/test-storage.js
+ */
+
+const assert = require('assert');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../utils/storage');
+const { SCHEMA_VERSIONS, runMigrations } = require('../utils/storage/migrations');
+
+console.log('🧪 Testing Storage Adapters\n');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowstate-storage-'));
+
+const drivers = [
+  ['memory', {}],
+  ['json', { dir: tmpDir }]
+];
+
+try {
+  require.resolve('better-sqlite3');
+  drivers.push(['sqlite', { file: ':memory:' }]);
+} catch (error) {
+  console.log('ℹ️  better-sqlite3 not installed, skipping sqlite adapter\n');
+}
+
+for (const [driver, options] of drivers) {
+  console.log(`ADAPTER: ${driver}`);
+  const storage = createStorage(driver, options);
+
+  // Users
+  storage.put('users', { id: 'alice', context: { lastActions: [] } });
+  assert.deepStrictEqual(storage.get('users', 'alice'), { id: 'alice', context: { lastActions: [] } });
+  assert.strictEqual(storage.get('users', 'nobody'), null);
+  console.log('  ✅ users: put/get');
+
+  // Tasks keep insertion order and are scoped by userId
+  storage.put('tasks', { id: 't1', userId: 'alice', title: 'first' });
+  storage.put('tasks', { id: 't2', userId: 'alice', title: 'second' });
+  storage.put('tasks', { id: 't3', userId: 'bob', title: 'other' });
+  storage.put('tasks', { id: 't1', userId: 'alice', title: 'first (edited)' });
+
+  const aliceTasks = storage.find('tasks', { userId: 'alice' });
+  assert.deepStrictEqual(aliceTasks.map(t => t.title), ['first (edited)', 'second']);
+  assert.strictEqual(storage.find('tasks').length, 3);
+  console.log('  ✅ tasks: upsert keeps position, find filters by user');
+
+  // Returned records are copies
+  aliceTasks[0].title = 'mutated';
+  assert.strictEqual(storage.get('tasks', 't1').title, 'first (edited)');
+  console.log('  ✅ records are copies until put');
+
+  // Users keep their tasks when the user record is rewritten
+  storage.put('users', { id: 'alice', context: { lastActions: ['list_tasks'] } });
+  assert.strictEqual(storage.find('tasks', { userId: 'alice' }).length, 2);
+  console.log('  ✅ user updates do not touch tasks');
+
+  // Atomic read-modify-write
+  storage.update('users', 'alice', user => ({ ...user, visits: (user.visits || 0) + 1 }));
+  storage.update('users', 'alice', user => ({ ...user, visits: user.visits + 1 }));
+  assert.strictEqual(storage.get('users', 'alice').visits, 2);
+  assert.strictEqual(storage.update('users', 'alice', () => null).visits, 2);
+  assert.strictEqual(storage.update('users', 'carol', user => user), null);
+  console.log('  ✅ update');
+
+  // Removal
+  assert.strictEqual(storage.remove('tasks', 't2'), true);
+  assert.strictEqual(storage.remove('tasks', 't2'), false);
+  assert.strictEqual(storage.removeWhere('tasks', { userId: 'alice' }), 1);
+  assert.deepStrictEqual(storage.find('tasks').map(t => t.id), ['t3']);
+  console.log('  ✅ remove/removeWhere');
+
+  // Arbitrary collections
+  storage.put('notes', { id: 'n1', userId: 'alice', title: 'note' });
+  assert.strictEqual(storage.find('notes', { userId: 'alice' }).length, 1);
+  assert.strictEqual(storage.find('notes', { userId: 'bob' }).length, 0);
+  console.log('  ✅ other collections\n');
+}
+
+console.log('MIGRATIONS');
+
+const legacy = createStorage('memory');
+legacy.put('users', { id: 'frank', notes: [] });
+legacy.put('tasks', { id: 'old', userId: 'frank', title: 'Legacy', priority: 'HIGH' });
+legacy.put('tasks', { id: 'due', userId: 'frank', title: 'Ship', dueDate: 'tomorrow', createdAt: '2026-03-02T12:00:00.000Z', schemaVersion: 2 });
+legacy.put('tasks', { id: 'new', userId: 'frank', title: 'Current', schemaVersion: SCHEMA_VERSIONS.tasks });
+legacy.put('users', { id: 'priya', schemaVersion: 2, context: {}, profile: { timezone: 'Asia/Kolkata', dateFormat: 'DMY' } });
+legacy.put('tasks', { id: 'kolkata', userId: 'priya', title: 'Call', dueDate: '3/4 9am', createdAt: '2026-03-02T12:00:00.000Z', schemaVersion: 2 });
+
+const dryRun = runMigrations(legacy, { dryRun: true });
+assert.strictEqual(dryRun.collections.tasks.outdated, 3);
+assert.strictEqual(legacy.get('tasks', 'old').schemaVersion, undefined);
+console.log('  ✅ dry run reports without writing');
+
+const report = runMigrations(legacy);
+assert.strictEqual(report.collections.users.migrated, 2);
+assert.strictEqual(report.collections.tasks.migrated, 3);
+
+const frank = legacy.get('users', 'frank');
+assert.strictEqual(frank.schemaVersion, SCHEMA_VERSIONS.users);
+assert.deepStrictEqual(frank.context.lastTaskIds, []);
+assert.strictEqual(frank.context.pendingClarification, null);
+assert.deepStrictEqual(frank.profile, {});
+assert.ok(!('notes' in frank));
+
+const oldTask = legacy.get('tasks', 'old');
+assert.strictEqual(oldTask.priority, 'high');
+assert.strictEqual(oldTask.status, 'pending');
+assert.strictEqual(oldTask.context.projectId, null);
+assert.strictEqual(oldTask.project, null);
+assert.deepStrictEqual([oldTask.dueDate, oldTask.dueText], [null, null]);
+
+const dueTask = legacy.get('tasks', 'due');
+assert.strictEqual(dueTask.dueText, 'tomorrow');
+assert.strictEqual(dueTask.dueAllDay, true);
+assert.ok(dueTask.dueDate.startsWith('2026-03-0'));
+assert.deepStrictEqual(legacy.find('tasks').map(t => t.id), ['old', 'due', 'new', 'kolkata']);
+console.log('  ✅ legacy records upgraded in place');
+
+// 3 April 09:00 in Kolkata, not 4 March 09:00 UTC
+assert.strictEqual(legacy.get('tasks', 'kolkata').dueDate, '2026-04-03T03:30:00.000Z');
+console.log("  ✅ due phrases resolve in the owner's timezone and date format");
+
+assert.strictEqual(runMigrations(legacy).collections.tasks.migrated, 0);
+console.log('  ✅ migrations are idempotent\n');
+
+console.log('JSON FILE SAFETY');
+
+// A corrupt file is quarantined and restored from the last good copy
+const usersFile = path.join(tmpDir, 'users.json');
+const jsonStorage = createStorage('json', { dir: tmpDir });
+jsonStorage.put('users', { id: 'dave' });
+jsonStorage.put('users', { id: 'erin' });
+fs.writeFileSync(usersFile, '{"dave": {"id": "da');
+
+const originalError = console.error;
+const originalWarn = console.warn;
+console.error = console.warn = () => {};
+const recovered = jsonStorage.get('users', 'dave');
+console.error = originalError;
+console.warn = originalWarn;
+
+assert.ok(recovered, 'dave restored from backup');
+assert.ok(fs.readdirSync(tmpDir).some(f => f.startsWith('users.json.corrupt-')), 'corrupt copy kept');
+assert.doesNotThrow(() => JSON.parse(fs.readFileSync(usersFile, 'utf8')));
+console.log('  ✅ corrupt file recovered from backup');
+
+// No temp or lock files are left behind
+assert.ok(!fs.readdirSync(tmpDir).some(f => f.endsWith('.tmp') || f.endsWith('.lock')));
+console.log('  ✅ no temp or lock files left');
+
+// Locks left by crashed processes are taken over well before the lock timeout
+const lockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowstate-stale-'));
+const lockedStorage = createStorage('json', { dir: lockDir });
+const notesLock = path.join(lockDir, 'notes.json.lock');
+const crashedPid = spawnSync(process.execPath, ['-e', '']).pid;
+const old = new Date(Date.now() - 60 * 1000);
+console.warn = () => {};
+for (const [pid, mtime] of [[crashedPid, new Date()], [process.ppid, old]]) {
+  fs.writeFileSync(notesLock, String(pid));
+  fs.utimesSync(notesLock, mtime, mtime);
+  const started = Date.now();
+  lockedStorage.put('notes', { id: `n${pid}`, userId: 'gil' });
+  assert.ok(Date.now() - started < 1000, 'stale lock taken over without waiting');
+}
+console.warn = originalWarn;
+assert.strictEqual(lockedStorage.find('notes', { userId: 'gil' }).length, 2);
+assert.ok(!fs.readdirSync(lockDir).some(f => /\.(lock|stale)$/.test(f)), 'no lock files left');
+fs.rmSync(lockDir, { recursive: true, force: true });
+console.log('  ✅ locks of dead processes and old locks are taken over');
+
+// Concurrent processes don't lose updates
+const counterDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowstate-lock-'));
+const worker = `
+  const { createStorage } = require(${JSON.stringify(path.join(__dirname, '..', 'utils', 'storage'))});
+  const storage = createStorage('json', { dir: ${JSON.stringify(counterDir)} });
+  for (let i = 0; i < 25; i++) {
+    storage.update('counters', 'hits', c => ({ id: 'hits', value: ((c && c.value) || 0) + 1 }));
+  }
+`;
+const workerFile = path.join(counterDir, 'worker.js');
+fs.writeFileSync(workerFile, worker);
+
+function runWorker() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [workerFile], { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`Worker exited with code ${code}`))));
+  });
+}
+
+Promise.all([runWorker(), runWorker()])
+  .then(() => {
+    const hits = createStorage('json', { dir: counterDir }).get('counters', 'hits');
+    assert.strictEqual(hits.value, 50);
+    console.log('  ✅ concurrent processes: 50/50 updates kept\n');
+
+    fs.rmSync(counterDir, { recursive: true, force: true });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    console.log('🎉 All storage adapter tests passed!\n');
+  })
+  .catch(error => {
+    console.error('❌ Storage test failed:', error);
+    process.exit(1);
+  });
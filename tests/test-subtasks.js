@@ -0,0 +1,127 @@
+/**
+ * Test Suite for Subtasks (checklist items, progress, "2.3" references)
+ * Run with: node tests/test-subtasks.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+delete process.env.DEFAULT_LOCALE;
+delete process.env.SUBTASKS_COMPLETE_PARENT;
+const { createTasks, addSubtasks, completeTasks, deleteTasks, resolveTaskRef, subtaskProgress, getTasks } = require('../services/tasks');
+const { formatTaskList } = require('../services/formatter');
+const { regexFallbackParser } = require('../services/nlp');
+const { validateIntent } = require('../services/intentSchema');
+const { quiet, restoreConsole, startServer } = require('./helpers');
+
+console.log('🧪 Testing Subtasks\n');
+
+async function run() {
+  console.log('CHECKLISTS');
+  const [release, docs] = await quiet(() => createTasks('nina', [
+    { title: 'Prepare release', subtasks: ['build', 'test'] },
+    { title: 'Update docs' }
+  ]));
+  assert.deepStrictEqual(release.subtasks.map(s => [s.id, s.title, s.status]), [['sub_1', 'build', 'pending'], ['sub_2', 'test', 'pending']]);
+  assert.deepStrictEqual(docs.subtasks, []);
+  assert.strictEqual(subtaskProgress(docs), null);
+
+  const added = await quiet(() => addSubtasks('nina', release.id, ['tag', '  ', 'announce']));
+  assert.deepStrictEqual(added.added.map(s => s.id), ['sub_3', 'sub_4']);
+  assert.deepStrictEqual(subtaskProgress(added.task), { done: 0, total: 4 });
+  assert.strictEqual(addSubtasks('nina', release.id, []).error, 'No steps given');
+  console.log('  ✅ steps are created with tasks or added later, each with its own status');
+
+  const lastTaskList = [{ id: release.id }, { id: docs.id }];
+  const [testItem] = resolveTaskRef('nina', '1.2', lastTaskList);
+  assert.strictEqual(testItem, `${release.id}/sub_2`);
+  assert.deepStrictEqual(resolveTaskRef('nina', '1.9', lastTaskList), []);
+  assert.deepStrictEqual(resolveTaskRef('nina', '2.1', lastTaskList), []);
+  assert.deepStrictEqual(resolveTaskRef('nina', '1', lastTaskList), [release.id]);
+  console.log('  ✅ "1.2" resolves to the second step of the first listed task');
+
+  const checked = await quiet(() => completeTasks('nina', [testItem, `${release.id}/sub_1`]));
+  assert.strictEqual(checked.completed, 0);
+  assert.strictEqual(checked.failed, 0);
+  assert.deepStrictEqual(checked.checked.map(c => c.subtask.title), ['test', 'build']);
+  assert.deepStrictEqual(subtaskProgress(checked.checked[1].task), { done: 2, total: 4 });
+
+  const list = formatTaskList(getTasks('nina'), { currentUser: 'nina' });
+  assert.match(list.message, /1\. Prepare release ☑️ 2\/4/);
+  assert.match(list.message, /2\. Update docs(?! ☑️)/);
+  console.log('  ✅ checked-off steps show as progress in the task list');
+
+  assert.strictEqual((await quiet(() => deleteTasks('nina', [`${release.id}/sub_4`]))).deleted, 1);
+  const last = await quiet(() => completeTasks('nina', [`${release.id}/sub_3`]));
+  assert.strictEqual(last.checked[0].parentCompleted, true);
+  assert.strictEqual(last.checked[0].task.status, 'completed');
+  console.log('  ✅ removing a step, then checking off the last one, completes the task');
+
+  const [manual] = await quiet(() => createTasks('nina', [{ title: 'Plan offsite', subtasks: ['venue'], completeWithSubtasks: false }]));
+  const kept = await quiet(() => completeTasks('nina', [`${manual.id}/sub_1`]));
+  assert.strictEqual(kept.checked[0].parentCompleted, false);
+  assert.strictEqual(kept.checked[0].task.status, 'pending');
+
+  process.env.SUBTASKS_COMPLETE_PARENT = 'false';
+  const [open] = await quiet(() => createTasks('nina', [{ title: 'Hire designer', subtasks: ['post job'] }]));
+  assert.strictEqual((await quiet(() => completeTasks('nina', [`${open.id}/sub_1`]))).checked[0].task.status, 'pending');
+  delete process.env.SUBTASKS_COMPLETE_PARENT;
+  assert.strictEqual((await quiet(() => addSubtasks('nina', open.id, ['interview'], { completeWithSubtasks: true }))).task.completeWithSubtasks, true);
+  assert.strictEqual((await quiet(() => completeTasks('nina', [`${open.id}/sub_2`]))).checked[0].parentCompleted, true);
+  console.log('  ✅ completing the parent can be turned off per task or with SUBTASKS_COMPLETE_PARENT');
+
+  const [weekly] = await quiet(() => createTasks('nina', [{ title: 'Weekly review', recurrence: 'every friday', subtasks: ['inbox zero'] }]));
+  const rolled = await quiet(() => completeTasks('nina', [`${weekly.id}/sub_1`]));
+  assert.strictEqual(rolled.next.length, 1);
+  assert.deepStrictEqual(rolled.next[0].subtasks.map(s => [s.title, s.status]), [['inbox zero', 'pending']]);
+  assert.strictEqual(addSubtasks('nina', weekly.id, ['x']).error, '"Weekly review" is already done');
+  console.log('  ✅ a repeating task\'s next occurrence starts with its steps unchecked\n');
+
+  console.log('COMMANDS');
+  assert.deepStrictEqual(regexFallbackParser('add steps to task 2: build, test and tag').entities, { task_ref: '2', items: ['build', 'test', 'tag'] });
+  assert.deepStrictEqual(regexFallbackParser('Add subtasks to the launch:\n- brief\n- slides').entities, { task_ref: 'launch', items: ['brief', 'slides'] });
+  assert.deepStrictEqual(regexFallbackParser('break prepare release into build, test, tag').entities.items, ['build', 'test', 'tag']);
+  assert.strictEqual(regexFallbackParser('complete 2.3').entities.task_ref, '2.3');
+  assert.strictEqual(validateIntent({ action: 'complete_task', entities: { task_ref: 'task 2.3' } }).intent.entities.task_ref, '2.3');
+  assert.strictEqual(validateIntent({ action: 'add_steps', entities: { task_ref: 1, items: 'a, b', auto_complete: 'no' } }).intent.entities.auto_complete, false);
+  console.log('  ✅ checklist commands and "2.3" references parse\n');
+
+  console.log('WEBHOOK');
+  const { send, close } = startServer('theo');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'create_task', tasks: [{ title: 'Prepare release' }, { title: 'Write changelog' }] }
+      ]
+    }));
+
+    await send('add prepare release and write changelog');
+    await send('list tasks');
+    const steps = await send('add steps to task 1: build, test, tag');
+    assert.strictEqual(steps.structured.type, 'subtasks_added');
+    assert.match(steps.message, /1\.1 ⬜ build\n  1\.2 ⬜ test\n  1\.3 ⬜ tag/);
+
+    const done = await send('complete 1.2');
+    assert.match(done.message, /☑️ Checked off "test" on "Prepare release" \(1\/3\)/);
+    const removed = await send('delete 1.3');
+    assert.match(removed.message, /Removed 1 step/);
+    const finished = await send('complete 1.1');
+    assert.match(finished.message, /last step, so "Prepare release" is complete/);
+    assert.deepStrictEqual(getTasks('theo', { status: 'pending' }).map(t => t.title), ['Write changelog']);
+    console.log('  ✅ steps are added, checked off and removed in conversation\n');
+  } finally {
+    close();
+  }
+
+  console.log('🎉 All subtask tests passed!\n');
+}
+
+run().catch(error => {
+  restoreConsole();
+  console.error('❌ Subtask test failed:', error);
+  process.exit(1);
+});
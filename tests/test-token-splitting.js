@@ -6,9 +6,14 @@
 // Load environment variables
 require('dotenv').config();
 
+const assert = require('assert');
+const { getTokenizerFamily, countTokens, countMessageTokens, MESSAGE_OVERHEAD_TOKENS } = require('../services/tokenizer');
 const {
   estimateTokens,
   splitTextIntoChunks,
+  splitIntoBlocks,
+  extractSharedContext,
+  mergeIntents,
   MAX_INPUT_TOKENS_PER_CALL
 } = require('../services/nlp');
 
@@ -21,7 +26,8 @@ const tokens = estimateTokens(shortText);
 console.log(`  Text: "${shortText}"`);
 console.log(`  Length: ${shortText.length} characters`);
 console.log(`  Estimated tokens: ${tokens}`);
-console.log(`  Expected: ~${Math.ceil(shortText.length / 4)} tokens`);
+console.log(`  Tokenizer: ${getTokenizerFamily(process.env.LLM_MODEL || 'llama-3.3-70b-versatile')}`);
+assert.ok(tokens > 0 && tokens < shortText.length);
 console.log(`  ✅ Test passed\n`);
 
 // Test 2: Short Text (No Splitting)
@@ -116,13 +122,98 @@ if (sentenсeSplitCorrect) {
   console.log(`  ℹ️  Some chunks don't end on sentence boundaries (acceptable)\n`);
 }
 
+// Test 6: Model-family tokenizers
+console.log('TEST 6: Model-Family Tokenizers');
+assert.strictEqual(getTokenizerFamily('llama-3.3-70b-versatile'), 'llama3');
+assert.strictEqual(getTokenizerFamily('llama3.1'), 'llama3');
+assert.strictEqual(getTokenizerFamily('gpt-4o-mini'), 'o200k');
+assert.strictEqual(getTokenizerFamily('o3-mini'), 'o200k');
+assert.strictEqual(getTokenizerFamily('gpt-4'), 'cl100k');
+assert.strictEqual(getTokenizerFamily('mistral-7b'), 'cl100k');
+console.log('  ✅ Models mapped to tokenizer families');
+
+// Known counts for each vocabulary
+assert.strictEqual(countTokens('Hello world', 'llama-3.3-70b-versatile'), 2);
+assert.strictEqual(countTokens('Hello world', 'gpt-4o'), 2);
+assert.strictEqual(countTokens('Hello world', 'gpt-4'), 2);
+assert.strictEqual(countTokens('', 'gpt-4'), 0);
+const codeLike = '{"action":"create_task","tasks":[{"title":"Review PR #42"}]}';
+console.log(`  "${codeLike}" → llama3 ${countTokens(codeLike, 'llama3.1')}, o200k ${countTokens(codeLike, 'gpt-4o')}, cl100k ${countTokens(codeLike, 'gpt-4')}`);
+console.log('  ✅ Offline tokenizers load and count');
+
+const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hello world' }];
+assert.strictEqual(
+  countMessageTokens(messages, 'gpt-4'),
+  countTokens('Be brief.', 'gpt-4') + countTokens('Hello world', 'gpt-4') + 2 * MESSAGE_OVERHEAD_TOKENS
+);
+console.log('  ✅ Message overhead counted\n');
+
+// Test 7: Splitting against exact counts (real tokens run well under length / 4)
+console.log('TEST 7: Splitting Against Exact Token Counts');
+const smallLimit = 1000;
+const forced = splitTextIntoChunks(longSentence, smallLimit);
+assert.ok(forced.length > 1);
+assert.ok(forced.every(chunk => estimateTokens(chunk) <= smallLimit));
+console.log(`  ✅ Unbroken sentence force-split into ${forced.length} chunks within ${smallLimit} tokens`);
+
+const denseText = 'ab1'.repeat(8000);
+const dense = splitTextIntoChunks(denseText, smallLimit);
+assert.ok(dense.every(chunk => estimateTokens(chunk) <= smallLimit));
+assert.strictEqual(dense.join(''), denseText);
+console.log(`  ✅ Dense text split into ${dense.length} chunks without losing characters`);
+
+const lined = splitTextIntoChunks(longTaskList, smallLimit);
+assert.ok(lined.length > 1);
+assert.ok(lined.every(chunk => estimateTokens(chunk) <= smallLimit));
+console.log(`  ✅ Task list split into ${lined.length} chunks within ${smallLimit} tokens\n`);
+
+// Test 8: Structure-aware splitting
+console.log('TEST 8: Headings, List Items and Paragraphs');
+const blocks = splitIntoBlocks('For project Apollo:\n- Draft the brief\n  with the legal notes\n- Book the venue\n\n## Zeus\nSome intro text.\nMore intro.');
+assert.deepStrictEqual(blocks.map(b => b.type), ['heading', 'item', 'item', 'heading', 'paragraph']);
+assert.strictEqual(blocks[1].text, '- Draft the brief\n  with the legal notes');
+console.log('  ✅ Blocks recognized (continuation lines stay with their item)');
+
+const sections = ['Apollo', 'Zeus', 'Hera'].map(name =>
+  `## ${name}\n` + Array.from({ length: 30 }, (_, i) => `- ${name} task ${i + 1}: prepare the detailed plan, review it with the team, and send it on.`).join('\n')
+).join('\n\n');
+const structured = splitTextIntoChunks(sections, 400);
+assert.ok(structured.length > 3);
+assert.ok(structured.every(chunk => estimateTokens(chunk) <= 400));
+assert.ok(structured.every(chunk => !/^## \w+$/.test(chunk.split('\n').pop())), 'a chunk ends with a heading');
+assert.ok(structured.every(chunk => chunk.split('\n').every(line => /^(## \w+|- \w+ task \d+: .*on\.)?$/.test(line))), 'a list item was cut');
+assert.strictEqual(structured.join('\n').match(/^- /gm).length, 90);
+console.log(`  ✅ ${structured.length} chunks: no item cut, no heading left at a chunk end\n`);
+
+// Test 9: Shared context across chunks
+console.log('TEST 9: Shared Context');
+assert.deepStrictEqual(
+  extractSharedContext('For project Apollo:\nAssign these to Priya, all due Friday.\n- Email Sam by Monday'),
+  { project: 'Apollo', assignee: 'Priya', dueDate: 'Friday' }
+);
+assert.deepStrictEqual(extractSharedContext('- Email Sam by Monday\n- Fix the project plan'), {});
+console.log('  ✅ Context read from headings and lead-ins, not list items');
+
+const merged = mergeIntents([
+  { action: 'create_task', entities: { project: 'Apollo', assignee: 'Priya' }, tasks: [{ title: 'Draft brief' }, { title: 'Book venue', assignee: 'Sam' }] },
+  { action: 'create_task', entities: { project: 'Zeus', assignee: 'Priya' }, tasks: [{ title: 'Plan launch' }] }
+], 'create_task');
+assert.deepStrictEqual(
+  merged.tasks.map(t => [t.title, t.project, t.assignee]),
+  [['Draft brief', 'Apollo', 'Priya'], ['Book venue', 'Apollo', 'Sam'], ['Plan launch', 'Zeus', 'Priya']]
+);
+assert.deepStrictEqual(merged.entities, { assignee: 'Priya' });
+console.log('  ✅ Merge resolves entities per task; conflicting top-level entities dropped\n');
+
 // Summary
 console.log('=' .repeat(50));
 console.log('📊 TEST SUMMARY');
 console.log('=' .repeat(50));
-console.log('✅ Token estimation working correctly');
+console.log('✅ Token counting working correctly');
 console.log('✅ Short text handled without splitting');
 console.log('✅ Long text split into valid chunks');
 console.log('✅ Edge cases handled with fallback splitting');
 console.log('✅ Sentence boundary splitting attempted');
+console.log('✅ Model-family tokenizers counting');
+console.log('✅ Structure-aware chunks with shared context');
 console.log('\n🎉 All token splitting tests passed!\n');
@@ -0,0 +1,173 @@
+/**
+ * Test Suite for the Trash (soft delete, restore, retention)
+ * Run with: node tests/test-trash.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+delete process.env.DEFAULT_LOCALE;
+delete process.env.TASK_WORKFLOW;
+delete process.env.TRASH_RETENTION_DAYS;
+const { createTasks, getTasks, searchTasks, deleteTasks, deleteAllTasks, addDependency, withBlockers } = require('../services/tasks');
+const { createNote, listNotes, searchNotes, deleteNote } = require('../services/notes');
+const { listTrash, restoreFromTrash, purgeTrash } = require('../services/trash');
+const { createScheduler } = require('../services/scheduler');
+const { getTaskActivity } = require('../services/activity');
+const { formatTrashList } = require('../services/formatter');
+const { regexFallbackParser } = require('../services/nlp');
+const { migrateRecord } = require('../utils/storage/migrations');
+const { quiet, restoreConsole, startServer } = require('./helpers');
+
+console.log('🧪 Testing Trash\n');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function run() {
+  console.log('SOFT DELETE');
+  const [design, build, launch] = await quiet(() => createTasks('lena', [
+    { title: 'Design mockups' },
+    { title: 'Build prototype' },
+    { title: 'Launch beta' }
+  ]));
+  await quiet(() => addDependency('lena', launch.id, build.id));
+  await quiet(() => addDependency('lena', launch.id, design.id));
+  const note = await quiet(() => createNote('lena', { title: 'Beta feedback', body: 'Testers liked the prototype' }));
+
+  await quiet(() => deleteTasks('lena', [build.id]));
+  await quiet(() => deleteNote('lena', note.id));
+  assert.deepStrictEqual(getTasks('lena').map(t => t.title), ['Design mockups', 'Launch beta']);
+  assert.deepStrictEqual(searchTasks('lena', 'prototype'), []);
+  assert.deepStrictEqual(listNotes('lena'), []);
+  assert.deepStrictEqual(searchNotes('lena', 'prototype'), []);
+  console.log('  ✅ deleted tasks and notes leave lists and searches');
+
+  const trash = listTrash('lena');
+  assert.deepStrictEqual(trash.map(item => [item.collection, item.record.title]), [['notes', 'Beta feedback'], ['tasks', 'Build prototype']]);
+  assert.ok(trash.every(item => !Number.isNaN(Date.parse(item.deletedAt))));
+  assert.deepStrictEqual(listTrash('lena', { collection: 'notes' }).map(item => item.record.title), ['Beta feedback']);
+  assert.deepStrictEqual(listTrash('someone-else'), []);
+  console.log('  ✅ they wait in the user\'s trash with the time they were deleted');
+
+  await quiet(() => deleteTasks('lena', [design.id]));
+  const [restored] = await quiet(() => restoreFromTrash('lena', [`trash_${build.id}`]));
+  assert.strictEqual(restored.record.id, build.id);
+  assert.deepStrictEqual(getTasks('lena').map(t => t.title), ['Launch beta', 'Build prototype']);
+  assert.deepStrictEqual(getTaskActivity('lena', build.id).map(e => e.type), ['created', 'deleted', 'restored']);
+  assert.deepStrictEqual(restoreFromTrash('intruder', [`trash_${note.id}`]), []);
+  console.log('  ✅ restoring puts a record back as it was, under its own id');
+
+  const [restoredLaunch] = await quiet(() => {
+    deleteTasks('lena', [launch.id]);
+    return restoreFromTrash('lena', [`trash_${launch.id}`]);
+  });
+  assert.deepStrictEqual(restoredLaunch.record.blockedBy, []);
+  console.log('  ✅ a restored task doesn\'t wait on tasks that are gone');
+
+  await quiet(() => addDependency('lena', launch.id, build.id));
+  assert.strictEqual(await quiet(() => deleteAllTasks('lena')), 2);
+  assert.deepStrictEqual(getTasks('lena'), []);
+  assert.strictEqual(listTrash('lena', { collection: 'tasks' }).length, 3);
+  console.log('  ✅ "delete all" empties the list into the trash');
+
+  // The waiting task comes back first: its blocker is still in the trash at that point
+  const both = await quiet(() => restoreFromTrash('lena', [`trash_${launch.id}`, `trash_${build.id}`]));
+  assert.deepStrictEqual(both.map(item => item.record.blockedBy || []), [[build.id], []]);
+  assert.deepStrictEqual(withBlockers(getTasks('lena')).find(t => t.id === launch.id).blockers, [{ id: build.id, title: 'Build prototype' }]);
+  assert.strictEqual(await quiet(() => deleteAllTasks('lena')), 2);
+  console.log('  ✅ tasks restored together keep their links to each other');
+
+  const listed = formatTrashList(listTrash('lena'), { retentionDays: 30 });
+  assert.match(listed.message, /🗑️ \*\*Trash\*\* \(4\)\n\n  1\. 📋 /);
+  assert.match(listed.message, /Items are deleted for good 30 days after they're trashed/);
+  assert.strictEqual(formatTrashList([], { collection: 'notes' }).message, '🗑️ There aren\'t any deleted notes in the trash.');
+  console.log('  ✅ the trash list says how long items are kept\n');
+
+  console.log('RETENTION');
+  const [old] = await quiet(() => createTasks('milo', [{ title: 'Old idea' }]));
+  await quiet(() => deleteTasks('milo', [old.id]));
+  const week = new Date(Date.now() + 8 * DAY);
+  process.env.TRASH_RETENTION_DAYS = '0';
+  assert.strictEqual(purgeTrash(week), 0);
+  process.env.TRASH_RETENTION_DAYS = '7';
+  assert.strictEqual(listTrash('milo', {}, new Date(Date.now() + 6 * DAY)).length, 1);
+  assert.strictEqual(await quiet(() => listTrash('milo', {}, week).length), 0);
+  console.log('  ✅ items are purged after TRASH_RETENTION_DAYS (0 keeps them)');
+
+  const [older] = await quiet(() => createTasks('milo', [{ title: 'Older idea' }]));
+  await quiet(() => deleteTasks('milo', [older.id]));
+  const tick = await quiet(() => createScheduler({ now: () => week, channel: { name: 'test', send: async () => ({ delivered: true }) } }).tick());
+  assert.strictEqual(tick.purged, 5);
+  assert.deepStrictEqual([...listTrash('milo'), ...listTrash('lena')], []);
+  delete process.env.TRASH_RETENTION_DAYS;
+  console.log('  ✅ the scheduler\'s tick purges expired trash for everyone\n');
+
+  console.log('MIGRATION');
+  const { record } = migrateRecord('users', { id: 'old', schemaVersion: 4, context: { lastActions: [] }, profile: {} });
+  assert.deepStrictEqual(record.context.lastTrashList, []);
+  console.log('  ✅ stored users get an empty trash listing\n');
+
+  console.log('COMMANDS');
+  assert.strictEqual(regexFallbackParser('show trash').action, 'list_trash');
+  assert.deepStrictEqual(regexFallbackParser('show deleted notes').entities, { kind: 'notes' });
+  assert.strictEqual(regexFallbackParser('what\'s in the trash?').action, 'list_trash');
+  assert.deepStrictEqual(regexFallbackParser('restore 2').entities, { trash_ref: '2' });
+  assert.deepStrictEqual(regexFallbackParser('undelete the budget review').entities, { trash_ref: 'budget review' });
+  assert.deepStrictEqual(regexFallbackParser('restore everything from the trash').entities, { trash_ref: 'all' });
+  assert.strictEqual(regexFallbackParser('empty the trash').action, 'empty_trash');
+  assert.strictEqual(regexFallbackParser('take out the trash').action, 'create_task');
+  console.log('  ✅ trash commands parse without the LLM\n');
+
+  console.log('WEBHOOK');
+  const { send, close } = startServer('ines');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'create_task', tasks: [{ title: 'Renew passport' }, { title: 'Book flights' }, { title: 'Pack bags' }] }
+      ]
+    }));
+
+    await send('add renew passport, book flights and pack bags');
+    await send('list tasks');
+    const deleted = await send('delete 2');
+    assert.match(deleted.message, /Moved 1 task to the trash/);
+    await send('delete pack bags');
+
+    const shown = await send('show trash');
+    assert.match(shown.message, /1\. 📋 Pack bags · deleted .*\n  2\. 📋 Book flights/);
+    const back = await send('restore 2');
+    assert.match(back.message, /♻️ Restored task "Book flights"/);
+    const list = await send('list tasks');
+    assert.match(list.message, /Book flights/);
+    assert.doesNotMatch(list.message, /Pack bags/);
+    assert.match((await send('restore 2')).message, /couldn't find "2" in the trash/);
+    console.log('  ✅ deleted tasks are listed, restored by number and stay out of the task list');
+
+    await send('delete all');
+    assert.strictEqual((await send('show deleted tasks')).structured.count, 3);
+    const emptied = await send('empty the trash');
+    assert.match(emptied.message, /🧹 Emptied the trash: 3 items\. Say "undo" to bring them back; otherwise they're gone\./);
+    assert.match((await send('show trash')).message, /The trash is empty/);
+    const undone = await send('undo');
+    assert.match(undone.message, /🗑️ Put back in the trash: task "Renew passport"/);
+    assert.strictEqual((await send('show trash')).structured.count, 3);
+    const restoredAll = await send('restore all');
+    assert.match(restoredAll.message, /♻️ Restored 3 items/);
+    assert.strictEqual(getTasks('ines').length, 3);
+    console.log('  ✅ emptying the trash can be taken back with "undo"\n');
+  } finally {
+    close();
+  }
+
+  console.log('🎉 All trash tests passed!\n');
+}
+
+run().catch(error => {
+  restoreConsole();
+  console.error('❌ Trash test failed:', error);
+  process.exit(1);
+});
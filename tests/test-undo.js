@@ -0,0 +1,159 @@
+/**
+ * Test Suite for Undo / Redo (steps, conflicts, undo window)
+ * Run with: node tests/test-undo.js
+ */
+
+const assert = require('assert');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+delete process.env.DEFAULT_LOCALE;
+delete process.env.TASK_WORKFLOW;
+delete process.env.UNDO_LIMIT;
+delete process.env.UNDO_MAX_AGE_MINUTES;
+const { createTasks, getTasks, completeTasks, updateTaskPriority } = require('../services/tasks');
+const { recordChange, undo, redo } = require('../services/undo');
+const { initializeContext, getContext } = require('../services/context');
+const { getTaskActivity } = require('../services/activity');
+const { regexFallbackParser } = require('../services/nlp');
+const { migrateRecord } = require('../utils/storage/migrations');
+const { quiet, restoreConsole, startServer } = require('./helpers');
+
+console.log('🧪 Testing Undo / Redo\n');
+
+async function run() {
+  console.log('STEPS');
+  await quiet(() => initializeContext('rosa'));
+  const [draft] = await quiet(() => recordChange('rosa', 'add draft and review', () => createTasks('rosa', [
+    { title: 'Draft' },
+    { title: 'Review' }
+  ])));
+  await quiet(() => recordChange('rosa', 'complete draft', () => completeTasks('rosa', [draft.id])));
+  await quiet(() => recordChange('rosa', 'list tasks', () => getTasks('rosa')));
+  assert.strictEqual(getContext('rosa').undoStack.length, 2);
+  console.log('  ✅ each change is one step; requests that change nothing aren\'t kept');
+
+  const undone = await quiet(() => undo('rosa'));
+  assert.strictEqual(undone.step.label, 'complete draft');
+  assert.strictEqual(getTasks('rosa').find(t => t.id === draft.id).status, 'pending');
+  const redone = await quiet(() => redo('rosa'));
+  assert.strictEqual(redone.direction, 'redo');
+  assert.strictEqual(getTasks('rosa').find(t => t.id === draft.id).status, 'completed');
+  await quiet(() => undo('rosa'));
+  await quiet(() => undo('rosa'));
+  assert.deepStrictEqual(getTasks('rosa'), []);
+  assert.strictEqual(undo('rosa').error, 'Nothing to undo. Changes can be undone for 60 minutes.');
+  console.log('  ✅ undo writes records back, redo makes the change again');
+
+  await quiet(() => redo('rosa'));
+  assert.strictEqual(getTasks('rosa').length, 2);
+  await quiet(() => recordChange('rosa', 'add ship', () => createTasks('rosa', [{ title: 'Ship' }])));
+  assert.strictEqual(redo('rosa').error, 'Nothing to redo.');
+  assert.deepStrictEqual(getTaskActivity('rosa', draft.id).map(e => e.type), ['created', 'completed', 'undone', 'redone', 'undone', 'deleted', 'restored']);
+  console.log('  ✅ a new change clears redo; undo and redo show in the activity log');
+
+  const review = getTasks('rosa').find(t => t.title === 'Review');
+  await quiet(() => recordChange('rosa', 'make review high priority', () => updateTaskPriority('rosa', review.id, 'high')));
+  await quiet(() => updateTaskPriority('rosa', review.id, 'low'));
+  const refused = await quiet(() => undo('rosa'));
+  assert.strictEqual(refused.error, 'Can\'t undo "make review high priority": "Review" has changed since. That change has been dropped from the history.');
+  assert.strictEqual(getTasks('rosa').find(t => t.id === review.id).priority, 'low');
+  assert.strictEqual((await quiet(() => undo('rosa'))).step.label, 'add ship');
+  console.log('  ✅ a step whose records changed since is refused, not forced\n');
+
+  console.log('WINDOW');
+  await quiet(() => initializeContext('ana'));
+  process.env.UNDO_LIMIT = '2';
+  for (const title of ['One', 'Two', 'Three']) {
+    await quiet(() => recordChange('ana', `add ${title}`, () => createTasks('ana', [{ title }])));
+  }
+  assert.deepStrictEqual(getContext('ana').undoStack.map(s => s.label), ['add Two', 'add Three']);
+  delete process.env.UNDO_LIMIT;
+
+  const later = new Date(Date.now() + 61 * 60 * 1000);
+  assert.match(undo('ana', later).error, /Nothing to undo/);
+  assert.deepStrictEqual(getContext('ana').undoStack, []);
+  console.log('  ✅ the history keeps UNDO_LIMIT steps for UNDO_MAX_AGE_MINUTES');
+
+  await quiet(() => recordChange('ana', 'add Four', () => createTasks('ana', [{ title: 'Four' }])));
+  for (const [name, value] of [['UNDO_LIMIT', '0'], ['UNDO_MAX_AGE_MINUTES', '0']]) {
+    process.env[name] = value;
+    const [five] = await quiet(() => recordChange('ana', 'add Five', () => createTasks('ana', [{ title: 'Five' }])));
+    assert.strictEqual(five.title, 'Five');
+    assert.match(undo('ana').error, /Nothing to undo/);
+    assert.deepStrictEqual(getContext('ana').undoStack, []);
+    delete process.env[name];
+  }
+  process.env.UNDO_LIMIT = 'many';
+  await quiet(() => recordChange('ana', 'add Six', () => createTasks('ana', [{ title: 'Six' }])));
+  assert.deepStrictEqual(getContext('ana').undoStack.map(s => s.label), ['add Six']);
+  delete process.env.UNDO_LIMIT;
+  console.log('  ✅ 0 turns undo off; values that aren\'t numbers use the defaults\n');
+
+  console.log('MIGRATION');
+  const { record } = migrateRecord('users', { id: 'old', schemaVersion: 3, context: { lastActions: [] }, profile: {} });
+  assert.deepStrictEqual([record.context.undoStack, record.context.redoStack], [[], []]);
+  console.log('  ✅ stored users get an empty undo history\n');
+
+  console.log('COMMANDS');
+  assert.strictEqual(regexFallbackParser('undo').action, 'undo');
+  assert.strictEqual(regexFallbackParser('Undo that!').action, 'undo');
+  assert.strictEqual(regexFallbackParser('take that back').action, 'undo');
+  assert.strictEqual(regexFallbackParser('redo').action, 'redo');
+  assert.strictEqual(regexFallbackParser('undo complete budget').action, 'update_status');
+  console.log('  ✅ undo and redo parse without the LLM\n');
+
+  console.log('WEBHOOK');
+  const { send, close } = startServer('kofi');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'create_task', tasks: [{ title: 'Pay invoices', priority: 'high' }, { title: 'File receipts' }] },
+        { action: 'create_note', notes: [{ title: 'Standup', body: 'Ship on Friday', tags: [] }] }
+      ]
+    }));
+
+    await send('add pay invoices and file receipts');
+    await send('list tasks');
+    await send('complete 2');
+    const reopened = await send('undo');
+    assert.match(reopened.message, /↩️ \*\*Undid\*\* "complete 2"\n\n  • ✏️ Changed task "File receipts": status: done → to do/);
+    assert.strictEqual(reopened.structured.type, 'undone');
+    console.log('  ✅ a misparsed completion is taken back, naming what changed');
+
+    await send('delete all');
+    assert.strictEqual(getTasks('kofi').length, 0);
+    const restored = await send('undo');
+    assert.match(restored.message, /Undid\*\* "delete all"\n\n  • ♻️ Restored task "Pay invoices"\n  • ♻️ Restored task "File receipts"/);
+    assert.deepStrictEqual(getTasks('kofi').map(t => t.title), ['Pay invoices', 'File receipts']);
+    const again = await send('redo');
+    assert.match(again.message, /↪️ \*\*Redid\*\* "delete all"\n\n  • 🗑️ Moved task "Pay invoices" to the trash/);
+    await send('undo');
+    console.log('  ✅ "delete all" can be undone and redone');
+
+    await send('note that we ship on friday');
+    const unnoted = await send('undo');
+    assert.match(unnoted.message, /🗑️ Removed note "Standup"/);
+    console.log('  ✅ notes are covered too');
+
+    const focus = await send('start focus for 25 minutes');
+    assert.strictEqual(focus.structured.status, 'in_progress');
+    const unfocused = await send('undo');
+    assert.match(unfocused.message, /Undid\*\* "start focus for 25 minutes"\n\n  • ✏️ Changed task "Pay invoices": status: in progress → to do/);
+    assert.strictEqual(getTasks('kofi').find(t => t.title === 'Pay invoices').status, 'pending');
+    console.log('  ✅ the status move from starting a focus session can be undone\n');
+  } finally {
+    close();
+  }
+
+  console.log('🎉 All undo tests passed!\n');
+}
+
+run().catch(error => {
+  restoreConsole();
+  console.error('❌ Undo test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,204 @@
+/**
+ * Test Suite for the Task Status Workflow (statuses, transitions, history)
+ * Run with: node tests/test-workflow.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProvider, setProvider } = require('../services/llm');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.INTENT_CACHE_SIZE = '0';
+process.env.DEFAULT_TIMEZONE = 'UTC';
+delete process.env.DEFAULT_LOCALE;
+delete process.env.TASK_WORKFLOW;
+const { createTasks, updateTaskStatus, addDependency, completeTasks, getTasks, withBlockers } = require('../services/tasks');
+const { DEFAULT_WORKFLOW, setWorkflow, loadWorkflow, resolveStatus, canTransition, isOpen } = require('../services/workflow');
+const { formatTaskList } = require('../services/formatter');
+const { regexFallbackParser, fastPathIntent, parseIntent } = require('../services/nlp');
+const { validateIntent, buildActionTools } = require('../services/intentSchema');
+const { migrateRecord } = require('../utils/storage/migrations');
+const { quiet, restoreConsole, startServer } = require('./helpers');
+
+console.log('🧪 Testing Task Status Workflow\n');
+
+async function run() {
+  console.log('WORKFLOW');
+  assert.strictEqual(resolveStatus('Review'), 'in_review');
+  assert.strictEqual(resolveStatus('in-progress'), 'in_progress');
+  assert.strictEqual(resolveStatus('todo'), 'pending');
+  assert.strictEqual(resolveStatus('done'), 'completed');
+  assert.strictEqual(resolveStatus('urgent'), null);
+  assert.strictEqual(canTransition('pending', 'in_progress'), true);
+  assert.strictEqual(canTransition('pending', 'in_review'), false);
+  assert.strictEqual(canTransition('cancelled', 'completed'), false);
+  assert.strictEqual(isOpen('on_hold'), true);
+  assert.strictEqual(isOpen('cancelled'), false);
+  console.log('  ✅ statuses resolve from everyday names and moves follow the transitions');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowstate-workflow-'));
+  const file = path.join(dir, 'workflow.json');
+  fs.writeFileSync(file, JSON.stringify({
+    statuses: { pending: { label: 'Open' }, blocked: { label: 'Blocked' }, completed: { label: 'Closed', final: true } },
+    transitions: { pending: ['blocked', 'completed'], blocked: ['pending'], completed: ['pending'] }
+  }));
+  const custom = await quiet(() => loadWorkflow(file));
+  assert.deepStrictEqual(Object.keys(custom.statuses), ['pending', 'blocked', 'completed']);
+  fs.writeFileSync(file, JSON.stringify({ statuses: { open: {} }, transitions: { open: ['shipped'] } }));
+  assert.strictEqual(await quiet(() => loadWorkflow(file)), DEFAULT_WORKFLOW);
+  assert.throws(() => setWorkflow({ statuses: { pending: {} } }), /missing the "completed" status/);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  setWorkflow(custom);
+  assert.strictEqual(resolveStatus('blocked'), 'blocked');
+  assert.strictEqual(resolveStatus('review'), null);
+  setWorkflow(null);
+  assert.strictEqual(resolveStatus('review'), 'in_review');
+  console.log('  ✅ TASK_WORKFLOW replaces the workflow; unusable files fall back to the default\n');
+
+  console.log('TRANSITIONS');
+  const [spec, build, ship] = await quiet(() => createTasks('mara', [
+    { title: 'Write spec' },
+    { title: 'Build feature' },
+    { title: 'Ship it' }
+  ]));
+  assert.deepStrictEqual(spec.statusHistory.map(h => [h.from, h.to]), [[null, 'pending']]);
+
+  const refused = updateTaskStatus('mara', spec.id, 'in_review');
+  assert.strictEqual(refused.error, '"Write spec" is to do, so it can\'t move to in review. From there it can move to in progress, done, on hold or cancelled.');
+
+  const started = await quiet(() => updateTaskStatus('mara', spec.id, 'in_progress'));
+  const reviewed = await quiet(() => updateTaskStatus('mara', spec.id, 'in_review'));
+  assert.strictEqual(reviewed.from, 'in_progress');
+  assert.deepStrictEqual(reviewed.task.statusHistory.map(h => [h.from, h.to]), [[null, 'pending'], ['pending', 'in_progress'], ['in_progress', 'in_review']]);
+  assert.ok(reviewed.task.statusHistory.every(h => !Number.isNaN(Date.parse(h.at))));
+  assert.strictEqual(started.task.statusHistory.length, 2);
+  assert.strictEqual(updateTaskStatus('mara', spec.id, 'in_review').unchanged, true);
+  assert.strictEqual(updateTaskStatus('mara', spec.id, 'shipped').error, '"shipped" isn\'t a task status');
+  console.log('  ✅ each move is recorded with its time; moves the workflow doesn\'t allow are refused');
+
+  assert.deepStrictEqual(getTasks('mara', { status: 'open' }).map(t => t.title), ['Write spec', 'Build feature', 'Ship it']);
+  assert.deepStrictEqual(getTasks('mara', { status: 'in_review' }).map(t => t.title), ['Write spec']);
+  assert.deepStrictEqual(getTasks('mara', { status: ['pending', 'in_review'] }).map(t => t.title), ['Write spec', 'Build feature', 'Ship it']);
+
+  const list = formatTaskList(withBlockers(getTasks('mara', { status: 'open' })), { currentUser: 'mara' });
+  assert.match(list.message, /1\. Write spec 👀 In review\n  2\. Build feature\n/);
+  const empty = formatTaskList([], { currentUser: 'mara', filters: { status: 'on_hold' } });
+  assert.match(empty.message, /You don't have any \*\*on hold\*\* tasks/);
+  console.log('  ✅ list filters understand statuses and lines show where a task is');
+
+  await quiet(() => addDependency('mara', ship.id, build.id));
+  const cancelled = await quiet(() => updateTaskStatus('mara', build.id, 'cancelled'));
+  assert.deepStrictEqual(cancelled.unblocked.map(t => t.title), ['Ship it']);
+  assert.deepStrictEqual(getTasks('mara', { status: 'open' }).map(t => t.title), ['Write spec', 'Ship it']);
+  assert.strictEqual((await quiet(() => completeTasks('mara', [build.id]))).failed, 1);
+  const reopened = await quiet(() => updateTaskStatus('mara', build.id, 'pending'));
+  assert.strictEqual(reopened.from, 'cancelled');
+  console.log('  ✅ cancelling finishes a task without completing it; it can be reopened');
+
+  const [weekly] = await quiet(() => createTasks('mara', [{ title: 'Weekly report', recurrence: 'every friday' }]));
+  const done = await quiet(() => updateTaskStatus('mara', weekly.id, 'completed'));
+  assert.strictEqual(done.task.status, 'completed');
+  assert.strictEqual(done.next.title, 'Weekly report');
+  console.log('  ✅ moving a task to done completes it, so repeating tasks roll over\n');
+
+  console.log('MIGRATION');
+  const { record } = migrateRecord('tasks', {
+    id: 'task_old', userId: 'mara', title: 'Old', status: 'completed', schemaVersion: 6,
+    createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-05T00:00:00.000Z'
+  });
+  assert.deepStrictEqual(record.statusHistory, [
+    { from: null, to: 'pending', at: '2026-01-01T00:00:00.000Z' },
+    { from: 'pending', to: 'completed', at: '2026-01-05T00:00:00.000Z' }
+  ]);
+  console.log('  ✅ stored tasks get a status history from their timestamps\n');
+
+  console.log('COMMANDS');
+  assert.deepStrictEqual(regexFallbackParser('move task 2 to review').entities, { task_ref: '2', status: 'in_review' });
+  assert.deepStrictEqual(regexFallbackParser('start working on the report').entities, { task_ref: 'report', status: 'in_progress' });
+  assert.deepStrictEqual(regexFallbackParser('put 2 on hold').entities, { task_ref: '2', status: 'on_hold' });
+  assert.deepStrictEqual(regexFallbackParser('cancel the offsite').entities, { task_ref: 'offsite', status: 'cancelled' });
+  assert.deepStrictEqual(regexFallbackParser('reopen budget').entities, { task_ref: 'budget', status: 'pending' });
+  assert.strictEqual(regexFallbackParser('cancel reminder 2').action, 'cancel_reminder');
+  assert.strictEqual(regexFallbackParser('mark 3 as done').action, 'complete_task');
+  assert.deepStrictEqual(regexFallbackParser('show my tasks on hold').entities, { status: 'on_hold', scope: 'my' });
+  assert.deepStrictEqual(regexFallbackParser('list done tasks').entities, { status: 'completed' });
+  assert.strictEqual(validateIntent({ action: 'set_status', entities: { task_ref: 1, status: 'In Review' } }).intent.entities.status, 'in_review');
+  assert.strictEqual(validateIntent({ action: 'list_tasks', entities: { status: 'someday' } }).intent.entities.status, undefined);
+  console.log('  ✅ status commands and status filters parse');
+
+  setWorkflow({
+    statuses: {
+      pending: { label: 'To do' },
+      qa: { label: 'QA', aliases: ['quality check', 'testing'], started: true },
+      completed: { label: 'Done', final: true }
+    },
+    transitions: { pending: ['qa', 'completed'], qa: ['pending', 'completed'], completed: ['pending'] }
+  });
+  try {
+    assert.deepStrictEqual(fastPathIntent('Move task 2 to quality check').entities, { task_ref: 2, status: 'qa' });
+    assert.deepStrictEqual(fastPathIntent('show my testing tasks').entities, { status: 'qa', scope: 'my' });
+    assert.strictEqual(fastPathIntent('move 2 to review'), null);
+    assert.deepStrictEqual(regexFallbackParser('the login fix is ready for QA').entities, { task_ref: 'login fix', status: 'qa' });
+    assert.deepStrictEqual(regexFallbackParser("what's testing").entities, { status: 'qa' });
+
+    const tool = buildActionTools().find(t => t.function.name === 'update_status');
+    assert.deepStrictEqual(tool.function.parameters.properties.status.enum, ['pending', 'qa', 'completed']);
+    const mock = createProvider('mock', { responses: [{ action: 'update_status', entities: { task_ref: 'login fix', status: 'qa' } }] });
+    setProvider(mock);
+    const parsed = await quiet(() => parseIntent('hand the login fix over to the testers', 'omar'));
+    assert.deepStrictEqual(parsed.entities, { task_ref: 'login fix', status: 'qa' });
+    assert.ok(mock.calls[0].messages[0].content.includes('"status": "pending" | "qa" | "completed",'));
+  } finally {
+    setWorkflow(null);
+  }
+  assert.strictEqual(fastPathIntent('move 2 to qa'), null);
+  console.log('  ✅ statuses from a custom workflow reach the fast path, the regex parser and the LLM prompt\n');
+
+  console.log('WEBHOOK');
+  const { send, close } = startServer('omar');
+
+  try {
+    setProvider(createProvider('mock', {
+      responses: [
+        { action: 'create_task', tasks: [{ title: 'Draft proposal', priority: 'high' }, { title: 'Book venue' }] }
+      ]
+    }));
+
+    await send('add draft proposal and book venue');
+    await send('list tasks');
+    const held = await send('put 1 on hold');
+    assert.match(held.message, /⏸️ Moved "Draft proposal" from to do to \*\*on hold\*\*/);
+    assert.strictEqual(held.structured.type, 'status_updated');
+
+    const focus = await send('start focus for 25 minutes');
+    assert.strictEqual(focus.structured.taskTitle, 'Book venue');
+    assert.strictEqual(focus.structured.status, 'in_progress');
+    assert.match(focus.message, /🔄 In progress \(was to do\)/);
+    console.log('  ✅ focus skips tasks on hold and moves the task it starts to in progress');
+
+    const review = await send('send book venue for review');
+    assert.match(review.message, /Moved "Book venue" from in progress to \*\*in review\*\*/);
+    const listed = await send('show tasks in review');
+    assert.match(listed.message, /📋 \*\*All Tasks\*\* \(1\) · 👀 In review/);
+    const refusedReply = await send('move draft proposal to review');
+    assert.match(refusedReply.message, /can't move to in review/);
+
+    await send('cancel draft proposal');
+    const back = await send('reopen draft proposal');
+    assert.match(back.message, /Moved "Draft proposal" from cancelled to \*\*to do\*\*/);
+    console.log('  ✅ tasks move through the workflow in conversation\n');
+  } finally {
+    close();
+  }
+
+  console.log('🎉 All workflow tests passed!\n');
+}
+
+run().catch(error => {
+  restoreConsole();
+  console.error('❌ Workflow test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+/**
+ * File Locking & Atomic Writes
+ * Cross-process helpers for the JSON file adapter
+ *
+ * Locks are lock files created with O_EXCL next to the data file, so they
+ * also serialize separate server processes sharing the same data/ folder.
+ * The storage layer is synchronous, so waiting is a blocking sleep.
+ *
+ * A lock file holds its owner's PID. It is stale once that process is gone,
+ * or once it is older than LOCK_STALE_MS (a PID we can't check or that was
+ * reused). Stale locks are renamed away, never unlinked in place, so a lock
+ * another process has just taken over is never removed by mistake.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 5000;     // give up acquiring after this long
+const LOCK_STALE_MS = 3000;       // a lock older than this is from a crashed process (must be < LOCK_TIMEOUT_MS)
+const LOCK_RETRY_MS = 10;
+
+// Locks held by this process (re-entrant)
+const heldLocks = new Map();
+
+/**
+ * Block the current thread for a few milliseconds
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Whether a process with this PID is running
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether a lock file was left behind by a crashed process
+ */
+function isStale(lockFile, stat) {
+  const age = Date.now() - stat.mtimeMs;
+  if (age > LOCK_STALE_MS) {
+    return true;
+  }
+  const pid = parseInt(fs.readFileSync(lockFile, 'utf8'), 10);
+  return pid > 0 && pid !== process.pid && !isRunning(pid);
+}
+
+/**
+ * Try to remove a lock file left behind by a crashed process
+ * The lock is renamed to a private name first; if what was renamed isn't
+ * the file judged stale (it was replaced in between), it is put back.
+ */
+function removeStaleLock(lockFile) {
+  try {
+    const stat = fs.statSync(lockFile);
+    if (!isStale(lockFile, stat)) {
+      return;
+    }
+
+    const moved = `${lockFile}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.stale`;
+    fs.renameSync(lockFile, moved);
+    if (fs.statSync(moved).ino !== stat.ino) {
+      try {
+        fs.linkSync(moved, lockFile);
+      } catch (error) {
+        // Someone else holds the lock by now
+      }
+    } else {
+      console.warn(`[Storage] Removed stale lock ${path.basename(lockFile)} (${Math.round((Date.now() - stat.mtimeMs) / 1000)}s old)`);
+    }
+    fs.unlinkSync(moved);
+  } catch (error) {
+    // Lock was released or removed in the meantime
+  }
+}
+
+/**
+ * Run fn while holding an exclusive lock on file
+ *
+ * @param {string} file - Data file to lock
+ * @param {Function} fn - Work to do while locked
+ * @returns {*} Result of fn
+ */
+function withFileLock(file, fn) {
+  const lockFile = `${file}.lock`;
+
+  if (heldLocks.has(lockFile)) {
+    heldLocks.set(lockFile, heldLocks.get(lockFile) + 1);
+    try {
+      return fn();
+    } finally {
+      heldLocks.set(lockFile, heldLocks.get(lockFile) - 1);
+    }
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let fd = null;
+
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockFile, 'wx');
+      fs.writeSync(fd, String(process.pid));
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock on ${path.basename(file)}`);
+      }
+      removeStaleLock(lockFile);
+      sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  heldLocks.set(lockFile, 1);
+
+  try {
+    return fn();
+  } finally {
+    heldLocks.delete(lockFile);
+    const { ino } = fs.fstatSync(fd);
+    fs.closeSync(fd);
+    try {
+      // Only our own lock: if it was taken as stale, the file is someone else's now
+      if (fs.statSync(lockFile).ino === ino) {
+        fs.unlinkSync(lockFile);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Storage] Could not release lock ${path.basename(lockFile)}:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Write a file atomically: write a temp file, flush it, then rename it over
+ * the target. Readers see either the old or the new content, never a
+ * truncated file.
+ */
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const tmpFile = `${file}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.tmp`;
+  const fd = fs.openSync(tmpFile, 'w');
+
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmpFile, file);
+  } catch (error) {
+    fs.rmSync(tmpFile, { force: true });
+    throw error;
+  }
+}
+
+module.exports = {
+  withFileLock,
+  writeFileAtomic
+};
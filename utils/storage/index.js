@@ -0,0 +1,108 @@
+/**
+ * Storage
+ * Selects the storage adapter from configuration
+ *
+ * STORAGE_DRIVER=json    - JSON files in data/ (default for local development)
+ * STORAGE_DRIVER=memory  - In-process memory (default for serverless environments)
+ * STORAGE_DRIVER=sqlite  - Embedded SQLite database (requires better-sqlite3)
+ *
+ * Every adapter implements the same record-level interface over named
+ * collections ("users", "tasks", "notes", ...). Records are plain objects
+ * with an `id`; records owned by a user also carry `userId`.
+ *
+ *   get(collection, id)              -> record | null
+ *   find(collection, { userId })     -> records in insertion order
+ *   put(collection, record)          -> record (insert or replace, keeps position)
+ *   putMany(collection, records)     -> records (bulk put in one write)
+ *   update(collection, id, updater)  -> record; updater(current|null) returns the
+ *                                       new record (or null to leave it unchanged)
+ *                                       and runs as one atomic read-modify-write
+ *   remove(collection, id)           -> boolean
+ *   removeWhere(collection, { userId }) -> number of removed records
+ *
+ * Adapters return copies: mutate a record and `put` it back to persist it.
+ * Use `update` when the new value depends on the stored one, so concurrent
+ * requests (or processes) cannot overwrite each other's changes.
+ */
+
+const path = require('path');
+const { createJsonAdapter } = require('./jsonAdapter');
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createSqliteAdapter } = require('./sqliteAdapter');
+const { runMigrations, formatReport } = require('./migrations');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const IS_SERVERLESS = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME || !process.env.HOME;
+
+let storage = null;
+
+/**
+ * Check if running in serverless environment
+ */
+function isServerless() {
+  return !!IS_SERVERLESS;
+}
+
+/**
+ * Create an adapter for the given driver
+ *
+ * @param {string} driver - "json" | "memory" | "sqlite"
+ * @param {Object} options - Adapter options (dir, file)
+ * @returns {Object} Storage adapter
+ */
+function createStorage(driver, options = {}) {
+  switch (driver) {
+    case 'json':
+      return createJsonAdapter({ dir: options.dir || DATA_DIR });
+
+    case 'memory':
+      return createMemoryAdapter();
+
+    case 'sqlite':
+      return createSqliteAdapter({
+        file: options.file || process.env.SQLITE_FILE || path.join(DATA_DIR, 'flowstate.db')
+      });
+
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use json, memory or sqlite.`);
+  }
+}
+
+/**
+ * Get the configured storage adapter (created on first use)
+ * Pending schema migrations run when the adapter is opened
+ *
+ * @param {Object} options
+ * @param {boolean} options.migrate - Run migrations on open (default true)
+ */
+function getStorage(options = {}) {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || (isServerless() ? 'memory' : 'json');
+    storage = createStorage(driver);
+    console.log(`[Storage] Using ${driver} storage`);
+
+    if (options.migrate !== false) {
+      const report = runMigrations(storage);
+      const migrated = Object.values(report.collections).some(result => result.migrated > 0);
+      if (migrated) {
+        console.log(`[Storage] ${formatReport(report)}`);
+      }
+    }
+  }
+  return storage;
+}
+
+/**
+ * Replace the storage adapter (used by tests and scripts)
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = {
+  DATA_DIR,
+  isServerless,
+  createStorage,
+  getStorage,
+  setStorage
+};
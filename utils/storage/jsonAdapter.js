@@ -0,0 +1,253 @@
+/**
+ * JSON File Storage Adapter
+ * Keeps the original data/ layout:
+ *   data/users.json - { [userId]: { ...user, tasks: [...] } }
+ *   data/notes.json - [ ...notes ]
+ *   data/<collection>.json - [ ...records ] for any other collection
+ *
+ * Writes go to a temp file that is renamed into place, and every
+ * read-modify-write cycle holds a lock on the file. The previous good copy
+ * is kept as <file>.bak and used to recover a corrupt file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withFileLock, writeFileAtomic } = require('./fileLock');
+
+/**
+ * Create a JSON file adapter
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Data directory
+ */
+function createJsonAdapter({ dir }) {
+  const usersFile = path.join(dir, 'users.json');
+
+  function fileFor(collection) {
+    return path.join(dir, `${collection}.json`);
+  }
+
+  function fileOf(collection) {
+    return collection === 'users' || collection === 'tasks' ? usersFile : fileFor(collection);
+  }
+
+  function readJson(file, fallback) {
+    if (!fs.existsSync(file)) {
+      return fallback;
+    }
+
+    const raw = fs.readFileSync(file, 'utf8');
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return withFileLock(file, () => recoverCorruptFile(file, fallback, error));
+    }
+  }
+
+  /**
+   * Move a corrupt file aside and restore the last good copy if there is one
+   */
+  function recoverCorruptFile(file, fallback, parseError) {
+    const name = path.basename(file);
+
+    // Another process may have repaired it while we waited for the lock
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      // Still corrupt
+    }
+
+    const quarantined = `${file}.corrupt-${Date.now()}`;
+    fs.renameSync(file, quarantined);
+    console.error(`[Storage] ${name} is corrupt (${parseError.message}). Moved it to ${path.basename(quarantined)}`);
+
+    const backupFile = `${file}.bak`;
+    if (fs.existsSync(backupFile)) {
+      try {
+        const raw = fs.readFileSync(backupFile, 'utf8');
+        const data = JSON.parse(raw);
+        writeFileAtomic(file, raw);
+        console.warn(`[Storage] Restored ${name} from ${path.basename(backupFile)}`);
+        return data;
+      } catch (error) {
+        console.error(`[Storage] Backup ${path.basename(backupFile)} is unusable:`, error.message);
+      }
+    }
+
+    console.error(`[Storage] No usable backup for ${name}; starting empty. Recover data manually from ${path.basename(quarantined)}`);
+    writeFileAtomic(file, JSON.stringify(fallback, null, 2));
+    return fallback;
+  }
+
+  function writeJson(file, data) {
+    // Keep the current (known good) copy before replacing it
+    if (fs.existsSync(file)) {
+      fs.copyFileSync(file, `${file}.bak`);
+    }
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Read every record of a collection
+   * Tasks live inside their owner's entry in users.json
+   */
+  function readAll(collection) {
+    if (collection === 'users') {
+      const users = readJson(usersFile, {});
+      return Object.values(users).map(({ tasks, ...user }) => user);
+    }
+
+    if (collection === 'tasks') {
+      const users = readJson(usersFile, {});
+      return Object.entries(users).flatMap(([userId, user]) =>
+        (user.tasks || []).map(task => ({ ...task, userId }))
+      );
+    }
+
+    return readJson(fileFor(collection), []);
+  }
+
+  /**
+   * Write every record of a collection
+   */
+  function writeAll(collection, records) {
+    if (collection === 'users') {
+      const users = readJson(usersFile, {});
+      const next = {};
+      for (const user of records) {
+        next[user.id] = { ...user, tasks: (users[user.id] && users[user.id].tasks) || [] };
+      }
+      writeJson(usersFile, next);
+      return;
+    }
+
+    if (collection === 'tasks') {
+      const users = readJson(usersFile, {});
+      for (const userId in users) {
+        users[userId].tasks = [];
+      }
+      for (const task of records) {
+        if (!users[task.userId]) {
+          users[task.userId] = { id: task.userId, tasks: [] };
+        }
+        users[task.userId].tasks.push(task);
+      }
+      writeJson(usersFile, users);
+      return;
+    }
+
+    writeJson(fileFor(collection), records);
+  }
+
+  function ownerOf(collection, record) {
+    return collection === 'users' ? record.id : record.userId;
+  }
+
+  function get(collection, id) {
+    return readAll(collection).find(record => record.id === id) || null;
+  }
+
+  function find(collection, filter = {}) {
+    return readAll(collection).filter(record => !filter.userId || ownerOf(collection, record) === filter.userId);
+  }
+
+  function put(collection, record) {
+    return withFileLock(fileOf(collection), () => {
+      const records = readAll(collection);
+      const index = records.findIndex(r => r.id === record.id);
+
+      if (index === -1) {
+        records.push(record);
+      } else {
+        records[index] = record;
+      }
+
+      writeAll(collection, records);
+      return record;
+    });
+  }
+
+  function putMany(collection, records) {
+    return withFileLock(fileOf(collection), () => {
+      const stored = readAll(collection);
+      const positions = new Map(stored.map((r, i) => [r.id, i]));
+
+      for (const record of records) {
+        if (positions.has(record.id)) {
+          stored[positions.get(record.id)] = record;
+        } else {
+          positions.set(record.id, stored.length);
+          stored.push(record);
+        }
+      }
+
+      writeAll(collection, stored);
+      return records;
+    });
+  }
+
+  function update(collection, id, updater) {
+    return withFileLock(fileOf(collection), () => {
+      const records = readAll(collection);
+      const index = records.findIndex(r => r.id === id);
+      const next = updater(index === -1 ? null : records[index]);
+
+      if (!next) {
+        return index === -1 ? null : records[index];
+      }
+
+      if (index === -1) {
+        records.push(next);
+      } else {
+        records[index] = next;
+      }
+
+      writeAll(collection, records);
+      return next;
+    });
+  }
+
+  function remove(collection, id) {
+    return withFileLock(fileOf(collection), () => {
+      const records = readAll(collection);
+      const remaining = records.filter(record => record.id !== id);
+
+      if (remaining.length === records.length) {
+        return false;
+      }
+
+      writeAll(collection, remaining);
+      return true;
+    });
+  }
+
+  function removeWhere(collection, filter = {}) {
+    return withFileLock(fileOf(collection), () => {
+      const records = readAll(collection);
+      const remaining = records.filter(record => filter.userId && ownerOf(collection, record) !== filter.userId);
+      const removed = records.length - remaining.length;
+
+      if (removed > 0) {
+        writeAll(collection, remaining);
+      }
+
+      return removed;
+    });
+  }
+
+  return {
+    driver: 'json',
+    get,
+    find,
+    put,
+    putMany,
+    update,
+    remove,
+    removeWhere
+  };
+}
+
+module.exports = {
+  createJsonAdapter
+};
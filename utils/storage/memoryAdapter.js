@@ -0,0 +1,84 @@
+/**
+ * Memory Storage Adapter
+ * Keeps collections in process memory
+ * Used in serverless environments and tests; data is lost on restart
+ */
+
+/**
+ * Create a memory adapter
+ */
+function createMemoryAdapter() {
+  // collection name -> Map(id -> record); Map keeps insertion order
+  const collections = new Map();
+
+  function collectionFor(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  }
+
+  function ownerOf(collection, record) {
+    return collection === 'users' ? record.id : record.userId;
+  }
+
+  function get(collection, id) {
+    const record = collectionFor(collection).get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  function find(collection, filter = {}) {
+    const records = [...collectionFor(collection).values()];
+    return records
+      .filter(record => !filter.userId || ownerOf(collection, record) === filter.userId)
+      .map(record => structuredClone(record));
+  }
+
+  function put(collection, record) {
+    collectionFor(collection).set(record.id, structuredClone(record));
+    return record;
+  }
+
+  function putMany(collection, records) {
+    records.forEach(record => put(collection, record));
+    return records;
+  }
+
+  function update(collection, id, updater) {
+    const next = updater(get(collection, id));
+    return next ? put(collection, next) : get(collection, id);
+  }
+
+  function remove(collection, id) {
+    return collectionFor(collection).delete(id);
+  }
+
+  function removeWhere(collection, filter = {}) {
+    const records = collectionFor(collection);
+    let removed = 0;
+
+    for (const [id, record] of records) {
+      if (!filter.userId || ownerOf(collection, record) === filter.userId) {
+        records.delete(id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  return {
+    driver: 'memory',
+    get,
+    find,
+    put,
+    putMany,
+    update,
+    remove,
+    removeWhere
+  };
+}
+
+module.exports = {
+  createMemoryAdapter
+};
@@ -0,0 +1,359 @@
+/**
+ * Schema Migrations
+ * Versions stored user, task and note records and upgrades old ones
+ *
+ * Every record carries a `schemaVersion`. Records without one predate
+ * versioning and count as version 0. Migrations run when the configured
+ * storage is first opened, so services can rely on the current shape.
+ *
+ * Usage:
+ *   node utils/storage/migrations.js            # migrate
+ *   node utils/storage/migrations.js --dry-run  # report only
+ */
+
+const { resolveDateExpression } = require('../../services/dates');
+
+/**
+ * Migrations per collection, in ascending version order
+ * Each `up` receives a copy of the record and its owner's user record (when
+ * known), and returns the upgraded record
+ */
+const MIGRATIONS = {
+  users: [
+    {
+      version: 1,
+      description: 'Ensure a complete conversation context; drop the unused embedded notes list',
+      up(user) {
+        const context = user.context || {};
+        const { notes, ...rest } = user;
+
+        return {
+          ...rest,
+          context: {
+            ...context,
+            lastMessages: Array.isArray(context.lastMessages) ? context.lastMessages : [],
+            lastActions: Array.isArray(context.lastActions) ? context.lastActions : [],
+            lastTaskIds: Array.isArray(context.lastTaskIds) ? context.lastTaskIds : [],
+            lastNoteIds: Array.isArray(context.lastNoteIds) ? context.lastNoteIds : [],
+            lastTaskList: Array.isArray(context.lastTaskList) ? context.lastTaskList : [],
+            lastProject: context.lastProject || null,
+            lastChannel: context.lastChannel || null,
+            lastDeal: context.lastDeal || null,
+            currentFocus: context.currentFocus || null
+          },
+          createdAt: user.createdAt || user.updatedAt || new Date().toISOString()
+        };
+      }
+    },
+    {
+      version: 2,
+      description: 'Add the pending clarification question to the conversation context',
+      up(user) {
+        return {
+          ...user,
+          context: {
+            ...user.context,
+            pendingClarification: user.context.pendingClarification || null
+          }
+        };
+      }
+    },
+    {
+      version: 3,
+      description: 'Add the profile (timezone, locale, date format, week start, working hours)',
+      up(user) {
+        return {
+          ...user,
+          profile: user.profile || {}
+        };
+      }
+    },
+    {
+      version: 4,
+      description: 'Add the undo and redo history to the conversation context',
+      up(user) {
+        return {
+          ...user,
+          context: {
+            ...user.context,
+            undoStack: Array.isArray(user.context.undoStack) ? user.context.undoStack : [],
+            redoStack: Array.isArray(user.context.redoStack) ? user.context.redoStack : []
+          }
+        };
+      }
+    },
+    {
+      version: 5,
+      description: 'Add the last trash listing (what "restore 2" refers to) to the conversation context',
+      up(user) {
+        return {
+          ...user,
+          context: {
+            ...user.context,
+            lastTrashList: Array.isArray(user.context.lastTrashList) ? user.context.lastTrashList : []
+          }
+        };
+      }
+    }
+  ],
+
+  tasks: [
+    {
+      version: 1,
+      description: 'Fill missing task fields and normalize priority',
+      up(task) {
+        const priority = typeof task.priority === 'string' ? task.priority.toLowerCase() : '';
+        const context = task.context || {};
+        const createdAt = task.createdAt || task.updatedAt || new Date().toISOString();
+
+        return {
+          ...task,
+          title: task.title || 'Untitled task',
+          description: task.description || '',
+          priority: ['high', 'medium', 'low'].includes(priority) ? priority : 'medium',
+          status: task.status || 'pending',
+          assignee: task.assignee || null,
+          dueDate: task.dueDate || null,
+          context: {
+            projectId: context.projectId || null,
+            channelId: context.channelId || null,
+            dealId: context.dealId || null
+          },
+          createdAt,
+          updatedAt: task.updatedAt || createdAt
+        };
+      }
+    },
+    {
+      version: 2,
+      description: 'Add the project name parsed from the request',
+      up(task) {
+        return {
+          ...task,
+          project: task.project || null
+        };
+      }
+    },
+    {
+      version: 3,
+      description: 'Resolve due date phrases to ISO timestamps, keeping the phrase',
+      up(task, owner) {
+        const phrase = task.dueDate ? String(task.dueDate) : null;
+        const resolved = phrase && resolveDateExpression(phrase, { ...ownerDateOptions(owner), now: new Date(task.createdAt) });
+
+        return {
+          ...task,
+          dueDate: resolved ? resolved.iso : null,
+          dueText: phrase,
+          dueAllDay: resolved ? resolved.allDay : false
+        };
+      }
+    },
+    {
+      version: 4,
+      description: 'Add the repeat rule of recurring tasks',
+      up(task) {
+        return {
+          ...task,
+          recurrence: task.recurrence || null
+        };
+      }
+    },
+    {
+      version: 5,
+      description: 'Add checklist items (subtasks)',
+      up(task) {
+        return {
+          ...task,
+          subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
+          completeWithSubtasks: typeof task.completeWithSubtasks === 'boolean' ? task.completeWithSubtasks : null
+        };
+      }
+    },
+    {
+      version: 6,
+      description: 'Add dependencies (tasks this one waits on)',
+      up(task) {
+        return {
+          ...task,
+          blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy : []
+        };
+      }
+    },
+    {
+      version: 7,
+      description: 'Start the status history (workflow transitions with timestamps)',
+      up(task) {
+        if (Array.isArray(task.statusHistory)) {
+          return task;
+        }
+
+        const history = [{ from: null, to: 'pending', at: task.createdAt }];
+        if (task.status !== 'pending') {
+          history.push({ from: 'pending', to: task.status, at: task.updatedAt || task.createdAt });
+        }
+        return {
+          ...task,
+          statusHistory: history
+        };
+      }
+    }
+  ],
+
+  notes: [
+    {
+      version: 1,
+      description: 'Fill missing note fields',
+      up(note) {
+        const context = note.context || {};
+        const createdAt = note.createdAt || note.updatedAt || new Date().toISOString();
+
+        return {
+          ...note,
+          title: note.title || 'Untitled Note',
+          body: note.body || '',
+          tags: Array.isArray(note.tags) ? note.tags : [],
+          context: {
+            projectId: context.projectId || null,
+            channelId: context.channelId || null,
+            dealId: context.dealId || null
+          },
+          createdAt,
+          updatedAt: note.updatedAt || createdAt
+        };
+      }
+    }
+  ]
+};
+
+/**
+ * Date resolver options from the owner's profile, as services resolve due dates
+ * Required here rather than at the top: profile → userManager → storage → migrations
+ */
+function ownerDateOptions(owner) {
+  const { resolveProfile, dateOptions } = require('../../services/profile');
+  return dateOptions(resolveProfile(owner && owner.profile));
+}
+
+/**
+ * Current schema version per collection
+ */
+const SCHEMA_VERSIONS = Object.fromEntries(
+  Object.entries(MIGRATIONS).map(([collection, steps]) => [collection, steps[steps.length - 1].version])
+);
+
+/**
+ * Upgrade a single record to the current version
+ *
+ * @param {string} collection - Collection name
+ * @param {Object} record - Stored record
+ * @param {Object|null} owner - The owner's user record, for their profile
+ * @returns {{ record: Object, applied: number[] }} Upgraded record and applied versions
+ */
+function migrateRecord(collection, record, owner = null) {
+  const steps = MIGRATIONS[collection] || [];
+  const from = record.schemaVersion || 0;
+  const applied = [];
+  let current = { ...record };
+
+  for (const step of steps) {
+    if (step.version > from) {
+      current = { ...step.up(current, owner), schemaVersion: step.version };
+      applied.push(step.version);
+    }
+  }
+
+  return { record: current, applied };
+}
+
+/**
+ * Run all pending migrations against a storage adapter
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report what would change without writing
+ * @returns {Object} Report per collection
+ */
+function runMigrations(storage, { dryRun = false } = {}) {
+  const report = { dryRun, collections: {} };
+  // Users migrate first, so later collections see their owner's current profile
+  const owners = new Map();
+
+  for (const collection of Object.keys(MIGRATIONS)) {
+    const records = storage.find(collection);
+    const upgraded = [];
+    const steps = {};
+    let newer = 0;
+
+    for (const record of records) {
+      if ((record.schemaVersion || 0) > SCHEMA_VERSIONS[collection]) {
+        newer++;
+        continue;
+      }
+
+      const { record: migrated, applied } = migrateRecord(collection, record, owners.get(record.userId) || null);
+      if (collection === 'users') owners.set(migrated.id, migrated);
+      if (applied.length === 0) continue;
+
+      upgraded.push(migrated);
+      for (const version of applied) {
+        steps[version] = (steps[version] || 0) + 1;
+      }
+    }
+
+    if (!dryRun && upgraded.length > 0) {
+      storage.putMany(collection, upgraded);
+    }
+
+    report.collections[collection] = {
+      version: SCHEMA_VERSIONS[collection],
+      total: records.length,
+      outdated: upgraded.length,
+      migrated: dryRun ? 0 : upgraded.length,
+      newerThanCode: newer,
+      steps: MIGRATIONS[collection]
+        .filter(step => steps[step.version])
+        .map(step => ({ version: step.version, description: step.description, records: steps[step.version] }))
+    };
+
+    if (newer > 0) {
+      console.warn(`[Migrations] ${newer} ${collection} record(s) have a newer schema than this code (v${SCHEMA_VERSIONS[collection]})`);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Format a migration report for the console
+ */
+function formatReport(report) {
+  const lines = [report.dryRun ? 'Migration dry run (nothing written):' : 'Migration report:'];
+
+  for (const [collection, result] of Object.entries(report.collections)) {
+    const verb = report.dryRun ? 'would migrate' : 'migrated';
+    lines.push(`  ${collection} (v${result.version}): ${result.total} records, ${verb} ${result.outdated}`);
+    for (const step of result.steps) {
+      lines.push(`    v${step.version} ${step.description}: ${step.records}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  MIGRATIONS,
+  SCHEMA_VERSIONS,
+  migrateRecord,
+  runMigrations,
+  formatReport
+};
+
+// CLI: node utils/storage/migrations.js [--dry-run]
+if (require.main === module) {
+  require('dotenv').config();
+  const { getStorage } = require('./index');
+  const dryRun = process.argv.includes('--dry-run');
+  const report = runMigrations(getStorage({ migrate: false }), { dryRun });
+  console.log(formatReport(report));
+}
@@ -0,0 +1,127 @@
+/**
+ * SQLite Storage Adapter
+ * One table per collection: (id, user_id, data JSON)
+ * Reads and writes touch single rows instead of rewriting a whole file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a SQLite adapter
+ *
+ * @param {Object} options
+ * @param {string} options.file - Database file path (":memory:" for a throwaway database)
+ */
+function createSqliteAdapter({ file }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package. Run: npm install better-sqlite3');
+  }
+
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+
+  const statements = new Map();
+
+  /**
+   * Get prepared statements for a collection, creating its table on first use
+   */
+  function tableFor(collection) {
+    if (statements.has(collection)) {
+      return statements.get(collection);
+    }
+
+    if (!/^[a-zA-Z_]+$/.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS "${collection}" (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS "${collection}_user_id" ON "${collection}" (user_id);
+    `);
+
+    const prepared = {
+      get: db.prepare(`SELECT data FROM "${collection}" WHERE id = ?`),
+      all: db.prepare(`SELECT data FROM "${collection}" ORDER BY rowid`),
+      byUser: db.prepare(`SELECT data FROM "${collection}" WHERE user_id = ? ORDER BY rowid`),
+      put: db.prepare(`
+        INSERT INTO "${collection}" (id, user_id, data) VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET user_id = excluded.user_id, data = excluded.data
+      `),
+      remove: db.prepare(`DELETE FROM "${collection}" WHERE id = ?`),
+      removeAll: db.prepare(`DELETE FROM "${collection}"`),
+      removeByUser: db.prepare(`DELETE FROM "${collection}" WHERE user_id = ?`)
+    };
+
+    statements.set(collection, prepared);
+    return prepared;
+  }
+
+  function get(collection, id) {
+    const row = tableFor(collection).get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  function find(collection, filter = {}) {
+    const table = tableFor(collection);
+    const rows = filter.userId ? table.byUser.all(filter.userId) : table.all.all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  function put(collection, record) {
+    // Users own themselves; everything else is owned through userId
+    const owner = collection === 'users' ? record.id : (record.userId || null);
+    tableFor(collection).put.run(record.id, owner, JSON.stringify(record));
+    return record;
+  }
+
+  function putMany(collection, records) {
+    db.transaction(() => records.forEach(record => put(collection, record)))();
+    return records;
+  }
+
+  function update(collection, id, updater) {
+    const run = db.transaction(() => {
+      const next = updater(get(collection, id));
+      return next ? put(collection, next) : get(collection, id);
+    });
+    return run.immediate();
+  }
+
+  function remove(collection, id) {
+    return tableFor(collection).remove.run(id).changes > 0;
+  }
+
+  function removeWhere(collection, filter = {}) {
+    const table = tableFor(collection);
+    const result = filter.userId ? table.removeByUser.run(filter.userId) : table.removeAll.run();
+    return result.changes;
+  }
+
+  return {
+    driver: 'sqlite',
+    db,
+    get,
+    find,
+    put,
+    putMany,
+    update,
+    remove,
+    removeWhere
+  };
+}
+
+module.exports = {
+  createSqliteAdapter
+};
@@ -1,110 +1,78 @@
 /**
  * User Manager
- * Handles user data persistence
- * Uses in-memory storage for serverless environments (Vercel)
- * Falls back to file storage for local development
+ * Handles user record persistence through the configured storage adapter
+ * (see utils/storage). Tasks and notes are stored as their own records.
  */
 
-const fs = require('fs');
-const path = require('path');
+const { getStorage, isServerless } = require('./storage');
 
-const USERS_FILE = path.join(__dirname, '..', 'data', 'users.json');
-const IS_SERVERLESS = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME || !process.env.HOME;
-
-// In-memory storage for serverless environments
-let memoryStore = {};
+/**
+ * Get user by ID
+ */
+function getUser(userId) {
+  return getStorage().get('users', userId);
+}
 
 /**
- * Check if running in serverless environment
+ * Save a full user record
  */
-function isServerless() {
-  return IS_SERVERLESS;
+function saveUser(user) {
+  return getStorage().put('users', user);
 }
 
 /**
- * Load users from file or memory
+ * Atomically read, change and save a user record
+ * 
+ * @param {string} userId - User ID
+ * @param {Function} updater - Receives the stored user (or null) and returns
+ *                             the new record, or null to leave it unchanged
+ * @returns {Object|null} Stored user after the update
  */
-function loadUsers() {
-  // Use memory storage in serverless environment
-  if (isServerless()) {
-    console.log('[User Manager] Using in-memory storage (serverless mode)');
-    return memoryStore;
-  }
-  
-  // Use file storage in local environment
-  try {
-    if (!fs.existsSync(USERS_FILE)) {
-      // Create data directory if it doesn't exist
-      const dataDir = path.dirname(USERS_FILE);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-      
-      // Initialize with empty users object
-      fs.writeFileSync(USERS_FILE, JSON.stringify({}, null, 2));
-      return {};
-    }
-    
-    const data = fs.readFileSync(USERS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('[User Manager] Error loading users, using memory fallback:', error.message);
-    return memoryStore;
-  }
+function modifyUser(userId, updater) {
+  return getStorage().update('users', userId, updater);
 }
 
 /**
- * Save users to file or memory
+ * Update user
  */
-function saveUsers(users) {
-  // Use memory storage in serverless environment
-  if (isServerless()) {
-    memoryStore = users;
-    return true;
-  }
-  
-  // Use file storage in local environment
-  try {
-    const dataDir = path.dirname(USERS_FILE);
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
-    return true;
-  } catch (error) {
-    console.error('[User Manager] Error saving users, using memory fallback:', error.message);
-    memoryStore = users;
-    return false;
-  }
+function updateUser(userId, userData) {
+  return modifyUser(userId, user => ({
+    ...user,
+    ...userData,
+    id: userId,
+    updatedAt: new Date().toISOString()
+  }));
 }
 
 /**
- * Get user by ID
+ * Get the profile settings a user has chosen (overrides only; see services/profile.js)
  */
-function getUser(userId) {
-  const users = loadUsers();
-  return users[userId] || null;
+function getUserProfile(userId) {
+  const user = getUser(userId);
+  return (user && user.profile) || {};
 }
 
 /**
- * Update user
+ * Atomically merge profile settings into a user record
+ * 
+ * @param {string} userId - User ID
+ * @param {Object} changes - Profile fields to set
+ * @returns {Object|null} Stored user after the update, or null if there is no such user
  */
-function updateUser(userId, userData) {
-  const users = loadUsers();
-  users[userId] = {
-    ...users[userId],
-    ...userData,
-    id: userId,
+function updateUserProfile(userId, changes) {
+  return modifyUser(userId, user => (user ? {
+    ...user,
+    profile: { ...user.profile, ...changes },
     updatedAt: new Date().toISOString()
-  };
-  saveUsers(users);
-  return users[userId];
+  } : null));
 }
 
 module.exports = {
-  loadUsers,
-  saveUsers,
+  isServerless,
   getUser,
-  updateUser
+  saveUser,
+  modifyUser,
+  updateUser,
+  getUserProfile,
+  updateUserProfile
 };